@@ -33,6 +33,9 @@ contract CERC20 is Ownable, ReentrancyGuard {
     // FHE Executor address (authorized to update encrypted states)
     address public executor;
 
+    // CID version byte (v1 = 0x01 || sha256(ciphertext)[0..31], see lib/fhe16/cid.js)
+    uint8 public constant CID_VERSION = 1;
+
     // Ciphertext registry: CID => encrypted data
     mapping(bytes32 => Ciphertext) public ciphertexts;
 
@@ -73,8 +76,9 @@ contract CERC20 is Ownable, ReentrancyGuard {
     /**
      * @notice Register a new ciphertext with its CID
      * @param cid Content Identifier for the ciphertext
-     * @param encryptedData FHE16 encrypted data
-     * @dev Limited to prevent DoS attacks via storage bloat
+     * @param encryptedData FHE16 encrypted data, serialized or as a compressed frame
+     * @dev Limited to prevent DoS attacks via storage bloat. The CID always names the
+     *      uncompressed bytes, so computeCid does not apply to compressed data.
      */
     function registerCiphertext(
         bytes32 cid,
@@ -84,7 +88,8 @@ contract CERC20 is Ownable, ReentrancyGuard {
         require(!ciphertexts[cid].exists, "CERC20: CID already exists");
         require(encryptedData.length > 0, "CERC20: empty ciphertext");
 
-        // DoS protection: limit ciphertext size (FHE16 standard is ~133KB)
+        // DoS protection: limit ciphertext size (FHE16 standard is ~133KB,
+        // ~117KB as a compressed frame from lib/fhe16/compress.js)
         require(encryptedData.length <= 200000, "CERC20: ciphertext too large");
 
         ciphertexts[cid] = Ciphertext({
@@ -96,6 +101,15 @@ contract CERC20 is Ownable, ReentrancyGuard {
         emit CiphertextRegistered(cid, msg.sender);
     }
 
+    /**
+     * @notice Canonical CID of serialized ciphertext bytes
+     * @param encryptedData FHE16 encrypted data (little-endian int32 values)
+     * @return Version byte followed by the first 31 bytes of its SHA256
+     */
+    function computeCid(bytes calldata encryptedData) public pure returns (bytes32) {
+        return bytes32(uint256(CID_VERSION) << 248) | (sha256(encryptedData) >> 8);
+    }
+
     /**
      * @notice Get encrypted balance of an account
      * @param account Address to query
@@ -22,6 +22,8 @@ const charPtr = ref.refType(ref.types.char);
 const sizeT = ref.types.size_t || (process.arch === 'x64' ? ref.types.uint64 : ref.types.uint32);
 const sizeTPtr = ref.refType(sizeT);
 
+const LITTLE_ENDIAN = require('os').endianness() === 'LE';
+
 const soPath = path.join(__dirname, 'lib', 'linux-x64', 'libFHE16.so');
 if (!process.env.QUIET_FHE16) console.log('[FHE16] dlopen:', soPath);
 
@@ -166,6 +168,13 @@ const fnABS        = first(['_Z9FHE16_ABSPi',          'FHE16_ABS'],        int3
 const fnEQ         = first(['_Z8FHE16_EQPiS_',         'FHE16_EQ'],         int32Ptr, [int32Ptr, int32Ptr]);
 const fnNEQ        = first(['_Z9FHE16_NEQPiS_',        'FHE16_NEQ'],        int32Ptr, [int32Ptr, int32Ptr]);
 
+/* ---------------- memory ---------------- */
+
+// The library's headers do not say which allocator its buffers come from, so they are
+// only released through a free export of the library itself. Releases without one
+// keep the old contract: do not free from Node, the library owns the memory.
+const fnFreeCt = first(['_Z10FHE16_FREEPi', 'FHE16_FREE'], 'void', [int32Ptr]);
+
 /* ----------------------------------- API ----------------------------------- */
 
 const FHE16 = {
@@ -195,6 +204,14 @@ const FHE16 = {
   },
   bootparamFreeHeap(bpPtr) { if (fnBpFreeHeap) fnBpFreeHeap(bpPtr); },
 
+  // memory: with FHE16_FREE exported, every ciphertext pointer is freed exactly once
+  canFreeCt: Boolean(fnFreeCt),
+  freeCt(ctPtr) {
+    if (!fnFreeCt) throw new Error('FHE16_FREE not exported; ciphertexts are left to the library');
+    if (ctPtr && !ref.isNull(ctPtr)) fnFreeCt(ctPtr);
+  },
+  addressOf(ptr) { return ref.address(ptr); },
+
   // secret key IO
   secretKeyToBytesSafe(skPtr) {
     if (!fnSkToBytes) throw new Error('secret_key_to_bytes_safe not exported');
@@ -239,6 +256,35 @@ const FHE16 = {
     if (rc !== 0) throw new Error(`lwe_from_bytes_meta_safe(strict) failed: rc=${rc}`);
     return outCtPtrPtr.deref();
   },
+
+  // Ciphertext import/export: the strict byte form is the LE int32 layout (16-value
+  // metadata header + LWE samples), checked and sized by the library itself
+  importCiphertext(values) {
+    let bytes;
+    if (Buffer.isBuffer(values)) {
+      bytes = values;
+    } else if (LITTLE_ENDIAN && values instanceof Int32Array) {
+      bytes = Buffer.from(values.buffer, values.byteOffset, values.byteLength);
+    } else {
+      bytes = Buffer.alloc(values.length * 4);
+      for (let i = 0; i < values.length; i++) bytes.writeInt32LE(values[i], i * 4);
+    }
+    return this.lweFromBytesStrict(bytes);
+  },
+  exportCiphertext(ctPtr) {
+    const bytes = this.lweToBytesStrict(ctPtr);
+    if (bytes.length === 0 || bytes.length % 4 !== 0) {
+      throw new Error(`lwe_to_bytes_meta_safe(strict) returned ${bytes.length} bytes`);
+    }
+    const values = new Int32Array(bytes.length / 4);
+    if (LITTLE_ENDIAN) {
+      new Uint8Array(values.buffer).set(bytes);
+    } else {
+      for (let i = 0; i < values.length; i++) values[i] = bytes.readInt32LE(i * 4);
+    }
+    return values;
+  },
+
   lweSaveStrict(pathStr, buf) {
     const rc = fnLweSaveStrict(pathStr, buf, buf.length);
     if (rc !== 0) throw new Error(`lwe_save_file_safe(strict) failed: rc=${rc}`);
@@ -0,0 +1,418 @@
+/**
+ * Aggregate Statistics
+ * Aggregate-only decrypt jobs: many encrypted values (e.g. salary CIDs) are summed or
+ * counted under FHE and only the final aggregate is decrypted, so payroll statistics
+ * never expose an individual figure.
+ *
+ * Job field (decrypt job, instead of "ciphertext"):
+ *   "aggregate": {
+ *     "statistic": "sum" | "mean" | "count" | "band_counts",
+ *     "threshold": 5000000,                    // count: how many are >= threshold
+ *     "bands": [3000000, 6000000, 9000000],    // band_counts: ascending band lower bounds
+ *     "inputs": [                              // ciphertext optional with a store
+ *       { "cid": "0x01…", "employee": "0x…", "ciphertext": { … } },   // salary or tax withheld
+ *       { "cid": "0x01…", "payment_id": "7" },                         // a payment's amount or tax
+ *       …
+ *     ]
+ *   }
+ *
+ * Every input must be the SalaryPayroll record it names (resolveAggregateInputs), all of
+ * one kind; the label the decrypt policy decides on ("salary", "tax", "payment") comes
+ * from that kind, not from the requester. The group size is the number of distinct
+ * employees: fresh encryptions or one person's records twice do not make a group.
+ * Groups smaller than the configured minimum are refused, and AggregateHistory refuses
+ * a group that differs from an already released one by fewer inputs than that minimum
+ * (two totals that differ by one person give away that person's value).
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { canonicalize, compileProgram } = require('./ir-registry.js');
+const { isCanonicalCID } = require('../lib/fhe16/cid.js');
+
+const AGGREGATE_ERRORS = {
+  INVALID: 'AGG_INVALID',                   // malformed aggregate spec
+  UNRESOLVED: 'AGG_UNRESOLVED',             // an input is not the payroll record it names
+  MIXED_SOURCES: 'AGG_MIXED_SOURCES',       // inputs of different kinds (e.g. salaries and tax)
+  GROUP_TOO_SMALL: 'AGG_GROUP_TOO_SMALL',   // fewer distinct employees than the minimum
+  OVERLAP: 'AGG_OVERLAP'                    // differs from a released group by too few inputs
+};
+
+// Payroll record kind -> the label aggregates of it are released under (decrypt-policy RESOURCE_KINDS)
+const SOURCE_LABELS = {
+  salary: 'salary',
+  tax_withheld: 'tax',
+  payment_amount: 'payment',
+  payment_tax: 'tax'
+};
+
+const STATISTICS = ['sum', 'mean', 'count', 'band_counts'];
+
+const MAX_BANDS = 16;
+const INT32_MAX = 0x7fffffff;
+const ALLOWED_KEYS = ['statistic', 'threshold', 'bands', 'inputs'];
+
+class AggregateError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - one of AGGREGATE_ERRORS
+   * @param {Object} [details]
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'AggregateError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const invalid = (message, field) => new AggregateError(`aggregate.${field}: ${message}`, AGGREGATE_ERRORS.INVALID, { path: `aggregate.${field}` });
+
+function checkThreshold(value, field) {
+  if (!Number.isInteger(value) || value < 0 || value > INT32_MAX) {
+    throw invalid('must be a non-negative int32 amount', field);
+  }
+}
+
+/**
+ * Validate an aggregate spec
+ * Inputs are deduplicated by CID: the same ciphertext twice is still one input.
+ * @param {Object} spec - job.aggregate
+ * @returns {{statistic: string, thresholds: Array<number>, inputs: Array<Object>, cids: Array<string>, id: string}}
+ *   inputs {cid, employee, paymentId, ciphertext?, key_id?}; cids sorted; id is the bytes32 a
+ *   requester signs as the request's cid
+ * @throws {AggregateError} AGG_INVALID
+ */
+function parseAggregate(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new AggregateError('aggregate must be an object', AGGREGATE_ERRORS.INVALID, { path: 'aggregate' });
+  }
+  const extra = Object.keys(spec).filter(key => !ALLOWED_KEYS.includes(key));
+  if (extra.length > 0) {
+    throw invalid('unknown field', extra[0]);
+  }
+  if (!STATISTICS.includes(spec.statistic)) {
+    throw invalid(`must be one of ${STATISTICS.join(', ')}`, 'statistic');
+  }
+
+  let thresholds = [];
+  if (spec.statistic === 'count') {
+    checkThreshold(spec.threshold, 'threshold');
+    thresholds = [spec.threshold];
+  } else if (spec.statistic === 'band_counts') {
+    if (!Array.isArray(spec.bands) || spec.bands.length === 0 || spec.bands.length > MAX_BANDS) {
+      throw invalid(`must be 1-${MAX_BANDS} band lower bounds`, 'bands');
+    }
+    spec.bands.forEach((bound, i) => {
+      checkThreshold(bound, `bands[${i}]`);
+      if (i > 0 && bound <= spec.bands[i - 1]) {
+        throw invalid('must be greater than the previous bound', `bands[${i}]`);
+      }
+    });
+    thresholds = [...spec.bands];
+  }
+  if (spec.statistic !== 'count' && spec.threshold !== undefined) throw invalid(`does not apply to ${spec.statistic}`, 'threshold');
+  if (spec.statistic !== 'band_counts' && spec.bands !== undefined) throw invalid(`does not apply to ${spec.statistic}`, 'bands');
+
+  if (!Array.isArray(spec.inputs) || spec.inputs.length === 0) {
+    throw invalid('must be a non-empty array', 'inputs');
+  }
+  const byCid = new Map();
+  spec.inputs.forEach((input, i) => {
+    const cid = input && typeof input.cid === 'string' ? input.cid.toLowerCase() : null;
+    if (!cid || !isCanonicalCID(cid)) {
+      throw invalid('must carry a canonical v1 cid', `inputs[${i}].cid`);
+    }
+    // Exactly one anchor: the employee whose salary / tax withheld it is, or the payment it belongs to
+    const hasEmployee = input.employee !== undefined;
+    const hasPayment = input.payment_id !== undefined;
+    if (hasEmployee === hasPayment) {
+      throw invalid('must name either an employee or a payment_id', `inputs[${i}]`);
+    }
+    if (hasEmployee && !ethers.isAddress(input.employee)) {
+      throw invalid('must be an address', `inputs[${i}].employee`);
+    }
+    if (hasPayment && !/^\d{1,78}$/.test(String(input.payment_id))) {
+      throw invalid('must be a uint256', `inputs[${i}].payment_id`);
+    }
+    if (!byCid.has(cid)) {
+      byCid.set(cid, {
+        cid,
+        employee: hasEmployee ? ethers.getAddress(input.employee) : null,
+        paymentId: hasPayment ? String(input.payment_id) : null,
+        ciphertext: input.ciphertext,  // job-shaped, as server.js extractInputCiphertext reads it
+        key_id: input.key_id
+      });
+    }
+  });
+  const cids = [...byCid.keys()].sort();
+
+  const parsed = { statistic: spec.statistic, thresholds, inputs: cids.map(cid => byCid.get(cid)), cids };
+  parsed.id = aggregateId(parsed);
+  return parsed;
+}
+
+/**
+ * Identifier of an aggregate: sha256 over its statistic, thresholds and input CIDs
+ * @returns {string} 0x-prefixed bytes32
+ */
+function aggregateId({ statistic, thresholds, cids }) {
+  return '0x' + crypto.createHash('sha256').update(canonicalize({ statistic, thresholds, cids })).digest('hex');
+}
+
+const sameCid = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// Which record of the payroll an input is, or null
+async function resolveInput(payroll, input) {
+  if (input.paymentId !== null) {
+    const payment = await payroll.payments(BigInt(input.paymentId));
+    if (!payment || payment.employee === ethers.ZeroAddress) return null;
+    const source = sameCid(payment.encryptedAmountCid, input.cid) ? 'payment_amount'
+      : sameCid(payment.taxAmountCid, input.cid) ? 'payment_tax' : null;
+    return source && { source, owner: ethers.getAddress(payment.employee) };
+  }
+  const record = await payroll.employees(input.employee);
+  if (record && sameCid(record.encryptedSalaryCid, input.cid)) {
+    return { source: 'salary', owner: input.employee };
+  }
+  if (sameCid(await payroll.encryptedTaxWithheld(input.employee), input.cid)) {
+    return { source: 'tax_withheld', owner: input.employee };
+  }
+  return null;
+}
+
+/**
+ * Check every input against SalaryPayroll and derive what the aggregate is of
+ * @param {Object} payroll - SalaryPayroll contract (employees, payments, encryptedTaxWithheld)
+ * @param {Object} aggregate - parseAggregate result
+ * @returns {Promise<Object>} the aggregate plus {source, of, owners, groupSize}; groupSize counts distinct employees
+ * @throws {AggregateError} AGG_UNRESOLVED (also when the contract cannot be read), AGG_MIXED_SOURCES
+ */
+async function resolveAggregateInputs(payroll, aggregate) {
+  if (!payroll) {
+    throw new AggregateError('no payroll contract to resolve aggregate inputs against (PAYROLL_ADDRESS)', AGGREGATE_ERRORS.UNRESOLVED);
+  }
+  const owners = new Set();
+  let source = null;
+  for (let i = 0; i < aggregate.inputs.length; i++) {
+    const input = aggregate.inputs[i];
+    let resolved;
+    try {
+      resolved = await resolveInput(payroll, input);
+    } catch (error) {
+      throw new AggregateError(`could not resolve aggregate input ${input.cid}: ${error.shortMessage || error.message}`,
+        AGGREGATE_ERRORS.UNRESOLVED, { path: `aggregate.inputs[${i}]` });
+    }
+    if (!resolved) {
+      const anchor = input.paymentId !== null ? `payment ${input.paymentId}` : `employee ${input.employee}`;
+      throw new AggregateError(`aggregate input ${input.cid} is not a payroll record of ${anchor}`,
+        AGGREGATE_ERRORS.UNRESOLVED, { path: `aggregate.inputs[${i}]` });
+    }
+    if (source && resolved.source !== source) {
+      throw new AggregateError(`aggregate mixes ${source} and ${resolved.source} inputs`,
+        AGGREGATE_ERRORS.MIXED_SOURCES, { path: `aggregate.inputs[${i}]` });
+    }
+    source = resolved.source;
+    owners.add(resolved.owner);
+  }
+  return { ...aggregate, source, of: SOURCE_LABELS[source], owners: [...owners], groupSize: owners.size };
+}
+
+/**
+ * @param {Object} aggregate - resolveAggregateInputs result
+ * @param {number} minGroupSize
+ * @throws {AggregateError} AGG_GROUP_TOO_SMALL
+ */
+function assertGroupSize(aggregate, minGroupSize) {
+  if (aggregate.groupSize < minGroupSize) {
+    throw new AggregateError(
+      `aggregate over ${aggregate.groupSize} distinct employee(s); at least ${minGroupSize} are required`,
+      AGGREGATE_ERRORS.GROUP_TOO_SMALL,
+      { group_size: aggregate.groupSize, min_group_size: minGroupSize }
+    );
+  }
+}
+
+// Steps summing two or more refs into output: add3 while three remain, add for a leftover pair
+function sumSteps(refs, output, steps) {
+  let acc = refs[0];
+  for (let i = 1, n = 0; i < refs.length; n++) {
+    const take = i + 1 < refs.length ? 2 : 1;
+    const last = i + take === refs.length;
+    const ref = last ? output : `${output}_partial_${n}`;
+    steps.push({ op: take === 2 ? 'add3' : 'add', inputs: [acc, ...refs.slice(i, i + take)], output: ref });
+    acc = ref;
+    i += take;
+  }
+}
+
+/**
+ * IR program computing the encrypted aggregate over every input slot
+ *   sum / mean   total
+ *   count        at_least_0 = how many inputs are >= threshold
+ *   band_counts  at_least_<i> per band bound; band counts are their differences
+ * Every output is declared an aggregate of the resolved label.
+ * @param {Object} aggregate - resolveAggregateInputs result (at least two inputs)
+ * @returns {Object} compiled program (ir-registry.js)
+ */
+function buildAggregateProgram(aggregate) {
+  const slots = aggregate.inputs.map((_, i) => i);
+  if (slots.length < 2) {
+    throw new AggregateError('an aggregate needs at least two inputs', AGGREGATE_ERRORS.GROUP_TOO_SMALL, { group_size: slots.length });
+  }
+
+  const steps = [];
+  const outputs = [];
+  if (aggregate.thresholds.length === 0) {
+    sumSteps(slots, 'total', steps);
+    outputs.push('total');
+  } else {
+    aggregate.thresholds.forEach((bound, b) => {
+      steps.push({ op: 'encrypt_constant', inputs: [], constant: bound, output: `bound_${b}` });
+      const indicators = slots.map((slot) => {
+        const output = `ge_${b}_${slot}`;
+        steps.push({ op: 'ge', inputs: [slot, `bound_${b}`], output });
+        return output;
+      });
+      sumSteps(indicators, `at_least_${b}`, steps);
+      outputs.push(`at_least_${b}`);
+    });
+  }
+
+  return compileProgram({
+    format: 'lattica-ir/1',
+    name: `aggregate_${aggregate.statistic}`,
+    description: `Aggregate-only ${aggregate.statistic} of ${aggregate.of} over ${slots.length} inputs`,
+    input_slots: slots.length,
+    outputs,
+    aggregates: Object.fromEntries(outputs.map(name => [name, aggregate.of])),
+    execution_plan: steps
+  });
+}
+
+/**
+ * Plaintext result from the decrypted outputs
+ * Means and bands are per input (one per employee for salaries, possibly more for payments).
+ * @param {Object} aggregate - resolveAggregateInputs result
+ * @param {Object<string, number>} values - decrypted outputs by name
+ * @returns {Object} {statistic, of, group_size, inputs, value} or {statistic, of, group_size, inputs, bands}
+ */
+function summarizeAggregate(aggregate, values) {
+  const n = aggregate.cids.length;
+  const result = { statistic: aggregate.statistic, of: aggregate.of, group_size: aggregate.groupSize, inputs: n };
+  switch (aggregate.statistic) {
+    case 'sum':
+      return { ...result, value: values.total };
+    case 'mean':
+      return { ...result, value: Math.round(values.total / n) };  // whole units (cents)
+    case 'count':
+      return { ...result, threshold: aggregate.thresholds[0], value: values.at_least_0 };
+    default: {
+      // at_least_<i> counts everyone in band i or above
+      const atLeast = aggregate.thresholds.map((_, b) => values[`at_least_${b}`]);
+      const bands = [{ from: null, to: aggregate.thresholds[0], count: n - atLeast[0] }];
+      aggregate.thresholds.forEach((bound, b) => {
+        const next = b + 1 < atLeast.length ? atLeast[b + 1] : 0;
+        bands.push({ from: bound, to: aggregate.thresholds[b + 1] ?? null, count: atLeast[b] - next });
+      });
+      return { ...result, bands };
+    }
+  }
+}
+
+/**
+ * Groups whose aggregates were released, persisted as JSONL
+ * A new group must equal a released one or differ from each by at least minGroupSize
+ * inputs; otherwise subtracting the two results isolates the few that differ.
+ */
+class AggregateHistory {
+  /**
+   * @param {string} filePath
+   * @param {Object} options
+   * @param {number} options.minGroupSize
+   */
+  constructor(filePath, { minGroupSize }) {
+    this.filePath = filePath;
+    this.minGroupSize = minGroupSize;
+    this.groups = [];  // Set of cids per released aggregate
+  }
+
+  /**
+   * Load released groups; a torn final line (crash mid-write) is ignored
+   * @returns {number} groups loaded
+   */
+  open() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) return 0;
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      if (!line) return;
+      try {
+        this.groups.push(new Set(JSON.parse(line).cids));
+      } catch (error) {
+        if (i !== lines.length - 1) {
+          throw new Error(`Aggregate history ${this.filePath} is corrupt at line ${i + 1}`);
+        }
+      }
+    });
+    return this.groups.length;
+  }
+
+  /**
+   * @param {Array<string>} cids - parseAggregate cids
+   * @throws {AggregateError} AGG_OVERLAP
+   */
+  check(cids) {
+    const group = new Set(cids);
+    for (const released of this.groups) {
+      const difference = cids.filter(cid => !released.has(cid)).length +
+        [...released].filter(cid => !group.has(cid)).length;
+      if (difference > 0 && difference < this.minGroupSize) {
+        throw new AggregateError(
+          `aggregate differs from a released one by ${difference} input(s); at least ${this.minGroupSize} are required`,
+          AGGREGATE_ERRORS.OVERLAP,
+          { difference, min_group_size: this.minGroupSize }
+        );
+      }
+    }
+  }
+
+  /**
+   * Remember a group once its aggregate is decrypted (before it is sent, in case sending
+   * fails after the gatehouse received it)
+   * @param {string} decryptId
+   * @param {Array<string>} cids
+   */
+  record(decryptId, cids) {
+    fs.appendFileSync(this.filePath, JSON.stringify({ at: Date.now(), decrypt_id: decryptId, cids }) + '\n');
+    this.groups.push(new Set(cids));
+  }
+
+  get size() {
+    return this.groups.length;
+  }
+}
+
+module.exports = {
+  AGGREGATE_ERRORS,
+  SOURCE_LABELS,
+  STATISTICS,
+  MAX_BANDS,
+  AggregateError,
+  AggregateHistory,
+  parseAggregate,
+  aggregateId,
+  resolveAggregateInputs,
+  assertGroupSize,
+  buildAggregateProgram,
+  summarizeAggregate
+};
@@ -0,0 +1,182 @@
+/**
+ * Result Attestation
+ * Executor-signed statement binding a result ciphertext to its inputs, program and executor
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const crypto = require('crypto');
+const { canonicalize } = require('./ir-registry.js');
+const { ALGORITHM, publicKeyFromHex, keyIdFor } = require('./executor-identity.js');
+const { ciphertextBytes } = require('../lib/fhe16/cid.js');
+
+const ATTESTATION_VERSION = 'lattica-attestation/1';
+
+/**
+ * Full sha256 over the little-endian int32 encoding of a ciphertext,
+ * the same bytes its canonical CID is derived from (lib/fhe16/cid.js)
+ * @param {Array<number>|Int32Array} encryptedData
+ * @returns {string} 0x-prefixed hex
+ */
+function ciphertextHash(encryptedData) {
+  return '0x' + crypto.createHash('sha256').update(ciphertextBytes(encryptedData)).digest('hex');
+}
+
+/**
+ * Digest of the canonical statement; small enough to record on-chain
+ */
+function statementDigest(statement) {
+  return '0x' + crypto.createHash('sha256').update(canonicalize(statement)).digest('hex');
+}
+
+/**
+ * Build and sign the attestation for one program output
+ * @param {ExecutorIdentity} identity
+ * @param {Object} fields
+ * @param {string} fields.jobPda
+ * @param {string} fields.irDigest
+ * @param {Object} [fields.params] - plaintext parameters the program was bound with
+ * @param {Array<{cid: ?string, encrypted_data: Array<number>}>} fields.inputs - by slot
+ * @param {{name: string, cid: string, encrypted_data: Array<number>}} fields.output
+ * @param {number} [fields.timestamp]
+ * @returns {{statement: Object, digest: string, signature: Object}}
+ */
+function createAttestation(identity, fields) {
+  const statement = {
+    version: ATTESTATION_VERSION,
+    job_pda: fields.jobPda,
+    ir_digest: fields.irDigest,
+    params: fields.params || {},
+    inputs: fields.inputs.map((input, slot) => ({
+      slot,
+      cid: input.cid || null,
+      ciphertext_hash: ciphertextHash(input.encrypted_data)
+    })),
+    output: {
+      name: fields.output.name,
+      cid: fields.output.cid,
+      ciphertext_hash: ciphertextHash(fields.output.encrypted_data)
+    },
+    executor: {
+      executor_id: identity.executorId,
+      key_id: identity.keyId,
+      public_key: identity.publicKeyHex
+    },
+    timestamp: fields.timestamp || Date.now()
+  };
+
+  return {
+    statement,
+    digest: statementDigest(statement),
+    signature: {
+      algorithm: ALGORITHM,
+      value: identity.sign(canonicalize(statement))
+    }
+  };
+}
+
+/**
+ * Verify an attestation (auditor / gatehouse side)
+ * @param {Object} attestation
+ * @param {Object} [options]
+ * @param {string} [options.publicKey] - trusted executor key (hex); without it the embedded key is used
+ *   and only integrity, not origin, is established
+ * @param {Array<number>} [options.outputData] - result ciphertext to check against the statement
+ * @param {Array<Array<number>>} [options.inputData] - input ciphertexts by slot
+ * @returns {{valid: boolean, reason?: string, executorId?: string}}
+ */
+function verifyAttestation(attestation, options = {}) {
+  const { statement, digest, signature } = attestation || {};
+  if (!statement || !signature) {
+    return { valid: false, reason: 'missing statement or signature' };
+  }
+  if (statement.version !== ATTESTATION_VERSION) {
+    return { valid: false, reason: `unsupported attestation version: ${statement.version}` };
+  }
+  if (signature.algorithm !== ALGORITHM) {
+    return { valid: false, reason: `unsupported signature algorithm: ${signature.algorithm}` };
+  }
+
+  const executor = statement.executor || {};
+  const publicKey = options.publicKey || executor.public_key;
+  if (executor.public_key !== publicKey) {
+    return { valid: false, reason: 'attestation was not signed by the trusted executor key' };
+  }
+  if (typeof publicKey !== 'string' || !/^[0-9a-fA-F]{64}$/.test(publicKey)) {
+    return { valid: false, reason: 'missing or malformed executor public key' };
+  }
+  if (executor.key_id !== keyIdFor(publicKey)) {
+    return { valid: false, reason: 'key id does not match public key' };
+  }
+  if (digest !== statementDigest(statement)) {
+    return { valid: false, reason: 'digest does not match statement' };
+  }
+
+  let signed;
+  try {
+    signed = typeof signature.value === 'string' && crypto.verify(
+      null,
+      Buffer.from(canonicalize(statement)),
+      publicKeyFromHex(publicKey),
+      Buffer.from(signature.value, 'base64')
+    );
+  } catch (error) {
+    signed = false;
+  }
+  if (!signed) {
+    return { valid: false, reason: 'bad signature' };
+  }
+
+  if (options.outputData && ciphertextHash(options.outputData) !== (statement.output || {}).ciphertext_hash) {
+    return { valid: false, reason: 'output ciphertext does not match attestation' };
+  }
+  if (options.inputData) {
+    if (!Array.isArray(statement.inputs) || options.inputData.length !== statement.inputs.length) {
+      return { valid: false, reason: 'input count does not match attestation' };
+    }
+    for (let slot = 0; slot < options.inputData.length; slot++) {
+      if (ciphertextHash(options.inputData[slot]) !== (statement.inputs[slot] || {}).ciphertext_hash) {
+        return { valid: false, reason: `input[${slot}] ciphertext does not match attestation` };
+      }
+    }
+  }
+
+  return { valid: true, executorId: executor.executor_id };
+}
+
+module.exports = {
+  ATTESTATION_VERSION,
+  ciphertextHash,
+  statementDigest,
+  createAttestation,
+  verifyAttestation
+};
+
+// CLI: verify a submitted result ciphertext (JSON with an "attestation" field,
+// ciphertext as encrypted_data or a base64 encrypted_frame)
+if (require.main === module) {
+  const fs = require('fs');
+  const { ciphertextValues } = require('../lib/fhe16/wire.js');
+  const [file, publicKey] = process.argv.slice(2);
+  if (!file) {
+    console.error('Usage: node attestation.js <result.json> [executor-public-key-hex]');
+    process.exit(2);
+  }
+  const result = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const attestation = result.attestation || result;
+  const verdict = verifyAttestation(attestation, {
+    publicKey,
+    outputData: result.attestation ? ciphertextValues(result) : undefined
+  });
+  if (verdict.valid) {
+    console.log(`VALID  ${attestation.digest}  executor=${verdict.executorId}${publicKey ? '' : ' (embedded key, origin not checked)'}`);
+  } else {
+    console.log(`INVALID  ${verdict.reason}`);
+    process.exit(1);
+  }
+}
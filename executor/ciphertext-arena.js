@@ -0,0 +1,144 @@
+/**
+ * Ciphertext Arena
+ * Ownership of native FHE16 ciphertext buffers: every pointer a job imports or
+ * an operation returns is tracked by the job's arena and freed when the arena
+ * is released, so intermediates (~133 KB each) do not outlive the job.
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+// Per-thread allocation counters (each worker has its own module instance)
+const stats = {
+  live: 0,
+  peak: 0,
+  allocated: 0,
+  freed: 0,
+  freeFailures: 0,
+  retained: 0,   // dropped without freeing: the library owns them (no free export)
+  arenas: 0
+};
+
+class CiphertextArena {
+  /**
+   * @param {Object} options
+   * @param {?Function} options.free - releases one native pointer (FHE16.freeCt); null when the
+   *   library offers no way to free, so pointers are only counted and left to it
+   * @param {Function} [options.addressOf] - identity of a pointer; two views of one buffer must match
+   * @param {Function} [options.isNull]
+   */
+  constructor(options = {}) {
+    if (options.free !== null && typeof options.free !== 'function') {
+      throw new Error('CiphertextArena requires a free function (or null to only track)');
+    }
+    this.free = options.free;
+    this.addressOf = options.addressOf || (ptr => ptr);
+    this.isNull = options.isNull || (() => false);
+
+    // State
+    this.owned = new Map();  // address -> pointer
+    this.released = false;
+    stats.arenas++;
+  }
+
+  /**
+   * Take ownership of a pointer; pointers already owned are not counted twice
+   * @returns the pointer, for chaining
+   */
+  track(ptr) {
+    if (this.released) {
+      throw new Error('Ciphertext arena already released');
+    }
+    if (!ptr || typeof ptr !== 'object' || this.isNull(ptr)) {
+      return ptr;
+    }
+    const address = this.addressOf(ptr);
+    if (!this.owned.has(address)) {
+      this.owned.set(address, ptr);
+      stats.live++;
+      stats.allocated++;
+      stats.peak = Math.max(stats.peak, stats.live);
+    }
+    return ptr;
+  }
+
+  /**
+   * View of a binding whose calls hand every returned ciphertext to this arena
+   * @param {Object} fhe - FHE16 binding
+   */
+  wrap(fhe) {
+    const arena = this;
+    return new Proxy(fhe, {
+      get(target, name) {
+        const value = target[name];
+        if (typeof value !== 'function') return value;
+        return (...args) => arena.track(value.apply(target, args));
+      }
+    });
+  }
+
+  get size() {
+    return this.owned.size;
+  }
+
+  /**
+   * Free every owned pointer; safe to call more than once
+   * @returns {number} pointers freed
+   */
+  release() {
+    if (this.released) return 0;
+    this.released = true;
+    stats.arenas--;
+
+    let freed = 0;
+    for (const ptr of this.owned.values()) {
+      if (!this.free) {
+        stats.retained++;
+        stats.live--;
+        continue;
+      }
+      try {
+        this.free(ptr);
+        freed++;
+      } catch (error) {
+        stats.freeFailures++;
+      }
+      stats.live--;
+    }
+    stats.freed += freed;
+    this.owned.clear();
+    return freed;
+  }
+}
+
+/**
+ * Run fn with a fresh arena and release it afterwards, even on error
+ * Results must be copied out of native memory before fn returns.
+ * @param {Object} options - CiphertextArena options
+ * @param {Function} fn - (arena) => result
+ */
+async function withArena(options, fn) {
+  const arena = new CiphertextArena(options);
+  try {
+    return await fn(arena);
+  } finally {
+    arena.release();
+  }
+}
+
+/**
+ * Allocation counters for this thread
+ */
+function getAllocationStats() {
+  return { ...stats };
+}
+
+module.exports = {
+  CiphertextArena,
+  withArena,
+  getAllocationStats
+};
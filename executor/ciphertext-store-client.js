@@ -0,0 +1,143 @@
+/**
+ * Ciphertext Store Client
+ * Fetches and uploads ciphertexts by CID, verifying content against the CID
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const http = require('http');
+const https = require('https');
+const { serializeCiphertext, deserializeCiphertext, compressCiphertext } = require('../lib/fhe16/crypto.js');
+const { cidFromBytes, toCanonicalCID } = require('../lib/fhe16/cid.js');
+const { WIRE_CONTENT_TYPE, frameBody, isFrame } = require('../lib/fhe16/wire.js');
+const { CiphertextStoreError } = require('./ciphertext-store.js');
+
+class CiphertextStoreClient {
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('CiphertextStoreClient requires baseUrl');
+    }
+
+    // Configuration
+    this.baseUrl = new URL(options.baseUrl.endsWith('/') ? options.baseUrl : `${options.baseUrl}/`);
+    this.token = options.token || null;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.tls = options.tls || {};
+    this.compress = Boolean(options.compress);  // transfer compressed frames (lib/fhe16/compress.js)
+
+    this.transport = this.baseUrl.protocol === 'https:' ? https : http;
+  }
+
+  /**
+   * Fetch a ciphertext; the bytes must hash to the requested CID
+   * @param {string} cid - v1 or unversioned SHA256 CID
+   * @returns {Promise<Array<number>>} encrypted_data
+   * @throws {CiphertextStoreError} NOT_FOUND, CID_MISMATCH, INVALID_CIPHERTEXT, HTTP_STATUS, TIMEOUT, NETWORK
+   */
+  async get(cid) {
+    return (await this.fetch(cid)).encrypted_data;
+  }
+
+  /**
+   * Fetch a ciphertext with the key id the store recorded for it
+   * @param {string} cid
+   * @returns {Promise<{encrypted_data: Array<number>, key_id: ?string}>}
+   * @throws {CiphertextStoreError} as get
+   */
+  async fetch(cid) {
+    const canonical = toCanonicalCID(cid);
+    if (!canonical) {
+      throw new CiphertextStoreError(`Invalid CID: ${cid}`, null, 'INVALID_CID');
+    }
+
+    // Stores that predate compression ignore the frame type and send plain bytes
+    const accept = this.compress ? `${WIRE_CONTENT_TYPE}, application/octet-stream` : 'application/octet-stream';
+    const { status, headers, body: received } = await this.send('GET', `ciphertexts/${canonical}`, null, { Accept: accept });
+    if (status === 404) {
+      throw new CiphertextStoreError(`Ciphertext not found in store: ${canonical}`, status, 'NOT_FOUND');
+    }
+    if (status !== 200) {
+      throw new CiphertextStoreError(`Store returned ${status} for ${canonical}`, status, 'HTTP_STATUS');
+    }
+
+    let body = received;
+    if (isFrame(received)) {
+      try {
+        body = frameBody(received);
+      } catch (error) {
+        throw new CiphertextStoreError(`Store returned an invalid frame for ${canonical}: ${error.message}`, status, 'INVALID_CIPHERTEXT');
+      }
+    }
+    if (cidFromBytes(body) !== canonical) {
+      throw new CiphertextStoreError(`Store returned bytes that do not match ${canonical}`, status, 'CID_MISMATCH');
+    }
+    return {
+      encrypted_data: deserializeCiphertext(body).encrypted_data,
+      key_id: headers['x-ciphertext-key-id'] || null
+    };
+  }
+
+  /**
+   * Upload a ciphertext
+   * @param {Object} ciphertext - { encrypted_data, scheme, timestamp, key_id? }
+   * @returns {Promise<string>} canonical CID
+   */
+  async put(ciphertext) {
+    const bytes = serializeCiphertext(ciphertext);
+    const cid = cidFromBytes(bytes);
+    const headers = { 'Content-Type': this.compress ? WIRE_CONTENT_TYPE : 'application/octet-stream' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    if (ciphertext.key_id) headers['X-Ciphertext-Key-Id'] = ciphertext.key_id;
+
+    const upload = this.compress ? compressCiphertext(ciphertext) : bytes;
+    const { status, body } = await this.send('PUT', `ciphertexts/${cid}`, upload, headers);
+    if (status !== 200 && status !== 201) {
+      let detail = '';
+      try {
+        detail = `: ${JSON.parse(body.toString('utf8')).error}`;
+      } catch (error) {
+        // Non-JSON error body
+      }
+      throw new CiphertextStoreError(`Store returned ${status} for PUT ${cid}${detail}`, status, 'HTTP_STATUS');
+    }
+    return cid;
+  }
+
+  send(method, relativePath, body, headers) {
+    const url = new URL(relativePath, this.baseUrl);
+    if (body) headers['Content-Length'] = body.length;
+
+    return new Promise((resolve, reject) => {
+      const req = this.transport.request(url, { method, headers, ...this.tls }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', error => reject(new CiphertextStoreError(`Response error: ${error.message}`, null, 'NETWORK')));
+        res.on('end', () => {
+          clearTimeout(timer);
+          resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) });
+        });
+      });
+
+      // Deadline for the whole exchange, not just socket inactivity
+      const timer = setTimeout(() => {
+        req.destroy(new CiphertextStoreError(`Timed out after ${this.timeoutMs}ms: ${method} ${url.pathname}`, null, 'TIMEOUT'));
+      }, this.timeoutMs);
+      req.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error instanceof CiphertextStoreError
+          ? error
+          : new CiphertextStoreError(`Request failed: ${method} ${url.pathname}: ${error.message}`, null, 'NETWORK'));
+      });
+
+      if (body) req.write(body);
+      req.end();
+    });
+  }
+}
+
+module.exports = { CiphertextStoreClient };
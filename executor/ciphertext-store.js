@@ -0,0 +1,429 @@
+/**
+ * Ciphertext Store
+ * Content-addressed ciphertext storage on the local filesystem, served over HTTP
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { serializeCiphertext, deserializeCiphertext } = require('../lib/fhe16/crypto.js');
+const { cidFromBytes, toCanonicalCID } = require('../lib/fhe16/cid.js');
+const { WIRE_CONTENT_TYPE, encodeFrame, frameBody, isFrame } = require('../lib/fhe16/wire.js');
+const { assertCiphertext } = require('../lib/fhe16/schema.js');
+const { getParameterSet, maxCiphertextLength, loadParameterSet, registerParameterSet } = require('../lib/fhe16/params.js');
+
+// Frame header: 13 fixed bytes plus a scheme name of up to 255, padded to 4
+const MAX_FRAME_HEADER_BYTES = 268;
+
+// JSON bodies carry ~10 characters per int32 (room for a 64-bit ciphertext)
+const MAX_JSON_BODY_BYTES = 1024 * 1024;
+
+class CiphertextStoreError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'CiphertextStoreError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Key ids of key bundles (executor/key-bundle.js)
+const KEY_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+/**
+ * Filesystem layout: <dir>/<cid hex 2-3>/<cid>.ct, one ciphertext per file,
+ * either serialized bytes or a compressed frame (see lib/fhe16/compress.js).
+ * <dir>/keys.jsonl records the key bundle each ciphertext is under, when known.
+ */
+class CiphertextStore {
+  /**
+   * @param {string} dir
+   * @param {Object} [options]
+   * @param {boolean} [options.compress] - write new files as compressed frames
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.compress = Boolean(options.compress);
+
+    // State
+    this.keyIndexPath = path.join(dir, 'keys.jsonl');
+    this.keys = new Map();  // cid -> key id
+    this.loadKeyIndex();
+  }
+
+  loadKeyIndex() {
+    if (!fs.existsSync(this.keyIndexPath)) return;
+    let content = fs.readFileSync(this.keyIndexPath, 'utf8');
+
+    // Drop a torn final line (crash mid-write) so appends start on a fresh line
+    const complete = content.lastIndexOf('\n') + 1;
+    if (complete < content.length) {
+      content = content.slice(0, complete);
+      fs.truncateSync(this.keyIndexPath, Buffer.byteLength(content));
+    }
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      const { cid, key_id: keyId } = JSON.parse(line);
+      this.keys.set(cid, keyId);
+    }
+  }
+
+  /**
+   * A CID is under one key for good
+   * @throws {CiphertextStoreError} INVALID_KEY_ID, KEY_CONFLICT
+   */
+  checkKey(cid, keyId) {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      throw new CiphertextStoreError(`Invalid key id: ${keyId}`, 400, 'INVALID_KEY_ID');
+    }
+    const existing = this.keys.get(cid);
+    if (existing && existing !== keyId) {
+      throw new CiphertextStoreError(`Ciphertext ${cid} is recorded under key ${existing}, not ${keyId}`, 409, 'KEY_CONFLICT');
+    }
+  }
+
+  /**
+   * Record the key a stored ciphertext is under
+   */
+  recordKey(cid, keyId) {
+    this.checkKey(cid, keyId);
+    if (this.keys.get(cid) === keyId) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this.keyIndexPath, JSON.stringify({ cid, key_id: keyId }) + '\n');
+    this.keys.set(cid, keyId);
+  }
+
+  /**
+   * @returns {?string} key id recorded for a CID
+   */
+  keyOf(cid) {
+    return this.keys.get(toCanonicalCID(cid)) || null;
+  }
+
+  /**
+   * CIDs recorded under a key
+   */
+  cidsUnderKey(keyId) {
+    return [...this.keys].filter(([, id]) => id === keyId).map(([cid]) => cid);
+  }
+
+  pathFor(cid) {
+    return path.join(this.dir, cid.slice(4, 6), `${cid}.ct`);
+  }
+
+  /**
+   * Store a ciphertext
+   * @param {Buffer} input - serializeCiphertext output, or a (compressed) frame
+   * @param {string} [expectedCid] - rejected if it does not match the content
+   * @param {string} [keyId] - key bundle the ciphertext is under
+   * @returns {{cid: string, size: number, created: boolean}} size of the serialized ciphertext
+   */
+  put(input, expectedCid, keyId) {
+    // deserializeCiphertext and the schema are the format check; CIDs name the serialized bytes
+    let ciphertext;
+    try {
+      ciphertext = deserializeCiphertext(input);
+      assertCiphertext(ciphertext);
+    } catch (error) {
+      throw new CiphertextStoreError(error.message, 400, error.code || 'INVALID_CIPHERTEXT');
+    }
+    const bytes = isFrame(input) ? serializeCiphertext(ciphertext) : input;
+
+    const cid = cidFromBytes(bytes);
+    if (expectedCid && toCanonicalCID(expectedCid) !== cid) {
+      throw new CiphertextStoreError(`Content CID is ${cid}, not ${expectedCid}`, 422, 'CID_MISMATCH');
+    }
+
+    if (keyId) this.checkKey(cid, keyId);
+
+    const filePath = this.pathFor(cid);
+    if (fs.existsSync(filePath)) {
+      if (keyId) this.recordKey(cid, keyId);
+      return { cid, size: bytes.length, created: false };
+    }
+
+    // Write then rename so readers never see a partial file
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, this.compress
+        ? encodeFrame(ciphertext.encrypted_data, { scheme: ciphertext.scheme, bitWidth: ciphertext.bit_width, compress: true })
+        : bytes);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+    if (keyId) this.recordKey(cid, keyId);
+    return { cid, size: bytes.length, created: true };
+  }
+
+  /**
+   * Read and verify a ciphertext
+   * @param {string} cid - v1 or unversioned SHA256 CID
+   * @returns {?Buffer} null if not stored
+   * @throws {CiphertextStoreError} if the stored bytes no longer match their CID
+   */
+  get(cid) {
+    const canonical = toCanonicalCID(cid);
+    if (!canonical) {
+      throw new CiphertextStoreError(`Invalid CID: ${cid}`, 400, 'INVALID_CID');
+    }
+
+    const filePath = this.pathFor(canonical);
+    if (!fs.existsSync(filePath)) return null;
+
+    let bytes = fs.readFileSync(filePath);
+    try {
+      if (isFrame(bytes)) bytes = frameBody(bytes);
+    } catch (error) {
+      throw new CiphertextStoreError(`Stored ciphertext ${canonical} cannot be decoded: ${error.message}`, 500, 'CORRUPT');
+    }
+    if (cidFromBytes(bytes) !== canonical) {
+      throw new CiphertextStoreError(`Stored ciphertext ${canonical} failed hash verification`, 500, 'CORRUPT');
+    }
+    return bytes;
+  }
+
+  has(cid) {
+    const canonical = toCanonicalCID(cid);
+    return canonical !== null && fs.existsSync(this.pathFor(canonical));
+  }
+}
+
+/**
+ * Parse a single "bytes=start-end" range
+ * @returns {{start: number, end: number}|null|'unsatisfiable'}
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * Largest binary body: the widest ciphertext of the loaded parameter set, framed
+ */
+function maxCiphertextBytes() {
+  return maxCiphertextLength(getParameterSet()) * 4 + MAX_FRAME_HEADER_BYTES;
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    req.on('data', (chunk) => {
+      length += chunk.length;
+      if (length > limit) {
+        // Discard the rest so the 413 response can still be written
+        req.removeAllListeners('data');
+        req.resume();
+        reject(new CiphertextStoreError(`Body exceeds ${limit} bytes`, 413, 'TOO_LARGE'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * HTTP API
+ *   PUT  /ciphertexts[/<cid>]  body: serialized bytes (application/octet-stream), a compressed
+ *                              frame, or ciphertext JSON { encrypted_data, scheme, timestamp, key_id? }
+ *                              -> 201 { cid, size, key_id? } (200 if already stored); the key bundle
+ *                              comes from X-Ciphertext-Key-Id or the JSON key_id
+ *   GET  /ciphertexts/<cid>    -> bytes; honours Range; Accept: application/json returns ciphertext JSON,
+ *                              Accept: application/vnd.lattica.ciphertext a compressed frame;
+ *                              X-Ciphertext-Key-Id names the key when recorded
+ *   HEAD /ciphertexts/<cid>    -> headers only
+ *   GET  /health
+ * @param {CiphertextStore} store
+ * @param {Object} [options]
+ * @param {string} [options.writeToken] - bearer token required for PUT
+ * @param {string} [options.corsOrigin] - Access-Control-Allow-Origin for browser clients
+ * @param {Logger} [options.logger]
+ * @returns {http.Server}
+ */
+function createStoreServer(store, options = {}) {
+  const log = (level, message, context) => {
+    if (options.logger) options.logger[level]('Store:HTTP', message, context);
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === null ? undefined : JSON.stringify(body));
+  };
+
+  async function handle(req, res) {
+    if (options.corsOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', options.corsOrigin);
+      res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Range, Accept, X-Ciphertext-Key-Id');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, PUT, OPTIONS');
+      res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Content-Length, ETag, X-Ciphertext-CID, X-Ciphertext-Key-Id');
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const { pathname } = new URL(req.url, 'http://store');
+    if (pathname === '/health' && req.method === 'GET') {
+      send(res, 200, { status: 'ok' });
+      return;
+    }
+
+    const match = /^\/ciphertexts(?:\/([^/]+))?$/.exec(pathname);
+    if (!match) {
+      send(res, 404, { error: 'Not found' });
+      return;
+    }
+    const cidParam = match[1] ? decodeURIComponent(match[1]) : null;
+
+    if (req.method === 'PUT') {
+      if (options.writeToken && req.headers.authorization !== `Bearer ${options.writeToken}`) {
+        send(res, 401, { error: 'Unauthorized', code: 'UNAUTHORIZED' });
+        return;
+      }
+      const isJson = (req.headers['content-type'] || '').startsWith('application/json');
+      const body = await readBody(req, isJson ? MAX_JSON_BODY_BYTES : maxCiphertextBytes());
+
+      let bytes = body;
+      let keyId = req.headers['x-ciphertext-key-id'] || null;
+      if (isJson) {
+        let ciphertext;
+        try {
+          ciphertext = JSON.parse(body.toString('utf8'));
+        } catch (error) {
+          throw new CiphertextStoreError(`Invalid ciphertext JSON: ${error.message}`, 400, 'INVALID_CIPHERTEXT');
+        }
+        try {
+          keyId = assertCiphertext(ciphertext, { path: 'body', requireScheme: true, requireTimestamp: true }).keyId || keyId;
+        } catch (error) {
+          throw new CiphertextStoreError(error.message, 400, error.code);
+        }
+        bytes = serializeCiphertext(ciphertext);
+      }
+
+      const result = store.put(bytes, cidParam, keyId);
+      if (result.created) log('info', 'Ciphertext stored', { cid: result.cid, key_id: keyId || undefined });
+      const storedKeyId = store.keyOf(result.cid);
+      send(res, result.created ? 201 : 200, { cid: result.cid, size: result.size, ...(storedKeyId ? { key_id: storedKeyId } : {}) }, {
+        Location: `/ciphertexts/${result.cid}`
+      });
+      return;
+    }
+
+    if ((req.method === 'GET' || req.method === 'HEAD') && cidParam) {
+      const bytes = store.get(cidParam);
+      if (!bytes) {
+        send(res, 404, { error: `Ciphertext not found: ${cidParam}`, code: 'NOT_FOUND' });
+        return;
+      }
+      const cid = toCanonicalCID(cidParam);
+      const keyId = store.keyOf(cid);
+      const headers = { 'ETag': `"${cid}"`, 'X-Ciphertext-CID': cid, 'Accept-Ranges': 'bytes' };
+      if (keyId) headers['X-Ciphertext-Key-Id'] = keyId;
+
+      if ((req.headers.accept || '').includes(WIRE_CONTENT_TYPE)) {
+        const { encrypted_data: values, scheme, bit_width: bitWidth } = deserializeCiphertext(bytes);
+        const frame = encodeFrame(values, { scheme, bitWidth, compress: true });
+        res.writeHead(200, { ...headers, 'Content-Type': WIRE_CONTENT_TYPE, 'Content-Length': frame.length });
+        res.end(req.method === 'HEAD' ? undefined : frame);
+        return;
+      }
+
+      if ((req.headers.accept || '').includes('application/json')) {
+        const body = JSON.stringify({ cid, ...deserializeCiphertext(bytes), ...(keyId ? { key_id: keyId } : {}) });
+        res.writeHead(200, { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+        res.end(req.method === 'HEAD' ? undefined : body);
+        return;
+      }
+
+      const range = req.headers.range ? parseRange(req.headers.range, bytes.length) : null;
+      if (range === 'unsatisfiable') {
+        send(res, 416, { error: 'Range not satisfiable' }, { 'Content-Range': `bytes */${bytes.length}` });
+        return;
+      }
+      const slice = range ? bytes.subarray(range.start, range.end + 1) : bytes;
+      res.writeHead(range ? 206 : 200, {
+        ...headers,
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': slice.length,
+        ...(range ? { 'Content-Range': `bytes ${range.start}-${range.end}/${bytes.length}` } : {})
+      });
+      res.end(req.method === 'HEAD' ? undefined : slice);
+      return;
+    }
+
+    send(res, 405, { error: 'Method not allowed' });
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      const status = error instanceof CiphertextStoreError ? error.status : 500;
+      if (status >= 500) log('error', 'Request failed', { url: req.url, error: error.message });
+      if (!res.headersSent) {
+        send(res, status, { error: error.message, code: error.code || 'INTERNAL' }, { Connection: 'close' });
+      }
+    });
+  });
+}
+
+module.exports = {
+  maxCiphertextBytes,
+  CiphertextStoreError,
+  CiphertextStore,
+  createStoreServer,
+  parseRange
+};
+
+// CLI: run the store as a standalone service
+if (require.main === module) {
+  require('dotenv').config();
+  const { Logger } = require('./logger.js');
+
+  const port = parseInt(process.env.CIPHERTEXT_STORE_PORT || '3002');
+  const dir = process.env.CIPHERTEXT_STORE_DIR || path.join(__dirname, 'data', 'ciphertexts');
+  const logger = new Logger();
+  const compress = process.env.CIPHERTEXT_STORE_COMPRESS === 'true';
+  // Same descriptor as the executor, so both accept the same ciphertext sizes
+  if (process.env.FHE16_PARAMS_FILE) {
+    registerParameterSet(loadParameterSet(process.env.FHE16_PARAMS_FILE));
+  }
+  const server = createStoreServer(new CiphertextStore(dir, { compress }), {
+    writeToken: process.env.CIPHERTEXT_STORE_TOKEN,
+    corsOrigin: process.env.CIPHERTEXT_STORE_CORS_ORIGIN || '*',
+    logger
+  });
+
+  server.listen(port, () => {
+    logger.info('Store', 'Ciphertext store listening', { port, dir, compress, write_auth: Boolean(process.env.CIPHERTEXT_STORE_TOKEN) });
+  });
+  const stop = () => server.close(() => process.exit(0));
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+}
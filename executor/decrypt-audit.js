@@ -0,0 +1,189 @@
+/**
+ * Decrypt Audit Log
+ * Append-only, fsync'd JSONL record of every decrypt policy decision. Entries form a
+ * hash chain (each names the previous entry's hash) and are signed by the executor
+ * key, so an edited, reordered or removed entry breaks verification.
+ *
+ * Entry:
+ *   {
+ *     "seq": 12, "at": 1760000000000, "prev": "0x<hash of entry 11>",
+ *     "event": "decision", "decision": { "effect": "deny", "rule": "...", ... },
+ *     "hash": "0x<sha256 over the canonical entry without hash/signature>",
+ *     "signature": { "algorithm": "ed25519", "key_id": "...", "public_key": "...", "value": "<base64 over hash>" }
+ *   }
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { canonicalize } = require('./ir-registry.js');
+const { ALGORITHM, publicKeyFromHex, keyIdFor } = require('./executor-identity.js');
+
+const GENESIS_HASH = '0x' + '0'.repeat(64);
+
+/**
+ * Hash an entry covers: everything but its own hash and signature
+ * @param {Object} entry
+ * @returns {string} 0x-prefixed sha256
+ */
+function entryHash(entry) {
+  const { hash: _hash, signature: _signature, ...body } = entry;
+  return '0x' + crypto.createHash('sha256').update(canonicalize(body)).digest('hex');
+}
+
+/**
+ * Check a log's chain and signatures
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {string} [options.publicKey] - trusted executor key (hex); default the key in the first entry
+ * @returns {{valid: boolean, entries: number, head: string, reason?: string, line?: number}}
+ */
+function verifyAuditLog(filePath, options = {}) {
+  const content = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+  let prev = GENESIS_HASH;
+  let publicKey = options.publicKey || null;
+  let count = 0;
+
+  const lines = content.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i]) continue;
+    const fail = reason => ({ valid: false, entries: count, head: prev, reason, line: i + 1 });
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (error) {
+      return fail(i === lines.length - 1 ? 'torn final entry' : 'unparseable entry');
+    }
+    if (entry.seq !== count) return fail(`expected seq ${count}, found ${entry.seq}`);
+    if (entry.prev !== prev) return fail('entry does not follow the previous one');
+    if (entry.hash !== entryHash(entry)) return fail('entry hash does not match its contents');
+
+    const signature = entry.signature || {};
+    if (signature.algorithm !== ALGORITHM || !signature.public_key) return fail('entry is not signed');
+    publicKey = publicKey || signature.public_key;
+    if (signature.public_key !== publicKey || signature.key_id !== keyIdFor(publicKey)) {
+      return fail('entry is signed by another key');
+    }
+    const signed = crypto.verify(null, Buffer.from(entry.hash), publicKeyFromHex(publicKey), Buffer.from(signature.value || '', 'base64'));
+    if (!signed) return fail('bad signature');
+
+    prev = entry.hash;
+    count++;
+  }
+  return { valid: true, entries: count, head: prev };
+}
+
+class DecryptAuditLog {
+  /**
+   * @param {string} filePath
+   * @param {ExecutorIdentity} identity - signs every entry
+   */
+  constructor(filePath, identity) {
+    this.filePath = filePath;
+    this.identity = identity;
+    this.fd = null;
+    this.seq = 0;
+    this.head = GENESIS_HASH;
+  }
+
+  /**
+   * Verify the existing log and open it for appending
+   * A torn final entry (crash mid-write) is cut off and the cut is itself logged;
+   * any other break in the chain refuses to open.
+   * @returns {{entries: number, head: string, recovered: boolean}}
+   */
+  open() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    let result = verifyAuditLog(this.filePath, { publicKey: this.identity.publicKeyHex });
+    let dropped = 0;
+    if (!result.valid && result.reason === 'torn final entry') {
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      const complete = content.lastIndexOf('\n') + 1;
+      dropped = Buffer.byteLength(content) - Buffer.byteLength(content.slice(0, complete));
+      fs.truncateSync(this.filePath, Buffer.byteLength(content.slice(0, complete)));
+      result = verifyAuditLog(this.filePath, { publicKey: this.identity.publicKeyHex });
+    }
+    if (!result.valid) {
+      throw new Error(`Decrypt audit log ${this.filePath} failed verification at line ${result.line}: ${result.reason}`);
+    }
+
+    this.seq = result.entries;
+    this.head = result.head;
+    this.fd = fs.openSync(this.filePath, 'a');
+    if (dropped > 0) {
+      this.append('recovered', { dropped_bytes: dropped });
+    }
+    return { entries: this.seq, head: this.head, recovered: dropped > 0 };
+  }
+
+  /**
+   * @param {string} event - "decision" or "recovered"
+   * @param {Object} data
+   * @returns {Object} the written entry
+   */
+  append(event, data) {
+    if (this.fd === null) {
+      throw new Error('Decrypt audit log is not open');
+    }
+    const entry = { seq: this.seq, at: Date.now(), prev: this.head, event, ...data };
+    entry.hash = entryHash(entry);
+    entry.signature = {
+      algorithm: ALGORITHM,
+      key_id: this.identity.keyId,
+      public_key: this.identity.publicKeyHex,
+      value: this.identity.sign(entry.hash)
+    };
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+    fs.fsyncSync(this.fd);
+
+    this.seq++;
+    this.head = entry.hash;
+    return entry;
+  }
+
+  /**
+   * @param {Object} decision - DecryptPolicy decision
+   * @returns {Object} the written entry
+   */
+  decision(decision) {
+    return this.append('decision', { decision });
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = {
+  GENESIS_HASH,
+  entryHash,
+  DecryptAuditLog,
+  verifyAuditLog
+};
+
+// CLI: verify a log, optionally against the executor's public key
+if (require.main === module) {
+  const [file, publicKey] = process.argv.slice(2);
+  if (!file) {
+    console.error('Usage: node decrypt-audit.js <decrypt-audit.jsonl> [executor public key hex]');
+    process.exit(2);
+  }
+  const result = verifyAuditLog(file, { publicKey });
+  if (result.valid) {
+    console.log(`OK  ${result.entries} entries, head ${result.head}`);
+  } else {
+    console.error(`BROKEN at line ${result.line}: ${result.reason} (${result.entries} entries verified)`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * Decrypt Authorization
+ * Decrypt jobs for payslips carry a request signed by the requester's wallet (EIP-712).
+ * The executor authenticates it here, asks the decrypt policy (decrypt-policy.js)
+ * whether that wallet may see the CID, decrypts, and seals the value to an X25519 key
+ * the requester supplied; the gatehouse only relays the sealed envelope and never
+ * sees the salary.
+ *
+ * Job field (set by the gatehouse from the requester's request):
+ *   "authorization": {
+ *     "request": {
+ *       "requester": "0x…", "cid": "0x01…", "paymentId": "0",
+ *       "recipientKey": "0x<32-byte X25519 public key>",
+ *       "nonce": "0x<32 random bytes>", "deadline": 1760000000
+ *     },
+ *     "signature": "0x…"
+ *   }
+ * For aggregate jobs (aggregate-statistics.js) the signed "cid" is the aggregate id.
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { canonicalize } = require('./ir-registry.js');
+const { cidFromCiphertext, isCanonicalCID } = require('../lib/fhe16/cid.js');
+
+const AUTHORIZATION_ERRORS = {
+  MISSING: 'AUTH_MISSING',                   // decryption (or a threshold partial) refused without a signed request
+  NOT_CONFIGURED: 'AUTH_NOT_CONFIGURED',     // no payroll contract to check requests against
+  INVALID_REQUEST: 'AUTH_INVALID_REQUEST',   // malformed request or recipient key
+  INVALID_SIGNATURE: 'AUTH_INVALID_SIGNATURE',
+  EXPIRED: 'AUTH_EXPIRED',                   // past its deadline, or a deadline too far ahead
+  REPLAYED: 'AUTH_REPLAYED',                 // nonce already used for another decrypt job
+  WRONG_CIPHERTEXT: 'AUTH_WRONG_CIPHERTEXT'  // signed for a different CID than the job decrypts
+};
+
+const DOMAIN_NAME = 'LatticA Salary';
+const DOMAIN_VERSION = '1';
+
+const DECRYPT_REQUEST_TYPES = {
+  DecryptRequest: [
+    { name: 'requester', type: 'address' },
+    { name: 'cid', type: 'bytes32' },
+    { name: 'paymentId', type: 'uint256' },
+    { name: 'recipientKey', type: 'bytes32' },
+    { name: 'nonce', type: 'bytes32' },
+    { name: 'deadline', type: 'uint64' }
+  ]
+};
+
+const SEALED_VERSION = 'lattica-sealed-value/1';
+const SEALED_SCHEME = 'X25519-HKDF-SHA256-AES-256-GCM';
+
+class DecryptAuthorizationError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - one of AUTHORIZATION_ERRORS
+   * @param {Object} [details]
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'DecryptAuthorizationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * EIP-712 domain decrypt requests are signed under
+ * @param {Object} options
+ * @param {number|bigint} options.chainId
+ * @param {string} options.payrollAddress - SalaryPayroll contract
+ * @returns {Object}
+ */
+function decryptRequestDomain({ chainId, payrollAddress }) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: ethers.getAddress(payrollAddress)
+  };
+}
+
+function x25519PublicKey(hex) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(hex || '')) {
+    throw new DecryptAuthorizationError('recipientKey must be a 32-byte X25519 public key', AUTHORIZATION_ERRORS.INVALID_REQUEST);
+  }
+  return crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'X25519', x: Buffer.from(hex.slice(2), 'hex').toString('base64url') },
+    format: 'jwk'
+  });
+}
+
+function rawPublicKey(keyObject) {
+  return Buffer.from(keyObject.export({ format: 'jwk' }).x, 'base64url');
+}
+
+function sealingKey(shared, ephemeral, recipient) {
+  const salt = Buffer.concat([ephemeral, recipient]);
+  return Buffer.from(crypto.hkdfSync('sha256', shared, salt, Buffer.from(SEALED_VERSION), 32));
+}
+
+/**
+ * Encrypt a decrypted value to the requester's X25519 key (ephemeral ECDH, HKDF, AES-GCM)
+ * The decrypt id and CID are authenticated, so an envelope cannot be replayed for another job.
+ * @param {number|string} value
+ * @param {string} recipientKey - 0x-prefixed 32-byte X25519 public key
+ * @param {{decryptId: string, cid: string}} context
+ * @returns {Object} sealed envelope
+ */
+function sealValue(value, recipientKey, { decryptId, cid }) {
+  const recipient = x25519PublicKey(recipientKey);
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralRaw = rawPublicKey(ephemeral.publicKey);
+  const shared = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: recipient });
+  const key = sealingKey(shared, ephemeralRaw, rawPublicKey(recipient));
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(canonicalize({ cid, decrypt_id: decryptId })));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify({ value })), cipher.final()]);
+
+  return {
+    version: SEALED_VERSION,
+    scheme: SEALED_SCHEME,
+    recipient_key: recipientKey.toLowerCase(),
+    ephemeral_key: '0x' + ephemeralRaw.toString('hex'),
+    iv: iv.toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64')
+  };
+}
+
+/**
+ * Open a sealed envelope (requester side; reference for clients)
+ * @param {Object} sealed - sealValue result
+ * @param {crypto.KeyObject} privateKey - the requester's X25519 private key
+ * @param {{decryptId: string, cid: string}} context
+ * @returns {number|string}
+ */
+function openSealedValue(sealed, privateKey, { decryptId, cid }) {
+  if (!sealed || sealed.version !== SEALED_VERSION || sealed.scheme !== SEALED_SCHEME) {
+    throw new Error('Unsupported sealed value');
+  }
+  const ephemeral = x25519PublicKey(sealed.ephemeral_key);
+  const shared = crypto.diffieHellman({ privateKey, publicKey: ephemeral });
+  const key = sealingKey(shared, rawPublicKey(ephemeral), rawPublicKey(crypto.createPublicKey(privateKey)));
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+  decipher.setAAD(Buffer.from(canonicalize({ cid, decrypt_id: decryptId })));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8')).value;
+}
+
+/**
+ * Authenticates signed decrypt requests; whether the signer may see the CID is
+ * the decrypt policy's call
+ */
+class DecryptAuthorizer {
+  /**
+   * @param {Object} options
+   * @param {number|bigint} options.chainId
+   * @param {string} options.payrollAddress
+   * @param {number} [options.maxLifetimeSec=3600] - refuse deadlines further ahead than this
+   * @param {string} [options.noncePath] - JSONL file of used nonces, so a restart does not
+   *   accept replays of requests that have not expired yet (see open())
+   * @param {Function} [options.now] - clock in milliseconds (tests)
+   */
+  constructor({ chainId, payrollAddress, maxLifetimeSec = 3600, noncePath = null, now = Date.now }) {
+    this.domain = decryptRequestDomain({ chainId, payrollAddress });
+    this.maxLifetimeSec = maxLifetimeSec;
+    this.noncePath = noncePath;
+    this.now = now;
+    // nonce -> {decryptId, deadline}; a retried job may reuse its nonce, another job may not
+    this.nonces = new Map();
+    this.fd = null;
+  }
+
+  /**
+   * Load the nonces of unexpired requests and open the nonce file for appending
+   * Expired entries are dropped by rewriting the file; a torn final line is ignored.
+   * @returns {number} nonces still in force
+   */
+  open() {
+    if (!this.noncePath) return 0;
+    fs.mkdirSync(path.dirname(this.noncePath), { recursive: true });
+
+    const nowSec = Math.floor(this.now() / 1000);
+    if (fs.existsSync(this.noncePath)) {
+      const lines = fs.readFileSync(this.noncePath, 'utf8').split('\n');
+      lines.forEach((line, i) => {
+        if (!line) return;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          if (i === lines.length - 1) return;
+          throw new Error(`Decrypt nonce file ${this.noncePath} is corrupt at line ${i + 1}`);
+        }
+        if (entry.deadline > nowSec) {
+          this.nonces.set(entry.nonce, { decryptId: entry.decrypt_id, deadline: entry.deadline });
+        }
+      });
+    }
+
+    const tmpPath = `${this.noncePath}.tmp`;
+    fs.writeFileSync(tmpPath, [...this.nonces].map(([nonce, entry]) => this.nonceRecord(nonce, entry)).join(''));
+    fs.renameSync(tmpPath, this.noncePath);
+    this.fd = fs.openSync(this.noncePath, 'a');
+    return this.nonces.size;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  nonceRecord(nonce, { decryptId, deadline }) {
+    return JSON.stringify({ nonce, decrypt_id: decryptId, deadline }) + '\n';
+  }
+
+  /**
+   * Check a decrypt job's authorization
+   * @param {Object} job
+   * @param {string} job.decryptId
+   * @param {string} job.cid
+   * @param {Array<number>|Int32Array} job.encryptedData
+   * @param {Object} authorization - {request, signature}
+   * @returns {{requester: string, paymentId: string, recipientKey: string, nonce: string}}
+   * @throws {DecryptAuthorizationError}
+   */
+  authorize({ decryptId, cid, encryptedData }, authorization) {
+    return this.verify(decryptId, authorization, (signedCid) => {
+      // The signature covers the CID; the ciphertext must be the one the CID names,
+      // otherwise the gatehouse could pair this request with someone else's ciphertext
+      if (signedCid !== String(cid).toLowerCase() || !isCanonicalCID(signedCid) || cidFromCiphertext(encryptedData) !== signedCid) {
+        throw new DecryptAuthorizationError(`request is signed for ${signedCid}, job decrypts ${cid}`, AUTHORIZATION_ERRORS.WRONG_CIPHERTEXT);
+      }
+    });
+  }
+
+  /**
+   * Check an aggregate job's authorization: the request must be signed for its aggregate id
+   * @param {Object} job
+   * @param {string} job.decryptId
+   * @param {string} job.aggregateId - aggregateId() of the job's aggregate spec
+   * @param {Object} authorization - {request, signature}
+   * @returns {{requester: string, paymentId: string, recipientKey: string, nonce: string}}
+   * @throws {DecryptAuthorizationError}
+   */
+  authorizeAggregate({ decryptId, aggregateId }, authorization) {
+    return this.verify(decryptId, authorization, (signedCid) => {
+      if (signedCid !== String(aggregateId).toLowerCase()) {
+        throw new DecryptAuthorizationError(`request is signed for ${signedCid}, job aggregates ${aggregateId}`, AUTHORIZATION_ERRORS.WRONG_CIPHERTEXT);
+      }
+    });
+  }
+
+  // Signature, deadline and nonce checks shared by both job kinds; checkSubject binds the signed cid
+  verify(decryptId, authorization, checkSubject) {
+    const { request, signature } = authorization || {};
+    if (!request || typeof signature !== 'string') {
+      throw new DecryptAuthorizationError('authorization needs a request and a signature', AUTHORIZATION_ERRORS.INVALID_REQUEST);
+    }
+    x25519PublicKey(request.recipientKey);
+
+    let signer;
+    let requester;
+    try {
+      requester = ethers.getAddress(request.requester);
+      signer = ethers.verifyTypedData(this.domain, DECRYPT_REQUEST_TYPES, request, signature);
+    } catch (error) {
+      throw new DecryptAuthorizationError(`invalid decrypt request: ${error.shortMessage || error.message}`, AUTHORIZATION_ERRORS.INVALID_SIGNATURE);
+    }
+    if (signer !== requester) {
+      throw new DecryptAuthorizationError(`request for ${requester} is signed by ${signer}`, AUTHORIZATION_ERRORS.INVALID_SIGNATURE);
+    }
+
+    const nowSec = Math.floor(this.now() / 1000);
+    const deadline = Number(request.deadline);
+    if (deadline <= nowSec) {
+      throw new DecryptAuthorizationError('decrypt request expired', AUTHORIZATION_ERRORS.EXPIRED, { deadline });
+    }
+    if (deadline > nowSec + this.maxLifetimeSec) {
+      throw new DecryptAuthorizationError(`decrypt request deadline is more than ${this.maxLifetimeSec}s ahead`, AUTHORIZATION_ERRORS.EXPIRED, { deadline });
+    }
+
+    checkSubject(String(request.cid).toLowerCase());
+
+    const nonce = String(request.nonce).toLowerCase();
+    this.pruneNonces(nowSec);
+    const seen = this.nonces.get(nonce);
+    if (seen && seen.decryptId !== decryptId) {
+      throw new DecryptAuthorizationError('decrypt request nonce already used', AUTHORIZATION_ERRORS.REPLAYED, { decrypt_id: seen.decryptId });
+    }
+
+    if (!seen) {
+      const entry = { decryptId, deadline };
+      // On disk before the request is honoured, so a crash cannot forget it
+      if (this.fd !== null) {
+        fs.writeSync(this.fd, this.nonceRecord(nonce, entry));
+        fs.fsyncSync(this.fd);
+      }
+      this.nonces.set(nonce, entry);
+    }
+    return { requester, paymentId: String(request.paymentId), recipientKey: request.recipientKey, nonce };
+  }
+
+  pruneNonces(nowSec) {
+    for (const [nonce, entry] of this.nonces) {
+      if (entry.deadline <= nowSec) {
+        this.nonces.delete(nonce);
+      }
+    }
+  }
+}
+
+module.exports = {
+  AUTHORIZATION_ERRORS,
+  DECRYPT_REQUEST_TYPES,
+  SEALED_VERSION,
+  SEALED_SCHEME,
+  DecryptAuthorizationError,
+  DecryptAuthorizer,
+  decryptRequestDomain,
+  sealValue,
+  openSealedValue
+};
@@ -0,0 +1,426 @@
+/**
+ * Decrypt Policy
+ * Decides, before any secret key is touched, whether a requester may see a CID's
+ * plaintext. Rules look at the requester's SalaryPayroll roles and at what the CID
+ * is (an employee's salary, a payment amount or tax, an aggregate); every decision
+ * is written to the decrypt audit log (decrypt-audit.js).
+ *
+ * A rule is { name, evaluate(ctx) } where evaluate returns {effect, reason} or null
+ * to abstain. Any deny wins over any allow, and nothing allowed is denied.
+ *   ctx.requester          checksummed address of the authenticated requester, or null
+ *   ctx.cid / decryptId    what is being decrypted
+ *   await ctx.hasRole(r)   SalaryPayroll.hasRole, e.g. 'COMPLIANCE_ROLE'
+ *   await ctx.resource()   {kind, owner?, ownerActive?, of?, groupSize?, statistic?, source?} (RESOURCE_KINDS)
+ *
+ * DECRYPT_POLICY_MODULE replaces the built-in rules: the module exports an array of
+ * rules, or a function (builtins) => rules that can reuse the built-in ones.
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const path = require('path');
+const { ethers } = require('ethers');
+const { AUTHORIZATION_ERRORS, DecryptAuthorizationError } = require('./decrypt-authorization.js');
+
+const POLICY_ERRORS = {
+  DENIED: 'POLICY_DENIED'
+};
+
+const EFFECTS = {
+  ALLOW: 'allow',
+  DENY: 'deny'
+};
+
+const RESOURCE_KINDS = {
+  SALARY: 'salary',                  // SalaryPayroll.employees(owner).encryptedSalaryCid
+  PAYMENT_AMOUNT: 'payment_amount',  // payments(id).encryptedAmountCid
+  PAYMENT_TAX: 'payment_tax',        // payments(id).taxAmountCid
+  TAX_WITHHELD: 'tax_withheld',      // encryptedTaxWithheld(owner)
+  AGGREGATE: 'aggregate',            // attested aggregate output, or an aggregate job (aggregate-statistics.js)
+  UNKNOWN: 'unknown'
+};
+
+// Kinds that describe one person
+const INDIVIDUAL_KINDS = [
+  RESOURCE_KINDS.SALARY, RESOURCE_KINDS.PAYMENT_AMOUNT, RESOURCE_KINDS.PAYMENT_TAX, RESOURCE_KINDS.TAX_WITHHELD
+];
+
+// Read-only view of SalaryPayroll.sol used for policy decisions
+const PAYROLL_ABI = [
+  'function employees(address) view returns (bool isActive, uint256 hireDate, bytes32 encryptedSalaryCid, uint256 lastPaymentTimestamp, uint256 totalPayments)',
+  'function payments(uint256) view returns (address employee, bytes32 encryptedAmountCid, uint256 timestamp, uint256 payPeriodStart, uint256 payPeriodEnd, bytes32 taxAmountCid, uint8 status, string memo)',
+  'function encryptedTaxWithheld(address) view returns (bytes32)',
+  'function hasRole(bytes32 role, address account) view returns (bool)'
+];
+
+class DecryptPolicyError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - one of POLICY_ERRORS
+   * @param {Object} [details] - the decision
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'DecryptPolicyError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * SalaryPayroll contract over JSON-RPC
+ * @param {Object} options
+ * @param {string} options.rpcUrl
+ * @param {string} options.payrollAddress
+ * @returns {ethers.Contract}
+ */
+function createPayrollContract({ rpcUrl, payrollAddress }) {
+  return new ethers.Contract(payrollAddress, PAYROLL_ABI, new ethers.JsonRpcProvider(rpcUrl));
+}
+
+const sameCid = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * What a CID is, from the requester's point of view
+ * Only lookups anchored at the requester or the signed payment id are possible:
+ * the contract has no CID -> owner index, so someone else's salary is "unknown".
+ * Aggregates are never resolved from a CID: aggregate-only jobs pass their resource
+ * in, after resolving every input to an employee (aggregate-statistics.js).
+ * @returns {Promise<Object>} {kind, owner?, ownerActive?, paymentId?}
+ */
+async function resolveResource({ payroll }, { cid, requester, paymentId }) {
+  if (!payroll) {
+    return { kind: RESOURCE_KINDS.UNKNOWN };
+  }
+
+  if (requester) {
+    const record = await payroll.employees(requester);
+    const ownerActive = Boolean(record && record.isActive);
+    if (record && sameCid(record.encryptedSalaryCid, cid)) {
+      return { kind: RESOURCE_KINDS.SALARY, owner: requester, ownerActive };
+    }
+    if (sameCid(await payroll.encryptedTaxWithheld(requester), cid)) {
+      return { kind: RESOURCE_KINDS.TAX_WITHHELD, owner: requester, ownerActive };
+    }
+  }
+
+  if (paymentId !== undefined && paymentId !== null) {
+    const payment = await payroll.payments(BigInt(paymentId));
+    const kind = !payment ? null
+      : sameCid(payment.encryptedAmountCid, cid) ? RESOURCE_KINDS.PAYMENT_AMOUNT
+        : sameCid(payment.taxAmountCid, cid) ? RESOURCE_KINDS.PAYMENT_TAX : null;
+    if (kind && payment.employee !== ethers.ZeroAddress) {
+      const owner = ethers.getAddress(payment.employee);
+      const record = await payroll.employees(owner);
+      return { kind, owner, ownerActive: Boolean(record && record.isActive), paymentId: String(paymentId) };
+    }
+  }
+
+  return { kind: RESOURCE_KINDS.UNKNOWN };
+}
+
+// Built-in rules; factories so a policy module can configure them
+const BUILTIN_RULES = {
+  /**
+   * Requests without an authenticated requester: allowed only in the legacy
+   * DECRYPT_AUTHORIZATION=optional mode, denied otherwise
+   */
+  authenticatedRequester: ({ allowUnauthenticated = false } = {}) => ({
+    name: 'authenticated-requester',
+    evaluate: (ctx) => {
+      if (ctx.requester) return null;
+      return allowUnauthenticated
+        ? { effect: EFFECTS.ALLOW, reason: 'unauthenticated decryption allowed (DECRYPT_AUTHORIZATION=optional)' }
+        : { effect: EFFECTS.DENY, reason: 'no authenticated requester' };
+    }
+  }),
+
+  /**
+   * An employee may decrypt their own salary, payments and tax, while on the payroll
+   */
+  employeeOwnCiphertexts: () => ({
+    name: 'employee-own-ciphertexts',
+    evaluate: async (ctx) => {
+      if (!ctx.requester) return null;
+      const resource = await ctx.resource();
+      if (!INDIVIDUAL_KINDS.includes(resource.kind) || resource.owner !== ctx.requester) return null;
+      return resource.ownerActive
+        ? { effect: EFFECTS.ALLOW, reason: `own ${resource.kind}` }
+        : { effect: EFFECTS.DENY, reason: 'requester is no longer an active employee' };
+    }
+  }),
+
+  /**
+   * Compliance may decrypt aggregates of the listed kinds (tax totals by default)
+   */
+  complianceAggregates: ({ labels = ['tax'] } = {}) => ({
+    name: 'compliance-aggregates',
+    evaluate: async (ctx) => {
+      const resource = await ctx.resource();
+      if (resource.kind !== RESOURCE_KINDS.AGGREGATE || !labels.includes(resource.of)) return null;
+      if (!(await ctx.hasRole('COMPLIANCE_ROLE'))) return null;
+      return { effect: EFFECTS.ALLOW, reason: `compliance may decrypt ${resource.of} aggregates` };
+    }
+  }),
+
+  /**
+   * Payroll managers (finance) may decrypt aggregates of the listed kinds (salary statistics by default)
+   */
+  payrollManagerAggregates: ({ labels = ['salary'] } = {}) => ({
+    name: 'payroll-manager-aggregates',
+    evaluate: async (ctx) => {
+      const resource = await ctx.resource();
+      if (resource.kind !== RESOURCE_KINDS.AGGREGATE || !labels.includes(resource.of)) return null;
+      if (!(await ctx.hasRole('PAYROLL_MANAGER_ROLE'))) return null;
+      return { effect: EFFECTS.ALLOW, reason: `payroll managers may decrypt ${resource.of} aggregates` };
+    }
+  }),
+
+  /**
+   * No aggregate over fewer distinct inputs than minGroupSize, whoever asks
+   */
+  aggregateMinGroupSize: ({ minGroupSize = 5 } = {}) => ({
+    name: 'aggregate-min-group-size',
+    evaluate: async (ctx) => {
+      const resource = await ctx.resource();
+      if (resource.kind !== RESOURCE_KINDS.AGGREGATE || resource.groupSize >= minGroupSize) return null;
+      return { effect: EFFECTS.DENY, reason: `aggregate over ${resource.groupSize} input(s), fewer than ${minGroupSize}` };
+    }
+  }),
+
+  /**
+   * Compliance never decrypts another person's individual figures
+   */
+  complianceNoIndividuals: () => ({
+    name: 'compliance-no-individuals',
+    evaluate: async (ctx) => {
+      const resource = await ctx.resource();
+      if (!INDIVIDUAL_KINDS.includes(resource.kind) || resource.owner === ctx.requester) return null;
+      if (!(await ctx.hasRole('COMPLIANCE_ROLE'))) return null;
+      return { effect: EFFECTS.DENY, reason: `compliance may not decrypt an individual ${resource.kind}` };
+    }
+  })
+};
+
+/**
+ * The built-in rule set
+ * @param {Object} [options]
+ * @param {boolean} [options.allowUnauthenticated=false]
+ * @param {Array<string>} [options.complianceAggregates=['tax']]
+ * @param {Array<string>} [options.managerAggregates=['salary']]
+ * @param {number} [options.minGroupSize=5]
+ * @returns {Array<Object>}
+ */
+function defaultRules({ allowUnauthenticated = false, complianceAggregates = ['tax'], managerAggregates = ['salary'], minGroupSize = 5 } = {}) {
+  return [
+    BUILTIN_RULES.authenticatedRequester({ allowUnauthenticated }),
+    BUILTIN_RULES.employeeOwnCiphertexts(),
+    BUILTIN_RULES.complianceAggregates({ labels: complianceAggregates }),
+    BUILTIN_RULES.payrollManagerAggregates({ labels: managerAggregates }),
+    BUILTIN_RULES.aggregateMinGroupSize({ minGroupSize }),
+    BUILTIN_RULES.complianceNoIndividuals()
+  ];
+}
+
+function assertRules(rules, source) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error(`Decrypt policy ${source} must provide a non-empty array of rules`);
+  }
+  rules.forEach((rule, index) => {
+    if (!rule || typeof rule.name !== 'string' || typeof rule.evaluate !== 'function') {
+      throw new Error(`Decrypt policy ${source}: rule ${index} needs a name and an evaluate function`);
+    }
+  });
+  return rules;
+}
+
+/**
+ * Rules from a policy module
+ * @param {string} file
+ * @param {Object} [options] - passed to defaultRules for the builtins
+ * @returns {Array<Object>}
+ */
+function loadPolicyRules(file, options = {}) {
+  const exported = require(path.resolve(file));
+  const rules = typeof exported === 'function'
+    ? exported({ rules: BUILTIN_RULES, defaultRules: () => defaultRules(options), EFFECTS, RESOURCE_KINDS, INDIVIDUAL_KINDS })
+    : exported;
+  return assertRules(rules, file);
+}
+
+class DecryptPolicy {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.rules
+   * @param {Object} [options.payroll] - SalaryPayroll contract (employees, payments, encryptedTaxWithheld, hasRole)
+   * @param {DecryptAuditLog} [options.audit]
+   */
+  constructor({ rules, payroll = null, audit = null }) {
+    this.rules = assertRules(rules, '<inline>');
+    this.payroll = payroll;
+    this.audit = audit;
+  }
+
+  /**
+   * Evaluate every rule for a request and record the decision
+   * @param {Object} request
+   * @param {string} request.decryptId
+   * @param {string} request.cid
+   * @param {?string} request.requester - authenticated address
+   * @param {?string} [request.paymentId]
+   * @param {Object} [request.resource] - already known (aggregate jobs); skips resolveResource
+   * @returns {Promise<Object>} decision {decrypt_id, cid, requester, effect, rule, reason, resource, roles}
+   */
+  async evaluate(request) {
+    const roles = {};
+    let resource = null;
+    const ctx = {
+      decryptId: request.decryptId,
+      cid: request.cid,
+      requester: request.requester || null,
+      hasRole: async (role) => {
+        if (!ctx.requester || !this.payroll) return false;
+        if (!(role in roles)) {
+          roles[role] = Boolean(await this.payroll.hasRole(ethers.id(role), ctx.requester));
+        }
+        return roles[role];
+      },
+      resource: async () => {
+        if (!resource) {
+          resource = request.resource || await resolveResource(this, request);
+        }
+        return resource;
+      }
+    };
+
+    let allowed = null;
+    let denied = null;
+    for (const rule of this.rules) {
+      let outcome;
+      try {
+        outcome = await rule.evaluate(ctx);
+      } catch (error) {
+        // A rule that cannot decide (e.g. the RPC endpoint is down) fails closed
+        outcome = { effect: EFFECTS.DENY, reason: `rule failed: ${error.message}` };
+      }
+      if (!outcome) continue;
+      if (outcome.effect === EFFECTS.DENY) {
+        denied = { rule: rule.name, reason: outcome.reason };
+        break;
+      }
+      if (outcome.effect === EFFECTS.ALLOW && !allowed) {
+        allowed = { rule: rule.name, reason: outcome.reason };
+      }
+    }
+
+    const verdict = denied
+      ? { effect: EFFECTS.DENY, ...denied }
+      : allowed
+        ? { effect: EFFECTS.ALLOW, ...allowed }
+        : { effect: EFFECTS.DENY, rule: 'default', reason: 'no rule allows this decryption' };
+    return this.record(request, { ...verdict, resource, roles });
+  }
+
+  /**
+   * Evaluate and throw unless allowed
+   * @param {Object} request - see evaluate
+   * @returns {Promise<Object>} the allow decision
+   * @throws {DecryptPolicyError}
+   */
+  async enforce(request) {
+    const decision = await this.evaluate(request);
+    if (decision.effect !== EFFECTS.ALLOW) {
+      throw new DecryptPolicyError(`Decryption denied by ${decision.rule}: ${decision.reason}`, POLICY_ERRORS.DENIED, decision);
+    }
+    return decision;
+  }
+
+  /**
+   * Authenticate a job's signed request, then enforce; a refusal at either step is audited
+   * Every job that uses a key (plaintext or threshold partial) goes through here first.
+   * @param {Object} request - see evaluate; requester and paymentId come from the signed request
+   * @param {Object} options
+   * @param {?Object} options.authorization - the job's {request, signature}
+   * @param {?Function} options.authenticate - (authorization) => authorized, e.g. DecryptAuthorizer#authorize
+   *   bound to the job; null when no payroll contract is configured
+   * @param {boolean} options.required - refuse jobs without a signed request
+   * @returns {Promise<{authorized: ?Object, decision: Object}>}
+   * @throws {DecryptAuthorizationError|DecryptPolicyError}
+   */
+  async admit(request, { authorization, authenticate, required }) {
+    let authorized = null;
+    try {
+      if (authorization) {
+        if (!authenticate) {
+          throw new DecryptAuthorizationError('No payroll contract configured for decrypt requests (PAYROLL_ADDRESS)', AUTHORIZATION_ERRORS.NOT_CONFIGURED);
+        }
+        authorized = authenticate(authorization);
+      } else if (required) {
+        throw new DecryptAuthorizationError('Decrypt job has no signed request from the ciphertext owner', AUTHORIZATION_ERRORS.MISSING);
+      }
+    } catch (error) {
+      if (error instanceof DecryptAuthorizationError) {
+        this.reject(request, error);
+      }
+      throw error;
+    }
+
+    const decision = await this.enforce({
+      ...request,
+      requester: authorized ? authorized.requester : null,
+      paymentId: authorized ? authorized.paymentId : null
+    });
+    return { authorized, decision };
+  }
+
+  /**
+   * Record a denial decided before the policy ran (e.g. a bad request signature)
+   * @param {Object} request - see evaluate
+   * @param {Error} error - with a code, e.g. an AUTH_* DecryptAuthorizationError
+   * @param {string} [rule='authentication'] - what refused it, e.g. "aggregate" for AGG_* errors
+   * @returns {Object} the decision
+   */
+  reject(request, error, rule = 'authentication') {
+    return this.record(request, {
+      effect: EFFECTS.DENY,
+      rule,
+      reason: error.message,
+      code: error.code || null,
+      resource: request.resource || null,
+      roles: {}
+    });
+  }
+
+  record(request, verdict) {
+    const decision = {
+      decrypt_id: request.decryptId,
+      cid: request.cid,
+      requester: request.requester || null,
+      ...verdict
+    };
+    if (this.audit) {
+      this.audit.decision(decision);
+    }
+    return decision;
+  }
+}
+
+module.exports = {
+  POLICY_ERRORS,
+  EFFECTS,
+  RESOURCE_KINDS,
+  INDIVIDUAL_KINDS,
+  PAYROLL_ABI,
+  BUILTIN_RULES,
+  DecryptPolicyError,
+  DecryptPolicy,
+  createPayrollContract,
+  resolveResource,
+  defaultRules,
+  loadPolicyRules
+};
@@ -0,0 +1,215 @@
+/**
+ * Executor Identity
+ * Ed25519 key that authenticates every executor-to-gatehouse request
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SIGNATURE_SCHEME = 'LATTICA-EXECUTOR-SIG-V1';
+const ALGORITHM = 'ed25519';
+
+// Requests older or newer than this are rejected by verifyRequest
+const DEFAULT_MAX_SKEW_MS = 5 * 60 * 1000;
+
+// Signed request headers
+const HEADERS = {
+  executorId: 'x-executor-id',
+  keyId: 'x-executor-key-id',
+  timestamp: 'x-executor-timestamp',
+  nonce: 'x-executor-nonce',
+  contentHash: 'x-executor-content-sha256',
+  signature: 'x-executor-signature'
+};
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Raw 32-byte public key, hex encoded
+ */
+function rawPublicKeyHex(publicKey) {
+  return Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex');
+}
+
+/**
+ * Import a raw hex Ed25519 public key (as published on /status)
+ */
+function publicKeyFromHex(hex) {
+  if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+    throw new Error('Ed25519 public key must be 32 bytes of hex');
+  }
+  return crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(hex, 'hex').toString('base64url') },
+    format: 'jwk'
+  });
+}
+
+// Short fingerprint of the public key, used as key id and default executor id
+function keyIdFor(publicKeyHex) {
+  return sha256Hex(Buffer.from(publicKeyHex, 'hex')).slice(0, 16);
+}
+
+/**
+ * Text covered by the signature; one field per line
+ */
+function canonicalRequest({ method, path: requestPath, timestamp, nonce, contentHash, executorId }) {
+  return [SIGNATURE_SCHEME, method.toUpperCase(), requestPath, String(timestamp), nonce, contentHash, executorId].join('\n');
+}
+
+class ExecutorIdentity {
+  constructor(privateKey, options = {}) {
+    this.privateKey = privateKey;
+    this.publicKey = crypto.createPublicKey(privateKey);
+    this.publicKeyHex = rawPublicKeyHex(this.publicKey);
+    this.keyId = keyIdFor(this.publicKeyHex);
+    this.executorId = options.executorId || `FHE_Executor_${this.keyId}`;
+  }
+
+  /**
+   * Load the PEM (PKCS#8) private key, generating one on first start if allowed
+   * @param {string} keyFile
+   * @param {Object} [options]
+   * @param {boolean} [options.create] - generate and save a key if the file is missing
+   * @param {string} [options.executorId] - overrides the key-derived executor id
+   * @returns {{identity: ExecutorIdentity, created: boolean}}
+   */
+  static load(keyFile, options = {}) {
+    let created = false;
+    if (!fs.existsSync(keyFile)) {
+      if (!options.create) {
+        throw new Error(`Executor key not found: ${keyFile}`);
+      }
+      const { privateKey } = crypto.generateKeyPairSync(ALGORITHM);
+      fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+      fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+      created = true;
+    }
+
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(keyFile));
+    if (privateKey.asymmetricKeyType !== ALGORITHM) {
+      throw new Error(`Executor key must be ${ALGORITHM}, got ${privateKey.asymmetricKeyType}`);
+    }
+    return { identity: new ExecutorIdentity(privateKey, options), created };
+  }
+
+  /**
+   * Headers authenticating one request
+   * @param {string} method
+   * @param {string} requestPath - path and query exactly as sent
+   * @param {string|Buffer} [body] - raw request body
+   */
+  signRequest(method, requestPath, body = '') {
+    const fields = {
+      method,
+      path: requestPath,
+      timestamp: Date.now(),
+      nonce: crypto.randomBytes(16).toString('hex'),
+      contentHash: sha256Hex(body || ''),
+      executorId: this.executorId
+    };
+    const signature = crypto.sign(null, Buffer.from(canonicalRequest(fields)), this.privateKey);
+
+    return {
+      [HEADERS.executorId]: this.executorId,
+      [HEADERS.keyId]: this.keyId,
+      [HEADERS.timestamp]: String(fields.timestamp),
+      [HEADERS.nonce]: fields.nonce,
+      [HEADERS.contentHash]: fields.contentHash,
+      [HEADERS.signature]: signature.toString('base64')
+    };
+  }
+
+  /**
+   * Sign arbitrary bytes (e.g. a canonical attestation)
+   * @returns {string} base64 Ed25519 signature
+   */
+  sign(data) {
+    return crypto.sign(null, Buffer.from(data), this.privateKey).toString('base64');
+  }
+
+  /**
+   * Public description published on /status
+   */
+  describe() {
+    return {
+      executor_id: this.executorId,
+      algorithm: ALGORITHM,
+      key_id: this.keyId,
+      public_key: this.publicKeyHex,
+      signature_scheme: SIGNATURE_SCHEME
+    };
+  }
+}
+
+/**
+ * Verify a signed request (gatehouse side; also used by tests)
+ * Nonce replay tracking is left to the caller via options.seenNonce.
+ * @param {string} publicKeyHex - raw Ed25519 key from /status
+ * @param {Object} request - { method, path, headers (lower-case), body }
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {number} [options.maxSkewMs]
+ * @param {Function} [options.seenNonce] - (nonce) => true if already used
+ * @returns {{valid: boolean, reason?: string, executorId?: string}}
+ */
+function verifyRequest(publicKeyHex, request, options = {}) {
+  const headers = request.headers || {};
+  const now = options.now || Date.now();
+  const maxSkewMs = options.maxSkewMs || DEFAULT_MAX_SKEW_MS;
+
+  for (const name of Object.values(HEADERS)) {
+    if (!headers[name]) return { valid: false, reason: `missing ${name}` };
+  }
+  const timestamp = Number(headers[HEADERS.timestamp]);
+  if (!Number.isSafeInteger(timestamp) || Math.abs(now - timestamp) > maxSkewMs) {
+    return { valid: false, reason: 'timestamp outside allowed skew' };
+  }
+  if (headers[HEADERS.keyId] !== keyIdFor(publicKeyHex)) {
+    return { valid: false, reason: 'key id does not match public key' };
+  }
+  const contentHash = sha256Hex(request.body || '');
+  if (headers[HEADERS.contentHash] !== contentHash) {
+    return { valid: false, reason: 'body hash mismatch' };
+  }
+  if (options.seenNonce && options.seenNonce(headers[HEADERS.nonce])) {
+    return { valid: false, reason: 'nonce already used' };
+  }
+
+  const message = canonicalRequest({
+    method: request.method,
+    path: request.path,
+    timestamp,
+    nonce: headers[HEADERS.nonce],
+    contentHash,
+    executorId: headers[HEADERS.executorId]
+  });
+  const valid = crypto.verify(
+    null,
+    Buffer.from(message),
+    publicKeyFromHex(publicKeyHex),
+    Buffer.from(headers[HEADERS.signature], 'base64')
+  );
+  return valid
+    ? { valid: true, executorId: headers[HEADERS.executorId] }
+    : { valid: false, reason: 'bad signature' };
+}
+
+module.exports = {
+  ALGORITHM,
+  SIGNATURE_SCHEME,
+  HEADERS,
+  ExecutorIdentity,
+  verifyRequest,
+  publicKeyFromHex,
+  keyIdFor
+};
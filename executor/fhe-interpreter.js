@@ -0,0 +1,98 @@
+/**
+ * FHE Plan Interpreter
+ * Executes a validated IR program step by step against the FHE16 binding
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const { dispatchOp } = require('./fhe-ops.js');
+
+// Legacy DeFi op: the plan depends on how many inputs the job carries
+function runDynamic(fhe, inputs, log) {
+  if (inputs.length === 2) {
+    // 2 inputs: Simple withdraw check (balance >= amount, then subtract)
+    log('Executing dynamic withdraw operation', { inputs: 2 });
+    const checkPtr = fhe.ge(inputs[0], inputs[1]);            // balance >= amount
+
+    // WORKAROUND: Use NEG + ADD instead of SUB to avoid FHE16 SUB bug
+    const negAmountPtr = fhe.neg(inputs[1]);                  // -amount
+    const subPtr = fhe.add(inputs[0], negAmountPtr);          // balance + (-amount) = balance - amount
+
+    return fhe.select(checkPtr, subPtr, inputs[0]);           // if sufficient then subtract, else keep original
+  }
+
+  if (inputs.length === 3) {
+    // 3 inputs: Complex borrow (collateral check + balance update)
+    log('Executing dynamic borrow operation', { inputs: 3 });
+    const collateralCheck = fhe.smullConst_i32(inputs[1], 2);           // borrow_amount * 2
+    const sufficientCollateral = fhe.ge(inputs[0], collateralCheck);    // SOL >= (borrow * 2)
+    const newBalance = fhe.add(inputs[2], inputs[1]);                   // USDC + borrow_amount
+    return fhe.select(sufficientCollateral, newBalance, inputs[2]);     // if sufficient then add, else keep original
+  }
+
+  throw new Error(`Dynamic operation supports 2-3 inputs, got ${inputs.length}`);
+}
+
+/**
+ * Execute a program's execution plan
+ * @param {Object} fhe - FHE16 binding
+ * @param {Object} program - compiled IR program (see ir-registry.js)
+ * @param {Array} inputs - input ciphertext pointers, indexed by slot
+ * @param {Object} options
+ * @param {Function} [options.isNull] - detects null pointers returned by the binding
+ * @param {Function} [options.log] - (message, context) debug hook
+ * @returns {Object} compute stack: slot indices and step outputs -> pointers
+ */
+function executePlan(fhe, program, inputs, options = {}) {
+  const isNull = options.isNull || (() => false);
+  const log = options.log || (() => {});
+
+  const computeStack = {};
+  inputs.forEach((ptr, i) => { computeStack[i] = ptr; });
+
+  program.execution_plan.forEach((step, stepIndex) => {
+    let resultPtr;
+
+    if (step.op === 'dynamic') {
+      resultPtr = runDynamic(fhe, inputs, log);
+    } else {
+      const operands = step.inputs.map((ref) => {
+        if (!(ref in computeStack)) {
+          throw new Error(`Step ${stepIndex} (${step.op}): operand ${JSON.stringify(ref)} is not available`);
+        }
+        return computeStack[ref];
+      });
+      resultPtr = dispatchOp(fhe, step.op, operands, step.constant);
+    }
+
+    if (!resultPtr || isNull(resultPtr)) {
+      throw new Error(`Step ${stepIndex} (${step.op}) returned null pointer`);
+    }
+    computeStack[step.output] = resultPtr;
+  });
+
+  return computeStack;
+}
+
+/**
+ * Pick a program's declared outputs from the compute stack
+ * @returns {Array<{name: string, ptr: *}>} in declaration order; the first is the primary output
+ */
+function collectOutputs(program, computeStack) {
+  return (program.outputs || ['result']).map((name) => {
+    if (!computeStack[name]) {
+      throw new Error(`Execution plan did not produce output "${name}"`);
+    }
+    return { name, ptr: computeStack[name] };
+  });
+}
+
+module.exports = {
+  executePlan,
+  collectOutputs
+};
@@ -0,0 +1,149 @@
+/**
+ * FHE Operation Table
+ * Table-driven dispatch from IR op names to the FHE16 binding
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const INT32_MIN = -0x80000000;
+const INT32_MAX = 0x7fffffff;
+
+// Default bit width for ciphertexts created inside a plan
+const PLAN_BIT_WIDTH = 32;
+
+function isInt32(k) {
+  return Number.isInteger(k) && k >= INT32_MIN && k <= INT32_MAX;
+}
+
+// Constant operand kinds: validate(k) returns an error message or null
+const CONSTANT_KINDS = {
+  // Any safe integer; values outside int32 use the long overload
+  int: (k) => Number.isSafeInteger(k) ? null : 'must be a safe integer',
+  // Exponent for ADD_POWTWO / SUB_POWTWO
+  pow2: (k) => Number.isInteger(k) && k >= 0 && k < PLAN_BIT_WIDTH
+    ? null
+    : `must be an integer in [0, ${PLAN_BIT_WIDTH - 1}]`,
+  // Boolean flag for COMPARE / MAXorMIN
+  flag: (k) => k === 0 || k === 1 || k === true || k === false ? null : 'must be a boolean or 0/1'
+};
+
+/**
+ * Operation table
+ * arity:    number of ciphertext operands
+ * constant: kind of plaintext constant operand (see CONSTANT_KINDS), if any
+ * call:     (fhe, operands, constant) => result pointer
+ */
+const FHE_OPS = {
+  // arithmetic
+  add:  { arity: 2, call: (fhe, [a, b]) => fhe.add(a, b) },
+  add3: { arity: 3, call: (fhe, [a, b, c]) => fhe.add3(a, b, c) },
+  sub:  { arity: 2, call: (fhe, [a, b]) => fhe.sub(a, b) },
+  neg:  { arity: 1, call: (fhe, [a]) => fhe.neg(a) },
+  abs:  { arity: 1, call: (fhe, [a]) => fhe.abs(a) },
+  relu: { arity: 1, call: (fhe, [a]) => fhe.relu(a) },
+
+  // relational (encrypted 0/1 result)
+  le:  { arity: 2, call: (fhe, [a, b]) => fhe.le(a, b) },
+  lt:  { arity: 2, call: (fhe, [a, b]) => fhe.lt(a, b) },
+  ge:  { arity: 2, call: (fhe, [a, b]) => fhe.ge(a, b) },
+  gt:  { arity: 2, call: (fhe, [a, b]) => fhe.gt(a, b) },
+  eq:  { arity: 2, call: (fhe, [a, b]) => fhe.eq(a, b) },
+  neq: { arity: 2, call: (fhe, [a, b]) => fhe.neq(a, b) },
+  max: { arity: 2, call: (fhe, [a, b]) => fhe.max(a, b) },
+  min: { arity: 2, call: (fhe, [a, b]) => fhe.min(a, b) },
+  compare:    { arity: 2, constant: 'flag', call: (fhe, [a, b], flag) => fhe.compare(a, b, Boolean(flag)) },
+  max_or_min: { arity: 2, constant: 'flag', call: (fhe, [a, b], flag) => fhe.maxOrMin(a, b, Boolean(flag)) },
+
+  // logic / select
+  and:    { arity: 2, call: (fhe, [a, b]) => fhe.andVec(a, b) },
+  or:     { arity: 2, call: (fhe, [a, b]) => fhe.orVec(a, b) },
+  xor:    { arity: 2, call: (fhe, [a, b]) => fhe.xorVec(a, b) },
+  select: { arity: 3, call: (fhe, [sel, a, b]) => fhe.select(sel, a, b) },
+
+  // mult / div
+  smull: { arity: 2, call: (fhe, [a, b]) => fhe.smull(a, b) },
+  // FHE16_SDIV(dividend, divisor, helper)
+  sdiv:  { arity: 3, call: (fhe, [a, b, helper]) => fhe.sdiv3(a, b, helper) },
+
+  // plaintext constants
+  smull_constant: {
+    arity: 1,
+    constant: 'int',
+    call: (fhe, [a], k) => isInt32(k) ? fhe.smullConst_i32(a, k) : fhe.smullConst_long(a, k)
+  },
+  add_constant: {
+    arity: 1,
+    constant: 'int',
+    call: (fhe, [a], k) => isInt32(k) ? fhe.addConst_i32(a, k) : fhe.addConst_long(a, k)
+  },
+  add_pow2: { arity: 1, constant: 'pow2', call: (fhe, [a], p) => fhe.addPow2(a, p) },
+  sub_pow2: { arity: 1, constant: 'pow2', call: (fhe, [a], p) => fhe.subPow2(a, p) },
+  // Fresh encryption of a plaintext constant (e.g. a divisor for sdiv)
+  encrypt_constant: {
+    arity: 0,
+    constant: 'int',
+    call: (fhe, [], k) => {
+      if (!isInt32(k)) throw new Error(`encrypt_constant: ${k} does not fit in int32`);
+      return fhe.encInt(k, PLAN_BIT_WIDTH);
+    }
+  },
+
+  // shifts (ct, encrypted shift amount)
+  lshiftl: { arity: 2, call: (fhe, [a, k]) => fhe.lshiftlPtr(a, k) }
+};
+
+/**
+ * Check a step's constant operand against the op definition
+ * @returns {string|null} error message, or null if valid
+ */
+function checkConstant(opName, constant) {
+  const spec = FHE_OPS[opName];
+  if (!spec) return `unknown op ${JSON.stringify(opName)}`;
+
+  if (!spec.constant) {
+    return constant === undefined ? null : `"${opName}" does not take a constant`;
+  }
+  if (constant === undefined) {
+    return `"${opName}" requires a constant`;
+  }
+  const error = CONSTANT_KINDS[spec.constant](constant);
+  return error ? `"${opName}" constant ${error}` : null;
+}
+
+/**
+ * Run a single op against the binding
+ * @param {Object} fhe - FHE16 binding
+ * @param {string} opName - IR op name
+ * @param {Array} operands - resolved ciphertext pointers
+ * @param {*} constant - plaintext constant operand, if any
+ */
+function dispatchOp(fhe, opName, operands, constant) {
+  const spec = FHE_OPS[opName];
+  if (!spec) {
+    throw new Error(`Unsupported FHE operation: ${opName}`);
+  }
+  if (operands.length !== spec.arity) {
+    throw new Error(`${opName}: expected ${spec.arity} operand(s), got ${operands.length}`);
+  }
+  const constantError = checkConstant(opName, constant);
+  if (constantError) {
+    throw new Error(constantError);
+  }
+  operands.forEach((operand, i) => {
+    if (!operand) throw new Error(`${opName}: operand ${i} is undefined`);
+  });
+
+  return spec.call(fhe, operands, constant);
+}
+
+module.exports = {
+  FHE_OPS,
+  PLAN_BIT_WIDTH,
+  checkConstant,
+  dispatchOp
+};
@@ -0,0 +1,304 @@
+/**
+ * FHE16 Runtime
+ * Per-thread FHE16 context: key loading, ciphertext conversion and plan execution.
+ * Loaded once by the main thread and once by every worker in the pool.
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FHE16 } = require('./FHE16/index.js');
+const { Logger } = require('./logger.js');
+const { executePlan, collectOutputs } = require('./fhe-interpreter.js');
+const { CiphertextArena } = require('./ciphertext-arena.js');
+const { KeyRing } = require('./key-bundle.js');
+const { loadKeyShare } = require('./threshold-decryption.js');
+const params = require('../lib/fhe16/params.js');
+
+const logger = new Logger();
+
+// Initialize FHE16
+// options.secretKeys: load secret keys and shares (default true); runtime-mode.js decides
+// options.decryptResults: decrypt computation outputs for the demo log (default false)
+async function initFHE16(options = {}) {
+  try {
+    logger.info('FHE:Init', 'Initializing FHE16...');
+    
+    const skInitPtr = FHE16.FHE16_GenEval();
+    if (!skInitPtr) {
+      throw new Error('GenEval returned null');
+    }
+
+    // Key bundles (key-bundle.js); without any, the single key set under store/boot and store/keys
+    keyRing = new KeyRing(KEYS_DIR);
+    for (const entry of keyRing.rejected) {
+      logger.error('FHE:Init', 'Rejected key bundle', entry);
+    }
+    evaluationKey = keyRing.active(process.env.FHE16_KEY_ID);
+    if (keyRing.size > 0 && !evaluationKey) {
+      throw new Error(`No active key bundle in ${KEYS_DIR}`);
+    }
+
+    const bootDir = path.join(__dirname, 'FHE16', 'store', 'boot');
+    if (evaluationKey) {
+      FHE16.bootparamLoadFileGlobal(evaluationKey.file('bootparam'));
+    } else {
+      try {
+        FHE16.bootparamLoadFileGlobal(path.join(bootDir, 'bootparam.bin'));
+      } catch (e) {
+        logger.warn('FHE:Init', 'Could not load bootparam', { error: e.message });
+      }
+    }
+
+    decryptResults = Boolean(options.decryptResults);
+    if (options.secretKeys === false) {
+      secretKeys.clear();
+      keyShares.clear();
+      secretKey = null;
+    } else {
+      loadSecretKeys();
+    }
+
+    parameterSet = loadParameters(process.env.FHE16_PARAMS_FILE ||
+      (evaluationKey && evaluationKey.file('params')) || path.join(bootDir, 'params.json'));
+    
+    logger.info('FHE:Init', 'Initialization complete', {
+      scheme: parameterSet.scheme,
+      bit_widths: parameterSet.bitWidths,
+      key_id: getKeyId(),
+      secret_key: Boolean(secretKey) || secretKeys.size > 0,
+      decrypt_results: decryptResults,
+      frees_ciphertexts: FHE16.canFreeCt
+    });
+    return true;
+  } catch (e) {
+    logger.error('FHE:Init', 'Initialization failed', { error: e.message || e });
+    return false;
+  }
+}
+
+const KEYS_DIR = process.env.FHE16_KEYS_DIR || path.join(__dirname, 'FHE16', 'store', 'keys');
+
+let keyRing = null;
+let evaluationKey = null;  // KeyBundle computations run under, null without bundles
+
+// Secret keys for decryption, by key id
+// Retiring keys keep theirs so ciphertexts not yet rotated still decrypt
+const secretKeys = new Map();
+let secretKey = null;  // evaluation key's
+let decryptResults = false;
+
+// Threshold shares of secret keys, by key id (threshold-decryption.js)
+const keyShares = new Map();
+
+function loadSecretKeys() {
+  secretKeys.clear();
+  keyShares.clear();
+  secretKey = null;
+
+  for (const bundle of keyRing.list()) {
+    if (!bundle.hasShare || bundle.status === 'retired') continue;
+    const share = loadKeyShare(bundle.file('share'));
+    if (share.keyId !== bundle.keyId) {
+      throw new Error(`Key share in ${bundle.keyId} is for key ${share.keyId}`);
+    }
+    keyShares.set(bundle.keyId, share);
+  }
+  if (!FHE16.secretKeyLoadFileSafe) return;
+
+  if (keyRing.size === 0) {
+    const secretPath = path.join(KEYS_DIR, 'secret.bin');
+    if (!fs.existsSync(secretPath)) return;
+    try {
+      secretKey = FHE16.secretKeyLoadFileSafe(secretPath);
+    } catch (error) {
+      logger.warn('FHE:Init', 'Could not load secret key', { file: secretPath, error: error.message });
+    }
+    return;
+  }
+
+  for (const bundle of keyRing.list()) {
+    if (!bundle.hasSecret || bundle.status === 'retired') continue;
+    try {
+      secretKeys.set(bundle.keyId, FHE16.secretKeyLoadFileSafe(bundle.file('secret')));
+    } catch (error) {
+      // A bundle that ships a secret is expected to decrypt
+      throw new Error(`Could not load secret key of ${bundle.keyId}: ${error.message}`);
+    }
+  }
+  if (evaluationKey) {
+    secretKey = secretKeys.get(evaluationKey.keyId) || null;
+  }
+}
+
+/**
+ * Secret key for ciphertexts under keyId (the evaluation key when omitted)
+ * @returns {?Object} null if this executor holds no secret for that key
+ */
+function getSecretKey(keyId) {
+  if (!keyId) return secretKey;
+  return secretKeys.get(keyId) || null;
+}
+
+/**
+ * Threshold share for ciphertexts under keyId (the evaluation key when omitted)
+ * @returns {?Object} loadKeyShare result, null if this executor holds none
+ */
+function getKeyShare(keyId) {
+  const id = keyId || getKeyId();
+  return (id && keyShares.get(id)) || null;
+}
+
+// Key id results are produced under, null without key bundles
+function getKeyId() {
+  return evaluationKey ? evaluationKey.keyId : null;
+}
+
+function getKeyRing() {
+  return keyRing;
+}
+
+// Parameter set of the loaded keys (lib/fhe16/params.js)
+let parameterSet = null;
+
+// Descriptor beside bootparam.bin (built-in FHE16_0.0.1v without one), checked against
+// one probe encryption per bit width and registered for the schema validators
+function loadParameters(file) {
+  let descriptor = params.getParameterSet(params.DEFAULT_SCHEME);
+  if (fs.existsSync(file)) {
+    descriptor = params.loadParameterSet(file);
+  } else {
+    logger.info('FHE:Init', 'No parameter descriptor, using built-in set', { file, scheme: descriptor.scheme });
+  }
+
+  let lengths = null;
+  try {
+    lengths = Object.fromEntries(descriptor.bitWidths.map(bitWidth => [bitWidth, measureCiphertextLength(bitWidth)]));
+  } catch (error) {
+    logger.warn('FHE:Init', 'Could not measure ciphertext lengths, trusting the descriptor', { error: error.message });
+  }
+  if (lengths) {
+    params.verifyLayout(descriptor, bitWidth => lengths[bitWidth]);
+  }
+  return params.registerParameterSet(descriptor);
+}
+
+// The library's own serialization of a fresh ciphertext gives its size
+function measureCiphertextLength(bitWidth) {
+  let probe = null;
+  try {
+    probe = FHE16.encInt(0, bitWidth);
+    return FHE16.exportCiphertext(probe).length;
+  } finally {
+    if (probe && FHE16.canFreeCt) FHE16.freeCt(probe);
+  }
+}
+
+function getParameterSet() {
+  return parameterSet || params.getParameterSet(params.DEFAULT_SCHEME);
+}
+
+// Arena that frees native ciphertexts through the FHE16 binding, when the library
+// exports a free; otherwise it only counts them (see FHE16/README.md)
+function createArena() {
+  const ref = require('ref-napi');
+  return new CiphertextArena({
+    free: FHE16.canFreeCt ? ptr => FHE16.freeCt(ptr) : null,
+    addressOf: ptr => FHE16.addressOf(ptr),
+    isNull: ptr => ref.isNull(ptr)
+  });
+}
+
+// Import ciphertext data (JSON array or Int32Array from a wire frame) into a new FHE16 Int32Ptr
+// The caller owns the pointer (track it in an arena)
+function convertJSONToInt32Ptr(ciphertextArray) {
+  try {
+    const set = getParameterSet();
+    if (!ciphertextArray || !params.bitWidthForLength(set, ciphertextArray.length)) {
+      const expected = set.bitWidths.map(bitWidth => params.ciphertextLength(set, bitWidth)).join(', ');
+      throw new Error(`Invalid ciphertext length: expected one of ${expected}, got ${ciphertextArray?.length || 0}`);
+    }
+    return FHE16.importCiphertext(ciphertextArray);
+  } catch (error) {
+    logger.error('FHE:Conversion', 'Ciphertext import failed', { 
+      error: error.message, 
+      stack: error.stack 
+    });
+    throw error;
+  }
+}
+
+// FHE computation executor
+// Inputs, intermediates and outputs live in one arena, freed once outputs are copied out
+async function executeUniversalFHEComputation(operation, inputData) {
+  const arena = createArena();
+  try {
+    // Convert all input data to FHE16 Int32Ptr format
+    const inputPtrs = [];
+    for (let i = 0; i < inputData.length; i++) {
+      inputPtrs.push(arena.track(convertJSONToInt32Ptr(inputData[i])));
+    }
+
+    // Execute each step in the execution plan (table-driven, see fhe-ops.js)
+    const ref = require('ref-napi');
+    const computeStack = executePlan(arena.wrap(FHE16), operation, inputPtrs, {
+      isNull: (ptr) => ref.isNull(ptr),
+      log: (message, context) => logger.debug('FHE:Operation', message, context)
+    });
+
+    // Copy each declared output Int32Ptr into an Int32Array (framed as-is on the wire)
+    const outputs = collectOutputs(operation, computeStack).map(({ name, ptr }) => {
+      const resultArray = FHE16.exportCiphertext(ptr);
+
+      // DEMO ONLY: Decrypt result for debugging (dev/demo modes, never in production)
+      let decryptedResult = null;
+      if (decryptResults && secretKey) {
+        try {
+          decryptedResult = FHE16.decInt(ptr, secretKey);
+          logger.demo('FHE:Demo', `DECRYPTED ${name.toUpperCase()} >>> \x1b[1m\x1b[33m${decryptedResult}\x1b[0m\x1b[31m <<< (Demo visualization only)`);
+        } catch (decError) {
+          logger.warn('FHE:Debug', 'Decryption failed', { output: name, error: decError.message });
+        }
+      }
+
+      return {
+        name,
+        encrypted_data: resultArray,
+        bit_width: params.bitWidthForLength(getParameterSet(), resultArray.length),
+        debug_decrypted_result: decryptedResult
+      };
+    });
+
+    return {
+      outputs,
+      scheme: getParameterSet().scheme,
+      key_id: getKeyId(),
+      timestamp: Date.now(),
+      operation: operation.name
+    };
+
+  } catch (error) {
+    logger.error('FHE:Computation', 'Universal computation failed', { error: error.message });
+    throw error;
+  } finally {
+    arena.release();
+  }
+}
+
+module.exports = {
+  initFHE16,
+  getSecretKey,
+  getKeyShare,
+  getKeyId,
+  getKeyRing,
+  createArena,
+  getParameterSet,
+  convertJSONToInt32Ptr,
+  executeUniversalFHEComputation
+};
@@ -0,0 +1,40 @@
+/**
+ * FHE Worker
+ * Worker thread entry point: owns one FHE16 context and executes bound IR programs
+ * sent by the pool (see worker-pool.js for the message protocol)
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { initFHE16, executeUniversalFHEComputation } = require('./fhe-runtime.js');
+const { getAllocationStats } = require('./ciphertext-arena.js');
+
+async function main() {
+  // The pool passes the runtime mode's decision (runtime-mode.js); workers only need
+  // a secret key to decrypt results for the dev/demo log
+  const decryptResults = Boolean(workerData && workerData.decryptResults);
+  const initialized = await initFHE16({ secretKeys: decryptResults, decryptResults });
+  if (!initialized) {
+    parentPort.postMessage({ type: 'init_failed', error: 'FHE16 initialization failed' });
+    return;
+  }
+
+  parentPort.on('message', async ({ taskId, payload }) => {
+    try {
+      const result = await executeUniversalFHEComputation(payload.program, payload.inputData);
+      parentPort.postMessage({ type: 'result', taskId, result, allocations: getAllocationStats() });
+    } catch (error) {
+      parentPort.postMessage({ type: 'result', taskId, error: error.message, allocations: getAllocationStats() });
+    }
+  });
+
+  parentPort.postMessage({ type: 'ready' });
+}
+
+main();
@@ -0,0 +1,98 @@
+/**
+ * Fixed-Point Rate Arithmetic
+ * Builds IR steps that apply basis-point rates to encrypted amounts in cents
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+// Rates are basis points: 10000 = 100%
+const RATE_SCALE = 10000;
+const MAX_RATE_BPS = RATE_SCALE;
+
+/**
+ * Steps that split an encrypted amount into whole multiples of RATE_SCALE
+ * and a remainder: amount = whole * RATE_SCALE + rem.
+ *
+ * Then amount * rate / RATE_SCALE = whole * rate + rem * rate / RATE_SCALE,
+ * and neither product can leave int32 (whole * rate <= amount, rem * rate < 10^8).
+ *
+ * Requires ciphertexts named by `scale` (RATE_SCALE) and `zero` to be defined.
+ */
+function splitSteps(src, prefix, { scale, zero }) {
+  return [
+    { op: 'sdiv', inputs: [src, scale, zero], output: `${prefix}_whole` },
+    { op: 'smull_constant', inputs: [`${prefix}_whole`], constant: RATE_SCALE, output: `${prefix}_whole_scaled` },
+    // NEG + ADD instead of SUB (see FHE16 SUB workaround in fhe-interpreter.js)
+    { op: 'neg', inputs: [`${prefix}_whole_scaled`], output: `${prefix}_whole_scaled_neg` },
+    { op: 'add', inputs: [src, `${prefix}_whole_scaled_neg`], output: `${prefix}_rem` }
+  ];
+}
+
+/**
+ * Steps that multiply both halves of a split amount by a rate
+ * @param {*} rate - constant (number or { param }) or an encrypted operand
+ * @param {boolean} encryptedRate - use smull instead of smull_constant
+ */
+function rateProductSteps(prefix, rate, encryptedRate = false) {
+  const mul = (input, output) => encryptedRate
+    ? { op: 'smull', inputs: [input, rate], output }
+    : { op: 'smull_constant', inputs: [input], constant: rate, output };
+  return [
+    mul(`${prefix}_whole`, `${prefix}_whole_rated`),
+    mul(`${prefix}_rem`, `${prefix}_rem_rated`)
+  ];
+}
+
+/**
+ * Constant ciphertexts needed by splitSteps
+ */
+function constantSteps({ scale, zero }) {
+  return [
+    { op: 'encrypt_constant', inputs: [], constant: 0, output: zero },
+    { op: 'encrypt_constant', inputs: [], constant: RATE_SCALE, output: scale }
+  ];
+}
+
+/**
+ * Error message for a rate outside [0, MAX_RATE_BPS] basis points, or null
+ */
+function checkRate(rateBps) {
+  if (!Number.isInteger(rateBps) || rateBps < 0 || rateBps > MAX_RATE_BPS) {
+    return `rate must be an integer within [0, ${MAX_RATE_BPS}] basis points`;
+  }
+  return null;
+}
+
+/**
+ * Expand an apply_rate macro step: floor(amount * rate_bps / RATE_SCALE),
+ * exact for every non-negative int32 amount
+ * @param {Object} step - { op: 'apply_rate', inputs: [amount], constant: { param }, output }
+ * @param {number} rateBps - bound value of the param
+ * @returns {Array<Object>} primitive steps ending in step.output
+ */
+function expandApplyRate(step, rateBps) {
+  const p = `${step.output}__`;
+  const names = { zero: `${p}zero`, scale: `${p}scale` };
+  return [
+    ...constantSteps(names),
+    ...splitSteps(step.inputs[0], p + 'amount', names),
+    ...rateProductSteps(p + 'amount', rateBps),
+    { op: 'sdiv', inputs: [`${p}amount_rem_rated`, names.scale, names.zero], output: `${p}fraction` },
+    { op: 'add', inputs: [`${p}amount_whole_rated`, `${p}fraction`], output: step.output }
+  ];
+}
+
+module.exports = {
+  RATE_SCALE,
+  MAX_RATE_BPS,
+  splitSteps,
+  rateProductSteps,
+  constantSteps,
+  checkRate,
+  expandApplyRate
+};
@@ -0,0 +1,445 @@
+/**
+ * Gatehouse Client
+ * Executor API client with timeouts, retries with jitter, structured errors and TLS options
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { WIRE_ENCODING, WIRE_CONTENT_TYPE, encodeFrame, ciphertextValues } = require('../lib/fhe16/wire.js');
+const { buildMultipart, parseMultipart } = require('./multipart.js');
+const { assertNoPlaintext } = require('./runtime-mode.js');
+
+/**
+ * @typedef {Object} ComputeJob
+ * @property {string} job_pda
+ * @property {string} ir_digest
+ * @property {Array<Object>} ciphertexts - input ciphertexts, indexed by slot
+ * @property {Object} [params] - plaintext program parameters
+ */
+
+/**
+ * @typedef {Object} DecryptJob
+ * @property {string} decrypt_id
+ * @property {string} cid
+ * @property {Object} ciphertext
+ * @property {Object} [authorization] - employee-signed request (decrypt-authorization.js)
+ */
+
+/**
+ * @typedef {Object} JobResult
+ * @property {boolean} success
+ * @property {Array<Object>} [resultCiphertexts] - one per program output, primary first
+ * @property {string} [error]
+ * @property {string} [errorCode] - machine-readable reason, e.g. a CT_* ciphertext schema code
+ * @property {string} [errorPath] - offending field, e.g. "ciphertexts[1].ciphertext.encrypted_data[20]"
+ * @property {number} [executionTime] - milliseconds
+ */
+
+// Error codes
+const ERROR_CODES = {
+  TIMEOUT: 'TIMEOUT',            // no response within timeoutMs
+  NETWORK: 'NETWORK',            // connection refused/reset, DNS, TLS handshake
+  HTTP_STATUS: 'HTTP_STATUS',    // non-2xx response
+  INVALID_JSON: 'INVALID_JSON'   // 2xx response that is not JSON
+};
+
+// How result ciphertexts are sent (see lib/fhe16/wire.js)
+//   json      - encrypted_data as a JSON int array (original format)
+//   base64    - encrypted_frame: base64 binary frame inside the JSON body
+//   multipart - JSON part "json" plus one binary frame part per ciphertext
+// Frames are compressed with the compress option (lib/fhe16/compress.js)
+const WIRE_FORMATS = ['json', 'base64', 'multipart'];
+
+// Statuses worth retrying: rate limiting and transient server failures
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+class GatehouseError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'GatehouseError';
+    this.code = details.code;
+    this.status = details.status || null;
+    this.method = details.method;
+    this.path = details.path;
+    this.body = details.body === undefined ? null : details.body;
+    this.retryable = Boolean(details.retryable);
+    this.retryAfterMs = details.retryAfterMs || null;
+    this.attempts = details.attempts || 1;
+  }
+}
+
+/**
+ * Read TLS material for the gatehouse connection from environment variables
+ *   GATEHOUSE_CA_FILE                   - PEM bundle trusted in addition to system CAs
+ *   GATEHOUSE_CLIENT_CERT / _KEY        - PEM client certificate and key (mutual TLS)
+ *   GATEHOUSE_CLIENT_KEY_PASSPHRASE     - passphrase for an encrypted client key
+ *   GATEHOUSE_TLS_REJECT_UNAUTHORIZED   - "false" disables verification (development only)
+ */
+function loadTlsOptions(env = process.env) {
+  const tls = {};
+  if (env.GATEHOUSE_CA_FILE) {
+    tls.ca = fs.readFileSync(env.GATEHOUSE_CA_FILE);
+  }
+  if (Boolean(env.GATEHOUSE_CLIENT_CERT) !== Boolean(env.GATEHOUSE_CLIENT_KEY)) {
+    throw new Error('GATEHOUSE_CLIENT_CERT and GATEHOUSE_CLIENT_KEY must be set together');
+  }
+  if (env.GATEHOUSE_CLIENT_CERT) {
+    tls.cert = fs.readFileSync(env.GATEHOUSE_CLIENT_CERT);
+    tls.key = fs.readFileSync(env.GATEHOUSE_CLIENT_KEY);
+  }
+  if (env.GATEHOUSE_CLIENT_KEY_PASSPHRASE) {
+    tls.passphrase = env.GATEHOUSE_CLIENT_KEY_PASSPHRASE;
+  }
+  if (env.GATEHOUSE_TLS_REJECT_UNAUTHORIZED === 'false') {
+    tls.rejectUnauthorized = false;
+  }
+  return tls;
+}
+
+class GatehouseClient {
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('GatehouseClient requires baseUrl');
+    }
+
+    // Configuration
+    this.baseUrl = new URL(options.baseUrl);
+    this.executorId = options.executorId;
+    this.timeoutMs = options.timeoutMs || 10000;           // 10 seconds per attempt
+    this.retries = options.retries === undefined ? 3 : options.retries;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || 250;
+    this.retryMaxDelayMs = options.retryMaxDelayMs || 5000;
+    this.tls = options.tls || {};
+    this.signer = options.signer || null;  // ExecutorIdentity (see executor-identity.js)
+    this.logger = options.logger || null;
+    this.wireFormat = options.wireFormat || 'json';
+    if (!WIRE_FORMATS.includes(this.wireFormat)) {
+      throw new Error(`Unknown wire format: ${this.wireFormat} (expected ${WIRE_FORMATS.join(', ')})`);
+    }
+    this.compress = Boolean(options.compress);
+    // Production mode: refuse any body carrying a decrypted value (runtime-mode.js)
+    this.rejectPlaintext = Boolean(options.rejectPlaintext);
+
+    const isHttps = this.baseUrl.protocol === 'https:';
+    this.transport = isHttps ? https : http;
+    this.agent = isHttps
+      ? new https.Agent({ keepAlive: true, ...this.tls })
+      : new http.Agent({ keepAlive: true });
+  }
+
+  /**
+   * Send a request and parse the JSON response
+   * @param {string} method
+   * @param {string} path - path relative to the gatehouse base URL
+   * @param {Object} [options]
+   * @param {Object|{multipart: Array<Object>}} [options.body] - JSON request body, or multipart parts
+   * @param {boolean} [options.idempotent] - retry on transient failures (default: GET only)
+   * @returns {Promise<Object>}
+   * @throws {GatehouseError}
+   * @throws {PlaintextPayloadError} with rejectPlaintext, before anything is sent
+   */
+  async request(method, path, options = {}) {
+    if (this.rejectPlaintext && options.body) {
+      const json = options.body.multipart ? options.body.multipart.find(part => part.name === 'json') : null;
+      assertNoPlaintext(json ? JSON.parse(json.data) : options.body);
+    }
+    const idempotent = options.idempotent === undefined ? method === 'GET' : options.idempotent;
+    const maxAttempts = idempotent ? this.retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.send(method, path, options.body);
+      } catch (error) {
+        error.attempts = attempt;
+        if (!error.retryable || attempt >= maxAttempts) {
+          throw error;
+        }
+        const delay = error.retryAfterMs !== null
+          ? Math.min(error.retryAfterMs, this.retryMaxDelayMs)
+          : this.backoffDelay(attempt);
+        this.log('warn', 'Retrying gatehouse request', {
+          method, path, attempt, code: error.code, status: error.status, delay_ms: delay
+        });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Exponential backoff with full jitter
+  backoffDelay(attempt) {
+    const cap = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** (attempt - 1));
+    return Math.floor(Math.random() * cap);
+  }
+
+  send(method, path, body) {
+    const url = new URL(path.replace(/^\//, ''), this.baseUrl.href.endsWith('/') ? this.baseUrl : `${this.baseUrl.href}/`);
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    let payload = null;
+    if (body && body.multipart) {
+      const encoded = buildMultipart(body.multipart);
+      payload = encoded.body;
+      headers['Content-Type'] = encoded.contentType;
+    } else if (body !== undefined) {
+      payload = JSON.stringify(body);
+    }
+    if (this.wireFormat !== 'json') {
+      // Lets the gatehouse send job ciphertexts as frames too
+      headers['X-Ciphertext-Encoding'] = WIRE_ENCODING;
+      if (this.wireFormat === 'multipart') headers['Accept'] = 'multipart/form-data, application/json';
+    }
+    if (this.executorId) headers['X-Executor-ID'] = this.executorId;
+    if (payload !== null) headers['Content-Length'] = Buffer.byteLength(payload);
+    if (this.signer) {
+      // Signed per attempt so retries carry a fresh timestamp and nonce
+      Object.assign(headers, this.signer.signRequest(method, url.pathname + url.search, payload || ''));
+    }
+
+    const fail = (message, details) => new GatehouseError(message, { method, path, ...details });
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const settle = (fn) => (value) => {
+        clearTimeout(timer);
+        fn(value);
+      };
+      resolve = settle(resolve);
+      reject = settle(reject);
+
+      const req = this.transport.request(url, { method, headers, agent: this.agent }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', error => reject(fail(`Response error: ${error.message}`, { code: ERROR_CODES.NETWORK, retryable: true })));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks);
+          const data = raw.toString('utf8');
+          let parsed = null;
+          let parseError = null;
+          if (raw.length > 0) {
+            try {
+              parsed = /^multipart\//i.test(res.headers['content-type'] || '')
+                ? parseMultipartResponse(raw, res.headers['content-type'])
+                : JSON.parse(data);
+            } catch (e) {
+              parseError = e;
+            }
+          }
+
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            const detail = parsed && (parsed.error || parsed.message);
+            reject(fail(`Gatehouse returned ${res.statusCode} for ${method} ${path}${detail ? `: ${detail}` : ''}`, {
+              code: ERROR_CODES.HTTP_STATUS,
+              status: res.statusCode,
+              body: parsed !== null ? parsed : data,
+              retryable: RETRYABLE_STATUSES.includes(res.statusCode),
+              retryAfterMs: parseRetryAfter(res.headers['retry-after'])
+            }));
+            return;
+          }
+          if (parseError) {
+            reject(fail(`Invalid JSON from ${method} ${path}: ${parseError.message}`, {
+              code: ERROR_CODES.INVALID_JSON,
+              status: res.statusCode,
+              body: data
+            }));
+            return;
+          }
+          resolve(parsed);
+        });
+      });
+
+      // Deadline for the whole exchange, not just socket inactivity
+      timer = setTimeout(() => {
+        req.destroy(fail(`Timed out after ${this.timeoutMs}ms: ${method} ${path}`, {
+          code: ERROR_CODES.TIMEOUT,
+          retryable: true
+        }));
+      }, this.timeoutMs);
+      req.on('error', (error) => {
+        reject(error instanceof GatehouseError
+          ? error
+          : fail(`Request failed: ${method} ${path}: ${error.message}`, { code: ERROR_CODES.NETWORK, retryable: true }));
+      });
+
+      if (payload !== null) req.write(payload);
+      req.end();
+    });
+  }
+
+  /**
+   * @param {number} limit
+   * @returns {Promise<{jobs: ComputeJob[]}>}
+   */
+  fetchJobs(limit = 1) {
+    return this.request('GET', `/api/executor/jobs?limit=${limit}`);
+  }
+
+  // Not retried: a lost response could hide a successful claim
+  claimJob(jobPda) {
+    return this.request('POST', `/api/executor/jobs/${encodeURIComponent(jobPda)}/claim`, {
+      body: { executor: this.executorId }
+    });
+  }
+
+  /**
+   * Submit a job result; safe to retry because a job has a single result
+   * Ciphertexts are encoded in the client's wire format
+   * @param {string} jobPda
+   * @param {JobResult} result
+   */
+  submitResult(jobPda, result) {
+    const payload = {
+      executor: this.executorId,
+      success: result.success,
+      execution_time_ms: result.executionTime || 0
+    };
+    const frames = [];
+
+    const ciphertexts = result.resultCiphertexts;
+    if (result.success && ciphertexts && ciphertexts.length > 0) {
+      const encoded = ciphertexts.map((ct) => {
+        const { encrypted_data: _data, encrypted_frame: _frame, encoding: _encoding, ...rest } = ct;
+        const values = ciphertextValues(ct);
+        if (values === undefined) return rest;
+        if (this.wireFormat === 'json') {
+          return { ...rest, encrypted_data: Array.from(values) };
+        }
+
+        const frame = encodeFrame(values, { scheme: ct.scheme, compress: this.compress });
+        if (this.wireFormat === 'base64') {
+          return { ...rest, encoding: WIRE_ENCODING, encrypted_frame: frame.toString('base64') };
+        }
+        const part = `ciphertext-${frames.length}`;
+        frames.push({ name: part, data: frame, contentType: WIRE_CONTENT_TYPE });
+        return { ...rest, encoding: WIRE_ENCODING, encrypted_frame_part: part };
+      });
+
+      // result_ciphertext is kept for gatehouses that only read a single output
+      payload.result_ciphertext = encoded[0];
+      payload.result_ciphertexts = Object.fromEntries(encoded.map(ct => [ct.output, ct]));
+    }
+    if (!result.success && result.error) {
+      payload.error = result.error;
+      if (result.errorCode) payload.error_code = result.errorCode;
+      if (result.errorPath) payload.error_path = result.errorPath;
+    }
+
+    const body = frames.length > 0
+      ? { multipart: [{ name: 'json', data: JSON.stringify(payload), contentType: 'application/json' }, ...frames] }
+      : payload;
+    return this.request('POST', `/api/executor/jobs/${encodeURIComponent(jobPda)}/result`, {
+      body,
+      idempotent: true
+    });
+  }
+
+  /**
+   * @param {number} limit
+   * @returns {Promise<{jobs: DecryptJob[]}>}
+   */
+  fetchDecryptJobs(limit = 1) {
+    return this.request('GET', `/api/executor/decrypt-jobs?limit=${limit}`);
+  }
+
+  /**
+   * @param {string} decryptId
+   * @param {boolean} success
+   * @param {number|null} [decryptedValue]
+   * @param {string|null} [error]
+   * @param {string|null} [errorCode] - machine-readable reason, e.g. a CT_* ciphertext schema code
+   */
+  submitDecryptResult(decryptId, success, decryptedValue = null, error = null, errorCode = null) {
+    const body = { executor: this.executorId, success, decrypted_value: decryptedValue, error };
+    if (errorCode) body.error_code = errorCode;
+    return this.request('POST', `/api/executor/decrypt-jobs/${encodeURIComponent(decryptId)}/result`, {
+      body,
+      idempotent: true
+    });
+  }
+
+  /**
+   * Result of an authorized decrypt job: the value sealed to the employee, no plaintext
+   * @param {string} decryptId
+   * @param {Object} sealed - sealValue result (decrypt-authorization.js)
+   */
+  submitSealedResult(decryptId, sealed) {
+    const body = { executor: this.executorId, success: true, decrypted_value: null, sealed_value: sealed, error: null };
+    return this.request('POST', `/api/executor/decrypt-jobs/${encodeURIComponent(decryptId)}/result`, {
+      body,
+      idempotent: true
+    });
+  }
+
+  /**
+   * Partial decryption for a threshold decrypt job; the gatehouse combines the quorum's
+   * @param {string} decryptId
+   * @param {Object} partial - createPartialDecryption result (threshold-decryption.js)
+   */
+  submitPartialDecryption(decryptId, partial) {
+    return this.request('POST', `/api/executor/decrypt-jobs/${encodeURIComponent(decryptId)}/partial`, {
+      body: { executor: this.executorId, ...partial },
+      idempotent: true
+    });
+  }
+
+  close() {
+    this.agent.destroy();
+  }
+
+  log(level, message, context) {
+    if (this.logger) {
+      this.logger[level]('Gatehouse:Client', message, context);
+    }
+  }
+}
+
+// Multipart response: JSON in the "json" part, frames referenced by encrypted_frame_part
+function parseMultipartResponse(raw, contentType) {
+  const parts = parseMultipart(raw, contentType);
+  const json = parts.get('json');
+  if (!json) {
+    throw new Error('Multipart response has no "json" part');
+  }
+
+  const attachFrames = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(attachFrames);
+    } else if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+      if (typeof value.encrypted_frame_part === 'string') {
+        const part = parts.get(value.encrypted_frame_part);
+        if (!part) throw new Error(`Missing multipart part: ${value.encrypted_frame_part}`);
+        value.encrypted_frame = part.data;
+        delete value.encrypted_frame_part;
+      }
+      Object.values(value).forEach(attachFrames);
+    }
+  };
+
+  const parsed = JSON.parse(json.data.toString('utf8'));
+  attachFrames(parsed);
+  return parsed;
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = {
+  ERROR_CODES,
+  WIRE_FORMATS,
+  GatehouseError,
+  GatehouseClient,
+  loadTlsOptions
+};
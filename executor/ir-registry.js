@@ -0,0 +1,482 @@
+/**
+ * IR Program Registry
+ * Loads declarative FHE programs from disk and addresses them by digest
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { FHE_OPS, checkConstant } = require('./fhe-ops.js');
+const { validateBracketTable, expandProgressiveTax } = require('./tax-brackets.js');
+const { checkRate, expandApplyRate } = require('./fixed-point.js');
+
+const IR_FORMAT = 'lattica-ir/1';
+
+// Fields that document a program but do not change what it computes.
+// They are excluded from the digest so editing them keeps the ir_digest stable.
+const NON_SEMANTIC_KEYS = ['description', 'aliases'];
+
+const ALLOWED_PROGRAM_KEYS = [
+  'format', 'name', 'description', 'aliases',
+  'input_slots', 'min_input_slots', 'params', 'outputs', 'aggregates', 'execution_plan'
+];
+const ALLOWED_PARAM_KEYS = ['type', 'min', 'max', 'default'];
+const ALLOWED_STEP_KEYS = ['op', 'inputs', 'output', 'constant'];
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const DIGEST_PATTERN = /^0x[0-9a-z]{64}$/;
+
+// Programs that do not declare outputs produce a single "result"
+const DEFAULT_OUTPUTS = ['result'];
+
+// Legacy DeFi op whose plan depends on the number of inputs (see fhe-interpreter.js)
+const DYNAMIC_OP = 'dynamic';
+
+// Step outputs containing "__" are reserved for macro expansion
+const RESERVED_NAME_SEPARATOR = '__';
+
+// Plaintext parameter types: check(value, spec) returns an error message or null
+const PARAM_TYPES = {
+  int: (value, spec) => {
+    if (!Number.isSafeInteger(value)) return 'must be a safe integer';
+    if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+      return `must be within [${spec.min ?? '-inf'}, ${spec.max ?? 'inf'}]`;
+    }
+    return null;
+  },
+  bracket_table: (value) => validateBracketTable(value)
+};
+
+// Macro ops take a structured param and expand into primitive steps at bind time;
+// check(value) returns an error message for values the expansion cannot take
+const MACRO_OPS = {
+  progressive_tax: { arity: 1, param_type: 'bracket_table', expand: expandProgressiveTax },
+  apply_rate: { arity: 1, param_type: 'int', check: checkRate, expand: expandApplyRate }
+};
+
+class IrValidationError extends Error {
+  constructor(message, field) {
+    super(field ? `${field}: ${message}` : message);
+    this.name = 'IrValidationError';
+    this.field = field || null;
+  }
+}
+
+/**
+ * Serialize a JSON value with sorted object keys and no whitespace
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Strip non-semantic fields and return the canonical program text
+ */
+function canonicalProgram(program) {
+  const semantic = {};
+  for (const [key, val] of Object.entries(program)) {
+    if (!NON_SEMANTIC_KEYS.includes(key)) semantic[key] = val;
+  }
+  return canonicalize(semantic);
+}
+
+/**
+ * Compute the IR digest (SHA-256 of the canonical program)
+ * @returns {string} 0x-prefixed 32-byte hex digest
+ */
+function computeIrDigest(program) {
+  return '0x' + crypto.createHash('sha256').update(canonicalProgram(program)).digest('hex');
+}
+
+// A step constant of the form { "param": "<name>" } is bound from job.params
+function isParamRef(constant) {
+  return Boolean(constant) && typeof constant === 'object' && !Array.isArray(constant) &&
+    Object.keys(constant).length === 1 && typeof constant.param === 'string';
+}
+
+function validateParamSpec(name, spec) {
+  const where = `params.${name}`;
+  if (!NAME_PATTERN.test(name)) {
+    throw new IrValidationError('param names must be snake_case identifiers', where);
+  }
+  if (!spec || typeof spec !== 'object') {
+    throw new IrValidationError('must be an object', where);
+  }
+  for (const key of Object.keys(spec)) {
+    if (!ALLOWED_PARAM_KEYS.includes(key)) {
+      throw new IrValidationError(`unknown field "${key}"`, where);
+    }
+  }
+  if (!PARAM_TYPES[spec.type]) {
+    throw new IrValidationError(`type must be one of ${Object.keys(PARAM_TYPES).join(', ')}`, where);
+  }
+  if (spec.type === 'int') {
+    for (const bound of ['min', 'max']) {
+      if (spec[bound] !== undefined && !Number.isSafeInteger(spec[bound])) {
+        throw new IrValidationError(`${bound} must be a safe integer`, where);
+      }
+    }
+    if (spec.min !== undefined && spec.max !== undefined && spec.min > spec.max) {
+      throw new IrValidationError('min must not exceed max', where);
+    }
+  } else if (spec.min !== undefined || spec.max !== undefined) {
+    throw new IrValidationError('min/max only apply to int params', where);
+  }
+  if (spec.default !== undefined) {
+    const error = PARAM_TYPES[spec.type](spec.default, spec);
+    if (error) throw new IrValidationError(`default ${error}`, where);
+  }
+}
+
+/**
+ * Validate a program object
+ * @throws {IrValidationError}
+ */
+function validateProgram(program) {
+  if (!program || typeof program !== 'object' || Array.isArray(program)) {
+    throw new IrValidationError('program must be a JSON object');
+  }
+
+  for (const key of Object.keys(program)) {
+    if (!ALLOWED_PROGRAM_KEYS.includes(key)) {
+      throw new IrValidationError('unknown field', key);
+    }
+  }
+
+  if (program.format !== IR_FORMAT) {
+    throw new IrValidationError(`expected "${IR_FORMAT}", got ${JSON.stringify(program.format)}`, 'format');
+  }
+  if (typeof program.name !== 'string' || !NAME_PATTERN.test(program.name)) {
+    throw new IrValidationError('must be a snake_case identifier', 'name');
+  }
+  if (!Number.isInteger(program.input_slots) || program.input_slots < 1) {
+    throw new IrValidationError('must be a positive integer', 'input_slots');
+  }
+  if (program.min_input_slots !== undefined &&
+      (!Number.isInteger(program.min_input_slots) ||
+       program.min_input_slots < 1 ||
+       program.min_input_slots > program.input_slots)) {
+    throw new IrValidationError('must be an integer between 1 and input_slots', 'min_input_slots');
+  }
+  if (program.aliases !== undefined) {
+    if (!Array.isArray(program.aliases) || program.aliases.some(a => typeof a !== 'string' || !DIGEST_PATTERN.test(a))) {
+      throw new IrValidationError('must be an array of 0x-prefixed 32-byte digests', 'aliases');
+    }
+  }
+
+  const params = program.params || {};
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    throw new IrValidationError('must be an object', 'params');
+  }
+  for (const [name, spec] of Object.entries(params)) {
+    validateParamSpec(name, spec);
+  }
+
+  const outputs = program.outputs === undefined ? DEFAULT_OUTPUTS : program.outputs;
+  if (!Array.isArray(outputs) || outputs.length === 0) {
+    throw new IrValidationError('must be a non-empty array of step outputs', 'outputs');
+  }
+  outputs.forEach((name, index) => {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new IrValidationError('must be a snake_case identifier', `outputs[${index}]`);
+    }
+    if (outputs.indexOf(name) !== index) {
+      throw new IrValidationError(`"${name}" is listed twice`, `outputs[${index}]`);
+    }
+  });
+
+  // Outputs that combine every input into one total, labelled with what they total
+  // (e.g. {"total_tax": "tax"}); decrypt policies treat them as aggregates (decrypt-policy.js)
+  if (program.aggregates !== undefined) {
+    if (!program.aggregates || typeof program.aggregates !== 'object' || Array.isArray(program.aggregates)) {
+      throw new IrValidationError('must be an object mapping outputs to labels', 'aggregates');
+    }
+    for (const [name, label] of Object.entries(program.aggregates)) {
+      if (!outputs.includes(name)) {
+        throw new IrValidationError(`"${name}" is not a program output`, `aggregates.${name}`);
+      }
+      if (typeof label !== 'string' || !NAME_PATTERN.test(label)) {
+        throw new IrValidationError('must be a snake_case label', `aggregates.${name}`);
+      }
+    }
+  }
+
+  const plan = program.execution_plan;
+  if (!Array.isArray(plan) || plan.length === 0) {
+    throw new IrValidationError('must be a non-empty array', 'execution_plan');
+  }
+
+  const defined = new Set();
+  plan.forEach((step, index) => {
+    const where = `execution_plan[${index}]`;
+
+    if (!step || typeof step !== 'object') {
+      throw new IrValidationError('step must be an object', where);
+    }
+    for (const key of Object.keys(step)) {
+      if (!ALLOWED_STEP_KEYS.includes(key)) {
+        throw new IrValidationError(`unknown field "${key}"`, where);
+      }
+    }
+
+    if (step.op === DYNAMIC_OP) {
+      if (plan.length !== 1 || step.inputs !== 'auto') {
+        throw new IrValidationError(`"${step.op}" must be the only step and take inputs "auto"`, where);
+      }
+      if (program.min_input_slots === undefined) {
+        throw new IrValidationError(`"${step.op}" requires min_input_slots`, where);
+      }
+      if (step.constant !== undefined) {
+        throw new IrValidationError(`"${step.op}" does not take a constant`, `${where}.constant`);
+      }
+    } else {
+      const spec = FHE_OPS[step.op] || MACRO_OPS[step.op];
+      if (!spec) {
+        throw new IrValidationError(`unknown op ${JSON.stringify(step.op)}`, where);
+      }
+
+      if (!Array.isArray(step.inputs) || step.inputs.length !== spec.arity) {
+        throw new IrValidationError(`"${step.op}" takes ${spec.arity} operand(s)`, `${where}.inputs`);
+      }
+      step.inputs.forEach((operand, i) => {
+        if (Number.isInteger(operand)) {
+          if (operand < 0 || operand >= program.input_slots) {
+            throw new IrValidationError(`input slot ${operand} out of range`, `${where}.inputs[${i}]`);
+          }
+        } else if (typeof operand !== 'string' || !defined.has(operand)) {
+          throw new IrValidationError(`reference ${JSON.stringify(operand)} is not defined by an earlier step`, `${where}.inputs[${i}]`);
+        }
+      });
+
+      if (MACRO_OPS[step.op] || isParamRef(step.constant)) {
+        const expectedType = MACRO_OPS[step.op] ? spec.param_type : 'int';
+        if (!spec.param_type && !spec.constant) {
+          throw new IrValidationError(`"${step.op}" does not take a constant`, `${where}.constant`);
+        }
+        if (!isParamRef(step.constant)) {
+          throw new IrValidationError(`"${step.op}" takes a { "param" } reference`, `${where}.constant`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(params, step.constant.param)) {
+          throw new IrValidationError(`param "${step.constant.param}" is not declared`, `${where}.constant`);
+        }
+        if (params[step.constant.param].type !== expectedType) {
+          throw new IrValidationError(`param "${step.constant.param}" must have type ${expectedType}`, `${where}.constant`);
+        }
+      } else {
+        const constantError = checkConstant(step.op, step.constant);
+        if (constantError) {
+          throw new IrValidationError(constantError, `${where}.constant`);
+        }
+      }
+    }
+
+    if (typeof step.output !== 'string' || !NAME_PATTERN.test(step.output)) {
+      throw new IrValidationError('must be a snake_case identifier', `${where}.output`);
+    }
+    if (step.output.includes(RESERVED_NAME_SEPARATOR)) {
+      throw new IrValidationError(`names containing "${RESERVED_NAME_SEPARATOR}" are reserved`, `${where}.output`);
+    }
+    if (defined.has(step.output)) {
+      throw new IrValidationError(`"${step.output}" is already defined`, `${where}.output`);
+    }
+    defined.add(step.output);
+  });
+
+  for (const name of outputs) {
+    if (!defined.has(name)) {
+      throw new IrValidationError(`no step produces "${name}"`, 'execution_plan');
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Validate a program and attach its digest and derived metadata
+ */
+function compileProgram(program) {
+  validateProgram(program);
+  const operations = [...new Set(program.execution_plan.map(step => step.op))];
+  return Object.freeze({
+    ...program,
+    outputs: program.outputs || DEFAULT_OUTPUTS,
+    operations,
+    digest: computeIrDigest(program)
+  });
+}
+
+/**
+ * Resolve { param } constants against plaintext job parameters and expand macro ops
+ * @param {Object} program - compiled program
+ * @param {Object} values - job.params
+ * @returns {Object} program with a fully bound, primitive-only execution_plan
+ * @throws {IrValidationError}
+ */
+function bindParams(program, values = {}) {
+  const declared = program.params || {};
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new IrValidationError('must be an object', 'params');
+  }
+  for (const name of Object.keys(values)) {
+    if (!Object.prototype.hasOwnProperty.call(declared, name)) {
+      throw new IrValidationError(`"${name}" is not declared by ${program.name}`, 'params');
+    }
+  }
+
+  const resolved = {};
+  for (const [name, spec] of Object.entries(declared)) {
+    const value = values[name] !== undefined ? values[name] : spec.default;
+    if (value === undefined) {
+      throw new IrValidationError('is required', `params.${name}`);
+    }
+    const error = PARAM_TYPES[spec.type](value, spec);
+    if (error) {
+      throw new IrValidationError(error, `params.${name}`);
+    }
+    resolved[name] = value;
+  }
+
+  const executionPlan = program.execution_plan.flatMap((step, index) => {
+    if (MACRO_OPS[step.op]) {
+      const macro = MACRO_OPS[step.op];
+      const value = resolved[step.constant.param];
+      const macroError = macro.check ? macro.check(value) : null;
+      if (macroError) {
+        throw new IrValidationError(macroError, `params.${step.constant.param} (execution_plan[${index}])`);
+      }
+      return macro.expand(step, value);
+    }
+    if (!isParamRef(step.constant)) return [step];
+    const constant = resolved[step.constant.param];
+    const constantError = checkConstant(step.op, constant);
+    if (constantError) {
+      throw new IrValidationError(constantError, `params.${step.constant.param} (execution_plan[${index}])`);
+    }
+    return [{ ...step, constant }];
+  });
+
+  return { ...program, execution_plan: executionPlan, bound_params: resolved };
+}
+
+class IrRegistry {
+  constructor() {
+    this.programs = new Map();   // digest -> compiled program
+    this.aliases = new Map();    // legacy digest -> digest
+  }
+
+  /**
+   * Register a single program object
+   * @returns {Object} compiled program
+   */
+  register(program, source = '<inline>') {
+    const compiled = compileProgram(program);
+
+    if (this.programs.has(compiled.digest)) {
+      throw new IrValidationError(`duplicate program (digest ${compiled.digest})`, source);
+    }
+    for (const alias of compiled.aliases || []) {
+      if (this.programs.has(alias) || this.aliases.has(alias)) {
+        throw new IrValidationError(`alias ${alias} is already registered`, source);
+      }
+    }
+
+    this.programs.set(compiled.digest, compiled);
+    for (const alias of compiled.aliases || []) {
+      this.aliases.set(alias, compiled.digest);
+    }
+    return compiled;
+  }
+
+  /**
+   * Load every *.json program in a directory
+   * Invalid files are rejected individually so one bad program cannot
+   * take down the rest of the registry.
+   */
+  loadDirectory(dir) {
+    const loaded = [];
+    const rejected = [];
+
+    const files = fs.readdirSync(dir)
+      .filter(f => f.endsWith('.json'))
+      .sort();
+
+    for (const file of files) {
+      const fullPath = path.join(dir, file);
+      try {
+        const program = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        loaded.push(this.register(program, file));
+      } catch (error) {
+        rejected.push({ file, error: error.message });
+      }
+    }
+
+    return { loaded, rejected };
+  }
+
+  /**
+   * Look up a program by digest or legacy alias
+   */
+  get(digest) {
+    if (typeof digest !== 'string') return null;
+    const key = digest.toLowerCase();
+    return this.programs.get(key) || this.programs.get(this.aliases.get(key)) || null;
+  }
+
+  list() {
+    return [...this.programs.values()].map(p => ({
+      digest: p.digest,
+      name: p.name,
+      input_slots: p.input_slots,
+      params: Object.keys(p.params || {}),
+      outputs: p.outputs,
+      aggregates: p.aggregates || {},
+      aliases: p.aliases || []
+    }));
+  }
+
+  get size() {
+    return this.programs.size;
+  }
+}
+
+module.exports = {
+  IR_FORMAT,
+  PARAM_TYPES,
+  MACRO_OPS,
+  IrRegistry,
+  IrValidationError,
+  canonicalize,
+  computeIrDigest,
+  validateProgram,
+  compileProgram,
+  bindParams
+};
+
+// CLI: print the digest of every program in a directory
+if (require.main === module) {
+  const dir = process.argv[2] || path.join(__dirname, 'programs');
+  const registry = new IrRegistry();
+  const { rejected } = registry.loadDirectory(dir);
+  for (const p of registry.list()) {
+    console.log(`${p.digest}  ${p.name}`);
+  }
+  for (const r of rejected) {
+    console.error(`REJECTED ${r.file}: ${r.error}`);
+  }
+  process.exitCode = rejected.length > 0 ? 1 : 0;
+}
@@ -0,0 +1,269 @@
+/**
+ * Job Journal
+ * Append-only, fsync'd JSONL record of claimed jobs so work survives executor crashes
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WIRE_ENCODING, encodeFrame, ciphertextValues } = require('../lib/fhe16/wire.js');
+
+// Record types, in lifecycle order. submitted/released are terminal.
+const RECORD_TYPES = ['claimed', 'started', 'finished', 'submitted', 'released'];
+const TERMINAL_STATES = ['submitted', 'released'];
+
+// Result ciphertexts are written as base64 frames: a third of the JSON size,
+// and typed arrays do not survive JSON.stringify
+function encodeResult(result) {
+  if (!result || !result.resultCiphertexts) return result;
+  return {
+    ...result,
+    resultCiphertexts: result.resultCiphertexts.map(({ encrypted_data: data, ...rest }) => (data === undefined ? rest : {
+      ...rest,
+      encoding: WIRE_ENCODING,
+      encrypted_frame: encodeFrame(data, { scheme: rest.scheme }).toString('base64')
+    }))
+  };
+}
+
+// Multipart job inputs carry encrypted_frame as a Buffer, which JSON.stringify turns
+// into {type, data}; journal them as base64 frames, which the schema accepts as well
+function encodeJob(value) {
+  if (Array.isArray(value)) return value.map(encodeJob);
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    key === 'encrypted_frame' && Buffer.isBuffer(field) ? field.toString('base64') : encodeJob(field)
+  ]));
+}
+
+function decodeResult(result) {
+  if (!result || !result.resultCiphertexts) return result;
+  return {
+    ...result,
+    resultCiphertexts: result.resultCiphertexts.map((ct) => {
+      const { encoding: _encoding, encrypted_frame: _frame, ...rest } = ct;
+      const data = ciphertextValues(ct);
+      return data === undefined ? rest : { ...rest, encrypted_data: data };
+    })
+  };
+}
+
+class JobJournal {
+  constructor(filePath, options = {}) {
+    // Configuration
+    this.filePath = filePath;
+    this.compactEvery = options.compactEvery || 100;  // terminal records between compactions
+
+    // State: job_pda -> { job_pda, state, job, result, attempts, claimed_at, updated_at }
+    this.jobs = new Map();
+    this.fd = null;
+    this.terminalSinceCompact = 0;
+  }
+
+  /**
+   * Replay the journal file and open it for appending
+   * A torn final line (crash mid-write) is discarded.
+   * @returns {Array} jobs that were not submitted or released
+   */
+  open() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      let content = fs.readFileSync(this.filePath, 'utf8');
+
+      // Drop a torn tail so new records start on a fresh line
+      const complete = content.lastIndexOf('\n') + 1;
+      if (complete < content.length) {
+        content = content.slice(0, complete);
+        fs.truncateSync(this.filePath, Buffer.byteLength(content));
+      }
+
+      content.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Corrupt job journal ${this.filePath} at line ${index + 1}`);
+        }
+        this.apply(record);
+      });
+    }
+
+    this.fd = fs.openSync(this.filePath, 'a');
+    return this.pending();
+  }
+
+  apply(record) {
+    const { type, job_pda: jobPda, at } = record;
+    if (type === 'claimed') {
+      this.jobs.set(jobPda, {
+        job_pda: jobPda,
+        state: 'claimed',
+        job: record.job,
+        result: null,
+        attempts: 0,
+        claimed_at: at,
+        updated_at: at
+      });
+      return;
+    }
+
+    const entry = this.jobs.get(jobPda);
+    if (!entry) return;
+    entry.state = type;
+    entry.updated_at = at;
+    if (type === 'started') entry.attempts++;
+    if (type === 'finished') entry.result = decodeResult(record.result);
+    if (type === 'released') entry.reason = record.reason;
+  }
+
+  append(type, jobPda, data = {}) {
+    if (!RECORD_TYPES.includes(type)) {
+      throw new Error(`Unknown journal record type: ${type}`);
+    }
+    if (this.fd === null) {
+      throw new Error('Job journal is not open');
+    }
+
+    const record = { type, job_pda: jobPda, at: Date.now(), ...data };
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    fs.fsyncSync(this.fd);
+    this.apply(record);
+
+    if (TERMINAL_STATES.includes(type) && ++this.terminalSinceCompact >= this.compactEvery) {
+      this.compact();
+    }
+  }
+
+  claimed(job) {
+    this.append('claimed', job.job_pda, { job: encodeJob(job) });
+  }
+
+  started(jobPda) {
+    this.append('started', jobPda);
+  }
+
+  /**
+   * Record a computation result before it is submitted
+   * Demo decryptions are stripped so no plaintext reaches the disk.
+   */
+  finished(jobPda, result) {
+    const strip = (ct) => {
+      const { debug_decrypted_result: _debug, ...rest } = ct;
+      return rest;
+    };
+    this.append('finished', jobPda, {
+      result: encodeResult({
+        success: result.success,
+        resultCiphertexts: result.resultCiphertexts ? result.resultCiphertexts.map(strip) : null,
+        error: result.error || null,
+        ...(result.errorCode ? { errorCode: result.errorCode, errorPath: result.errorPath || null } : {}),
+        executionTime: result.executionTime || 0
+      })
+    });
+  }
+
+  submitted(jobPda) {
+    this.append('submitted', jobPda);
+  }
+
+  released(jobPda, reason) {
+    this.append('released', jobPda, { reason });
+  }
+
+  get(jobPda) {
+    return this.jobs.get(jobPda) || null;
+  }
+
+  /**
+   * Jobs that were claimed but never submitted or released
+   */
+  pending() {
+    return [...this.jobs.values()].filter(entry => !TERMINAL_STATES.includes(entry.state));
+  }
+
+  /**
+   * Pending jobs whose last progress is older than maxAgeMs
+   */
+  stuck(maxAgeMs, now = Date.now()) {
+    return this.pending()
+      .filter(entry => now - entry.updated_at > maxAgeMs)
+      .map(entry => ({
+        job_pda: entry.job_pda,
+        state: entry.state,
+        attempts: entry.attempts,
+        claimed_at: entry.claimed_at,
+        idle_ms: now - entry.updated_at
+      }));
+  }
+
+  /**
+   * Rewrite the journal with only pending jobs (atomic rename)
+   */
+  compact() {
+    const lines = [];
+    for (const entry of this.pending()) {
+      lines.push({ type: 'claimed', job_pda: entry.job_pda, at: entry.claimed_at, job: entry.job });
+      for (let i = 0; i < entry.attempts; i++) {
+        lines.push({ type: 'started', job_pda: entry.job_pda, at: entry.updated_at });
+      }
+      if (entry.state === 'finished') {
+        lines.push({ type: 'finished', job_pda: entry.job_pda, at: entry.updated_at, result: encodeResult(entry.result) });
+      }
+    }
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, lines.map(line => JSON.stringify(line) + '\n').join(''));
+    const tmpFd = fs.openSync(tmpPath, 'r');
+    fs.fsyncSync(tmpFd);
+    fs.closeSync(tmpFd);
+
+    if (this.fd !== null) fs.closeSync(this.fd);
+    fs.renameSync(tmpPath, this.filePath);
+    this.fd = fs.openSync(this.filePath, 'a');
+
+    for (const [jobPda, entry] of this.jobs) {
+      if (TERMINAL_STATES.includes(entry.state)) this.jobs.delete(jobPda);
+    }
+    this.terminalSinceCompact = 0;
+  }
+
+  get isOpen() {
+    return this.fd !== null;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = { JobJournal };
+
+// CLI: report pending and stuck jobs without starting the executor
+if (require.main === module) {
+  const filePath = process.argv[2] || process.env.JOB_JOURNAL_PATH || path.join(__dirname, 'data', 'job-journal.jsonl');
+  const maxAgeMs = parseInt(process.env.JOB_STUCK_AFTER_MS || '600000');
+  const journal = new JobJournal(filePath);
+  const pending = journal.open();
+  const stuck = new Set(journal.stuck(maxAgeMs).map(entry => entry.job_pda));
+  journal.close();
+
+  if (pending.length === 0) {
+    console.log('No pending jobs');
+  }
+  for (const entry of pending) {
+    const flag = stuck.has(entry.job_pda) ? '  STUCK' : '';
+    console.log(`${entry.job_pda}  ${entry.state.padEnd(9)}  attempts=${entry.attempts}  claimed=${new Date(entry.claimed_at).toISOString()}${flag}`);
+  }
+}
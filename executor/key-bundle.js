@@ -0,0 +1,404 @@
+/**
+ * FHE16 Key Bundles
+ * One FHE16 key set under a stable id: the public key browsers encrypt with,
+ * the bootstrapping parameters the executor evaluates with, and optionally the
+ * secret or a threshold share of it (threshold-decryption.js) for decryption.
+ *
+ * Layout: <keys dir>/<key id>/bundle.json next to the files it lists
+ *   {
+ *     "format": "lattica-key-bundle/1",
+ *     "key_id": "3f2a9c0d1e5b7a64",        (first 16 hex of sha256 of the public key)
+ *     "scheme": "FHE16_0.0.1v",
+ *     "status": "active",                  (active | retiring | retired)
+ *     "created_at": "2026-01-01T00:00:00.000Z",
+ *     "retire_after": "2026-07-01T00:00:00.000Z",   (or null)
+ *     "files": {
+ *       "public_key": { "path": "pk.bin", "sha256": "..." },
+ *       "bootparam":  { "path": "bootparam.bin", "sha256": "..." },
+ *       "secret":     { "path": "secret.bin", "sha256": "..." },   (optional)
+ *       "share":      { "path": "share.json", "sha256": "..." },   (optional, threshold-decryption.js)
+ *       "params":     { "path": "params.json", "sha256": "..." }   (optional, lib/fhe16/params.js)
+ *     }
+ *   }
+ *
+ * Ciphertexts carry the id as key_id. A computation only combines ciphertexts
+ * under one key (assertSameKey); key-rotation.js moves stored ciphertexts off
+ * a retiring key so it can be retired.
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA_ERRORS, CiphertextSchemaError } = require('../lib/fhe16/schema.js');
+
+const BUNDLE_FORMAT = 'lattica-key-bundle/1';
+const MANIFEST_FILE = 'bundle.json';
+
+// active: evaluates and encrypts new data; retiring: decrypts and is rotated from; retired: unusable
+const KEY_STATUSES = ['active', 'retiring', 'retired'];
+const TRANSITIONS = {
+  active: ['retiring'],
+  retiring: ['active', 'retired'],
+  retired: []
+};
+
+const REQUIRED_FILES = ['public_key', 'bootparam'];
+const OPTIONAL_FILES = ['secret', 'share', 'params'];
+const DEFAULT_FILE_NAMES = {
+  public_key: 'pk.bin',
+  bootparam: 'bootparam.bin',
+  secret: 'secret.bin',
+  share: 'share.json',
+  params: 'params.json'
+};
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Key id of a public key: first 16 hex of its sha256
+ * @param {Buffer} publicKey - pk.bin bytes
+ */
+function keyIdFor(publicKey) {
+  return sha256Hex(publicKey).slice(0, 16);
+}
+
+class KeyBundle {
+  /**
+   * @param {string} dir - bundle directory
+   * @param {Object} manifest - parsed bundle.json (checked by loadKeyBundle)
+   */
+  constructor(dir, manifest) {
+    this.dir = dir;
+    this.manifest = manifest;
+    this.keyId = manifest.key_id;
+    this.scheme = manifest.scheme;
+    this.status = manifest.status;
+    this.createdAt = Date.parse(manifest.created_at);
+    this.retireAfter = manifest.retire_after ? Date.parse(manifest.retire_after) : null;
+  }
+
+  /**
+   * Absolute path of a bundle file, or null if the bundle has none
+   * @param {string} name - public_key | bootparam | secret | params
+   */
+  file(name) {
+    const entry = this.manifest.files[name];
+    return entry ? path.join(this.dir, entry.path) : null;
+  }
+
+  get hasSecret() {
+    return Boolean(this.manifest.files.secret);
+  }
+
+  get hasShare() {
+    return Boolean(this.manifest.files.share);
+  }
+
+  /**
+   * Summary for /status and listings (no key material)
+   */
+  describe() {
+    return {
+      key_id: this.keyId,
+      scheme: this.scheme,
+      status: this.status,
+      created_at: this.manifest.created_at,
+      retire_after: this.manifest.retire_after || null,
+      has_secret: this.hasSecret,
+      has_share: this.hasShare
+    };
+  }
+}
+
+/**
+ * Read and verify a bundle: every listed file must match its hash and the
+ * key id must be that of the public key
+ * @param {string} dir
+ * @returns {KeyBundle}
+ */
+function loadKeyBundle(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read key bundle ${manifestPath}: ${error.message}`);
+  }
+
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw new Error(`Unsupported key bundle format in ${manifestPath}: ${manifest.format}`);
+  }
+  if (!KEY_STATUSES.includes(manifest.status)) {
+    throw new Error(`Invalid key status in ${manifestPath}: ${manifest.status}`);
+  }
+  if (typeof manifest.scheme !== 'string' || Number.isNaN(Date.parse(manifest.created_at))) {
+    throw new Error(`Key bundle ${manifestPath} needs a scheme and created_at`);
+  }
+  if (manifest.retire_after && Number.isNaN(Date.parse(manifest.retire_after))) {
+    throw new Error(`Invalid retire_after in ${manifestPath}: ${manifest.retire_after}`);
+  }
+
+  const files = manifest.files || {};
+  for (const name of [...REQUIRED_FILES, ...OPTIONAL_FILES]) {
+    const entry = files[name];
+    if (!entry) {
+      if (REQUIRED_FILES.includes(name)) {
+        throw new Error(`Key bundle ${manifestPath} is missing ${name}`);
+      }
+      continue;
+    }
+    // Files live inside the bundle directory
+    if (typeof entry.path !== 'string' || path.basename(entry.path) !== entry.path) {
+      throw new Error(`Invalid ${name} path in ${manifestPath}: ${entry.path}`);
+    }
+    const content = fs.readFileSync(path.join(dir, entry.path));
+    if (sha256Hex(content) !== entry.sha256) {
+      throw new Error(`Key bundle ${manifest.key_id}: ${name} does not match its sha256`);
+    }
+    if (name === 'public_key' && keyIdFor(content) !== manifest.key_id) {
+      throw new Error(`Key bundle ${manifest.key_id}: key id is not that of its public key (${keyIdFor(content)})`);
+    }
+  }
+
+  return new KeyBundle(dir, manifest);
+}
+
+/**
+ * Package key files as a bundle under keysDir/<key id>
+ * @param {string} keysDir
+ * @param {Object} sources - file paths: publicKey, bootparam, [secret], [share], [params]
+ * @param {Object} [options]
+ * @param {string} [options.scheme]
+ * @param {string} [options.status] - default active
+ * @param {string|number} [options.retireAfter] - date after which the key is due for retirement
+ * @param {number} [options.now]
+ * @returns {KeyBundle}
+ */
+function createKeyBundle(keysDir, sources, options = {}) {
+  const content = {
+    public_key: fs.readFileSync(sources.publicKey),
+    bootparam: fs.readFileSync(sources.bootparam),
+    secret: sources.secret ? fs.readFileSync(sources.secret) : null,
+    share: sources.share ? fs.readFileSync(sources.share) : null,
+    params: sources.params ? fs.readFileSync(sources.params) : null
+  };
+  const keyId = keyIdFor(content.public_key);
+  const dir = path.join(keysDir, keyId);
+  if (fs.existsSync(path.join(dir, MANIFEST_FILE))) {
+    throw new Error(`Key bundle ${keyId} already exists`);
+  }
+
+  const status = options.status || 'active';
+  if (!KEY_STATUSES.includes(status)) {
+    throw new Error(`Invalid key status: ${status}`);
+  }
+
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const files = {};
+  for (const [name, data] of Object.entries(content)) {
+    if (!data) continue;
+    fs.writeFileSync(path.join(dir, DEFAULT_FILE_NAMES[name]), data, { mode: 0o600 });
+    files[name] = { path: DEFAULT_FILE_NAMES[name], sha256: sha256Hex(data) };
+  }
+
+  writeManifest(dir, {
+    format: BUNDLE_FORMAT,
+    key_id: keyId,
+    scheme: options.scheme || 'FHE16_0.0.1v',
+    status,
+    created_at: new Date(options.now || Date.now()).toISOString(),
+    retire_after: options.retireAfter ? new Date(options.retireAfter).toISOString() : null,
+    files
+  });
+  return loadKeyBundle(dir);
+}
+
+// Write then rename so readers never see a partial manifest
+function writeManifest(dir, manifest) {
+  const target = path.join(dir, MANIFEST_FILE);
+  const tmp = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2) + '\n');
+  fs.renameSync(tmp, target);
+}
+
+/**
+ * All bundles of a keys directory
+ */
+class KeyRing {
+  /**
+   * @param {string} dir - keys directory; subdirectories without bundle.json are ignored
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.bundles = new Map();  // key id -> KeyBundle
+    this.rejected = [];        // [{ dir, error }]
+
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const bundleDir = path.join(dir, entry.name);
+      if (!entry.isDirectory() || !fs.existsSync(path.join(bundleDir, MANIFEST_FILE))) continue;
+      try {
+        const bundle = loadKeyBundle(bundleDir);
+        this.bundles.set(bundle.keyId, bundle);
+      } catch (error) {
+        this.rejected.push({ dir: bundleDir, error: error.message });
+      }
+    }
+  }
+
+  get size() {
+    return this.bundles.size;
+  }
+
+  /**
+   * @param {string} keyId
+   * @returns {?KeyBundle}
+   */
+  get(keyId) {
+    return this.bundles.get(keyId) || null;
+  }
+
+  /**
+   * Bundles, oldest first
+   */
+  list() {
+    return [...this.bundles.values()].sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Key new work runs under: the pinned key, or the newest active bundle
+   * @param {string} [pinned] - key id (FHE16_KEY_ID)
+   * @returns {?KeyBundle} null if the ring has no active bundle
+   */
+  active(pinned) {
+    if (pinned) {
+      const bundle = this.get(pinned);
+      if (!bundle) throw new Error(`Unknown key id: ${pinned}`);
+      if (bundle.status === 'retired') throw new Error(`Key ${pinned} is retired`);
+      return bundle;
+    }
+    const active = this.list().filter(bundle => bundle.status === 'active');
+    return active.length > 0 ? active[active.length - 1] : null;
+  }
+
+  /**
+   * Bundles past their retire_after that are not retired yet
+   * @param {number} [now]
+   */
+  due(now = Date.now()) {
+    return this.list().filter(bundle => bundle.status !== 'retired' && bundle.retireAfter !== null && bundle.retireAfter <= now);
+  }
+
+  /**
+   * Move a key to another status (active -> retiring -> retired; retiring -> active to roll back)
+   * @returns {KeyBundle} the reloaded bundle
+   */
+  setStatus(keyId, status) {
+    const bundle = this.get(keyId);
+    if (!bundle) {
+      throw new Error(`Unknown key id: ${keyId}`);
+    }
+    if (!(TRANSITIONS[bundle.status] || []).includes(status)) {
+      throw new Error(`Key ${keyId} cannot go from ${bundle.status} to ${status}`);
+    }
+    writeManifest(bundle.dir, { ...bundle.manifest, status });
+    const updated = loadKeyBundle(bundle.dir);
+    this.bundles.set(keyId, updated);
+    return updated;
+  }
+}
+
+/**
+ * Reject computations that combine ciphertexts under different keys, or under
+ * a key other than the one the executor evaluates with
+ * Untagged ciphertexts (no key_id) are taken to be under the evaluation key.
+ * @param {Array<?string>} keyIds - key_id of each input, null if untagged
+ * @param {?string} evaluationKeyId - null when the executor runs without key bundles
+ * @param {Function} [pathFor] - (index) => field path for errors
+ * @returns {?string} the key id the computation runs under
+ * @throws {CiphertextSchemaError} CT_KEY_MISMATCH
+ */
+function assertSameKey(keyIds, evaluationKeyId, pathFor = i => `ciphertexts[${i}].key_id`) {
+  let first = null;
+  keyIds.forEach((keyId, i) => {
+    if (!keyId) return;
+    if (first === null) first = { keyId, index: i };
+    if (keyId !== first.keyId) {
+      throw new CiphertextSchemaError(`input is under key ${keyId}, input ${first.index} under ${first.keyId}`, SCHEMA_ERRORS.KEY_MISMATCH, {
+        path: pathFor(i), expected: first.keyId, actual: keyId
+      });
+    }
+    if (keyId !== evaluationKeyId) {
+      throw new CiphertextSchemaError(`input is under key ${keyId}, executor evaluates under ${evaluationKeyId || 'no key bundle'}`, SCHEMA_ERRORS.KEY_MISMATCH, {
+        path: pathFor(i), expected: evaluationKeyId, actual: keyId
+      });
+    }
+  });
+  return evaluationKeyId;
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  KEY_STATUSES,
+  KeyBundle,
+  KeyRing,
+  keyIdFor,
+  loadKeyBundle,
+  createKeyBundle,
+  assertSameKey
+};
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const keysDir = process.env.FHE16_KEYS_DIR || path.join(__dirname, 'FHE16', 'store', 'keys');
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  try {
+    if (command === 'create') {
+      if (!option('pk') || !option('bootparam')) {
+        throw new Error('create needs --pk <pk.bin> and --bootparam <bootparam.bin>');
+      }
+      const bundle = createKeyBundle(keysDir, {
+        publicKey: option('pk'),
+        bootparam: option('bootparam'),
+        secret: option('secret'),
+        share: option('share'),
+        params: option('params')
+      }, { scheme: option('scheme'), status: option('status'), retireAfter: option('retire-after') });
+      console.log(`${bundle.keyId}  created in ${bundle.dir}`);
+    } else if (command === 'status' && args.length === 2) {
+      const bundle = new KeyRing(keysDir).setStatus(args[0], args[1]);
+      console.log(`${bundle.keyId}  ${bundle.status}`);
+    } else if (command === 'list' || !command) {
+      const ring = new KeyRing(keysDir);
+      const due = new Set(ring.due().map(bundle => bundle.keyId));
+      for (const bundle of ring.list()) {
+        const info = bundle.describe();
+        console.log(`${info.key_id}  ${info.status.padEnd(8)}  created=${info.created_at}  retire_after=${info.retire_after || '-'}${info.has_secret ? '  secret' : ''}${info.has_share ? '  share' : ''}${due.has(info.key_id) ? '  DUE' : ''}`);
+      }
+      for (const entry of ring.rejected) {
+        console.log(`REJECTED  ${entry.dir}  ${entry.error}`);
+      }
+    } else {
+      console.error('Usage: node key-bundle.js [list]');
+      console.error('       node key-bundle.js create --pk <file> --bootparam <file> [--secret <file>] [--share <file>] [--params <file>] [--retire-after <date>]');
+      console.error('       node key-bundle.js status <key-id> <active|retiring|retired>');
+      process.exit(2);
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
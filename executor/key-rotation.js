@@ -0,0 +1,225 @@
+/**
+ * Key Rotation
+ * Moves stored ciphertexts off a retiring key bundle so the key can be retired.
+ * FHE16 exposes no key switching, so each ciphertext is re-encrypted: decrypted
+ * with the old bundle's secret and encrypted again under the active keys, on a
+ * host that holds both (see createNativeReencrypt).
+ *
+ * Every rotated ciphertext is appended to a journal (<store dir>/rotations.jsonl):
+ *   { "from_cid": "0x01...", "to_cid": "0x01...", "from_key": "...", "to_key": "...", "rotated_at": 1735689600000 }
+ * The journal makes runs resumable and is what the gatehouse applies to point
+ * salary records (and registered CIDs) at the new ciphertexts.
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { serializeCiphertext, deserializeCiphertext } = require('../lib/fhe16/crypto.js');
+
+class RotationJournal {
+  /**
+   * @param {string} filePath
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.rotated = new Map();  // from_cid -> entry
+
+    if (fs.existsSync(filePath)) {
+      let content = fs.readFileSync(filePath, 'utf8');
+
+      // Drop a torn final line (crash mid-write) so appends start on a fresh line
+      const complete = content.lastIndexOf('\n') + 1;
+      if (complete < content.length) {
+        content = content.slice(0, complete);
+        fs.truncateSync(filePath, Buffer.byteLength(content));
+      }
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        const entry = JSON.parse(line);
+        this.rotated.set(entry.from_cid, entry);
+      }
+    }
+  }
+
+  has(fromCid) {
+    return this.rotated.has(fromCid);
+  }
+
+  get(fromCid) {
+    return this.rotated.get(fromCid) || null;
+  }
+
+  record(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    this.rotated.set(entry.from_cid, entry);
+  }
+
+  entries() {
+    return [...this.rotated.values()];
+  }
+}
+
+/**
+ * Stored ciphertexts under a key that have not been rotated yet
+ * @param {CiphertextStore} store
+ * @param {RotationJournal} journal
+ * @param {string} keyId
+ */
+function pendingRotation(store, journal, keyId) {
+  return store.cidsUnderKey(keyId).filter(cid => !journal.has(cid));
+}
+
+/**
+ * Re-encrypt every stored ciphertext under `from` to `to`
+ * Failures are reported and left for the next run.
+ * @param {Object} options
+ * @param {CiphertextStore} options.store
+ * @param {KeyRing} options.keyRing
+ * @param {RotationJournal} options.journal
+ * @param {string} options.from - retiring key id
+ * @param {string} options.to - active key id
+ * @param {Function} options.reencrypt - async (values, { bitWidth, from, to }) => values under `to`
+ * @param {number} [options.limit] - stop after this many ciphertexts
+ * @returns {Promise<{rotated: number, failed: Array<{cid: string, error: string}>, remaining: number}>}
+ */
+async function rotateKey({ store, keyRing, journal, from, to, reencrypt, limit = Infinity }) {
+  const fromBundle = keyRing.get(from);
+  const toBundle = keyRing.get(to);
+  if (!fromBundle || !toBundle) {
+    throw new Error(`Unknown key id: ${!fromBundle ? from : to}`);
+  }
+  // New data must stop arriving under the old key before it is drained
+  if (fromBundle.status !== 'retiring') {
+    throw new Error(`Key ${from} is ${fromBundle.status}; mark it retiring before rotating`);
+  }
+  if (toBundle.status !== 'active') {
+    throw new Error(`Key ${to} is ${toBundle.status}, not active`);
+  }
+
+  let rotated = 0;
+  const failed = [];
+  for (const fromCid of pendingRotation(store, journal, from)) {
+    if (rotated + failed.length >= limit) break;
+    try {
+      const ciphertext = deserializeCiphertext(store.get(fromCid));
+      const values = await reencrypt(ciphertext.encrypted_data, { bitWidth: ciphertext.bit_width, from: fromBundle, to: toBundle });
+      const { cid: toCid } = store.put(serializeCiphertext({
+        encrypted_data: Array.from(values),
+        scheme: ciphertext.scheme,
+        bit_width: ciphertext.bit_width,
+        timestamp: Date.now()
+      }), null, to);
+      journal.record({ from_cid: fromCid, to_cid: toCid, from_key: from, to_key: to, rotated_at: Date.now() });
+      rotated++;
+    } catch (error) {
+      failed.push({ cid: fromCid, error: error.message });
+    }
+  }
+
+  return { rotated, failed, remaining: pendingRotation(store, journal, from).length };
+}
+
+/**
+ * Retire a key once nothing stored depends on it
+ * @returns {KeyBundle}
+ */
+function retireKey({ store, keyRing, journal, keyId }) {
+  const remaining = pendingRotation(store, journal, keyId).length;
+  if (remaining > 0) {
+    throw new Error(`${remaining} stored ciphertexts are still under key ${keyId}; rotate them first`);
+  }
+  return keyRing.setStatus(keyId, 'retired');
+}
+
+/**
+ * Native re-encryption: decrypt with the old bundle's secret, encrypt with the
+ * process's loaded (active) keys
+ * @param {Object} fhe16 - FHE16 binding
+ * @param {Function} createArena - fhe-runtime.js createArena
+ * @param {KeyBundle} fromBundle - must carry a secret
+ * @returns {Function} reencrypt for rotateKey
+ */
+function createNativeReencrypt(fhe16, createArena, fromBundle) {
+  if (!fromBundle.hasSecret) {
+    throw new Error(`Key ${fromBundle.keyId} has no secret in its bundle; it cannot be re-encrypted here`);
+  }
+  const secretKey = fhe16.secretKeyLoadFileSafe(fromBundle.file('secret'));
+
+  return async (values, { bitWidth }) => {
+    const arena = createArena();
+    try {
+      const plain = fhe16.decInt(arena.track(fhe16.importCiphertext(values)), secretKey);
+      return fhe16.exportCiphertext(arena.track(fhe16.encInt(plain, bitWidth)));
+    } finally {
+      arena.release();
+    }
+  };
+}
+
+module.exports = {
+  RotationJournal,
+  pendingRotation,
+  rotateKey,
+  retireKey,
+  createNativeReencrypt
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { KeyRing } = require('./key-bundle.js');
+  const { CiphertextStore } = require('./ciphertext-store.js');
+
+  const [command, ...args] = process.argv.slice(2);
+  const keysDir = process.env.FHE16_KEYS_DIR || path.join(__dirname, 'FHE16', 'store', 'keys');
+  const storeDir = process.env.CIPHERTEXT_STORE_DIR || path.join(__dirname, 'data', 'ciphertexts');
+  const keyRing = new KeyRing(keysDir);
+  const store = new CiphertextStore(storeDir);
+  const journal = new RotationJournal(path.join(storeDir, 'rotations.jsonl'));
+
+  const run = async () => {
+    if (command === 'rotate' && args.length === 2) {
+      const [from, to] = args;
+      // Encrypt under the target key: the runtime loads the pinned bundle's bootparam
+      process.env.FHE16_KEY_ID = to;
+      const { initFHE16, createArena } = require('./fhe-runtime.js');
+      const { FHE16 } = require('./FHE16/index.js');
+      if (!await initFHE16()) throw new Error('FHE16 initialization failed');
+
+      const result = await rotateKey({
+        store, keyRing, journal, from, to,
+        reencrypt: createNativeReencrypt(FHE16, createArena, keyRing.get(from))
+      });
+      console.log(`rotated=${result.rotated}  failed=${result.failed.length}  remaining=${result.remaining}`);
+      for (const failure of result.failed) console.log(`FAILED  ${failure.cid}  ${failure.error}`);
+      if (result.failed.length > 0) process.exitCode = 1;
+    } else if (command === 'retire' && args.length === 1) {
+      const bundle = retireKey({ store, keyRing, journal, keyId: args[0] });
+      console.log(`${bundle.keyId}  ${bundle.status}`);
+    } else if (command === 'due' || !command) {
+      // Keys past retire_after and what still blocks retiring them (run from cron)
+      const due = keyRing.due();
+      if (due.length === 0) console.log('No keys due for retirement');
+      for (const bundle of due) {
+        console.log(`${bundle.keyId}  ${bundle.status.padEnd(8)}  retire_after=${bundle.manifest.retire_after}  pending=${pendingRotation(store, journal, bundle.keyId).length}`);
+      }
+      if (due.length > 0) process.exitCode = 3;
+    } else {
+      console.error('Usage: node key-rotation.js [due]');
+      console.error('       node key-rotation.js rotate <from-key-id> <to-key-id>');
+      console.error('       node key-rotation.js retire <key-id>');
+      process.exit(2);
+    }
+  };
+
+  run().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,75 @@
+/**
+ * Logger
+ * Colored, component-tagged console logging shared by the executor and its workers
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+/* eslint-disable no-console */
+
+// Logger utility with colors
+class Logger {
+  constructor() {
+    this.colors = {
+      reset: '\x1b[0m',
+      bright: '\x1b[1m',
+      dim: '\x1b[2m',
+      
+      // Level colors
+      debug: '\x1b[36m',    // Cyan
+      info: '\x1b[32m',     // Green
+      warn: '\x1b[33m',     // Yellow
+      error: '\x1b[31m',    // Red
+      demo: '\x1b[31m',     // Red (for demo visualization only)
+      
+      // Component color
+      component: '\x1b[35m', // Magenta
+      
+      // Context color
+      context: '\x1b[90m',   // Gray
+    };
+  }
+
+  format(level, component, message, context = {}) {
+    const levelTag = level.toUpperCase().padEnd(5);
+    const componentTag = component.padEnd(20);
+    const levelColor = this.colors[level] || this.colors.reset;
+    
+    let contextStr = '';
+    if (Object.keys(context).length > 0) {
+      const pairs = Object.entries(context)
+        .map(([key, val]) => `${key}=${val}`)
+        .join(', ');
+      contextStr = ` ${this.colors.context}(${pairs})${this.colors.reset}`;
+    }
+    
+    return `${levelColor}${this.colors.bright}${levelTag}${this.colors.reset} | ${this.colors.component}${componentTag}${this.colors.reset} | ${levelColor}${message}${this.colors.reset}${contextStr}`;
+  }
+
+  debug(component, message, context) {
+    console.debug(this.format('debug', component, message, context));
+  }
+
+  info(component, message, context) {
+    console.log(this.format('info', component, message, context));
+  }
+
+  warn(component, message, context) {
+    console.warn(this.format('warn', component, message, context));
+  }
+
+  error(component, message, context) {
+    console.error(this.format('error', component, message, context));
+  }
+
+  demo(component, message, context) {
+    console.log(this.format('demo', component, message, context));
+  }
+}
+
+module.exports = { Logger };
@@ -0,0 +1,55 @@
+/**
+ * Plaintext mock of the FHE16 binding for tests
+ * "Ciphertexts" are boxed plaintext integers; calls are recorded by name.
+ * Additions and multiplications wrap like 32-bit ciphertexts, so tests
+ * catch intermediate overflow in execution plans.
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+function createMockFHE16() {
+  const calls = [];
+  const ct = (v) => ({ v });
+  const record = (name, fn) => (...args) => { calls.push(name); return fn(...args); };
+  const mockFHE = {
+    add: record('add', (a, b) => ct((a.v + b.v) | 0)),
+    add3: record('add3', (a, b, c) => ct((a.v + b.v + c.v) | 0)),
+    sub: record('sub', (a, b) => ct(a.v - b.v)),
+    neg: record('neg', (a) => ct(-a.v)),
+    abs: record('abs', (a) => ct(Math.abs(a.v))),
+    relu: record('relu', (a) => ct(Math.max(0, a.v))),
+    le: record('le', (a, b) => ct(Number(a.v <= b.v))),
+    lt: record('lt', (a, b) => ct(Number(a.v < b.v))),
+    ge: record('ge', (a, b) => ct(Number(a.v >= b.v))),
+    gt: record('gt', (a, b) => ct(Number(a.v > b.v))),
+    eq: record('eq', (a, b) => ct(Number(a.v === b.v))),
+    neq: record('neq', (a, b) => ct(Number(a.v !== b.v))),
+    max: record('max', (a, b) => ct(Math.max(a.v, b.v))),
+    min: record('min', (a, b) => ct(Math.min(a.v, b.v))),
+    compare: record('compare', (a, b, flag) => ct(Number(flag ? a.v > b.v : a.v < b.v))),
+    maxOrMin: record('maxOrMin', (a, b, flag) => ct(flag ? Math.max(a.v, b.v) : Math.min(a.v, b.v))),
+    andVec: record('andVec', (a, b) => ct(a.v & b.v)),
+    orVec: record('orVec', (a, b) => ct(a.v | b.v)),
+    xorVec: record('xorVec', (a, b) => ct(a.v ^ b.v)),
+    select: record('select', (s, a, b) => (s.v ? a : b)),
+    smull: record('smull', (a, b) => ct(Math.imul(a.v, b.v))),
+    sdiv3: record('sdiv3', (a, b) => ct(Math.trunc(a.v / b.v))),
+    smullConst_i32: record('smullConst_i32', (a, k) => ct(Math.imul(a.v, k))),
+    smullConst_long: record('smullConst_long', (a, k) => ct(a.v * k)),
+    addConst_i32: record('addConst_i32', (a, k) => ct(a.v + k)),
+    addConst_long: record('addConst_long', (a, k) => ct(a.v + k)),
+    addPow2: record('addPow2', (a, p) => ct(a.v + 2 ** p)),
+    subPow2: record('subPow2', (a, p) => ct(a.v - 2 ** p)),
+    encInt: record('encInt', (k) => ct(k)),
+    lshiftlPtr: record('lshiftlPtr', (a, k) => ct(a.v << k.v))
+  };
+
+  return { ct, calls, mockFHE };
+}
+
+module.exports = { createMockFHE16 };
@@ -0,0 +1,96 @@
+/**
+ * Multipart Bodies
+ * Minimal multipart/form-data encoder and parser for binary ciphertext frames
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const crypto = require('crypto');
+
+const CRLF = '\r\n';
+
+/**
+ * Build a multipart/form-data body
+ * @param {Array<{name: string, data: Buffer|string, contentType?: string}>} parts
+ * @returns {{body: Buffer, contentType: string}}
+ */
+function buildMultipart(parts) {
+  const boundary = `lattica-${crypto.randomBytes(12).toString('hex')}`;
+  const chunks = [];
+
+  for (const part of parts) {
+    if (/["\r\n]/.test(part.name)) {
+      throw new Error(`Invalid multipart field name: ${part.name}`);
+    }
+    const data = Buffer.isBuffer(part.data) ? part.data : Buffer.from(part.data, 'utf8');
+    const disposition = Buffer.isBuffer(part.data)
+      ? `form-data; name="${part.name}"; filename="${part.name}"`
+      : `form-data; name="${part.name}"`;
+    chunks.push(Buffer.from(
+      `--${boundary}${CRLF}` +
+      `Content-Disposition: ${disposition}${CRLF}` +
+      `Content-Type: ${part.contentType || 'application/octet-stream'}${CRLF}${CRLF}`
+    ));
+    chunks.push(data, Buffer.from(CRLF));
+  }
+  chunks.push(Buffer.from(`--${boundary}--${CRLF}`));
+
+  return { body: Buffer.concat(chunks), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+/**
+ * Parse a multipart body
+ * @param {Buffer} body
+ * @param {string} contentType - header value including the boundary parameter
+ * @returns {Map<string, {name: string, contentType: string, data: Buffer}>} parts by field name
+ */
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!match) {
+    throw new Error('Multipart body without boundary');
+  }
+  const delimiter = Buffer.from(`--${(match[1] || match[2]).trim()}`);
+  const parts = new Map();
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw new Error('Multipart boundary not found in body');
+  }
+
+  for (;;) {
+    position += delimiter.length;
+    if (body.subarray(position, position + 2).toString() === '--') break;  // closing delimiter
+    position += CRLF.length;
+
+    const headerEnd = body.indexOf(CRLF + CRLF, position);
+    if (headerEnd === -1) throw new Error('Malformed multipart part headers');
+    const headers = {};
+    for (const line of body.toString('utf8', position, headerEnd).split(CRLF)) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+
+    const next = body.indexOf(delimiter, headerEnd + 4);
+    if (next === -1) throw new Error('Unterminated multipart body');
+    // Part data ends with the CRLF that precedes the next delimiter
+    const data = body.subarray(headerEnd + 4, next - CRLF.length);
+
+    const nameMatch = /name="([^"]*)"/.exec(headers['content-disposition'] || '');
+    if (!nameMatch) throw new Error('Multipart part without a name');
+    parts.set(nameMatch[1], {
+      name: nameMatch[1],
+      contentType: headers['content-type'] || 'text/plain',
+      data
+    });
+    position = next;
+  }
+
+  return parts;
+}
+
+module.exports = { buildMultipart, parseMultipart };
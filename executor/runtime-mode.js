@@ -0,0 +1,108 @@
+/**
+ * Runtime Mode
+ * What an executor may do with plaintext, fixed at startup by EXECUTOR_MODE:
+ *
+ *   dev         computation results are decrypted and logged locally, never sent
+ *   demo        results are also sent to the gatehouse (debug_decrypted_result) for the UI
+ *   production  results are never decrypted; the secret key is loaded only for the
+ *               decrypt service (DECRYPT_SERVICE=true), whose answers are sealed or
+ *               partial; any payload carrying plaintext is refused before it is sent
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const RUNTIME_MODES = {
+  dev: { decryptResults: true, sendPlaintext: false, plaintextDecrypts: true },
+  demo: { decryptResults: true, sendPlaintext: true, plaintextDecrypts: true },
+  production: { decryptResults: false, sendPlaintext: false, plaintextDecrypts: false }
+};
+
+// Payload fields that carry decrypted values
+const PLAINTEXT_FIELDS = ['debug_decrypted_result', 'decrypted_value'];
+
+class PlaintextPayloadError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} path - where in the payload the plaintext was found
+   */
+  constructor(message, path) {
+    super(message);
+    this.name = 'PlaintextPayloadError';
+    this.code = 'PLAINTEXT_REFUSED';
+    this.path = path;
+  }
+}
+
+function parseFlag(name, value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  if (value !== 'true' && value !== 'false') {
+    throw new Error(`${name} must be true or false, got ${value}`);
+  }
+  return value === 'true';
+}
+
+/**
+ * Resolve and check the runtime mode
+ * EXECUTOR_MODE defaults to production under NODE_ENV=production and to dev otherwise;
+ * NODE_ENV=production with any other mode is refused rather than guessed at.
+ * @param {Object} [env=process.env]
+ * @returns {{name: string, decryptResults: boolean, sendPlaintext: boolean, plaintextDecrypts: boolean, decryptService: boolean}}
+ * @throws {Error} on an unknown or contradictory configuration
+ */
+function resolveRuntimeMode(env = process.env) {
+  const name = env.EXECUTOR_MODE || (env.NODE_ENV === 'production' ? 'production' : 'dev');
+  if (!Object.prototype.hasOwnProperty.call(RUNTIME_MODES, name)) {
+    throw new Error(`EXECUTOR_MODE must be one of ${Object.keys(RUNTIME_MODES).join(', ')}, got ${name}`);
+  }
+  if (env.NODE_ENV === 'production' && name !== 'production') {
+    throw new Error(`NODE_ENV=production requires EXECUTOR_MODE=production, got ${name}`);
+  }
+
+  // Production executors hold no secret key unless they are asked to answer decrypt jobs
+  const decryptService = parseFlag('DECRYPT_SERVICE', env.DECRYPT_SERVICE, name !== 'production');
+  return { name, ...RUNTIME_MODES[name], decryptService };
+}
+
+/**
+ * Find a decrypted value in an outgoing payload
+ * @param {*} value
+ * @param {string} [path]
+ * @returns {?string} path of the first plaintext field with a value, null if none
+ */
+function findPlaintext(value, path = '') {
+  if (!value || typeof value !== 'object' || ArrayBuffer.isView(value)) return null;
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = path ? `${path}.${key}` : key;
+    if (PLAINTEXT_FIELDS.includes(key) && child !== null && child !== undefined) {
+      return childPath;
+    }
+    const found = findPlaintext(child, childPath);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * @param {Object} payload - request body about to be sent
+ * @throws {PlaintextPayloadError}
+ */
+function assertNoPlaintext(payload) {
+  const found = findPlaintext(payload);
+  if (found) {
+    throw new PlaintextPayloadError(`Refusing to send plaintext (${found}) in production mode`, found);
+  }
+}
+
+module.exports = {
+  RUNTIME_MODES,
+  PLAINTEXT_FIELDS,
+  PlaintextPayloadError,
+  resolveRuntimeMode,
+  findPlaintext,
+  assertNoPlaintext
+};
@@ -12,17 +12,82 @@
 /* eslint-disable no-console */
 require('dotenv').config();
 const http = require('http');
-const https = require('https');
 const path = require('path');
 const { FHE16 } = require('./FHE16/index.js');
+const { initFHE16, getSecretKey, getKeyShare, getKeyId, getKeyRing, createArena, getParameterSet, convertJSONToInt32Ptr } = require('./fhe-runtime.js');
+const { getAllocationStats } = require('./ciphertext-arena.js');
 const { RateLimiter } = require('./rate-limiter.js');
+const { Logger } = require('./logger.js');
+const { WorkerPool } = require('./worker-pool.js');
+const { JobJournal } = require('./job-journal.js');
+const { GatehouseClient, GatehouseError, loadTlsOptions } = require('./gatehouse-client.js');
+const { ExecutorIdentity } = require('./executor-identity.js');
+const { createAttestation } = require('./attestation.js');
+const { IrRegistry, bindParams } = require('./ir-registry.js');
+const { cidFromCiphertext, parseCID, CidResolver } = require('../lib/fhe16/cid.js');
+const { CiphertextStoreClient } = require('./ciphertext-store-client.js');
+const { CIPHERTEXT_SCHEMA, SCHEMA_ERRORS, CiphertextSchemaError, assertCiphertext } = require('../lib/fhe16/schema.js');
+const { describeParameterSet } = require('../lib/fhe16/params.js');
+const { assertSameKey } = require('./key-bundle.js');
+const { createPartialDecryption } = require('./threshold-decryption.js');
+const { ThresholdError } = require('../lib/fhe16/threshold.js');
+const {
+  AUTHORIZATION_ERRORS, DecryptAuthorizationError, DecryptAuthorizer, sealValue
+} = require('./decrypt-authorization.js');
+const {
+  DecryptPolicy, DecryptPolicyError, createPayrollContract, defaultRules, loadPolicyRules
+} = require('./decrypt-policy.js');
+const { DecryptAuditLog } = require('./decrypt-audit.js');
+const { resolveRuntimeMode } = require('./runtime-mode.js');
+const {
+  AggregateError, AggregateHistory, parseAggregate, resolveAggregateInputs, assertGroupSize, buildAggregateProgram, summarizeAggregate
+} = require('./aggregate-statistics.js');
+
+// dev | demo | production: what this executor may do with plaintext (see runtime-mode.js)
+let runtimeMode;
+try {
+  runtimeMode = resolveRuntimeMode();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+const PRODUCTION = runtimeMode.name === 'production';
 
 // Environment variables with secure defaults
 const EXECUTOR_PORT = process.env.EXECUTOR_PORT || 3001;
 const GATEHOUSE_URL = process.env.GATEHOUSE_URL || 'https://localhost:3000';
-const EXECUTOR_ID = process.env.EXECUTOR_ID || `FHE_Executor_${Date.now()}`;
+const EXECUTOR_KEY_FILE = process.env.EXECUTOR_KEY_FILE || path.join(__dirname, 'data', 'executor-key.pem');
+const EXECUTOR_KEY_AUTOGEN = (process.env.EXECUTOR_KEY_AUTOGEN ||
+  (PRODUCTION ? 'false' : 'true')) === 'true';
 const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL || '5000'); // 5 seconds
 const USE_HTTPS = GATEHOUSE_URL.startsWith('https://');
+const IR_PROGRAM_DIR = process.env.IR_PROGRAM_DIR || path.join(__dirname, 'programs');
+const EXECUTOR_WORKERS = Math.max(1, parseInt(process.env.EXECUTOR_WORKERS || '1'));
+const JOB_JOURNAL_PATH = process.env.JOB_JOURNAL_PATH || path.join(__dirname, 'data', 'job-journal.jsonl');
+const JOB_RECOVERY = process.env.JOB_RECOVERY || 'rerun';                        // rerun | release
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3');
+const JOB_STUCK_AFTER_MS = parseInt(process.env.JOB_STUCK_AFTER_MS || '600000'); // 10 minutes
+const JOB_SUBMIT_RETRIES = parseInt(process.env.JOB_SUBMIT_RETRIES || '5');       // after the client's own retries
+const JOB_SUBMIT_RETRY_MS = parseInt(process.env.JOB_SUBMIT_RETRY_MS || '5000');  // first delay, doubled up to a minute
+const DRAIN_TIMEOUT_MS = parseInt(process.env.DRAIN_TIMEOUT_MS || '120000');     // 2 minutes
+const GATEHOUSE_TIMEOUT_MS = parseInt(process.env.GATEHOUSE_TIMEOUT_MS || '10000'); // per attempt
+const GATEHOUSE_RETRIES = parseInt(process.env.GATEHOUSE_RETRIES || '3');
+const GATEHOUSE_WIRE_FORMAT = process.env.GATEHOUSE_WIRE_FORMAT || 'json';        // json | base64 | multipart
+const GATEHOUSE_WIRE_COMPRESS = process.env.GATEHOUSE_WIRE_COMPRESS === 'true';    // compress frames
+const CID_ALIAS_PATH = process.env.CID_ALIAS_PATH || path.join(__dirname, 'data', 'cid-aliases.jsonl');
+const CIPHERTEXT_STORE_URL = process.env.CIPHERTEXT_STORE_URL || null;  // see ciphertext-store.js
+const DECRYPT_AUTHORIZATION = process.env.DECRYPT_AUTHORIZATION ||
+  (runtimeMode.plaintextDecrypts ? 'optional' : 'required');  // required | optional
+const PAYROLL_ADDRESS = process.env.PAYROLL_ADDRESS || null;             // SalaryPayroll, for decrypt requests
+const PAYROLL_RPC_URL = process.env.PAYROLL_RPC_URL || process.env.MANTLE_SEPOLIA_RPC_URL || null;
+const DECRYPT_REQUEST_MAX_LIFETIME = parseInt(process.env.DECRYPT_REQUEST_MAX_LIFETIME || '3600');  // seconds
+const DECRYPT_NONCE_PATH = process.env.DECRYPT_NONCE_PATH || path.join(__dirname, 'data', 'decrypt-nonces.jsonl');
+const DECRYPT_POLICY_MODULE = process.env.DECRYPT_POLICY_MODULE || null;  // see decrypt-policy.js
+const DECRYPT_AUDIT_LOG = process.env.DECRYPT_AUDIT_LOG || path.join(__dirname, 'data', 'decrypt-audit.jsonl');
+const DECRYPT_COMPLIANCE_AGGREGATES = (process.env.DECRYPT_COMPLIANCE_AGGREGATES || 'tax').split(',').map(s => s.trim()).filter(Boolean);
+const DECRYPT_MANAGER_AGGREGATES = (process.env.DECRYPT_MANAGER_AGGREGATES || 'salary').split(',').map(s => s.trim()).filter(Boolean);
+const AGGREGATE_MIN_GROUP_SIZE = parseInt(process.env.AGGREGATE_MIN_GROUP_SIZE || '5');
+const AGGREGATE_HISTORY_PATH = process.env.AGGREGATE_HISTORY_PATH || path.join(__dirname, 'data', 'aggregate-history.jsonl');
 
 // Rate limiter configuration
 const rateLimiter = new RateLimiter({
@@ -34,287 +99,103 @@ const rateLimiter = new RateLimiter({
 });
 
 // Warning for insecure configuration
-if (!USE_HTTPS && process.env.NODE_ENV === 'production') {
+if (!USE_HTTPS && PRODUCTION) {
   console.warn('⚠️  WARNING: Using HTTP in production environment is insecure!');
   console.warn('⚠️  Set GATEHOUSE_URL to use HTTPS');
 }
 
-let isProcessing = false;
-
-// Logger utility with colors
-class Logger {
-  constructor() {
-    this.colors = {
-      reset: '\x1b[0m',
-      bright: '\x1b[1m',
-      dim: '\x1b[2m',
-      
-      // Level colors
-      debug: '\x1b[36m',    // Cyan
-      info: '\x1b[32m',     // Green
-      warn: '\x1b[33m',     // Yellow
-      error: '\x1b[31m',    // Red
-      demo: '\x1b[31m',     // Red (for demo visualization only)
-      
-      // Component color
-      component: '\x1b[35m', // Magenta
-      
-      // Context color
-      context: '\x1b[90m',   // Gray
-    };
-  }
+// Jobs claimed by this executor and not yet submitted: job_pda -> summary
+const inFlightJobs = new Map();
+let decryptInProgress = false;
 
-  format(level, component, message, context = {}) {
-    const levelTag = level.toUpperCase().padEnd(5);
-    const componentTag = component.padEnd(20);
-    const levelColor = this.colors[level] || this.colors.reset;
-    
-    let contextStr = '';
-    if (Object.keys(context).length > 0) {
-      const pairs = Object.entries(context)
-        .map(([key, val]) => `${key}=${val}`)
-        .join(', ');
-      contextStr = ` ${this.colors.context}(${pairs})${this.colors.reset}`;
-    }
-    
-    return `${levelColor}${this.colors.bright}${levelTag}${this.colors.reset} | ${this.colors.component}${componentTag}${this.colors.reset} | ${levelColor}${message}${this.colors.reset}${contextStr}`;
-  }
-
-  debug(component, message, context) {
-    console.debug(this.format('debug', component, message, context));
-  }
-
-  info(component, message, context) {
-    console.log(this.format('info', component, message, context));
-  }
-
-  warn(component, message, context) {
-    console.warn(this.format('warn', component, message, context));
-  }
-
-  error(component, message, context) {
-    console.error(this.format('error', component, message, context));
-  }
-
-  demo(component, message, context) {
-    console.log(this.format('demo', component, message, context));
-  }
-}
+// Set on SIGTERM/SIGINT: no new jobs are claimed while in-flight work finishes
+let drainState = null;  // { signal, started_at, deadline }
 
 const logger = new Logger();
 
-// Initialize FHE16
-async function initFHE16() {
-  try {
-    logger.info('FHE:Init', 'Initializing FHE16...');
-    
-    const skInitPtr = FHE16.FHE16_GenEval();
-    if (!skInitPtr) {
-      throw new Error('GenEval returned null');
-    }
-
-    const bootPath = path.join(__dirname, 'FHE16', 'store', 'boot', 'bootparam.bin');
-    try {
-      FHE16.bootparamLoadFileGlobal(bootPath);
-    } catch (e) {
-      logger.warn('FHE:Init', 'Could not load bootparam', { error: e.message });
-    }
-
-    await loadSecretKey();
-    
-    logger.info('FHE:Init', 'Initialization complete');
-    return true;
-  } catch (e) {
-    logger.error('FHE:Init', 'Initialization failed', { error: e.message || e });
-    return false;
-  }
-}
-
-// Helper to get appropriate protocol module
-function getHttpModule() {
-  return USE_HTTPS ? https : http;
-}
-
-// Fetch jobs from gatehouse
-async function fetchJobs() {
-  return new Promise((resolve, reject) => {
-    const httpModule = getHttpModule();
-    const req = httpModule.request(`${GATEHOUSE_URL}/api/executor/jobs?limit=1`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Executor-ID': EXECUTOR_ID
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const result = JSON.parse(data);
-          resolve(result);
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-    req.on('error', reject);
-    req.end();
+// Executor signing key: signs every gatehouse request (see executor-identity.js) and result attestations
+// Without EXECUTOR_ID the executor id is derived from the key, so it is stable across restarts
+let identity;
+try {
+  const loaded = ExecutorIdentity.load(EXECUTOR_KEY_FILE, {
+    create: EXECUTOR_KEY_AUTOGEN,
+    executorId: process.env.EXECUTOR_ID
   });
-}
-
-// Claim a job
-async function claimJob(jobPda) {
-  return new Promise((resolve, reject) => {
-    const httpModule = getHttpModule();
-    const postData = JSON.stringify({ executor: EXECUTOR_ID });
-    const req = httpModule.request(`${GATEHOUSE_URL}/api/executor/jobs/${jobPda}/claim`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData),
-        'X-Executor-ID': EXECUTOR_ID
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const result = JSON.parse(data);
-          resolve(result);
-        } catch (e) {
-          reject(e);
-        }
-      });
+  identity = loaded.identity;
+  if (loaded.created) {
+    logger.warn('Identity', 'Generated new executor key; register its public key with the gatehouse', {
+      path: EXECUTOR_KEY_FILE,
+      public_key: identity.publicKeyHex
     });
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
+  }
+} catch (error) {
+  logger.error('Identity', 'Failed to load executor key', { path: EXECUTOR_KEY_FILE, error: error.message });
+  process.exit(1);
 }
+const EXECUTOR_ID = identity.executorId;
+
+// Gatehouse API client (timeouts, retries, TLS from GATEHOUSE_CA_FILE / GATEHOUSE_CLIENT_*)
+const gatehouse = new GatehouseClient({
+  baseUrl: GATEHOUSE_URL,
+  executorId: EXECUTOR_ID,
+  timeoutMs: GATEHOUSE_TIMEOUT_MS,
+  retries: GATEHOUSE_RETRIES,
+  wireFormat: GATEHOUSE_WIRE_FORMAT,
+  compress: GATEHOUSE_WIRE_COMPRESS,
+  tls: loadTlsOptions(),
+  signer: identity,
+  rejectPlaintext: PRODUCTION,
+  logger
+});
 
-// Submit job result
-async function submitResult(jobPda, success, resultCiphertext = null, error = null, executionTime = 0) {
-  return new Promise((resolve, reject) => {
-    const payload = {
-      executor: EXECUTOR_ID,
-      success,
-      execution_time_ms: executionTime
-    };
+// Claimed jobs are journaled until their result is submitted (see job-journal.js)
+const journal = new JobJournal(JOB_JOURNAL_PATH);
+
+// Legacy CID_ result ids -> canonical CIDs (see lib/fhe16/cid.js)
+const cidResolver = new CidResolver(CID_ALIAS_PATH);
+
+// Inputs referenced only by CID are fetched from the ciphertext store; results are uploaded to it
+const ciphertextStore = CIPHERTEXT_STORE_URL
+  ? new CiphertextStoreClient({
+    baseUrl: CIPHERTEXT_STORE_URL,
+    token: process.env.CIPHERTEXT_STORE_TOKEN,
+    compress: process.env.CIPHERTEXT_STORE_COMPRESS === 'true'
+  })
+  : null;
+
+// Signed decrypt requests are authenticated (decrypt-authorization.js), then every decryption
+// goes through the policy and its audit log (decrypt-policy.js, decrypt-audit.js); set up in start()
+let decryptAuthorizer = null;
+let decryptPolicy = null;
+const decryptAudit = new DecryptAuditLog(DECRYPT_AUDIT_LOG, identity);
+
+// Groups whose aggregates were decrypted, so near-identical groups cannot be differenced
+const aggregateHistory = new AggregateHistory(AGGREGATE_HISTORY_PATH, { minGroupSize: AGGREGATE_MIN_GROUP_SIZE });
+
+// Each worker thread loads its own FHE16 context (see fhe-worker.js)
+// Workers hold a secret key only to decrypt results for the dev/demo log
+const workerPool = new WorkerPool({
+  size: EXECUTOR_WORKERS,
+  workerFile: path.join(__dirname, 'fhe-worker.js'),
+  workerData: { decryptResults: runtimeMode.decryptResults },
+  logger
+});
 
-    if (success && resultCiphertext) {
-      payload.result_ciphertext = resultCiphertext;
-    }
+// FHE Operation Registry (declarative IR programs loaded at startup)
+const irRegistry = new IrRegistry();
 
-    if (!success && error) {
-      payload.error = error;
-    }
+function loadIrPrograms() {
+  const { loaded, rejected } = irRegistry.loadDirectory(IR_PROGRAM_DIR);
 
-    const postData = JSON.stringify(payload);
-    const httpModule = getHttpModule();
-    const req = httpModule.request(`${GATEHOUSE_URL}/api/executor/jobs/${jobPda}/result`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData),
-        'X-Executor-ID': EXECUTOR_ID
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const result = JSON.parse(data);
-          resolve(result);
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
-}
-
-// Load secret key for decryption (for testing)
-let secretKey = null;
-
-async function loadSecretKey() {
-  try {
-    const secretPath = path.join(__dirname, 'FHE16', 'store', 'keys', 'secret.bin');
-    if (FHE16.secretKeyLoadFileSafe) {
-      secretKey = FHE16.secretKeyLoadFileSafe(secretPath);
-    }
-    return true;
-  } catch (error) {
-    return false;
+  for (const program of loaded) {
+    logger.info('IR:Registry', 'Program registered', { name: program.name, digest: program.digest });
   }
-}
-
-// FHE Operation Registry
-const FHE_OPERATION_REGISTRY = {
-  // Built-in operations
-  '0xadd0000000000000000000000000000000000000000000000000000000000000': {
-    name: 'binary_add',
-    description: 'Basic addition: output = input[0] + input[1]',
-    input_slots: 2,
-    operations: ['add'],
-    execution_plan: [
-      { op: 'add', inputs: [0, 1], output: 'result' }
-    ]
-  },
-  
-  // Main DeFi operation
-  '0x8fae5df19cb6bc3db4ea7dfc14a9696be683910c9fee64d839a6eef9981129a1': {
-    name: 'defi_operation',
-    description: 'DeFi operation: borrow/withdraw with collateral checks',
-    input_slots: 3,
-    operations: ['smull_constant', 'ge', 'add', 'sub', 'select'],
-    execution_plan: [
-      // Dynamic execution based on input count
-      { op: 'dynamic', inputs: 'auto', output: 'result' }
-    ]
-  },
-  
-  '0xwithdrw000000000000000000000000000000000000000000000000000000000': {
-    name: 'withdraw_with_check',
-    description: 'Withdraw: Check balance >= amount, then subtract',
-    input_slots: 2,
-    operations: ['ge', 'sub', 'select'],
-    execution_plan: [
-      // Inputs: [0]=USDC_balance, [1]=withdraw_amount
-      { op: 'ge', inputs: [0, 1], output: 'temp_a' },
-      { op: 'sub', inputs: [0, 1], output: 'temp_b' },
-      { op: 'select', inputs: ['temp_a', 'temp_b', 0], output: 'result' }
-    ]
-  },
-  
-  '0xmul0000000000000000000000000000000000000000000000000000000000000': {
-    name: 'complex_borrow_check',
-    description: 'Multi-step: collateral check with balance update',
-    input_slots: 3,
-    operations: ['smull_constant', 'ge', 'add', 'select'],
-    execution_plan: [
-      // Inputs: [0]=SOL_balance, [1]=borrow_amount, [2]=USDC_balance
-      { op: 'smull_constant', inputs: [1], constant: 2, output: 'temp_a' },
-      { op: 'ge', inputs: [0, 'temp_a'], output: 'temp_b' },
-      { op: 'add', inputs: [2, 1], output: 'temp_d' },
-      { op: 'select', inputs: ['temp_b', 'temp_d', 2], output: 'result' }
-    ]
-  },
-  
-  '0xhealthcheck00000000000000000000000000000000000000000000000000000': {
-    name: 'liquidation_health_check',
-    description: 'Health factor: (collateral * price) vs (debt * threshold)',
-    input_slots: 3,
-    operations: ['smull', 'smull_constant', 'gt'],
-    execution_plan: [
-      { op: 'smull', inputs: [0, 2], output: 'collateral_value' },
-      { op: 'smull_constant', inputs: [1], constant: 2, output: 'debt_threshold' },
-      { op: 'gt', inputs: ['collateral_value', 'debt_threshold'], output: 'result' }
-    ]
+  for (const entry of rejected) {
+    logger.error('IR:Registry', 'Program rejected', { file: entry.file, error: entry.error });
   }
-};
+
+  return loaded.length;
+}
 
 // Execute FHE computation based on IR digest
 async function executeFHEComputation(job) {
@@ -331,7 +212,7 @@ async function executeFHEComputation(job) {
     }
 
     // Look up operation definition from IR registry
-    const operation = FHE_OPERATION_REGISTRY[irDigest];
+    const operation = irRegistry.get(irDigest);
     if (!operation) {
       throw new Error(`Unknown IR digest: ${irDigest}. Operation not registered.`);
     }
@@ -342,54 +223,77 @@ async function executeFHEComputation(job) {
       steps: operation.execution_plan.length 
     });
 
-    // Validate input count (allow flexibility for dynamic operations)
-    if (operation.name !== 'defi_operation' && inputCiphertexts.length !== operation.input_slots) {
-      throw new Error(`Input mismatch: operation requires ${operation.input_slots} inputs, got ${inputCiphertexts.length}`);
-    }
-    
-    // For dynamic operations, adjust based on actual input count
-    if (operation.name === 'defi_operation') {
-      if (inputCiphertexts.length < 2 || inputCiphertexts.length > 3) {
-        throw new Error(`DeFi operation requires 2-3 inputs, got ${inputCiphertexts.length}`);
-      }
+    // Validate input count (dynamic programs accept a range of inputs)
+    const minInputs = operation.min_input_slots || operation.input_slots;
+    if (inputCiphertexts.length < minInputs || inputCiphertexts.length > operation.input_slots) {
+      const expected = minInputs === operation.input_slots
+        ? `${operation.input_slots}`
+        : `${minInputs}-${operation.input_slots}`;
+      throw new Error(`Input mismatch: operation requires ${expected} inputs, got ${inputCiphertexts.length}`);
     }
 
-    // Extract ciphertext data from all inputs
+    // Bind plaintext job parameters (rates, thresholds) into the plan
+    const boundOperation = bindParams(operation, job.params || {});
+
+    // Extract and validate ciphertext data from all inputs
     const inputData = [];
+    const inputKeyIds = [];
     for (let i = 0; i < inputCiphertexts.length; i++) {
-      const ct = inputCiphertexts[i];
-      
-      let ctData;
-      if (ct.ciphertext && typeof ct.ciphertext === 'object') {
-        if (ct.ciphertext.encrypted_data && ct.ciphertext.encrypted_data.encrypted_data) {
-          ctData = ct.ciphertext.encrypted_data.encrypted_data;
-        } else if (ct.ciphertext.encrypted_data) {
-          ctData = ct.ciphertext.encrypted_data;
-        } else {
-          throw new Error(`Invalid ciphertext format for input[${i}]`);
-        }
-      } else {
-        throw new Error(`Missing ciphertext data for input[${i}]`);
-      }
-      
-      inputData.push(ctData);
+      const { encryptedData, keyId } = await extractInputCiphertext(inputCiphertexts[i], `ciphertexts[${i}]`);
+      inputData.push(encryptedData);
+      inputKeyIds.push(keyId);
     }
 
+    // FHE16 evaluates under one global key set: every input must be under it
+    assertSameKey(inputKeyIds, getKeyId(), i => inputCiphertexts[i].ciphertext ? `ciphertexts[${i}].ciphertext.key_id` : `ciphertexts[${i}].key_id`);
+
+    // Inputs are content-addressed: a CID declared by the job must name these bytes
+    const inputCids = inputData.map((ctData, i) => {
+      const cid = cidFromCiphertext(ctData);
+      const declared = inputCiphertexts[i].cid;
+      const expected = declared ? cidResolver.resolve(declared) : null;
+      if (expected && expected !== cid) {
+        throw new CiphertextSchemaError(`job declares ${declared}, ciphertext is ${cid}`, SCHEMA_ERRORS.CID_MISMATCH, {
+          path: `ciphertexts[${i}].cid`, expected: declared, actual: cid
+        });
+      }
+      return cid;
+    });
+
     logger.debug('FHE:Computation', 'Inputs extracted, starting computation', { count: inputData.length });
 
-    // Execute FHE computation
-    const result = await executeUniversalFHEComputation(operation, inputData);
+    // Execute FHE computation on a pool worker
+    const result = await workerPool.run({ program: boundOperation, inputData });
+
+    // Generate a deterministic CID per output; the first output is the primary result
+    // Each output carries a signed attestation binding it to the inputs and program
+    const resultCiphertexts = result.outputs.map((output) => {
+      const resultCt = generateDeterministicResult(output, job, operation, inputCiphertexts.length);
+      resultCt.attestation = createAttestation(identity, {
+        jobPda: job.job_pda,
+        irDigest: job.ir_digest,
+        params: boundOperation.bound_params,
+        inputs: inputData.map((ctData, slot) => ({ cid: inputCids[slot], encrypted_data: ctData })),
+        output: { name: output.name, cid: resultCt.cid, encrypted_data: output.encrypted_data },
+        timestamp: resultCt.timestamp
+      });
+      return resultCt;
+    });
+    const resultCiphertext = resultCiphertexts[0];
 
-    // Generate deterministic result CID
-    const resultCiphertext = generateDeterministicResult(result, job, operation, inputCiphertexts.length);
+    if (ciphertextStore) {
+      await storeResults(resultCiphertexts);
+    }
 
     const executionTime = Date.now() - startTime;
     
-    // Final result summary
-    if (resultCiphertext.debug_decrypted_result !== null && resultCiphertext.debug_decrypted_result !== undefined) {
+    // Final result summary (dev/demo: workers decrypted the outputs)
+    const decryptedResult = result.outputs[0].debug_decrypted_result;
+    if (decryptedResult !== null && decryptedResult !== undefined) {
       logger.info('FHE:Computation', 'Computation completed successfully', { 
         operation: operation.name, 
-        result: resultCiphertext.debug_decrypted_result, 
+        result: decryptedResult, 
+        outputs: resultCiphertexts.length,
         time_ms: executionTime 
       });
     }
@@ -397,430 +301,113 @@ async function executeFHEComputation(job) {
     return {
       success: true,
       resultCiphertext,
+      resultCiphertexts,
       executionTime
     };
 
   } catch (error) {
     const executionTime = Date.now() - startTime;
-    logger.error('FHE:Computation', 'Computation failed', { error: error.message, time_ms: executionTime });
+    const schemaError = error instanceof CiphertextSchemaError;
+    logger.error('FHE:Computation', 'Computation failed', {
+      error: error.message,
+      code: schemaError ? error.code : undefined,
+      time_ms: executionTime
+    });
     
     return {
       success: false,
       error: error.message,
+      errorCode: schemaError ? error.code : undefined,
+      errorPath: schemaError ? error.path : undefined,
       executionTime
     };
   }
 }
 
-// FHE computation executor
-async function executeUniversalFHEComputation(operation, inputData) {
-  try {
-    // Convert all input data to FHE16 Int32Ptr format
-    const inputPtrs = [];
-    for (let i = 0; i < inputData.length; i++) {
-        const ptr = convertJSONToInt32Ptr(inputData[i]);
-      inputPtrs.push(ptr);
-    }
-
-    // Storage for intermediate values and results
-    const computeStack = {};
-    
-    // Initialize input variables in compute stack
-    for (let i = 0; i < inputPtrs.length; i++) {
-      computeStack[i] = inputPtrs[i];
-    }
-
-    
-    // Execute each step in the execution plan
-    for (let stepIndex = 0; stepIndex < operation.execution_plan.length; stepIndex++) {
-      const step = operation.execution_plan[stepIndex];
-
-      let resultPtr;
-      
-      // Execute the FHE operation based on type
-      switch (step.op) {
-        case 'dynamic':
-          // Handle dynamic DeFi operations based on input count
-          if (inputPtrs.length === 2) {
-            // 2 inputs: Simple withdraw check (balance >= amount, then subtract)
-            logger.debug('FHE:Operation', 'Executing dynamic withdraw operation', { inputs: 2 });
-            const checkPtr = FHE16.ge(computeStack[0], computeStack[1]); // balance >= amount
-            
-            // WORKAROUND: Use NEG + ADD instead of SUB to avoid FHE16 SUB bug
-            const negAmountPtr = FHE16.neg(computeStack[1]);              // -amount
-            const subPtr = FHE16.add(computeStack[0], negAmountPtr);      // balance + (-amount) = balance - amount
-            
-            resultPtr = FHE16.select(checkPtr, subPtr, computeStack[0]);  // if sufficient then subtract, else keep original
-          } else if (inputPtrs.length === 3) {
-            // 3 inputs: Complex borrow (collateral check + balance update)
-            logger.debug('FHE:Operation', 'Executing dynamic borrow operation', { inputs: 3 });
-            const collateralCheck = FHE16.smullConst_i32(computeStack[1], 2); // borrow_amount * 2
-            const sufficientCollateral = FHE16.ge(computeStack[0], collateralCheck); // SOL >= (borrow * 2)
-            const newBalance = FHE16.add(computeStack[2], computeStack[1]); // USDC + borrow_amount
-            resultPtr = FHE16.select(sufficientCollateral, newBalance, computeStack[2]); // if sufficient then add, else keep original
-          } else {
-            throw new Error(`Dynamic operation supports 2-3 inputs, got ${inputPtrs.length}`);
-          }
-          break;
-          
-        case 'add':
-          const [addInput1, addInput2] = step.inputs.map(input => 
-            typeof input === 'number' ? computeStack[input] : computeStack[input]
-          );
-          resultPtr = FHE16.add(addInput1, addInput2);
-          break;
-        
-        case 'sub':
-          const [subInput1, subInput2] = step.inputs.map(input => 
-            typeof input === 'number' ? computeStack[input] : computeStack[input]
-          );
-          resultPtr = FHE16.sub(subInput1, subInput2);
-          break;
-          
-        case 'ge':
-          const [geInput1, geInput2] = step.inputs.map(input => 
-            typeof input === 'number' ? computeStack[input] : computeStack[input]
-          );
-          resultPtr = FHE16.ge(geInput1, geInput2);
-          break;
-          
-        case 'smull':
-          const [mulInput1, mulInput2] = step.inputs.map(input => 
-            typeof input === 'number' ? computeStack[input] : computeStack[input]
-          );
-          resultPtr = FHE16.smull(mulInput1, mulInput2);
-          break;
-          
-        case 'smull_constant':
-          const mulConstInput = typeof step.inputs[0] === 'number' ? 
-            computeStack[step.inputs[0]] : computeStack[step.inputs[0]];
-          const constant = step.constant || 1;
-          resultPtr = FHE16.smullConst_i32(mulConstInput, constant);
-          break;
-          
-        case 'gt':
-          const [gtInput1, gtInput2] = step.inputs.map(input => 
-            typeof input === 'number' ? computeStack[input] : computeStack[input]
-          );
-          resultPtr = FHE16.gt(gtInput1, gtInput2);
-          break;
-          
-        case 'select':
-          const [condition, trueVal, falseVal] = step.inputs.map(input => 
-            typeof input === 'number' ? computeStack[input] : computeStack[input]
-          );
-          resultPtr = FHE16.select(condition, trueVal, falseVal);
-          break;
-          
-        default:
-          throw new Error(`Unsupported FHE operation: ${step.op}`);
-      }
-
-      // Store result in compute stack
-      computeStack[step.output] = resultPtr;
-    }
-
-    // Return the final result
-    const finalResult = computeStack['result'];
-    if (!finalResult) {
-      throw new Error('Execution plan did not produce a result');
-    }
-
-    // Convert result Int32Ptr back to JSON array format
-    const ref = require('ref-napi');
-    const resultLength = 16 + 1040 * 32;
-    const resultBuffer = ref.reinterpret(finalResult, resultLength * 4, 0);
-    const resultArray = [];
-    
-    for (let i = 0; i < resultLength; i++) {
-      resultArray.push(resultBuffer.readInt32LE(i * 4));
-    }
-
-    // DEMO ONLY: Decrypt result for debugging (visualization purposes only)
-    let decryptedResult = null;
-    if (secretKey) {
-      try {
-        decryptedResult = FHE16.decInt(finalResult, secretKey);
-        logger.demo('FHE:Demo', `DECRYPTED RESULT >>> \x1b[1m\x1b[33m${decryptedResult}\x1b[0m\x1b[31m <<< (Demo visualization only)`);
-      } catch (decError) {
-        logger.warn('FHE:Debug', 'Decryption failed', { error: decError.message });
-      }
-    }
-
-    return {
-      encrypted_data: resultArray,
-      scheme: 'FHE16_0.0.1v',
-      timestamp: Date.now(),
-      operation: operation.name,
-      debug_decrypted_result: decryptedResult
-    };
-
-  } catch (error) {
-    logger.error('FHE:Computation', 'Universal computation failed', { error: error.message });
-    throw error;
-  }
-}
-
-// Extract ciphertext data from job objects
-function extractCiphertextDataFromJob(cid1, cid2) {
-  let ct1Data, ct2Data;
-
-  // Extract from CID1 - handle nested encrypted_data structure
-  if (cid1.ciphertext && typeof cid1.ciphertext === 'object') {
-    if (cid1.ciphertext.encrypted_data && cid1.ciphertext.encrypted_data.encrypted_data) {
-      // Handle nested structure: ciphertext.encrypted_data.encrypted_data
-      ct1Data = cid1.ciphertext.encrypted_data.encrypted_data;
-    } else if (cid1.ciphertext.encrypted_data) {
-      // Handle direct structure: ciphertext.encrypted_data
-      ct1Data = cid1.ciphertext.encrypted_data;
-    } else {
-      throw new Error('Invalid ciphertext format for CID1');
-    }
-  } else {
-    throw new Error('Missing ciphertext data for CID1');
+// Ciphertext values and key id for one job input: inline (any accepted shape) or fetched by CID
+// The key id is the ciphertext's own, else the store's record, else the job's declaration
+async function extractInputCiphertext(input, path) {
+  if (input && input.ciphertext !== undefined && input.ciphertext !== null) {
+    const { encryptedData, keyId } = assertCiphertext(input.ciphertext, { path: `${path}.ciphertext` });
+    return { encryptedData, keyId: keyId || input.key_id || null };
   }
-
-  // Extract from CID2 - handle nested encrypted_data structure
-  if (cid2.ciphertext && typeof cid2.ciphertext === 'object') {
-    if (cid2.ciphertext.encrypted_data && cid2.ciphertext.encrypted_data.encrypted_data) {
-      // Handle nested structure: ciphertext.encrypted_data.encrypted_data
-      ct2Data = cid2.ciphertext.encrypted_data.encrypted_data;
-    } else if (cid2.ciphertext.encrypted_data) {
-      // Handle direct structure: ciphertext.encrypted_data
-      ct2Data = cid2.ciphertext.encrypted_data;
-    } else {
-      throw new Error('Invalid ciphertext format for CID2');
+  if (input && input.cid && ciphertextStore) {
+    const cid = cidResolver.resolve(input.cid);
+    if (!cid) {
+      throw new Error(`Cannot resolve CID for ${path}: ${input.cid}`);
     }
-  } else {
-    throw new Error('Missing ciphertext data for CID2');
+    const stored = await ciphertextStore.fetch(cid);
+    const { encryptedData } = assertCiphertext({ encrypted_data: stored.encrypted_data }, { path });
+    return { encryptedData, keyId: stored.key_id || input.key_id || null };
   }
-
-  return { ct1Data, ct2Data };
+  throw new CiphertextSchemaError('missing ciphertext or cid', SCHEMA_ERRORS.MISSING_DATA, { path });
 }
 
-// Convert JSON ciphertext data to FHE16 Int32Ptr
-function convertJSONToInt32Ptr(ciphertextArray) {
-  try {
-    // Validate input
-    const expectedLength = 16 + 1040 * 32;
-    if (!ciphertextArray || ciphertextArray.length !== expectedLength) {
-      throw new Error(`Invalid ciphertext length: expected ${expectedLength}, got ${ciphertextArray?.length || 0}`);
-    }
-
-    // Convert to Int32Ptr
-    const dummyCiphertextPtr = FHE16.encInt(0, 32);
-    if (!dummyCiphertextPtr) {
-      throw new Error('Failed to create dummy ciphertext');
-    }
-    
-    const ref = require('ref-napi');
-    const ctBuffer = ref.reinterpret(dummyCiphertextPtr, expectedLength * 4, 0);
-    for (let i = 0; i < ciphertextArray.length; i++) {
-      ctBuffer.writeInt32LE(ciphertextArray[i], i * 4);
-    }
-    
-    
-    return dummyCiphertextPtr;
-    
-  } catch (error) {
-    logger.error('FHE:Conversion', 'JSON to Int32Ptr conversion failed', { 
-      error: error.message, 
-      stack: error.stack 
-    });
-    throw error;
-  }
-}
+// Build a result ciphertext with its canonical CID
+// deterministic_cid keeps the old CID_ id for gatehouses that still index by it;
+// the alias is recorded so it resolves to the canonical CID
+// The demo decryption is only sent in demo mode; dev keeps it to the local log
+function generateDeterministicResult(result, job, program, inputCount) {
+  const cid = cidFromCiphertext(result.encrypted_data);
+  const legacyCid = generateLegacyCID(job.job_pda, program.operations.join('_'), result.name);
 
-// Perform FHE computation on encrypted data
-async function performFHEComputation(program, ct1Data, ct2Data, ct3Data = null) {
   try {
-    logger.info('FHE:Computation', 'Executing DeFi scenario', { 
-      scenario: program.scenario, 
-      computation: program.computation 
-    });
-    
-    // Convert to FHE16 Int32Ptr
-    const ct1Ptr = convertJSONToInt32Ptr(ct1Data);
-    const ct2Ptr = convertJSONToInt32Ptr(ct2Data);
-    
-    let ct3Ptr = null;
-    if (ct3Data) {
-      ct3Ptr = convertJSONToInt32Ptr(ct3Data);
-    }
-    
-    if (!ct1Ptr || !ct2Ptr) {
-      throw new Error('Failed to convert JSON ciphertexts to Int32Ptr');
-    }
-    if (ct3Data && !ct3Ptr) {
-      throw new Error('Failed to convert CT3 JSON ciphertext to Int32Ptr');
-    }
-    
-    let resultPtr;
-    
-    switch (program.scenario) {
-      case 'deposit_operation':
-        logger.debug('FHE:Operation', 'Executing deposit operation');
-        resultPtr = FHE16.add(ct1Ptr, ct2Ptr);
-        break;
-        
-      case 'withdraw_operation':
-        logger.debug('FHE:Operation', 'Executing withdraw operation');
-        resultPtr = FHE16.ge(ct2Ptr, ct1Ptr); 
-        break;
-        
-      case 'borrow_operation':
-        logger.debug('FHE:Operation', 'Executing borrow operation');
-        const aPtr = FHE16.smullConstant(ct2Ptr, 2);
-        const bPtr = FHE16.ge(ct1Ptr, aPtr);
-        const dPtr = FHE16.add(ct3Ptr, ct2Ptr);
-        resultPtr = FHE16.select(bPtr, dPtr, ct3Ptr);
-        break;
-        
-      case 'liquidation_check':
-        logger.debug('FHE:Operation', 'Executing liquidation check operation');
-        const debtPenaltyPtr = FHE16.add(ct1Ptr, ct2Ptr);
-        const collateralThresholdPtr = FHE16.smull(ct2Ptr, ct1Ptr);
-        resultPtr = FHE16.gt(debtPenaltyPtr, collateralThresholdPtr);
-        break;
-        
-      default:
-        throw new Error(`Unsupported DeFi scenario: ${program.scenario}`);
-    }
-    
-    if (!resultPtr) {
-      throw new Error(`DeFi computation ${program.scenario} returned null pointer`);
-    }
-
-    // Convert result Int32Ptr back to JSON array format
-    const ref = require('ref-napi');
-    const resultLength = 16 + 1040 * 32;
-    const resultBuffer = ref.reinterpret(resultPtr, resultLength * 4, 0);
-    const resultArray = [];
-    
-    for (let i = 0; i < resultLength; i++) {
-      resultArray.push(resultBuffer.readInt32LE(i * 4));
-    }
-
-    // DEMO ONLY: Decrypt for visualization purposes only
-    let decryptedResult = null;
-    if (secretKey) {
-      try {
-        decryptedResult = FHE16.decInt(resultPtr, secretKey);
-        logger.demo('FHE:Demo', `DECRYPTED RESULT >>> \x1b[1m\x1b[33m${decryptedResult}\x1b[0m\x1b[31m <<< (Demo visualization only)`, { operation: program.scenario });
-      } catch (decError) {
-        logger.warn('FHE:Debug', 'Decryption failed', { error: decError.message });
-      }
-    }
-
-    return {
-      encrypted_data: resultArray,
-      scheme: 'FHE16_0.0.1v',
-      timestamp: Date.now(),
-      operation: program.scenario,
-      debug_decrypted_result: decryptedResult
-    };
-
+    cidResolver.register(legacyCid, cid);
   } catch (error) {
-    logger.error('FHE:Computation', 'FHE computation failed', { error: error.message });
-    throw error;
+    logger.warn('CID:Resolver', 'Legacy alias not recorded', { legacy_cid: legacyCid, error: error.message });
   }
-}
 
-
-// Generate deterministic result CID
-function generateDeterministicResult(result, job, program, inputCount) {
-  const deterministicId = generateDeterministicCID(job.job_pda, program.operations.join('_'));
-  
   return {
+    output: result.name,
     encrypted_data: result.encrypted_data,
     operation: program.operations.join('_'),
     input_count: inputCount,
-    deterministic_cid: deterministicId,
+    cid,
+    deterministic_cid: legacyCid,
     ir_digest: job.ir_digest,
     timestamp: Date.now(),
-    scheme: 'FHE16_0.0.1v',
-    debug_decrypted_result: result.debug_decrypted_result
+    schema: CIPHERTEXT_SCHEMA,
+    scheme: getParameterSet().scheme,
+    bit_width: result.bit_width,
+    ...(getKeyId() ? { key_id: getKeyId() } : {}),
+    ...(runtimeMode.sendPlaintext ? { debug_decrypted_result: result.debug_decrypted_result } : {})
   };
 }
 
-// Generate deterministic CID based on input parameters
-function generateDeterministicCID(jobPda, operations) {
+// Upload results so they can be fetched by CID; results are still submitted inline
+async function storeResults(resultCiphertexts) {
+  for (const resultCt of resultCiphertexts) {
+    try {
+      await ciphertextStore.put(resultCt);
+    } catch (error) {
+      logger.warn('Store:Client', 'Result not stored', { cid: resultCt.cid, error: error.message });
+    }
+  }
+}
+
+// Legacy result id: hashes job metadata, not the ciphertext
+// The "result" output keeps the single-output CID so existing jobs resolve unchanged
+function generateLegacyCID(jobPda, operations, outputName = 'result') {
   const crypto = require('crypto');
   const hash = crypto.createHash('sha256');
   hash.update(jobPda);
   hash.update(operations);
+  if (outputName !== 'result') {
+    hash.update(`:${outputName}`);
+  }
   hash.update('FHE16_DETERMINISTIC');
   return 'CID_' + hash.digest('hex').substring(0, 32);
 }
 
-// Fetch decrypt jobs from gatehouse
-async function fetchDecryptJobs() {
-  return new Promise((resolve, reject) => {
-    const httpModule = getHttpModule();
-    const req = httpModule.request(`${GATEHOUSE_URL}/api/executor/decrypt-jobs?limit=1`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Executor-ID': EXECUTOR_ID
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const result = JSON.parse(data);
-          resolve(result);
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-    req.on('error', reject);
-    req.end();
-  });
-}
-
-// Submit decrypt result
-async function submitDecryptResult(decryptId, success, decryptedValue = null, error = null) {
-  return new Promise((resolve, reject) => {
-    const payload = {
-      executor: EXECUTOR_ID,
-      success,
-      decrypted_value: decryptedValue,
-      error
-    };
-
-    const postData = JSON.stringify(payload);
-    const httpModule = getHttpModule();
-    const req = httpModule.request(`${GATEHOUSE_URL}/api/executor/decrypt-jobs/${decryptId}/result`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData),
-        'X-Executor-ID': EXECUTOR_ID
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const result = JSON.parse(data);
-          resolve(result);
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
-}
-
 // Poll and process decrypt jobs
 async function pollForDecryptJobs() {
+  if (drainState || decryptInProgress) {
+    return;
+  }
+
   try {
-    const jobsData = await fetchDecryptJobs();
+    decryptInProgress = true;
+    const jobsData = await gatehouse.fetchDecryptJobs();
 
     if (!jobsData || !jobsData.jobs || jobsData.jobs.length === 0) {
       return;
@@ -828,6 +415,12 @@ async function pollForDecryptJobs() {
 
     const job = jobsData.jobs[0];
     const decryptId = job.decrypt_id;
+
+    // Aggregate-only job: many ciphertexts in, one decrypted statistic out
+    if (job.aggregate) {
+      await processAggregateJob(job);
+      return;
+    }
     const cid = job.cid;
 
     logger.info('Decrypt:Polling', 'Decrypt job found', { 
@@ -836,34 +429,82 @@ async function pollForDecryptJobs() {
     });
 
     try {
-      // Extract ciphertext data
-      let ctData;
-      if (job.ciphertext && typeof job.ciphertext === 'object') {
-        if (job.ciphertext.encrypted_data && job.ciphertext.encrypted_data.encrypted_data) {
-          ctData = job.ciphertext.encrypted_data.encrypted_data;
-        } else if (job.ciphertext.encrypted_data) {
-          ctData = job.ciphertext.encrypted_data;
-        } else {
-          throw new Error('Invalid ciphertext format');
+      // Extract and validate ciphertext data
+      const parsed = assertCiphertext(job.ciphertext, { path: 'ciphertext' });
+      const ctData = parsed.encryptedData;
+
+      // Decrypt with the secret of the key the ciphertext is under (retiring keys still decrypt)
+      const keyId = parsed.keyId || job.key_id || null;
+
+      // Payslip jobs carry the requester's signed request; without one a plaintext answer
+      // is only given when DECRYPT_AUTHORIZATION=optional. Threshold partials go through the
+      // same check: t of them are the plaintext.
+      const { authorized, decision } = await decryptPolicy.admit(
+        { decryptId, cid },
+        {
+          authorization: job.authorization,
+          authenticate: decryptAuthorizer && (auth => decryptAuthorizer.authorize({ decryptId, cid, encryptedData: ctData }, auth)),
+          required: DECRYPT_AUTHORIZATION === 'required'
+        }
+      );
+
+      // Threshold job: return this executor's partial decryption, never a plaintext
+      if (job.threshold) {
+        const share = getKeyShare(keyId);
+        if (!share) {
+          throw new Error(`No key share for key ${keyId || getKeyId()}`);
         }
-      } else {
-        throw new Error('Missing ciphertext data');
+        const partial = createPartialDecryption(identity, {
+          decryptId,
+          cid,
+          keyId,
+          quorum: job.threshold.quorum,
+          share,
+          encryptedData: ctData,
+          params: getParameterSet()
+        });
+        await gatehouse.submitPartialDecryption(decryptId, partial);
+        logger.info('Decrypt:Threshold', 'Partial decryption submitted', {
+          decrypt_id: decryptId.slice(0, 16) + '...',
+          party: share.index,
+          quorum: partial.statement.quorum,
+          requester: authorized ? authorized.requester : null,
+          rule: decision.rule
+        });
+        return;
       }
 
-      // Convert to Int32Ptr
-      const ctPtr = convertJSONToInt32Ptr(ctData);
-      
-      // Decrypt using secret key
+      const secretKey = getSecretKey(keyId);
       if (!secretKey) {
-        throw new Error('Secret key not available');
+        if (getKeyShare(keyId)) {
+          throw new Error(`This executor holds only a share of key ${keyId || getKeyId()}; decrypt it with a threshold job`);
+        }
+        throw new Error(keyId ? `Secret key not available for key ${keyId}` : 'Secret key not available');
       }
 
-      const decryptedValue = FHE16.decInt(ctPtr, secretKey);
+      // The imported ciphertext is freed as soon as it is decrypted
+      const arena = createArena();
+      let decryptedValue;
+      try {
+        decryptedValue = FHE16.decInt(arena.track(convertJSONToInt32Ptr(ctData)), secretKey);
+      } finally {
+        arena.release();
+      }
+
+      if (authorized) {
+        await gatehouse.submitSealedResult(decryptId, sealValue(decryptedValue, authorized.recipientKey, { decryptId, cid }));
+        logger.info('Decrypt:Result', 'Decrypt job completed, value sealed to the requester', {
+          decrypt_id: decryptId.slice(0, 16) + '...',
+          requester: authorized.requester,
+          rule: decision.rule
+        });
+        return;
+      }
       
       logger.demo('Decrypt:Demo', 'DECRYPTED VALUE FOR UI', { value: decryptedValue, cid: cid.slice(0, 8) + '...' });
 
       // Submit result
-      await submitDecryptResult(decryptId, true, decryptedValue);
+      await gatehouse.submitDecryptResult(decryptId, true, decryptedValue);
       
       logger.info('Decrypt:Result', 'Decrypt job completed', { 
         decrypt_id: decryptId.slice(0, 16) + '...',
@@ -871,23 +512,181 @@ async function pollForDecryptJobs() {
       });
 
     } catch (error) {
-      logger.error('Decrypt:Processing', 'Decryption failed', { error: error.message });
-      await submitDecryptResult(decryptId, false, null, error.message);
+      const errorCode = error instanceof CiphertextSchemaError || error instanceof ThresholdError ||
+        error instanceof DecryptAuthorizationError || error instanceof DecryptPolicyError ? error.code : null;
+      logger.error('Decrypt:Processing', 'Decryption failed', { error: error.message, code: errorCode || undefined });
+      await gatehouse.submitDecryptResult(decryptId, false, null, error.message, errorCode);
     }
 
   } catch (error) {
     // Silently ignore polling errors (gatehouse might be unavailable)
+  } finally {
+    decryptInProgress = false;
+  }
+}
+
+// Aggregate-only decrypt job (aggregate-statistics.js): the inputs are summed or counted
+// on a pool worker and only the aggregate outputs are decrypted here
+async function processAggregateJob(job) {
+  const decryptId = job.decrypt_id;
+  try {
+    let aggregate = parseAggregate(job.aggregate);
+    const request = {
+      decryptId,
+      cid: aggregate.id,
+      requester: null,
+      resource: { kind: 'aggregate', statistic: aggregate.statistic, inputs: aggregate.cids.length }
+    };
+    logger.info('Decrypt:Aggregate', 'Aggregate job found', {
+      decrypt_id: decryptId.slice(0, 16) + '...',
+      statistic: aggregate.statistic,
+      inputs: aggregate.cids.length
+    });
+
+    // Same authentication as single decrypts, with the request signed for the aggregate id
+    let authorized = null;
+    try {
+      if (job.authorization) {
+        if (!decryptAuthorizer) {
+          throw new DecryptAuthorizationError('No payroll contract configured for decrypt requests (PAYROLL_ADDRESS)', AUTHORIZATION_ERRORS.NOT_CONFIGURED);
+        }
+        authorized = decryptAuthorizer.authorizeAggregate({ decryptId, aggregateId: aggregate.id }, job.authorization);
+      } else if (DECRYPT_AUTHORIZATION === 'required') {
+        throw new DecryptAuthorizationError('Aggregate job has no signed request', AUTHORIZATION_ERRORS.MISSING);
+      }
+      request.requester = authorized ? authorized.requester : null;
+
+      // What the inputs are and whose they are comes from SalaryPayroll, not from the job
+      aggregate = await resolveAggregateInputs(decryptPolicy.payroll, aggregate);
+      request.resource = { ...request.resource, of: aggregate.of, source: aggregate.source, groupSize: aggregate.groupSize };
+
+      // Not left to the policy module: no configuration releases a small or differenced group
+      assertGroupSize(aggregate, AGGREGATE_MIN_GROUP_SIZE);
+      aggregateHistory.check(aggregate.cids);
+    } catch (error) {
+      if (error instanceof DecryptAuthorizationError) {
+        decryptPolicy.reject(request, error);
+      } else if (error instanceof AggregateError) {
+        decryptPolicy.reject(request, error, 'aggregate');
+      }
+      throw error;
+    }
+    const decision = await decryptPolicy.enforce(request);
+
+    const inputData = [];
+    const inputKeyIds = [];
+    for (let i = 0; i < aggregate.inputs.length; i++) {
+      const { encryptedData, keyId } = await extractInputCiphertext(aggregate.inputs[i], `aggregate.inputs[${i}]`);
+      const cid = cidFromCiphertext(encryptedData);
+      if (cid !== aggregate.inputs[i].cid) {
+        throw new CiphertextSchemaError(`aggregate declares ${aggregate.inputs[i].cid}, ciphertext is ${cid}`, SCHEMA_ERRORS.CID_MISMATCH, {
+          path: `aggregate.inputs[${i}].cid`, expected: aggregate.inputs[i].cid, actual: cid
+        });
+      }
+      inputData.push(encryptedData);
+      inputKeyIds.push(keyId);
+    }
+    assertSameKey(inputKeyIds, getKeyId(), i => `aggregate.inputs[${i}].key_id`);
+
+    const program = buildAggregateProgram(aggregate);
+    const result = await workerPool.run({ program, inputData });
+
+    const secretKey = getSecretKey();
+    if (!secretKey) {
+      throw new Error('Secret key not available');
+    }
+    const values = {};
+    const arena = createArena();
+    try {
+      for (const output of result.outputs) {
+        values[output.name] = FHE16.decInt(arena.track(convertJSONToInt32Ptr(output.encrypted_data)), secretKey);
+      }
+    } finally {
+      arena.release();
+    }
+    const summary = summarizeAggregate(aggregate, values);
+    aggregateHistory.record(decryptId, aggregate.cids);
+
+    if (authorized) {
+      await gatehouse.submitSealedResult(decryptId, sealValue(summary, authorized.recipientKey, { decryptId, cid: aggregate.id }));
+    } else {
+      await gatehouse.submitDecryptResult(decryptId, true, summary);
+    }
+    logger.info('Decrypt:Aggregate', 'Aggregate job completed', {
+      decrypt_id: decryptId.slice(0, 16) + '...',
+      statistic: aggregate.statistic,
+      group_size: summary.group_size,
+      requester: authorized ? authorized.requester : null,
+      rule: decision.rule,
+      sealed: Boolean(authorized)
+    });
+  } catch (error) {
+    const errorCode = error instanceof AggregateError || error instanceof CiphertextSchemaError ||
+      error instanceof DecryptAuthorizationError || error instanceof DecryptPolicyError ? error.code : null;
+    logger.error('Decrypt:Aggregate', 'Aggregate job failed', { error: error.message, code: errorCode || undefined });
+    await gatehouse.submitDecryptResult(decryptId, false, null, error.message, errorCode);
+  }
+}
+
+// Submit a finished job's result, retrying transient failures with backoff so the
+// result is not left pending until the next restart. Gives up early once a drain
+// deadline passes; the journal keeps the result for recoverJournal either way.
+async function submitFinishedResult(jobPda, result) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await gatehouse.submitResult(jobPda, result);
+    } catch (error) {
+      const delay = Math.min(60000, JOB_SUBMIT_RETRY_MS * 2 ** (attempt - 1));
+      if (!error.retryable || attempt > JOB_SUBMIT_RETRIES ||
+          (drainState && Date.now() + delay > drainState.deadline)) {
+        throw error;
+      }
+      logger.warn('Job:Submit', 'Result submission failed, retrying', {
+        job_id: jobPda.slice(0, 8), attempt, error: error.message, delay_ms: delay
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Run a claimed job to completion and submit its result
+async function processJob(job) {
+  const jobPda = job.job_pda;
+  const jobId = jobPda.slice(0, 8);
+
+  try {
+    journal.started(jobPda);
+    const result = await executeFHEComputation(job);
+    journal.finished(jobPda, result);
+
+    await submitFinishedResult(jobPda, result);
+    journal.submitted(jobPda);
+
+    if (result.success && result.resultCiphertext?.debug_decrypted_result !== undefined) {
+      logger.info('Job:Result', 'Job completed successfully', {
+        job_id: jobId,
+        result: result.resultCiphertext.debug_decrypted_result,
+        time_ms: result.executionTime
+      });
+    }
+  } catch (error) {
+    logger.error('Job:Processing', 'Job processing failed', { job_id: jobId, error: error.message });
+    rateLimiter.recordError();
+  } finally {
+    inFlightJobs.delete(jobPda);
   }
 }
 
 // Main polling loop with rate limiting
+// Fetches as many jobs as there are free workers and runs them concurrently
 async function pollForJobs() {
-  if (isProcessing) {
+  const capacity = workerPool.size - inFlightJobs.size;
+  if (drainState || capacity <= 0) {
     return;
   }
 
   try {
-    const jobsData = await fetchJobs();
+    const jobsData = await gatehouse.fetchJobs(capacity);
 
     if (!jobsData || !jobsData.jobs || jobsData.jobs.length === 0) {
       // No jobs - record success and speed up
@@ -895,36 +694,46 @@ async function pollForJobs() {
       return;
     }
 
-    const job = jobsData.jobs[0];
-    const jobPda = job.job_pda;
-    const jobId = jobPda.slice(0, 8);
-
-    logger.info('Job:Polling', 'Job found, starting processing', { job_id: jobId });
-    isProcessing = true;
+    for (const job of jobsData.jobs.slice(0, capacity)) {
+      const jobPda = job.job_pda;
+      if (drainState) {
+        break;  // shutdown started while fetching
+      }
+      if (inFlightJobs.has(jobPda)) {
+        continue;
+      }
+      const jobId = jobPda.slice(0, 8);
 
-    await claimJob(jobPda);
-    const result = await executeFHEComputation(job);
-    await submitResult(
-      jobPda,
-      result.success,
-      result.resultCiphertext,
-      result.error || null,
-      result.executionTime
-    );
+      logger.info('Job:Polling', 'Job found, starting processing', { job_id: jobId, in_flight: inFlightJobs.size + 1 });
+      try {
+        await gatehouse.claimJob(jobPda);
+      } catch (error) {
+        // Another executor won the claim; try the remaining jobs
+        if (error instanceof GatehouseError && error.status === 409) {
+          logger.warn('Job:Polling', 'Job already claimed', { job_id: jobId });
+          continue;
+        }
+        throw error;
+      }
+      journal.claimed(job);
 
-    if (result.success && result.resultCiphertext?.debug_decrypted_result !== undefined) {
-      logger.info('Job:Result', 'Job completed successfully', {
-        job_id: jobId,
-        result: result.resultCiphertext.debug_decrypted_result,
-        time_ms: result.executionTime
+      inFlightJobs.set(jobPda, {
+        job_pda: jobPda,
+        ir_digest: job.ir_digest,
+        claimed_at: Date.now()
       });
+      processJob(job);
     }
 
     // Record success for rate limiter
     rateLimiter.recordSuccess();
 
   } catch (error) {
-    logger.error('Job:Processing', 'Job processing failed', { error: error.message });
+    logger.error('Job:Polling', 'Job polling failed', {
+      error: error.message,
+      code: error.code,
+      status: error.status
+    });
 
     // Record error for rate limiter (will slow down)
     rateLimiter.recordError();
@@ -936,11 +745,62 @@ async function pollForJobs() {
       nextInterval: stats.currentInterval,
       errorRate: stats.errorRate
     });
-  } finally {
-    isProcessing = false;
   }
 }
 
+// Resolve jobs left pending by a previous run
+// Finished results are resubmitted; unfinished jobs are re-run or released
+async function recoverJournal(pending) {
+  for (const entry of pending) {
+    const jobPda = entry.job_pda;
+    const jobId = jobPda.slice(0, 8);
+
+    try {
+      if (entry.state === 'finished') {
+        const result = entry.result;
+        await gatehouse.submitResult(jobPda, result);
+        journal.submitted(jobPda);
+        logger.info('Journal:Recovery', 'Resubmitted finished job', { job_id: jobId });
+        continue;
+      }
+
+      if (JOB_RECOVERY === 'release' || entry.attempts >= JOB_MAX_ATTEMPTS) {
+        const reason = entry.attempts >= JOB_MAX_ATTEMPTS
+          ? `Executor gave up after ${entry.attempts} attempts`
+          : 'Executor restarted before completing the job';
+        await gatehouse.submitResult(jobPda, { success: false, error: reason });
+        journal.released(jobPda, reason);
+        logger.warn('Journal:Recovery', 'Released unfinished job', { job_id: jobId, reason });
+        continue;
+      }
+
+      logger.info('Journal:Recovery', 'Re-running unfinished job', { job_id: jobId, attempts: entry.attempts });
+      inFlightJobs.set(jobPda, {
+        job_pda: jobPda,
+        ir_digest: entry.job.ir_digest,
+        claimed_at: entry.claimed_at
+      });
+      processJob(entry.job);
+    } catch (error) {
+      logger.error('Journal:Recovery', 'Recovery failed, job stays pending', { job_id: jobId, error: error.message });
+    }
+  }
+}
+
+// Key bundles for /status: the evaluation key, every bundle and those due for retirement
+function describeKeys() {
+  const keyRing = getKeyRing();
+  if (!keyRing) {
+    return null;
+  }
+  return {
+    evaluation_key_id: getKeyId(),
+    bundles: keyRing.list().map(bundle => bundle.describe()),
+    due: keyRing.due().map(bundle => bundle.keyId),
+    rejected: keyRing.rejected.length
+  };
+}
+
 // Create HTTP server for status endpoint
 const server = http.createServer((req, res) => {
   if (req.url === '/status' && req.method === 'GET') {
@@ -948,36 +808,200 @@ const server = http.createServer((req, res) => {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       executor_id: EXECUTOR_ID,
+      identity: identity.describe(),
+      runtime_mode: {
+        mode: runtimeMode.name,
+        decrypt_service: runtimeMode.decryptService,
+        decrypt_results: runtimeMode.decryptResults,
+        send_plaintext: runtimeMode.sendPlaintext
+      },
       port: EXECUTOR_PORT,
       gatehouse_url: GATEHOUSE_URL,
-      is_processing: isProcessing,
+      state: drainState ? 'draining' : 'running',
+      drain: drainState ? {
+        signal: drainState.signal,
+        started_at: drainState.started_at,
+        remaining_ms: Math.max(0, drainState.deadline - Date.now())
+      } : null,
+      is_processing: inFlightJobs.size > 0,
+      in_flight_jobs: [...inFlightJobs.values()].map(entry => ({
+        ...entry,
+        elapsed_ms: Date.now() - entry.claimed_at
+      })),
+      workers: workerPool.getStats(),
+      parameters: describeParameterSet(getParameterSet()),
+      fhe_keys: describeKeys(),
+      decrypt_authorization: {
+        mode: DECRYPT_AUTHORIZATION,
+        payroll: decryptAuthorizer ? decryptAuthorizer.domain.verifyingContract : null,
+        chain_id: decryptAuthorizer ? String(decryptAuthorizer.domain.chainId) : null,
+        policy: decryptPolicy ? decryptPolicy.rules.map(rule => rule.name) : null,
+        audit: { path: DECRYPT_AUDIT_LOG, entries: decryptAudit.seq, head: decryptAudit.head },
+        aggregates: { min_group_size: AGGREGATE_MIN_GROUP_SIZE, released: aggregateHistory.size }
+      },
+      native_ciphertexts: {
+        main: getAllocationStats(),
+        workers: workerPool.getAllocationStats()
+      },
+      journal: {
+        pending: journal.pending().length,
+        stuck_jobs: journal.stuck(JOB_STUCK_AFTER_MS)
+      },
       uptime: process.uptime(),
+      cid_aliases: cidResolver.size,
+      ir_programs: irRegistry.list(),
       rate_limiter: rateLimiterStats
     }));
+  } else if (req.url.startsWith('/cid/') && req.method === 'GET') {
+    // Resolve any CID form (v1, unversioned SHA256, legacy CID_) to its canonical CID
+    let cid = null;
+    try {
+      cid = decodeURIComponent(req.url.slice('/cid/'.length));
+    } catch (error) {
+      // Malformed escape; reported as an invalid CID below
+    }
+    const parsed = parseCID(cid);
+    const canonical = cidResolver.resolve(cid);
+    res.writeHead(canonical ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(canonical
+      ? { cid, kind: parsed.kind, canonical }
+      : { error: parsed ? `Unknown CID: ${cid}` : `Invalid CID: ${cid}` }));
   } else if (req.url === '/health' && req.method === 'GET') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok' }));
+    // 503 while draining so orchestrators stop routing to this executor
+    res.writeHead(drainState ? 503 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: drainState ? 'draining' : 'ok' }));
   } else {
     res.writeHead(404, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Not found' }));
   }
 });
 
+// Decrypt requests, policy and audit log; exits on a configuration the mode does not allow
+async function setUpDecryptService() {
+  if (!['required', 'optional'].includes(DECRYPT_AUTHORIZATION)) {
+    logger.error('Server', 'DECRYPT_AUTHORIZATION must be required or optional', { value: DECRYPT_AUTHORIZATION });
+    process.exit(1);
+  }
+  // Unsealed answers are plaintext sent to the gatehouse
+  if (!runtimeMode.plaintextDecrypts && DECRYPT_AUTHORIZATION !== 'required') {
+    logger.error('Server', `DECRYPT_AUTHORIZATION=${DECRYPT_AUTHORIZATION} is not allowed in ${runtimeMode.name} mode`);
+    process.exit(1);
+  }
+  if (!Number.isInteger(AGGREGATE_MIN_GROUP_SIZE) || AGGREGATE_MIN_GROUP_SIZE < 2) {
+    logger.error('Server', 'AGGREGATE_MIN_GROUP_SIZE must be an integer of at least 2', { value: process.env.AGGREGATE_MIN_GROUP_SIZE });
+    process.exit(1);
+  }
+  let payroll = null;
+  if (PAYROLL_ADDRESS && PAYROLL_RPC_URL) {
+    try {
+      payroll = createPayrollContract({ rpcUrl: PAYROLL_RPC_URL, payrollAddress: PAYROLL_ADDRESS });
+      const chainId = process.env.PAYROLL_CHAIN_ID || (await payroll.runner.provider.getNetwork()).chainId;
+      decryptAuthorizer = new DecryptAuthorizer({
+        chainId,
+        payrollAddress: PAYROLL_ADDRESS,
+        maxLifetimeSec: DECRYPT_REQUEST_MAX_LIFETIME,
+        noncePath: DECRYPT_NONCE_PATH
+      });
+      const nonces = decryptAuthorizer.open();
+      logger.info('Decrypt:Auth', 'Decrypt requests checked against SalaryPayroll', {
+        payroll: PAYROLL_ADDRESS,
+        chain_id: String(chainId),
+        mode: DECRYPT_AUTHORIZATION,
+        used_nonces: nonces
+      });
+    } catch (error) {
+      logger.error('Decrypt:Auth', 'Failed to connect to the payroll contract', { payroll: PAYROLL_ADDRESS, error: error.message });
+      process.exit(1);
+    }
+  } else if (DECRYPT_AUTHORIZATION === 'required') {
+    logger.warn('Decrypt:Auth', 'PAYROLL_ADDRESS/PAYROLL_RPC_URL not set; every decrypt job will be refused');
+  }
+
+  try {
+    const audit = decryptAudit.open();
+    if (audit.recovered) {
+      logger.warn('Decrypt:Audit', 'Cut a torn entry off the decrypt audit log', { path: DECRYPT_AUDIT_LOG });
+    }
+    aggregateHistory.open();
+    const ruleOptions = {
+      allowUnauthenticated: DECRYPT_AUTHORIZATION === 'optional',
+      complianceAggregates: DECRYPT_COMPLIANCE_AGGREGATES,
+      managerAggregates: DECRYPT_MANAGER_AGGREGATES,
+      minGroupSize: AGGREGATE_MIN_GROUP_SIZE
+    };
+    decryptPolicy = new DecryptPolicy({
+      rules: DECRYPT_POLICY_MODULE ? loadPolicyRules(DECRYPT_POLICY_MODULE, ruleOptions) : defaultRules(ruleOptions),
+      payroll,
+      audit: decryptAudit
+    });
+    logger.info('Decrypt:Policy', 'Decrypt policy loaded', {
+      module: DECRYPT_POLICY_MODULE || 'built-in',
+      rules: decryptPolicy.rules.map(rule => rule.name),
+      audit_log: DECRYPT_AUDIT_LOG,
+      audit_entries: audit.entries,
+      aggregate_min_group_size: AGGREGATE_MIN_GROUP_SIZE,
+      released_aggregates: aggregateHistory.size
+    });
+  } catch (error) {
+    logger.error('Decrypt:Policy', 'Failed to set up the decrypt policy', { error: error.message });
+    process.exit(1);
+  }
+}
+
 // Start server
 async function start() {
   logger.info('Server', 'Starting FHE Executor Server');
   logger.info('Server', 'Configuration', { 
     gatehouse: GATEHOUSE_URL, 
     port: EXECUTOR_PORT,
-    executor_id: EXECUTOR_ID
+    executor_id: EXECUTOR_ID,
+    key_id: identity.keyId,
+    mode: runtimeMode.name,
+    decrypt_service: runtimeMode.decryptService,
+    workers: EXECUTOR_WORKERS,
+    wire_format: GATEHOUSE_WIRE_FORMAT,
+    wire_compress: GATEHOUSE_WIRE_COMPRESS,
+    ciphertext_store: CIPHERTEXT_STORE_URL
   });
 
-  const initialized = await initFHE16();
+  const programCount = loadIrPrograms();
+  if (programCount === 0) {
+    logger.error('Server', 'No IR programs loaded', { dir: IR_PROGRAM_DIR });
+    process.exit(1);
+  }
+
+  if (runtimeMode.decryptService) {
+    await setUpDecryptService();
+  } else {
+    logger.info('Decrypt:Service', 'Decrypt service disabled; no secret key is loaded', { mode: runtimeMode.name });
+  }
+
+  // The main thread needs secret keys (and threshold shares) only to answer decrypt jobs
+  const initialized = await initFHE16({ secretKeys: runtimeMode.decryptService });
   if (!initialized) {
     logger.error('Server', 'Failed to initialize FHE16');
     process.exit(1);
   }
 
+  try {
+    await workerPool.start();
+  } catch (error) {
+    logger.error('Server', 'Failed to start FHE workers', { error: error.message });
+    process.exit(1);
+  }
+
+  let pendingJobs;
+  try {
+    pendingJobs = journal.open();
+  } catch (error) {
+    logger.error('Server', 'Failed to open job journal', { path: JOB_JOURNAL_PATH, error: error.message });
+    process.exit(1);
+  }
+  if (pendingJobs.length > 0) {
+    logger.warn('Journal:Recovery', 'Found jobs from a previous run', { pending: pendingJobs.length });
+    await recoverJournal(pendingJobs);
+  }
+
   server.listen(EXECUTOR_PORT, () => {
     logger.info('Server', 'Server ready', { port: EXECUTOR_PORT });
   });
@@ -996,35 +1020,93 @@ async function start() {
   }
 
   // Decrypt jobs still use fixed interval
-  setInterval(pollForDecryptJobs, POLL_INTERVAL);
+  if (runtimeMode.decryptService) {
+    setInterval(pollForDecryptJobs, POLL_INTERVAL);
+  }
 
   // Initial poll
   setTimeout(dynamicPoll, 1000);
-  setTimeout(pollForDecryptJobs, 1500);
+  if (runtimeMode.decryptService) {
+    setTimeout(pollForDecryptJobs, 1500);
+  }
 
   // Log stats periodically
   setInterval(() => {
     const stats = rateLimiter.getStats();
     logger.info('RateLimit:Stats', 'Polling statistics', stats);
+
+    for (const entry of journal.stuck(JOB_STUCK_AFTER_MS)) {
+      logger.warn('Journal:Stuck', 'Job has not progressed', {
+        job_id: entry.job_pda.slice(0, 8),
+        state: entry.state,
+        idle_sec: Math.round(entry.idle_ms / 1000)
+      });
+    }
   }, 60000);  // Every minute
 }
 
+// Wait for in-flight jobs and decrypts to finish, up to the drain deadline
+async function waitForIdle(deadline) {
+  while (inFlightJobs.size > 0 || decryptInProgress) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  return true;
+}
+
 // Handle graceful shutdown
-process.on('SIGINT', () => {
-  logger.info('Server', 'Shutting down (SIGINT)');
-  server.close(() => {
-    logger.info('Server', 'Server closed');
-    process.exit(0);
+// The first signal drains; a second one exits immediately.
+async function shutdown(signal) {
+  if (drainState) {
+    logger.warn('Server', 'Forced exit', { signal });
+    process.exit(1);
+  }
+
+  const startedAt = Date.now();
+  drainState = { signal, started_at: startedAt, deadline: startedAt + DRAIN_TIMEOUT_MS };
+  logger.info('Server', `Draining (${signal})`, {
+    in_flight: inFlightJobs.size,
+    timeout_sec: DRAIN_TIMEOUT_MS / 1000
   });
-});
 
-process.on('SIGTERM', () => {
-  logger.info('Server', 'Shutting down (SIGTERM)');
+  const idle = await waitForIdle(drainState.deadline);
+  if (!idle) {
+    // Unfinished jobs stay in the journal and are recovered on the next start
+    logger.warn('Server', 'Drain deadline reached', {
+      unfinished: inFlightJobs.size,
+      journal_pending: journal.pending().length
+    });
+  }
+
+  // Close the journal before stopping workers, so computations cut short
+  // are not recorded (or submitted) as failures and get re-run on restart
+  try {
+    if (journal.isOpen) {
+      journal.compact();
+      journal.close();
+    }
+  } catch (error) {
+    logger.error('Server', 'Failed to persist job journal', { error: error.message });
+  }
+  if (decryptAuthorizer) {
+    decryptAuthorizer.close();
+  }
+
+  await workerPool.close();
+  gatehouse.close();
   server.close(() => {
-    logger.info('Server', 'Server closed');
+    logger.info('Server', 'Server closed', { drain_ms: Date.now() - startedAt });
     process.exit(0);
   });
-});
+  if (server.closeAllConnections) {
+    server.closeAllConnections();
+  }
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start the executor
 start().catch((error) => {
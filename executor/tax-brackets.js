@@ -0,0 +1,158 @@
+/**
+ * Progressive Tax Brackets
+ * Compiles a plaintext bracket table into FHE steps over an encrypted salary
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const { RATE_SCALE, MAX_RATE_BPS, splitSteps, rateProductSteps, constantSteps } = require('./fixed-point.js');
+
+// Each bracket adds one remainder product (< 10^8) to the fractional sum,
+// so 16 brackets keep that sum inside int32.
+const MAX_BRACKETS = 16;
+const INT32_MAX = 0x7fffffff;
+
+/**
+ * Validate a bracket table
+ * [{ threshold: <cents>, rate_bps: <basis points> }, ...], ascending, first threshold 0.
+ * Income from a bracket's threshold up to the next threshold is taxed at its rate.
+ * @returns {string|null} error message, or null if valid
+ */
+function validateBracketTable(table) {
+  if (!Array.isArray(table) || table.length === 0) {
+    return 'must be a non-empty array of brackets';
+  }
+  if (table.length > MAX_BRACKETS) {
+    return `at most ${MAX_BRACKETS} brackets are supported`;
+  }
+
+  for (let i = 0; i < table.length; i++) {
+    const bracket = table[i];
+    if (!bracket || typeof bracket !== 'object' || Array.isArray(bracket)) {
+      return `[${i}] must be an object`;
+    }
+    const extra = Object.keys(bracket).filter(k => k !== 'threshold' && k !== 'rate_bps');
+    if (extra.length > 0) {
+      return `[${i}] unknown field "${extra[0]}"`;
+    }
+    if (!Number.isInteger(bracket.threshold) || bracket.threshold < 0 || bracket.threshold > INT32_MAX) {
+      return `[${i}].threshold must be a non-negative int32 amount in cents`;
+    }
+    if (!Number.isInteger(bracket.rate_bps) || bracket.rate_bps < 0 || bracket.rate_bps > MAX_RATE_BPS) {
+      return `[${i}].rate_bps must be an integer in [0, ${MAX_RATE_BPS}]`;
+    }
+    if (i === 0 && bracket.threshold !== 0) {
+      return '[0].threshold must be 0';
+    }
+    if (i > 0 && bracket.threshold <= table[i - 1].threshold) {
+      return `[${i}].threshold must be greater than the previous threshold`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Plaintext reference for the encrypted computation (same rounding)
+ */
+function computeProgressiveTax(table, salary) {
+  let whole = 0;
+  let fraction = 0;
+
+  table.forEach((bracket, i) => {
+    const upper = i + 1 < table.length ? table[i + 1].threshold : Infinity;
+    const band = Math.max(0, Math.min(salary, upper) - bracket.threshold);
+    whole += Math.floor(band / RATE_SCALE) * bracket.rate_bps;
+    fraction += (band % RATE_SCALE) * bracket.rate_bps;
+  });
+
+  return whole + Math.floor(fraction / RATE_SCALE);
+}
+
+/**
+ * Expand a progressive_tax step into primitive IR steps
+ *
+ * Per bracket i (threshold t, width w up to the next threshold):
+ *   over   = ge(salary, t)
+ *   band   = min(select(over, salary - t, 0), w)
+ * Each band is split into whole multiples of RATE_SCALE and a remainder, so
+ *   tax = sum(whole_i * rate_i) + floor(sum(rem_i * rate_i) / RATE_SCALE)
+ * which equals floor(sum(band_i * rate_i) / RATE_SCALE) exactly.
+ *
+ * @param {Object} step - { op: 'progressive_tax', inputs: [salary], output }
+ * @param {Array} table - validated bracket table
+ * @returns {Array} primitive steps; internal names are prefixed with `${output}__`
+ */
+function expandProgressiveTax(step, table) {
+  const salary = step.inputs[0];
+  const p = `${step.output}__`;
+  const names = { zero: `${p}zero`, scale: `${p}scale` };
+  const steps = [...constantSteps(names)];
+
+  const wholeTerms = [];
+  const remTerms = [];
+
+  table.forEach((bracket, i) => {
+    if (bracket.rate_bps === 0) return;
+
+    const b = `${p}b${i}`;
+    const isLast = i + 1 === table.length;
+
+    steps.push({ op: 'encrypt_constant', inputs: [], constant: bracket.threshold, output: `${b}_threshold` });
+    steps.push({ op: 'ge', inputs: [salary, `${b}_threshold`], output: `${b}_over` });
+
+    let excess = salary;
+    if (bracket.threshold !== 0) {
+      steps.push({ op: 'add_constant', inputs: [salary], constant: -bracket.threshold, output: `${b}_excess` });
+      excess = `${b}_excess`;
+    }
+    steps.push({ op: 'select', inputs: [`${b}_over`, excess, names.zero], output: `${b}_clipped` });
+
+    let band = `${b}_clipped`;
+    if (!isLast) {
+      const width = table[i + 1].threshold - bracket.threshold;
+      steps.push({ op: 'encrypt_constant', inputs: [], constant: width, output: `${b}_width` });
+      steps.push({ op: 'min', inputs: [`${b}_clipped`, `${b}_width`], output: `${b}_band` });
+      band = `${b}_band`;
+    }
+
+    steps.push(...splitSteps(band, b, names));
+    steps.push(...rateProductSteps(b, bracket.rate_bps));
+    wholeTerms.push(`${b}_whole_rated`);
+    remTerms.push(`${b}_rem_rated`);
+  });
+
+  // Every bracket has a zero rate
+  if (wholeTerms.length === 0) {
+    steps.push({ op: 'add', inputs: [names.zero, names.zero], output: step.output });
+    return steps;
+  }
+
+  const sum = (terms, name) => {
+    let acc = terms[0];
+    for (let i = 1; i < terms.length; i++) {
+      const out = `${p}${name}_${i}`;
+      steps.push({ op: 'add', inputs: [acc, terms[i]], output: out });
+      acc = out;
+    }
+    return acc;
+  };
+
+  const wholeSum = sum(wholeTerms, 'whole_sum');
+  const remSum = sum(remTerms, 'rem_sum');
+  steps.push({ op: 'sdiv', inputs: [remSum, names.scale, names.zero], output: `${p}fraction` });
+  steps.push({ op: 'add', inputs: [wholeSum, `${p}fraction`], output: step.output });
+
+  return steps;
+}
+
+module.exports = {
+  MAX_BRACKETS,
+  validateBracketTable,
+  computeProgressiveTax,
+  expandProgressiveTax
+};
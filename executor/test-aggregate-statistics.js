@@ -0,0 +1,229 @@
+/**
+ * Aggregate Statistics Test Suite
+ * Builds aggregate programs and runs them against the plaintext FHE16 mock.
+ * Run: node test-aggregate-statistics.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  AGGREGATE_ERRORS, AggregateHistory, parseAggregate, resolveAggregateInputs, assertGroupSize, buildAggregateProgram, summarizeAggregate
+} = require('./aggregate-statistics.js');
+const { executePlan, collectOutputs } = require('./fhe-interpreter.js');
+const { createMockFHE16 } = require('./mock-fhe16.js');
+const { cidFromCiphertext } = require('../lib/fhe16/cid.js');
+
+// Asserts the thrown error's code
+function throwsCode(fn, code) {
+  assert.throws(fn, (error) => {
+    assert.strictEqual(error.code, code, error.message);
+    return true;
+  });
+}
+
+// In-memory SalaryPayroll: the getters resolveAggregateInputs reads
+function fakePayroll() {
+  const employees = new Map();
+  const payments = new Map();
+  const taxWithheld = new Map();
+  return {
+    employees: async (address) => employees.get(address) || { isActive: false, encryptedSalaryCid: ethers.ZeroHash },
+    payments: async (id) => payments.get(id) || { employee: ethers.ZeroAddress, encryptedAmountCid: ethers.ZeroHash, taxAmountCid: ethers.ZeroHash },
+    encryptedTaxWithheld: async (address) => taxWithheld.get(address) || ethers.ZeroHash,
+    addEmployee: (address, cid) => employees.set(address, { isActive: true, encryptedSalaryCid: cid }),
+    addPayment: (id, employee, amountCid, taxCid) => payments.set(BigInt(id), { employee, encryptedAmountCid: amountCid, taxAmountCid: taxCid }),
+    recordTax: (address, cid) => taxWithheld.set(address, cid)
+  };
+}
+
+// Distinct stand-in ciphertext CIDs
+const cidOf = (seed) => cidFromCiphertext(Array.from({ length: 16 }, (_, j) => seed * 100 + j));
+
+// Monthly salaries in cents of seven employees, each on the payroll with its own CID
+const salaries = [420000, 515000, 515000, 610000, 780000, 905000, 1250000];
+const staff = salaries.map(() => ethers.Wallet.createRandom().address);
+const cids = salaries.map((_, i) => cidOf(i));
+const inputs = cids.map((cid, i) => ({ cid, employee: staff[i] }));
+const payroll = fakePayroll();
+staff.forEach((address, i) => payroll.addEmployee(address, cids[i]));
+
+// Encrypted evaluation on the mock, then "decryption" of the outputs only
+async function evaluate(spec, values = salaries) {
+  const aggregate = await resolveAggregateInputs(payroll, parseAggregate(spec));
+  const byCid = new Map(cids.map((cid, i) => [cid, values[i]]));
+  const { ct, mockFHE, calls } = createMockFHE16();
+  const program = buildAggregateProgram(aggregate);
+  const stack = executePlan(mockFHE, program, aggregate.cids.map(cid => ct(byCid.get(cid))));
+  const decrypted = Object.fromEntries(collectOutputs(program, stack).map(({ name, ptr }) => [name, ptr.v]));
+  return { aggregate, program, calls, decrypted, result: summarizeAggregate(aggregate, decrypted) };
+}
+
+async function main() {
+  console.log('🧪 Testing Aggregate Statistics\n');
+
+  // Test 1: Specs
+  console.log('Test 1: Aggregate specs');
+  console.log('=======================');
+  const sum = parseAggregate({ statistic: 'sum', inputs });
+  assert.deepStrictEqual(sum.cids, [...cids].sort());
+  assert.match(sum.id, /^0x[0-9a-f]{64}$/);
+  assert.strictEqual(sum.inputs.find(input => input.cid === cids[0]).employee, staff[0]);
+
+  // The id names the group, not the order it was listed in; duplicates are one input
+  assert.strictEqual(parseAggregate({ statistic: 'sum', inputs: [...inputs].reverse() }).id, sum.id);
+  const doubled = parseAggregate({ statistic: 'sum', inputs: [...inputs, { ...inputs[0], cid: cids[0].toUpperCase().replace('0X', '0x') }] });
+  assert.deepStrictEqual([doubled.cids.length, doubled.id], [cids.length, sum.id]);
+  assert.notStrictEqual(parseAggregate({ statistic: 'mean', inputs }).id, sum.id);
+  assert.notStrictEqual(parseAggregate({ statistic: 'count', threshold: 1, inputs }).id,
+    parseAggregate({ statistic: 'count', threshold: 2, inputs }).id);
+
+  const invalid = [
+    [null, 'aggregate'],
+    [{ statistic: 'median', inputs }, 'aggregate.statistic'],
+    [{ statistic: 'sum', of: 'tax', inputs }, 'aggregate.of'],  // the label is derived, not declared
+    [{ statistic: 'sum', inputs, extra: 1 }, 'aggregate.extra'],
+    [{ statistic: 'count', inputs }, 'aggregate.threshold'],
+    [{ statistic: 'count', threshold: -1, inputs }, 'aggregate.threshold'],
+    [{ statistic: 'sum', threshold: 5, inputs }, 'aggregate.threshold'],
+    [{ statistic: 'band_counts', bands: [], inputs }, 'aggregate.bands'],
+    [{ statistic: 'band_counts', bands: [500, 500], inputs }, 'aggregate.bands[1]'],
+    [{ statistic: 'band_counts', bands: Array.from({ length: 17 }, (_, i) => i), inputs }, 'aggregate.bands'],
+    [{ statistic: 'sum', inputs: [] }, 'aggregate.inputs'],
+    [{ statistic: 'sum', inputs: [{ cid: 'CID_abc', employee: staff[0] }] }, 'aggregate.inputs[0].cid'],
+    [{ statistic: 'sum', inputs: [{ cid: cids[0] }] }, 'aggregate.inputs[0]'],
+    [{ statistic: 'sum', inputs: [{ cid: cids[0], employee: staff[0], payment_id: '7' }] }, 'aggregate.inputs[0]'],
+    [{ statistic: 'sum', inputs: [{ cid: cids[0], employee: '0x1234' }] }, 'aggregate.inputs[0].employee'],
+    [{ statistic: 'sum', inputs: [{ cid: cids[0], payment_id: '-1' }] }, 'aggregate.inputs[0].payment_id']
+  ];
+  for (const [spec, field] of invalid) {
+    assert.throws(() => parseAggregate(spec), (error) => error.code === AGGREGATE_ERRORS.INVALID && error.details.path === field, field);
+  }
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: Totals and means decrypt only the aggregate
+  console.log('Test 2: Sum and mean');
+  console.log('====================');
+  const total = salaries.reduce((a, b) => a + b, 0);
+  let run = await evaluate({ statistic: 'sum', inputs });
+  assert.deepStrictEqual(run.program.outputs, ['total']);
+  assert.deepStrictEqual(run.program.aggregates, { total: 'salary' });
+  assert.deepStrictEqual(run.result, { statistic: 'sum', of: 'salary', group_size: 7, inputs: 7, value: total });
+  assert.deepStrictEqual(run.calls, ['add3', 'add3', 'add3'], 'seven inputs: three add3');
+
+  run = await evaluate({ statistic: 'mean', inputs: inputs.slice(0, 6) });
+  assert.strictEqual(run.result.value, Math.round(salaries.slice(0, 6).reduce((a, b) => a + b, 0) / 6));
+  assert.deepStrictEqual(run.calls, ['add3', 'add3', 'add']);
+  assert.deepStrictEqual((await evaluate({ statistic: 'sum', inputs: inputs.slice(0, 2) })).calls, ['add']);
+  console.log(`total=${total} mean(6)=${run.result.value}`);
+  console.log('✅ Test 2 passed\n');
+
+  // Test 3: Headcounts from encrypted indicators
+  console.log('Test 3: Counts and bands');
+  console.log('========================');
+  run = await evaluate({ statistic: 'count', threshold: 610000, inputs });
+  assert.deepStrictEqual(run.result, { statistic: 'count', of: 'salary', group_size: 7, inputs: 7, threshold: 610000, value: 4 });
+  assert.strictEqual(run.calls.filter(op => op === 'ge').length, 7);
+
+  const bands = [500000, 700000, 1000000];
+  run = await evaluate({ statistic: 'band_counts', bands, inputs });
+  assert.deepStrictEqual(run.program.outputs, ['at_least_0', 'at_least_1', 'at_least_2']);
+  assert.deepStrictEqual(run.result.bands, [
+    { from: null, to: 500000, count: 1 },
+    { from: 500000, to: 700000, count: 3 },
+    { from: 700000, to: 1000000, count: 2 },
+    { from: 1000000, to: null, count: 1 }
+  ]);
+  assert.strictEqual(run.result.bands.reduce((n, band) => n + band.count, 0), salaries.length);
+
+  // Boundaries: a salary equal to a bound is in the band it starts
+  run = await evaluate({ statistic: 'band_counts', bands: [515000], inputs });
+  assert.deepStrictEqual(run.result.bands.map(band => band.count), [1, 6]);
+  console.log('✅ Test 3 passed\n');
+
+  // Test 4: Inputs are payroll records of distinct employees
+  console.log('Test 4: Resolving inputs');
+  console.log('========================');
+  const resolve = (spec) => resolveAggregateInputs(payroll, parseAggregate(spec));
+  const rejectsCode = (promise, code) => assert.rejects(promise, (error) => {
+    assert.strictEqual(error.code, code, error.message);
+    return true;
+  });
+  const resolved = await resolve({ statistic: 'sum', inputs });
+  assert.deepStrictEqual([resolved.source, resolved.of, resolved.groupSize], ['salary', 'salary', 7]);
+  assert.deepStrictEqual([...resolved.owners].sort(), [...staff].sort());
+
+  // One victim's salary plus fresh encryptions of zero: the padding is nobody's record
+  const padding = [1, 2, 3, 4].map(i => ({ cid: cidOf(100 + i), employee: staff[i] }));
+  await rejectsCode(resolve({ statistic: 'sum', inputs: [inputs[0], ...padding] }), AGGREGATE_ERRORS.UNRESOLVED);
+  // A real salary claimed for the wrong employee
+  await rejectsCode(resolve({ statistic: 'sum', inputs: [inputs[0], { cid: cids[1], employee: staff[2] }] }), AGGREGATE_ERRORS.UNRESOLVED);
+
+  // Tax is labelled tax whatever the requester would like it to be; kinds do not mix
+  staff.forEach((address, i) => payroll.recordTax(address, cidOf(200 + i)));
+  const taxes = await resolve({ statistic: 'sum', inputs: staff.map((employee, i) => ({ cid: cidOf(200 + i), employee })) });
+  assert.deepStrictEqual([taxes.source, taxes.of, taxes.groupSize], ['tax_withheld', 'tax', 7]);
+  await rejectsCode(resolve({ statistic: 'sum', inputs: [...inputs.slice(0, 3), { cid: cidOf(203), employee: staff[3] }] }),
+    AGGREGATE_ERRORS.MIXED_SOURCES);
+
+  // Payments resolve through their id; one employee's many payments are one person
+  payroll.addPayment(1, staff[0], cidOf(301), cidOf(401));
+  payroll.addPayment(2, staff[0], cidOf(302), cidOf(402));
+  payroll.addPayment(3, staff[1], cidOf(303), cidOf(403));
+  const payments = await resolve({ statistic: 'sum', inputs: [1, 2, 3].map(id => ({ cid: cidOf(300 + id), payment_id: String(id) })) });
+  assert.deepStrictEqual([payments.source, payments.of, payments.groupSize, payments.cids.length], ['payment_amount', 'payment', 2, 3]);
+  assert.strictEqual((await resolve({ statistic: 'sum', inputs: [{ cid: cidOf(401), payment_id: '1' }, { cid: cidOf(403), payment_id: '3' }] })).of, 'tax');
+  await rejectsCode(resolve({ statistic: 'sum', inputs: [{ cid: cidOf(301), payment_id: '3' }] }), AGGREGATE_ERRORS.UNRESOLVED);
+  await rejectsCode(resolve({ statistic: 'sum', inputs: [{ cid: cidOf(301), payment_id: '99' }] }), AGGREGATE_ERRORS.UNRESOLVED);
+
+  // No contract, or one that cannot be read: nothing resolves
+  await rejectsCode(resolveAggregateInputs(null, sum), AGGREGATE_ERRORS.UNRESOLVED);
+  const broken = { ...payroll, employees: async () => { throw new Error('rpc unavailable'); } };
+  await assert.rejects(resolveAggregateInputs(broken, sum), /rpc unavailable/);
+  console.log('✅ Test 4 passed\n');
+
+  // Test 5: Group size and differencing
+  console.log('Test 5: Group limits');
+  console.log('====================');
+  throwsCode(() => assertGroupSize(resolved, 8), AGGREGATE_ERRORS.GROUP_TOO_SMALL);
+  assertGroupSize(resolved, 7);
+  throwsCode(() => assertGroupSize(payments, 3), AGGREGATE_ERRORS.GROUP_TOO_SMALL);  // three payments, two people
+  const single = await resolve({ statistic: 'sum', inputs: inputs.slice(0, 1) });
+  throwsCode(() => buildAggregateProgram(single), AGGREGATE_ERRORS.GROUP_TOO_SMALL);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aggregate-history-'));
+  try {
+    const file = path.join(dir, 'data', 'history.jsonl');
+    const history = new AggregateHistory(file, { minGroupSize: 3 });
+    assert.strictEqual(history.open(), 0);
+    history.check(cids);
+    history.record('agg-1', cids);
+
+    // Asking again for the same group is fine; leaving out one or two people is not
+    history.check([...cids]);
+    throwsCode(() => history.check(cids.slice(1)), AGGREGATE_ERRORS.OVERLAP);
+    throwsCode(() => history.check(cids.slice(2)), AGGREGATE_ERRORS.OVERLAP);
+    history.check(cids.slice(3));
+    throwsCode(() => history.check([...cids, cidOf(9)]), AGGREGATE_ERRORS.OVERLAP);
+
+    // Released groups survive a restart; a torn last line is ignored
+    fs.appendFileSync(file, '{"at":1760000000000,"cids":["0x01');
+    const reopened = new AggregateHistory(file, { minGroupSize: 3 });
+    assert.strictEqual(reopened.open(), 1);
+    throwsCode(() => reopened.check(cids.slice(1)), AGGREGATE_ERRORS.OVERLAP);
+    fs.writeFileSync(file, 'not json\n{"cids":[]}\n');
+    assert.throws(() => new AggregateHistory(file, { minGroupSize: 3 }).open(), /corrupt at line 1/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('✅ Test 5 passed\n');
+
+  console.log('🎉 All aggregate statistics tests passed!');
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+/**
+ * Result Attestation Test Suite
+ * Run: node test-attestation.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExecutorIdentity } = require('./executor-identity.js');
+const { JobJournal } = require('./job-journal.js');
+const { cidFromCiphertext } = require('../lib/fhe16/cid.js');
+const { ciphertextHash, statementDigest, createAttestation, verifyAttestation } = require('./attestation.js');
+
+console.log('🧪 Testing Result Attestations\n');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attestation-'));
+const ct = (seed) => Array.from({ length: 64 }, (_, i) => (seed * 7919 + i * 104729) | 0);
+
+try {
+  const identity = ExecutorIdentity.load(path.join(dir, 'executor-key.pem'), { create: true }).identity;
+  const inputs = [{ cid: '0xaaa', encrypted_data: ct(1) }, { encrypted_data: ct(-2) }];
+  const output = { name: 'net', cid: 'CID_0123', encrypted_data: ct(3) };
+
+  // Test 1: Statement contents
+  console.log('Test 1: Statement');
+  console.log('=================');
+  const attestation = createAttestation(identity, {
+    jobPda: 'pda1',
+    irDigest: '0xdigest',
+    params: { rate: 1500 },
+    inputs,
+    output,
+    timestamp: 1700000000000
+  });
+  const { statement } = attestation;
+  assert.strictEqual(statement.version, 'lattica-attestation/1');
+  assert.strictEqual(statement.job_pda, 'pda1');
+  assert.deepStrictEqual(statement.params, { rate: 1500 });
+  assert.deepStrictEqual(statement.inputs.map(input => [input.slot, input.cid]), [[0, '0xaaa'], [1, null]]);
+  assert.strictEqual(statement.output.ciphertext_hash, ciphertextHash(output.encrypted_data));
+  assert.deepStrictEqual(statement.executor, {
+    executor_id: identity.executorId,
+    key_id: identity.keyId,
+    public_key: identity.publicKeyHex
+  });
+  // Ciphertext hashes cover the same bytes as canonical CIDs
+  const hash = ciphertextHash(inputs[1].encrypted_data);
+  assert.strictEqual(cidFromCiphertext(inputs[1]), '0x01' + hash.slice(2, 64));
+  console.log('Digest:', attestation.digest);
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: Verification and tampering
+  console.log('Test 2: Verify');
+  console.log('==============');
+  const options = {
+    publicKey: identity.publicKeyHex,
+    outputData: output.encrypted_data,
+    inputData: inputs.map(input => input.encrypted_data)
+  };
+  assert.deepStrictEqual(verifyAttestation(attestation, options), { valid: true, executorId: identity.executorId });
+
+  // A JSON round trip (gatehouse storage) keeps it verifiable
+  assert.strictEqual(verifyAttestation(JSON.parse(JSON.stringify(attestation)), options).valid, true);
+
+  const tampered = (change) => {
+    const copy = JSON.parse(JSON.stringify(attestation));
+    change(copy);
+    return verifyAttestation(copy, { publicKey: identity.publicKeyHex }).reason;
+  };
+  assert.strictEqual(tampered(a => { a.statement.output.cid = 'CID_other'; }), 'digest does not match statement');
+  assert.strictEqual(tampered(a => {
+    a.statement.inputs[0].cid = '0xbbb';
+    a.digest = statementDigest(a.statement);
+  }), 'bad signature');
+  assert.strictEqual(tampered(a => { a.statement.version = 'lattica-attestation/0'; }), 'unsupported attestation version: lattica-attestation/0');
+
+  const swappedOutput = verifyAttestation(attestation, { ...options, outputData: ct(4) });
+  assert.strictEqual(swappedOutput.reason, 'output ciphertext does not match attestation');
+  const swappedInputs = verifyAttestation(attestation, { ...options, inputData: [ct(1), ct(2)] });
+  assert.strictEqual(swappedInputs.reason, 'input[1] ciphertext does not match attestation');
+
+  // Another executor cannot pass off its attestation under a trusted key
+  const other = ExecutorIdentity.load(path.join(dir, 'other.pem'), { create: true }).identity;
+  const forged = createAttestation(other, { jobPda: 'pda1', irDigest: '0xdigest', inputs, output });
+  assert.strictEqual(verifyAttestation(forged).valid, true);
+  assert.strictEqual(
+    verifyAttestation(forged, { publicKey: identity.publicKeyHex }).reason,
+    'attestation was not signed by the trusted executor key'
+  );
+
+  // Malformed attestations from the gatehouse are a verdict, not an exception
+  const malformed = (change) => {
+    const copy = JSON.parse(JSON.stringify(forged));
+    change(copy);
+    return verifyAttestation(copy);
+  };
+  const badKey = { valid: false, reason: 'missing or malformed executor public key' };
+  assert.deepStrictEqual(malformed(a => { delete a.statement.executor.public_key; }), badKey);
+  assert.deepStrictEqual(malformed(a => { a.statement.executor.public_key = 'zz'.repeat(32); }), badKey);
+  assert.deepStrictEqual(malformed(a => { a.statement.executor.public_key = 42; }), badKey);
+  assert.deepStrictEqual(malformed(a => { delete a.statement.executor; }), badKey);
+  assert.strictEqual(malformed(a => { a.signature.value = 7; }).reason, 'bad signature');
+  assert.strictEqual(verifyAttestation(attestation, { ...options, publicKey: 'not hex' }).reason,
+    'attestation was not signed by the trusted executor key');
+  console.log('✅ Test 2 passed\n');
+
+  // Test 3: Attestations survive the job journal
+  console.log('Test 3: Journal');
+  console.log('===============');
+  const journal = new JobJournal(path.join(dir, 'journal.jsonl'));
+  journal.open();
+  journal.claimed({ job_pda: 'pda1' });
+  journal.finished('pda1', {
+    success: true,
+    resultCiphertexts: [{ output: 'net', encrypted_data: output.encrypted_data, attestation, debug_decrypted_result: 42 }]
+  });
+  journal.close();
+
+  const reopened = new JobJournal(path.join(dir, 'journal.jsonl'));
+  const [recovered] = reopened.open();
+  reopened.close();
+  const stored = recovered.result.resultCiphertexts[0];
+  assert.strictEqual(stored.debug_decrypted_result, undefined);
+  assert.strictEqual(verifyAttestation(stored.attestation, { ...options, outputData: stored.encrypted_data }).valid, true);
+  console.log('✅ Test 3 passed\n');
+
+  console.log('🎉 All attestation tests passed!');
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
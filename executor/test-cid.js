@@ -0,0 +1,100 @@
+/**
+ * Canonical CID Test Suite
+ * Run: node test-cid.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  cidFromCiphertext,
+  cidFromBytes,
+  parseCID,
+  isCanonicalCID,
+  toCanonicalCID,
+  CidResolver
+} = require('../lib/fhe16/cid.js');
+const { generateCID, compareCIDs, createZeroCiphertext, serializeCiphertext } = require('../lib/fhe16/crypto.js');
+
+console.log('🧪 Testing Canonical CIDs\n');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cid-'));
+// Values are reduced mod q like real FHE16_0.0.1v ciphertexts
+const Q = 163603459;
+const ct = (seed) => ({
+  encrypted_data: Array.from({ length: 33296 }, (_, i) => (seed * 7919 + i * 104729) % Q),
+  scheme: 'FHE16_0.0.1v',
+  timestamp: Date.now()
+});
+
+try {
+  // Test 1: v1 derivation
+  console.log('Test 1: v1 CIDs');
+  console.log('===============');
+  const a = ct(1);
+  const cid = cidFromCiphertext(a);
+  const sha = crypto.createHash('sha256').update(serializeCiphertext(a)).digest('hex');
+  assert.match(cid, /^0x01[0-9a-f]{62}$/);
+  assert.strictEqual(cid, '0x01' + sha.slice(0, 62));
+  assert.strictEqual(cidFromCiphertext(a.encrypted_data), cid);
+  assert.strictEqual(cidFromCiphertext(Int32Array.from(a.encrypted_data)), cid);
+  assert.strictEqual(cidFromBytes(serializeCiphertext(a)), cid);
+  assert.strictEqual(generateCID(a), cid);
+  assert.notStrictEqual(cidFromCiphertext(ct(2)), cid);
+  assert.throws(() => generateCID({}), /Invalid ciphertext object/);
+  console.log('Zero ciphertext CID:', generateCID(createZeroCiphertext()));
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: Parsing and older forms
+  console.log('Test 2: Parse');
+  console.log('=============');
+  const unversioned = '0x' + sha.toUpperCase();
+  assert.deepStrictEqual(parseCID(cid), { kind: 'v1', version: 1, cid });
+  assert.strictEqual(parseCID(unversioned).kind, 'unversioned');
+  assert.strictEqual(parseCID('CID_0123456789abcdef0123456789abcdef').kind, 'legacy');
+  assert.strictEqual(parseCID('CID_0123'), null);
+  assert.strictEqual(parseCID('0x1234'), null);
+  assert.strictEqual(parseCID(null), null);
+  assert.strictEqual(isCanonicalCID(cid.toUpperCase().replace('0X', '0x')), true);
+  assert.strictEqual(isCanonicalCID(unversioned), false);
+
+  // The previous generateCID output upgrades without a lookup
+  assert.strictEqual(toCanonicalCID(unversioned), cid);
+  assert.strictEqual(toCanonicalCID(sha), cid);
+  assert.strictEqual(compareCIDs(unversioned, cid), true);
+  assert.strictEqual(compareCIDs(cid, cidFromCiphertext(ct(2))), false);
+  assert.strictEqual(compareCIDs('CID_0123456789abcdef0123456789abcdef', cid), false);
+  assert.strictEqual(compareCIDs('CID_0123456789abcdef0123456789abcdef', 'CID_0123456789abcdef0123456789abcdef'), true);
+  console.log('✅ Test 2 passed\n');
+
+  // Test 3: Legacy resolver
+  console.log('Test 3: Legacy resolver');
+  console.log('=======================');
+  const aliasFile = path.join(dir, 'data', 'cid-aliases.jsonl');
+  const legacy = 'CID_' + 'a'.repeat(32);
+  const resolver = new CidResolver(aliasFile);
+  assert.strictEqual(resolver.resolve(legacy), null);
+  assert.strictEqual(resolver.register(legacy, a), cid);
+  assert.strictEqual(resolver.register(legacy, unversioned), cid);  // same target, no-op
+  assert.throws(() => resolver.register(legacy, ct(2)), /already maps to/);
+  assert.throws(() => resolver.register(cid, a), /Not a legacy CID/);
+  assert.strictEqual(resolver.resolve(legacy), cid);
+  assert.strictEqual(resolver.resolve(unversioned), cid);
+  assert.strictEqual(resolver.resolve('nonsense'), null);
+
+  // Aliases persist; a torn final line is dropped
+  fs.appendFileSync(aliasFile, '{"legacy":"CID_bbbb');
+  const reloaded = new CidResolver(aliasFile);
+  assert.strictEqual(reloaded.size, 1);
+  assert.strictEqual(reloaded.resolve(legacy), cid);
+  const other = 'CID_' + 'c'.repeat(32);
+  reloaded.register(other, ct(3));
+  assert.strictEqual(new CidResolver(aliasFile).resolve(other), cidFromCiphertext(ct(3)));
+  console.log('✅ Test 3 passed\n');
+
+  console.log('🎉 All CID tests passed!');
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
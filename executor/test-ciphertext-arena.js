@@ -0,0 +1,133 @@
+/**
+ * Ciphertext Arena Test Suite
+ * Runs payroll programs through an arena over the plaintext FHE16 mock and checks
+ * that every native "pointer" is freed exactly once.
+ * Run: node test-ciphertext-arena.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { CiphertextArena, withArena, getAllocationStats } = require('./ciphertext-arena.js');
+const { IrRegistry, bindParams } = require('./ir-registry.js');
+const { executePlan, collectOutputs } = require('./fhe-interpreter.js');
+const { createMockFHE16 } = require('./mock-fhe16.js');
+const { WorkerPool } = require('./worker-pool.js');
+
+// Worker that reports allocation counters the way fhe-worker.js does
+const COUNTING_WORKER = `
+  const { parentPort } = require('worker_threads');
+  let allocated = 0;
+  parentPort.on('message', ({ taskId, payload }) => {
+    allocated += payload.allocate;
+    const allocations = { live: payload.leak, peak: payload.allocate, allocated, freed: allocated - payload.leak, freeFailures: 0, arenas: 0 };
+    parentPort.postMessage({ type: 'result', taskId, result: true, allocations });
+  });
+  parentPort.postMessage({ type: 'ready' });
+`;
+
+async function main() {
+  console.log('🧪 Testing Ciphertext Arena\n');
+
+  const { ct, mockFHE } = createMockFHE16();
+  const freed = [];
+  const options = { free: ptr => freed.push(ptr) };
+
+  // Test 1: Ownership
+  console.log('Test 1: Ownership');
+  console.log('=================');
+  const before = getAllocationStats();
+  const arena = new CiphertextArena(options);
+  const a = arena.track(ct(1));
+  arena.track(a);                       // owned once
+  arena.track(null);
+  arena.track(42);                      // decInt results are plain numbers
+  const fhe = arena.wrap(mockFHE);
+  const sum = fhe.add(a, ct(2));
+  assert.strictEqual(sum.v, 3);
+  assert.strictEqual(fhe.select(ct(1), a, sum), a);   // an operand handed back is not owned twice
+  assert.strictEqual(arena.size, 2);
+  assert.strictEqual(getAllocationStats().live, before.live + 2);
+
+  assert.strictEqual(arena.release(), 2);
+  assert.deepStrictEqual(freed.map(p => p.v), [1, 3]);
+  assert.strictEqual(arena.release(), 0);
+  assert.throws(() => arena.track(ct(5)), /already released/);
+  assert.strictEqual(getAllocationStats().live, before.live);
+  assert.strictEqual(getAllocationStats().freed, before.freed + 2);
+  assert.throws(() => new CiphertextArena({}), /requires a free function/);
+
+  // Without a library free export, pointers are counted and left to the library
+  const tracking = new CiphertextArena({ free: null });
+  tracking.wrap(mockFHE).add(ct(1), ct(2));
+  assert.strictEqual(getAllocationStats().live, before.live + 1);
+  assert.strictEqual(tracking.release(), 0);
+  assert.strictEqual(getAllocationStats().live, before.live);
+  assert.strictEqual(getAllocationStats().retained, before.retained + 1);
+  assert.strictEqual(getAllocationStats().freed, before.freed + 2);
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: Plans free every intermediate, including on failure
+  console.log('Test 2: Plans');
+  console.log('=============');
+  const registry = new IrRegistry();
+  registry.loadDirectory(path.join(__dirname, 'programs'));
+  const byName = (name) => registry.list().map(p => registry.get(p.digest)).find(p => p.name === name);
+  const program = bindParams(byName('payroll_net_pay'), { tax_rate_bps: 2400, contribution_rate_bps: 450 });
+
+  freed.length = 0;
+  let stack;
+  const net = await withArena(options, (jobArena) => {
+    const inputs = [750000, 12345].map(v => jobArena.track(ct(v)));
+    stack = executePlan(jobArena.wrap(mockFHE), program, inputs);
+    return collectOutputs(program, stack)[0].ptr.v;  // copied out before release
+  });
+  assert.strictEqual(net, 750000 - 180000 - 33750 - 12345);
+  assert.strictEqual(new Set(freed).size, freed.length, 'no pointer freed twice');
+  assert.deepStrictEqual(new Set(freed), new Set(Object.values(stack)));
+  assert.strictEqual(getAllocationStats().live, before.live);
+
+  freed.length = 0;
+  await assert.rejects(withArena(options, (jobArena) => {
+    jobArena.track(ct(1));
+    executePlan(jobArena.wrap(mockFHE), program, [ct(1)].map(p => jobArena.track(p)), { isNull: p => p.v === 0 });
+  }), /returned null pointer|not available/);
+  assert.ok(freed.length >= 2);
+  assert.strictEqual(getAllocationStats().live, before.live);
+
+  // A failing free is counted, and the rest are still released
+  const flaky = new CiphertextArena({ free: (ptr) => { if (ptr.v === 1) throw new Error('double free'); } });
+  flaky.track(ct(1));
+  flaky.track(ct(2));
+  assert.strictEqual(flaky.release(), 1);
+  assert.strictEqual(getAllocationStats().freeFailures, before.freeFailures + 1);
+  assert.strictEqual(getAllocationStats().live, before.live);
+  console.log('✅ Test 2 passed\n');
+
+  // Test 3: Pool aggregates per-worker counters
+  console.log('Test 3: Worker counters');
+  console.log('=======================');
+  const pool = new WorkerPool({ size: 2, createWorker: () => new Worker(COUNTING_WORKER, { eval: true }) });
+  await pool.start();
+  try {
+    assert.deepStrictEqual(pool.getAllocationStats(), { live: 0, peak: 0, allocated: 0, freed: 0, freeFailures: 0, retained: 0, perWorker: [] });
+    await Promise.all([pool.run({ allocate: 10, leak: 0 }), pool.run({ allocate: 7, leak: 2 })]);
+    const stats = pool.getAllocationStats();
+    assert.strictEqual(stats.allocated, 17);
+    assert.strictEqual(stats.live, 2);
+    assert.strictEqual(stats.freed, 15);
+    assert.strictEqual(stats.peak, 10);
+    assert.strictEqual(stats.perWorker.length, 2);
+    console.log('Stats:', { ...stats, perWorker: stats.perWorker.length });
+  } finally {
+    await pool.close();
+  }
+  console.log('✅ Test 3 passed\n');
+
+  console.log('🎉 All ciphertext arena tests passed!');
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
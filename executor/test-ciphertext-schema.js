@@ -0,0 +1,191 @@
+/**
+ * Ciphertext Schema Test Suite
+ * Run: node test-ciphertext-schema.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  CIPHERTEXT_SCHEMA, SCHEMA_ERRORS, CiphertextSchemaError, ciphertextLength, assertCiphertext
+} = require('../lib/fhe16/schema.js');
+const { encodeFrame } = require('../lib/fhe16/wire.js');
+const { validateCiphertext, serializeCiphertext } = require('../lib/fhe16/crypto.js');
+const { CiphertextStore, createStoreServer } = require('./ciphertext-store.js');
+const { GatehouseClient } = require('./gatehouse-client.js');
+
+// Values are reduced mod q like real FHE16_0.0.1v ciphertexts
+const Q = 163603459;
+const data = (seed) => Array.from({ length: 33296 }, (_, i) => (seed * 7919 + i * 104729) % Q);
+const ct = (seed) => ({ encrypted_data: data(seed), scheme: 'FHE16_0.0.1v', timestamp: Date.now() });
+
+// Asserts the thrown error's code and path
+function rejects(input, code, errorPath, options = {}) {
+  assert.throws(() => assertCiphertext(input, options), (error) => {
+    assert.ok(error instanceof CiphertextSchemaError, error.message);
+    assert.strictEqual(error.code, code, error.message);
+    assert.strictEqual(error.path, errorPath, error.message);
+    return true;
+  });
+}
+
+function request(port, method, url, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: url, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function main() {
+  console.log('🧪 Testing Ciphertext Schema\n');
+
+  // Test 1: Accepted shapes
+  console.log('Test 1: Accepted shapes');
+  console.log('=======================');
+  const a = ct(1);
+  assert.strictEqual(ciphertextLength('FHE16_0.0.1v', 32), 33296);
+
+  const plain = assertCiphertext(a);
+  assert.strictEqual(plain.encryptedData, a.encrypted_data);
+  assert.strictEqual(plain.scheme, 'FHE16_0.0.1v');
+  assert.strictEqual(plain.bitWidth, 32);
+
+  assert.strictEqual(assertCiphertext({ encrypted_data: a.encrypted_data }).scheme, 'FHE16_0.0.1v');
+  assert.ok(assertCiphertext({ ...a, schema: CIPHERTEXT_SCHEMA, bit_width: 32 }));
+  assert.strictEqual(assertCiphertext({ encrypted_data: { encrypted_data: a.encrypted_data } }).encryptedData, a.encrypted_data);
+  assert.deepStrictEqual(assertCiphertext({ encrypted_frame: encodeFrame(a.encrypted_data) }).encryptedData, Int32Array.from(a.encrypted_data));
+  const compressed = encodeFrame(a.encrypted_data, { compress: true }).toString('base64');
+  assert.deepStrictEqual(assertCiphertext({ encrypted_frame: compressed }).encryptedData, Int32Array.from(a.encrypted_data));
+
+  // Header values are not reduced mod q
+  const header = a.encrypted_data.slice();
+  header[0] = -2147483648;
+  assert.ok(assertCiphertext({ encrypted_data: header }));
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: Error codes and paths
+  console.log('Test 2: Error codes');
+  console.log('===================');
+  const at = 'ciphertexts[1].ciphertext';
+  rejects(null, SCHEMA_ERRORS.NOT_AN_OBJECT, at, { path: at });
+  rejects([1, 2, 3], SCHEMA_ERRORS.NOT_AN_OBJECT, null);
+  rejects({ ...a, schema: 'lattica-ciphertext/9' }, SCHEMA_ERRORS.UNSUPPORTED_SCHEMA, `${at}.schema`, { path: at });
+  rejects({ ...a, scheme: 'CKKS' }, SCHEMA_ERRORS.UNSUPPORTED_SCHEME, `${at}.scheme`, { path: at });
+  rejects({ encrypted_data: a.encrypted_data }, SCHEMA_ERRORS.UNSUPPORTED_SCHEME, 'scheme', { requireScheme: true });
+  rejects({ scheme: 'FHE16_0.0.1v' }, SCHEMA_ERRORS.MISSING_DATA, at, { path: at });
+  rejects({ ...a, encrypted_frame: compressed }, SCHEMA_ERRORS.AMBIGUOUS_DATA, null);
+  rejects({ encrypted_frame: 'bm90IGEgZnJhbWU=' }, SCHEMA_ERRORS.INVALID_FRAME, `${at}.encrypted_frame`, { path: at });
+  rejects({ encrypted_data: '1,2,3' }, SCHEMA_ERRORS.INVALID_TYPE, 'encrypted_data');
+  rejects({ ...a, bit_width: 8 }, SCHEMA_ERRORS.INVALID_BIT_WIDTH, 'bit_width');
+  rejects({ encrypted_data: [1, 2, 3] }, SCHEMA_ERRORS.INVALID_LENGTH, 'encrypted_data');
+  rejects({ encrypted_frame: encodeFrame([1, 2, 3]) }, SCHEMA_ERRORS.INVALID_LENGTH, 'encrypted_frame');
+  rejects({ encrypted_data: { encrypted_data: [1] } }, SCHEMA_ERRORS.INVALID_LENGTH, 'encrypted_data.encrypted_data');
+  rejects({ encrypted_frame: encodeFrame(a.encrypted_data), scheme: 'OTHER' }, SCHEMA_ERRORS.UNSUPPORTED_SCHEME, 'scheme');
+  rejects({ ...a, timestamp: undefined }, SCHEMA_ERRORS.INVALID_TIMESTAMP, 'timestamp', { requireTimestamp: true });
+
+  const notInt = a.encrypted_data.slice();
+  notInt[7] = 1.5;
+  rejects({ encrypted_data: notInt }, SCHEMA_ERRORS.INVALID_VALUE, 'encrypted_data[7]');
+  notInt[7] = '7';
+  rejects({ encrypted_data: notInt }, SCHEMA_ERRORS.INVALID_VALUE, 'encrypted_data[7]');
+
+  const outOfRange = a.encrypted_data.slice();
+  outOfRange[20] = Q;
+  rejects({ encrypted_data: outOfRange }, SCHEMA_ERRORS.VALUE_OUT_OF_RANGE, `${at}.encrypted_data[20]`, { path: at });
+  outOfRange[20] = -Q;
+  rejects({ encrypted_data: outOfRange }, SCHEMA_ERRORS.VALUE_OUT_OF_RANGE, 'encrypted_data[20]');
+  rejects({ encrypted_frame: encodeFrame(outOfRange) }, SCHEMA_ERRORS.VALUE_OUT_OF_RANGE, 'encrypted_frame[20]');
+
+  // Errors serialize to a machine-readable body
+  assert.throws(() => assertCiphertext({ encrypted_data: [1] }, { path: at }), (error) => {
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(error)), {
+      code: 'CT_INVALID_LENGTH',
+      message: `${at}.encrypted_data: expected 33296 values, got 1`,
+      path: `${at}.encrypted_data`,
+      expected: 33296,
+      actual: 1
+    });
+    return true;
+  });
+
+  // validateCiphertext stays a boolean check
+  assert.strictEqual(validateCiphertext(a), true);
+  assert.strictEqual(validateCiphertext({ encrypted_data: outOfRange, scheme: 'FHE16_0.0.1v', timestamp: 1 }), false);
+  assert.strictEqual(validateCiphertext({ encrypted_data: a.encrypted_data, scheme: 'FHE16_0.0.1v' }), false);
+  assert.strictEqual(validateCiphertext(null), false);
+  console.log('✅ Test 2 passed\n');
+
+  // Test 3: Ingress points report the code
+  console.log('Test 3: Ingress points');
+  console.log('======================');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ciphertext-schema-'));
+  const store = new CiphertextStore(dir);
+  const storeServer = createStoreServer(store);
+  const received = [];
+  const gatehouse = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push(JSON.parse(Buffer.concat(chunks)));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => storeServer.listen(0, '127.0.0.1', resolve));
+  await new Promise(resolve => gatehouse.listen(0, '127.0.0.1', resolve));
+
+  try {
+    // Store: binary PUT of out-of-range values, JSON PUT with a precise path
+    const rangeBytes = serializeCiphertext(a);
+    rangeBytes.writeInt32LE(Q, 20 * 4);
+    assert.throws(() => store.put(rangeBytes), { status: 400, code: 'CT_VALUE_OUT_OF_RANGE' });
+
+    const storePort = storeServer.address().port;
+    const json = JSON.stringify({ ...a, encrypted_data: a.encrypted_data.slice(0, 100) });
+    const response = await request(storePort, 'PUT', '/ciphertexts', json, { 'Content-Type': 'application/json' });
+    assert.strictEqual(response.status, 400);
+    const error = JSON.parse(response.body);
+    assert.strictEqual(error.code, 'CT_INVALID_LENGTH');
+    assert.match(error.error, /^body\.encrypted_data: expected 33296 values, got 100/);
+
+    const ok = await request(storePort, 'PUT', '/ciphertexts', JSON.stringify(a), { 'Content-Type': 'application/json' });
+    assert.strictEqual(ok.status, 201);
+
+    // Gatehouse: failed results and decryptions carry the code
+    const client = new GatehouseClient({ baseUrl: `http://127.0.0.1:${gatehouse.address().port}`, executorId: 'executor-1', retries: 0 });
+    await client.submitResult('job-1', {
+      success: false,
+      error: 'ciphertexts[0].ciphertext.scheme: unsupported scheme: CKKS',
+      errorCode: 'CT_UNSUPPORTED_SCHEME',
+      errorPath: 'ciphertexts[0].ciphertext.scheme'
+    });
+    assert.strictEqual(received[0].error_code, 'CT_UNSUPPORTED_SCHEME');
+    assert.strictEqual(received[0].error_path, 'ciphertexts[0].ciphertext.scheme');
+
+    await client.submitResult('job-2', { success: false, error: 'boom' });
+    assert.strictEqual(received[1].error_code, undefined);
+
+    await client.submitDecryptResult('decrypt-1', false, null, 'ciphertext: missing encrypted_data or encrypted_frame', 'CT_MISSING_DATA');
+    assert.strictEqual(received[2].error_code, 'CT_MISSING_DATA');
+    client.close();
+    console.log('✅ Test 3 passed\n');
+  } finally {
+    await new Promise(resolve => storeServer.close(resolve));
+    await new Promise(resolve => gatehouse.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('🎉 All ciphertext schema tests passed!');
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+/**
+ * Ciphertext Store Test Suite
+ * Run: node test-ciphertext-store.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { CiphertextStore, createStoreServer, parseRange, maxCiphertextBytes } = require('./ciphertext-store.js');
+const { CiphertextStoreClient } = require('./ciphertext-store-client.js');
+const { serializeCiphertext } = require('../lib/fhe16/crypto.js');
+const { cidFromCiphertext, toCanonicalCID } = require('../lib/fhe16/cid.js');
+
+// Values are reduced mod q like real FHE16_0.0.1v ciphertexts
+const Q = 163603459;
+const ct = (seed) => ({
+  encrypted_data: Array.from({ length: 33296 }, (_, i) => (seed * 7919 + i * 104729) % Q),
+  scheme: 'FHE16_0.0.1v',
+  timestamp: Date.now()
+});
+
+function request(port, method, urlPath, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path: urlPath, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+async function main() {
+  console.log('🧪 Testing Ciphertext Store\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ciphertext-store-'));
+  const store = new CiphertextStore(dir);
+  const server = createStoreServer(store, { writeToken: 'secret', corsOrigin: '*' });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  const client = new CiphertextStoreClient({ baseUrl: `http://127.0.0.1:${port}`, token: 'secret' });
+
+  try {
+    const a = ct(1);
+    const cidA = cidFromCiphertext(a);
+
+    // Test 1: Put and get through the client
+    console.log('Test 1: Put/get');
+    console.log('===============');
+    assert.strictEqual(await client.put(a), cidA);
+    assert.strictEqual(await client.put(a), cidA);  // idempotent
+    assert.deepStrictEqual(await client.get(cidA), a.encrypted_data);
+    assert.ok(fs.existsSync(store.pathFor(cidA)));
+    assert.deepStrictEqual(fs.readFileSync(store.pathFor(cidA)), serializeCiphertext(a));
+
+    // Unversioned SHA256 CIDs address the same file
+    const unversioned = '0x' + cidA.slice(4) + 'ff';
+    assert.strictEqual(toCanonicalCID(unversioned), cidA);
+    assert.deepStrictEqual(await client.get(unversioned), a.encrypted_data);
+    await assert.rejects(client.get(cidFromCiphertext(ct(2))), { code: 'NOT_FOUND' });
+    await assert.rejects(client.get('CID_' + 'a'.repeat(32)), { code: 'INVALID_CID' });
+    console.log('Stored:', cidA);
+    console.log('✅ Test 1 passed\n');
+
+    // Test 2: HTTP API
+    console.log('Test 2: HTTP API');
+    console.log('================');
+    const b = ct(2);
+    const cidB = cidFromCiphertext(b);
+    const auth = { Authorization: 'Bearer secret' };
+
+    let res = await request(port, 'PUT', '/ciphertexts', { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(b) });
+    assert.strictEqual(res.status, 401);
+
+    res = await request(port, 'PUT', '/ciphertexts', {
+      headers: { ...auth, 'Content-Type': 'application/json' },
+      body: JSON.stringify(b)
+    });
+    assert.strictEqual(res.status, 201);
+    assert.deepStrictEqual(JSON.parse(res.body), { cid: cidB, size: 33296 * 4 });
+    assert.strictEqual(res.headers.location, `/ciphertexts/${cidB}`);
+
+    res = await request(port, 'PUT', `/ciphertexts/${cidA}`, {
+      headers: { ...auth, 'Content-Type': 'application/octet-stream' },
+      body: serializeCiphertext(b)
+    });
+    assert.strictEqual(res.status, 422);
+    assert.strictEqual(JSON.parse(res.body).code, 'CID_MISMATCH');
+
+    res = await request(port, 'PUT', '/ciphertexts', { headers: auth, body: Buffer.alloc(100) });
+    assert.strictEqual(res.status, 400);
+    res = await request(port, 'PUT', '/ciphertexts', { headers: auth, body: Buffer.alloc(maxCiphertextBytes() + 1) });
+    assert.strictEqual(res.status, 413);
+
+    res = await request(port, 'GET', `/ciphertexts/${cidB}`, { headers: { Accept: 'application/json' } });
+    assert.strictEqual(res.status, 200);
+    const json = JSON.parse(res.body);
+    assert.strictEqual(json.cid, cidB);
+    assert.deepStrictEqual(json.encrypted_data, b.encrypted_data);
+    assert.strictEqual(json.scheme, 'FHE16_0.0.1v');
+
+    res = await request(port, 'HEAD', `/ciphertexts/${cidB}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['content-length'], String(33296 * 4));
+    assert.strictEqual(res.headers['x-ciphertext-cid'], cidB);
+    assert.strictEqual(res.body.length, 0);
+    assert.strictEqual(res.headers['access-control-allow-origin'], '*');
+
+    res = await request(port, 'GET', '/ciphertexts/0x1234');
+    assert.strictEqual(res.status, 400);
+    res = await request(port, 'DELETE', `/ciphertexts/${cidB}`);
+    assert.strictEqual(res.status, 405);
+    console.log('✅ Test 2 passed\n');
+
+    // Test 3: Ranges
+    console.log('Test 3: Ranges');
+    console.log('==============');
+    const bytesB = serializeCiphertext(b);
+    res = await request(port, 'GET', `/ciphertexts/${cidB}`, { headers: { Range: 'bytes=0-63' } });
+    assert.strictEqual(res.status, 206);
+    assert.strictEqual(res.headers['content-range'], `bytes 0-63/${bytesB.length}`);
+    assert.deepStrictEqual(res.body, bytesB.subarray(0, 64));
+
+    res = await request(port, 'GET', `/ciphertexts/${cidB}`, { headers: { Range: 'bytes=-16' } });
+    assert.deepStrictEqual(res.body, bytesB.subarray(bytesB.length - 16));
+    res = await request(port, 'GET', `/ciphertexts/${cidB}`, { headers: { Range: `bytes=${bytesB.length}-` } });
+    assert.strictEqual(res.status, 416);
+
+    assert.deepStrictEqual(parseRange('bytes=10-', 100), { start: 10, end: 99 });
+    assert.deepStrictEqual(parseRange('bytes=10-500', 100), { start: 10, end: 99 });
+    assert.strictEqual(parseRange('bytes=5-2', 100), 'unsatisfiable');
+    assert.strictEqual(parseRange('items=0-1', 100), null);
+    assert.strictEqual(parseRange('bytes=0-1,4-5', 100), null);
+    console.log('✅ Test 3 passed\n');
+
+    // Test 4: Hash verification on read
+    console.log('Test 4: Corruption');
+    console.log('==================');
+    const corrupted = Buffer.from(bytesB);
+    corrupted[100] ^= 0xff;
+    fs.writeFileSync(store.pathFor(cidB), corrupted);
+    res = await request(port, 'GET', `/ciphertexts/${cidB}`);
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(JSON.parse(res.body).code, 'CORRUPT');
+
+    // The client also checks bytes itself, so a misbehaving store is caught
+    const liar = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      res.end(corrupted);
+    });
+    await new Promise(resolve => liar.listen(0, '127.0.0.1', resolve));
+    const liarClient = new CiphertextStoreClient({ baseUrl: `http://127.0.0.1:${liar.address().port}` });
+    await assert.rejects(liarClient.get(cidB), { code: 'CID_MISMATCH' });
+    await new Promise(resolve => liar.close(resolve));
+    console.log('✅ Test 4 passed\n');
+
+    console.log('🎉 All ciphertext store tests passed!');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
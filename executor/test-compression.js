@@ -0,0 +1,178 @@
+/**
+ * Ciphertext Compression Test Suite
+ * Run: node test-compression.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { compressValues, decompressValues } = require('../lib/fhe16/compress.js');
+const { encodeFrame, decodeFrame, readFrameHeader, frameBody, ciphertextValues } = require('../lib/fhe16/wire.js');
+const {
+  serializeCiphertext, deserializeCiphertext, compressCiphertext, decompressCiphertext, hexToCiphertext
+} = require('../lib/fhe16/crypto.js');
+const { cidFromCiphertext } = require('../lib/fhe16/cid.js');
+const { SCHEMA_ERRORS, assertCiphertext } = require('../lib/fhe16/schema.js');
+const { CiphertextStore, createStoreServer } = require('./ciphertext-store.js');
+const { CiphertextStoreClient } = require('./ciphertext-store-client.js');
+
+// FHE16_0.0.1v modulus; LWE values are reduced mod q
+const Q = 163603459;
+
+// Deterministic pseudo-random values mod q, with a small-valued 16-element header
+const ct = (seed) => {
+  let state = seed;
+  const next = () => (state = (Math.imul(state, 1103515245) + 12345) >>> 0);
+  return {
+    encrypted_data: Array.from({ length: 33296 }, (_, i) => (i < 16 ? i : next() % Q)),
+    scheme: 'FHE16_0.0.1v',
+    timestamp: Date.now()
+  };
+};
+
+async function main() {
+  console.log('🧪 Testing Ciphertext Compression\n');
+
+  // Test 1: Packing
+  console.log('Test 1: Packing');
+  console.log('===============');
+  const samples = [
+    Int32Array.from([0, 1, 2, 3]),
+    Int32Array.from([-2147483648, 2147483647, 0, -1]),  // full 32-bit range
+    new Int32Array(1000),                                // width 0
+    Int32Array.from({ length: 3000 }, (_, i) => (i * 2654435761) | 0),
+    new Int32Array(0)
+  ];
+  for (const values of samples) {
+    for (const codec of ['none', 'deflate-raw', 'auto']) {
+      for (const blockSize of [1, 7, 1024]) {
+        const packed = compressValues(values, { codec, blockSize });
+        assert.deepStrictEqual(decompressValues(packed, values.length), values, `${codec}/${blockSize}`);
+      }
+    }
+  }
+  assert.strictEqual(compressValues(new Int32Array(1024), { codec: 'none' }).length, 8 + 5);
+
+  // Values mod q need 28 bits instead of 32
+  const a = ct(1);
+  const packed = compressValues(a.encrypted_data, { codec: 'none' });
+  assert.strictEqual(packed.length, 8 + Math.ceil(33296 / 1024) * 5 + 33296 * 28 / 8);
+
+  assert.throws(() => compressValues(a.encrypted_data, { codec: 'lz4' }), /Unknown compression codec/);
+  assert.throws(() => compressValues(a.encrypted_data, { blockSize: 70000 }), /Invalid block size/);
+  assert.throws(() => decompressValues(packed.subarray(0, packed.length - 1), 33296), /Packed length mismatch/);
+  assert.throws(() => decompressValues(packed, 40000), /truncated/);
+  const badCodec = Buffer.from(packed);
+  badCodec[0] = 9;
+  assert.throws(() => decompressValues(badCodec, 33296), /Unknown compression codec: 9/);
+  const bomb = Buffer.from(packed);
+  bomb.writeUInt32LE(0xffffffff, 4);
+  assert.throws(() => decompressValues(bomb, 33296), /too large/);
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: Frames and crypto.js
+  console.log('Test 2: Compressed ciphertexts');
+  console.log('==============================');
+  const compressed = compressCiphertext(a);
+  const header = readFrameHeader(compressed);
+  assert.strictEqual(header.compressed, true);
+  assert.strictEqual(header.length, 33296);
+  assert.ok(compressed.length < serializeCiphertext(a).length * 0.9);
+  assert.ok(compressed.length < 200000);
+  console.log(`Serialized ${serializeCiphertext(a).length} bytes, compressed ${compressed.length} bytes`);
+
+  assert.deepStrictEqual(decompressCiphertext(compressed).encrypted_data, a.encrypted_data);
+  assert.deepStrictEqual(deserializeCiphertext(compressed).encrypted_data, a.encrypted_data);
+  assert.deepStrictEqual(hexToCiphertext('0x' + compressed.toString('hex')).encrypted_data, a.encrypted_data);
+  assert.deepStrictEqual(deserializeCiphertext(encodeFrame(a.encrypted_data)).encrypted_data, a.encrypted_data);
+  assert.deepStrictEqual(decodeFrame(compressed, { expectedLength: 33296 }).encryptedData, Int32Array.from(a.encrypted_data));
+
+  // CIDs name the uncompressed bytes
+  assert.deepStrictEqual(frameBody(compressed), serializeCiphertext(a));
+  assert.throws(() => decompressCiphertext(encodeFrame([1, 2, 3], { compress: true })), /expected 33296, got 3/);
+  assert.throws(() => compressCiphertext({ encrypted_data: [1, 2, 3] }), /Invalid ciphertext/);
+  const unknownFlag = Buffer.from(compressed);
+  unknownFlag.writeUInt16LE(0x0003, 6);
+  assert.throws(() => decodeFrame(unknownFlag), /Unsupported ciphertext frame flags: 3/);
+
+  // Decompression bomb: a half-kilobyte frame declaring 100M values in width-0 blocks.
+  // The count is refused before anything of that size is allocated.
+  const declared = 100000000;
+  const packedLength = Math.ceil(declared / 1024) * 5;
+  const packedHeader = Buffer.alloc(8);
+  packedHeader.writeUInt8(1, 0);
+  packedHeader.writeUInt16LE(1024, 2);
+  packedHeader.writeUInt32LE(packedLength, 4);
+  const bombFrame = Buffer.concat([
+    encodeFrame([0], { compress: { codec: 'none' } }).subarray(0, 28),
+    packedHeader,
+    zlib.deflateRawSync(Buffer.alloc(packedLength), { level: 9 })
+  ]);
+  bombFrame.writeUInt32LE(declared, 8);
+  assert.ok(bombFrame.length < 1024);
+  const before = process.memoryUsage().arrayBuffers;
+  assert.throws(() => decodeFrame(bombFrame), /100000000 values, at most 66576 for FHE16_0.0.1v/);
+  assert.throws(() => frameBody(bombFrame), /at most 66576/);
+  assert.throws(() => decodeFrame(bombFrame, { expectedLength: 33296 }), /expected 33296, got 100000000/);
+  assert.throws(() => ciphertextValues({ encrypted_frame: bombFrame.toString('base64') }), /at most 66576/);
+  assert.throws(() => deserializeCiphertext(bombFrame), /at most 66576/);
+  assert.throws(() => assertCiphertext({ encrypted_frame: bombFrame.toString('base64') }), (error) =>
+    error.code === SCHEMA_ERRORS.INVALID_LENGTH && error.details.actual === declared);
+  assert.ok(process.memoryUsage().arrayBuffers - before < 64 * 1024 * 1024, 'nothing of the declared size allocated');
+
+  // Compressed frames of a scheme without a parameter set have no bound
+  const unregistered = encodeFrame([1, 2, 3], { scheme: 'UNREGISTERED', bitWidth: 8, compress: true });
+  assert.throws(() => decodeFrame(unregistered), /Unsupported ciphertext scheme for a compressed frame/);
+  assert.deepStrictEqual(decodeFrame(encodeFrame([1, 2, 3], { scheme: 'UNREGISTERED', bitWidth: 8 })).encryptedData, Int32Array.from([1, 2, 3]));
+  console.log('✅ Test 2 passed\n');
+
+  // Test 3: Compressed storage and transfer
+  console.log('Test 3: Store');
+  console.log('=============');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ciphertext-compression-'));
+  const store = new CiphertextStore(dir, { compress: true });
+  const server = createStoreServer(store);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const cidA = cidFromCiphertext(a);
+    const result = store.put(serializeCiphertext(a));
+    assert.deepStrictEqual(result, { cid: cidA, size: 33296 * 4, created: true });
+    assert.ok(fs.statSync(store.pathFor(cidA)).size < 33296 * 4 * 0.9);
+    assert.deepStrictEqual(store.get(cidA), serializeCiphertext(a));
+
+    // A compressed upload to an uncompressed store is stored as plain bytes
+    const plainStore = new CiphertextStore(path.join(dir, 'plain'));
+    assert.strictEqual(plainStore.put(compressed, cidA).cid, cidA);
+    assert.deepStrictEqual(fs.readFileSync(plainStore.pathFor(cidA)), serializeCiphertext(a));
+
+    const compressingClient = new CiphertextStoreClient({ baseUrl, compress: true });
+    const b = ct(2);
+    const cidB = await compressingClient.put(b);
+    assert.strictEqual(cidB, cidFromCiphertext(b));
+    assert.deepStrictEqual(await compressingClient.get(cidB), b.encrypted_data);
+
+    // Plain clients still get serialized bytes
+    const plainClient = new CiphertextStoreClient({ baseUrl });
+    assert.deepStrictEqual(await plainClient.get(cidA), a.encrypted_data);
+
+    const corrupted = fs.readFileSync(store.pathFor(cidB));
+    corrupted[corrupted.length - 1] ^= 0xff;
+    fs.writeFileSync(store.pathFor(cidB), corrupted);
+    assert.throws(() => store.get(cidB), { code: 'CORRUPT' });
+    console.log('✅ Test 3 passed\n');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('🎉 All compression tests passed!');
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+/**
+ * Decrypt Audit Log Test Suite
+ * Run: node test-decrypt-audit.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DecryptAuditLog, verifyAuditLog, entryHash, GENESIS_HASH } = require('./decrypt-audit.js');
+const { ExecutorIdentity } = require('./executor-identity.js');
+
+function readLines(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n');
+}
+
+async function main() {
+  console.log('🧪 Testing Decrypt Audit Log\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decrypt-audit-'));
+  try {
+    const identity = ExecutorIdentity.load(path.join(dir, 'executor.pem'), { create: true }).identity;
+    const other = ExecutorIdentity.load(path.join(dir, 'other.pem'), { create: true }).identity;
+    const file = path.join(dir, 'logs', 'audit.jsonl');
+    const decision = (i, effect = 'allow') => ({ decrypt_id: `dec-${i}`, cid: '0x01aa', requester: null, effect, rule: 'test', reason: 'test' });
+
+    // Test 1: Entries chain and verify
+    console.log('Test 1: Hash chain');
+    console.log('==================');
+    const log = new DecryptAuditLog(file, identity);
+    assert.deepStrictEqual(log.open(), { entries: 0, head: GENESIS_HASH, recovered: false });
+    const first = log.decision(decision(0));
+    const second = log.decision(decision(1, 'deny'));
+    log.decision(decision(2));
+    assert.strictEqual(first.prev, GENESIS_HASH);
+    assert.strictEqual(second.prev, first.hash);
+    assert.strictEqual(second.signature.key_id, identity.keyId);
+    log.close();
+    assert.throws(() => log.decision(decision(3)), /not open/);
+
+    let result = verifyAuditLog(file, { publicKey: identity.publicKeyHex });
+    assert.deepStrictEqual([result.valid, result.entries, result.head], [true, 3, log.head]);
+    assert.strictEqual(verifyAuditLog(path.join(dir, 'missing.jsonl')).entries, 0);
+
+    // Reopening continues the chain
+    const reopened = new DecryptAuditLog(file, identity);
+    assert.deepStrictEqual(reopened.open(), { entries: 3, head: log.head, recovered: false });
+    assert.strictEqual(reopened.decision(decision(3)).seq, 3);
+    reopened.close();
+    console.log('✅ Test 1 passed\n');
+
+    // Test 2: Tampering is detected
+    console.log('Test 2: Tamper evidence');
+    console.log('=======================');
+    const lines = readLines(file);
+    const check = (mutated) => {
+      const copy = path.join(dir, 'tampered.jsonl');
+      fs.writeFileSync(copy, mutated.join('\n') + '\n');
+      return verifyAuditLog(copy, { publicKey: identity.publicKeyHex });
+    };
+
+    // Flip a deny to an allow
+    const edited = JSON.parse(lines[1]);
+    edited.decision.effect = 'allow';
+    assert.match(check([lines[0], JSON.stringify(edited), ...lines.slice(2)]).reason, /hash does not match/);
+
+    // ...and recompute its hash: the signature no longer matches
+    edited.hash = entryHash(edited);
+    assert.match(check([lines[0], JSON.stringify(edited), ...lines.slice(2)]).reason, /bad signature/);
+
+    // Removed, reordered, or re-signed with another key
+    result = check([lines[0], ...lines.slice(2)]);
+    assert.deepStrictEqual([result.valid, result.line, result.entries], [false, 2, 1]);
+    assert.match(check([lines[1], lines[0], ...lines.slice(2)]).reason, /expected seq 0/);
+    const resigned = JSON.parse(lines[0]);
+    resigned.signature = { ...resigned.signature, key_id: other.keyId, public_key: other.publicKeyHex, value: other.sign(resigned.hash) };
+    assert.match(check([JSON.stringify(resigned), ...lines.slice(1)]).reason, /signed by another key/);
+
+    // A broken log refuses to open
+    fs.writeFileSync(file + '.broken', [lines[0], ...lines.slice(2)].join('\n') + '\n');
+    assert.throws(() => new DecryptAuditLog(file + '.broken', identity).open(), /failed verification at line 2/);
+    assert.throws(() => new DecryptAuditLog(file, other).open(), /signed by another key/);
+    console.log('✅ Test 2 passed\n');
+
+    // Test 3: A torn final entry is cut off and the cut is logged
+    console.log('Test 3: Torn tail');
+    console.log('=================');
+    fs.appendFileSync(file, '{"seq":4,"at":17600');
+    const recovering = new DecryptAuditLog(file, identity);
+    const opened = recovering.open();
+    assert.strictEqual(opened.recovered, true);
+    assert.strictEqual(opened.entries, 5);
+    recovering.close();
+    const recovered = JSON.parse(readLines(file)[4]);
+    assert.deepStrictEqual([recovered.event, recovered.dropped_bytes], ['recovered', '{"seq":4,"at":17600'.length]);
+    assert.strictEqual(verifyAuditLog(file).valid, true);
+    console.log('✅ Test 3 passed\n');
+
+    console.log('🎉 All decrypt audit log tests passed!');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
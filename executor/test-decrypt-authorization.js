@@ -0,0 +1,198 @@
+/**
+ * Decrypt Authorization Test Suite
+ * Run: node test-decrypt-authorization.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  AUTHORIZATION_ERRORS, DECRYPT_REQUEST_TYPES, DecryptAuthorizer, decryptRequestDomain, sealValue, openSealedValue
+} = require('./decrypt-authorization.js');
+const { cidFromCiphertext } = require('../lib/fhe16/cid.js');
+
+const CHAIN_ID = 5003;
+const PAYROLL = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const NOW = 1760000000000;
+
+function ciphertext() {
+  return Array.from({ length: 16 + 1040 * 16 }, () => crypto.randomInt(-(2 ** 31), 2 ** 31));
+}
+
+function recipientKeyOf(keyPair) {
+  return '0x' + Buffer.from(keyPair.publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex');
+}
+
+// Asserts the thrown error's code
+function throwsCode(fn, code) {
+  assert.throws(fn, (error) => {
+    assert.strictEqual(error.code, code, error.message);
+    return true;
+  });
+}
+
+async function main() {
+  console.log('🧪 Testing Decrypt Authorization\n');
+
+  const domain = decryptRequestDomain({ chainId: CHAIN_ID, payrollAddress: PAYROLL });
+  const authorizer = new DecryptAuthorizer({ chainId: CHAIN_ID, payrollAddress: PAYROLL, now: () => NOW });
+
+  const alice = ethers.Wallet.createRandom();
+  const bob = ethers.Wallet.createRandom();
+  const aliceKeys = crypto.generateKeyPairSync('x25519');
+
+  const salary = ciphertext();
+  const salaryCid = cidFromCiphertext(salary);
+  const bobSalary = ciphertext();
+
+  const requestFor = (cid, overrides = {}) => ({
+    requester: alice.address,
+    cid,
+    paymentId: '0',
+    recipientKey: recipientKeyOf(aliceKeys),
+    nonce: ethers.hexlify(ethers.randomBytes(32)),
+    deadline: NOW / 1000 + 600,
+    ...overrides
+  });
+  const sign = async (request, wallet = alice) => ({
+    request,
+    signature: await wallet.signTypedData(domain, DECRYPT_REQUEST_TYPES, request)
+  });
+
+  // Test 1: Signed requests authenticate their requester
+  console.log('Test 1: Authorized requests');
+  console.log('===========================');
+  const authorization = await sign(requestFor(salaryCid));
+  const authorized = authorizer.authorize({ decryptId: 'dec-1', cid: salaryCid, encryptedData: salary }, authorization);
+  assert.strictEqual(authorized.requester, alice.address);
+  assert.strictEqual(authorized.paymentId, '0');
+  assert.strictEqual(authorized.recipientKey, authorization.request.recipientKey);
+
+  // A retried job may present its request again
+  authorizer.authorize({ decryptId: 'dec-1', cid: salaryCid, encryptedData: salary }, authorization);
+
+  // Whoever signs is authenticated; whether they may see the CID is the policy's call
+  const bobAsks = authorizer.authorize({ decryptId: 'dec-2', cid: salaryCid, encryptedData: salary },
+    await sign(requestFor(salaryCid, { requester: bob.address }), bob));
+  assert.strictEqual(bobAsks.requester, bob.address);
+
+  // Aggregate jobs: the request is signed for the aggregate id, not a ciphertext CID
+  const aggregateId = '0x' + crypto.randomBytes(32).toString('hex');
+  const aggregateAuth = await sign(requestFor(aggregateId));
+  assert.strictEqual(authorizer.authorizeAggregate({ decryptId: 'agg-1', aggregateId }, aggregateAuth).requester, alice.address);
+  throwsCode(() => authorizer.authorizeAggregate({ decryptId: 'agg-2', aggregateId: '0x' + 'ab'.repeat(32) },
+    aggregateAuth), AUTHORIZATION_ERRORS.WRONG_CIPHERTEXT);
+  throwsCode(() => authorizer.authorize({ decryptId: 'agg-3', cid: aggregateId, encryptedData: salary },
+    aggregateAuth), AUTHORIZATION_ERRORS.WRONG_CIPHERTEXT);
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: Refusals
+  console.log('Test 2: Refusals');
+  console.log('================');
+  const job = { decryptId: 'dec-3', cid: salaryCid, encryptedData: salary };
+
+  // Signed by someone else, or tampered after signing
+  const forged = await sign(requestFor(salaryCid), bob);
+  throwsCode(() => authorizer.authorize(job, forged), AUTHORIZATION_ERRORS.INVALID_SIGNATURE);
+  const tampered = await sign(requestFor(salaryCid));
+  tampered.request.recipientKey = recipientKeyOf(crypto.generateKeyPairSync('x25519'));
+  throwsCode(() => authorizer.authorize(job, tampered), AUTHORIZATION_ERRORS.INVALID_SIGNATURE);
+
+  // Signed under another chain or payroll contract
+  const otherDomain = decryptRequestDomain({ chainId: 1, payrollAddress: PAYROLL });
+  const request = requestFor(salaryCid);
+  const otherChain = { request, signature: await alice.signTypedData(otherDomain, DECRYPT_REQUEST_TYPES, request) };
+  throwsCode(() => authorizer.authorize(job, otherChain), AUTHORIZATION_ERRORS.INVALID_SIGNATURE);
+
+  // The gatehouse pairs Alice's request with Bob's ciphertext, or with Bob's CID
+  const bobJob = { decryptId: 'dec-4', cid: cidFromCiphertext(bobSalary), encryptedData: bobSalary };
+  const aliceRequest = await sign(requestFor(salaryCid));
+  throwsCode(() => authorizer.authorize({ ...job, encryptedData: bobSalary }, aliceRequest), AUTHORIZATION_ERRORS.WRONG_CIPHERTEXT);
+  throwsCode(() => authorizer.authorize(bobJob, aliceRequest), AUTHORIZATION_ERRORS.WRONG_CIPHERTEXT);
+
+  // Expired, too far ahead, replayed for another job, malformed recipient key
+  const expired = await sign(requestFor(salaryCid, { deadline: NOW / 1000 }));
+  throwsCode(() => authorizer.authorize(job, expired), AUTHORIZATION_ERRORS.EXPIRED);
+  const tooLong = await sign(requestFor(salaryCid, { deadline: NOW / 1000 + 7200 }));
+  throwsCode(() => authorizer.authorize(job, tooLong), AUTHORIZATION_ERRORS.EXPIRED);
+  throwsCode(() => authorizer.authorize(job, authorization), AUTHORIZATION_ERRORS.REPLAYED);
+  throwsCode(() => authorizer.authorize(job, { request: requestFor(salaryCid, { recipientKey: '0x1234' }), signature: '0x' }), AUTHORIZATION_ERRORS.INVALID_REQUEST);
+  throwsCode(() => authorizer.authorize(job, { request: requestFor(salaryCid) }), AUTHORIZATION_ERRORS.INVALID_REQUEST);
+  console.log('✅ Test 2 passed\n');
+
+  // Test 3: Sealing to the requester
+  console.log('Test 3: Sealed values');
+  console.log('=====================');
+  const context = { decryptId: 'dec-1', cid: salaryCid };
+  const sealed = sealValue(523000, authorized.recipientKey, context);
+  assert.strictEqual(sealed.recipient_key, authorized.recipientKey.toLowerCase());
+  assert.ok(!JSON.stringify(sealed).includes('523000'));
+  assert.strictEqual(openSealedValue(sealed, aliceKeys.privateKey, context), 523000);
+  assert.strictEqual(openSealedValue(sealValue('1152921504606846983', authorized.recipientKey, context), aliceKeys.privateKey, context),
+    '1152921504606846983');
+
+  // Fresh ephemeral key per envelope
+  assert.notStrictEqual(sealValue(523000, authorized.recipientKey, context).ephemeral_key, sealed.ephemeral_key);
+
+  // Only the employee's key opens it, and only for the job it was sealed for
+  assert.throws(() => openSealedValue(sealed, crypto.generateKeyPairSync('x25519').privateKey, context));
+  assert.throws(() => openSealedValue(sealed, aliceKeys.privateKey, { ...context, decryptId: 'dec-9' }));
+  const flipped = { ...sealed, ciphertext: Buffer.from(sealed.ciphertext, 'base64').map((b, i) => i === 0 ? b ^ 1 : b).toString('base64') };
+  assert.throws(() => openSealedValue(flipped, aliceKeys.privateKey, context));
+  console.log('✅ Test 3 passed\n');
+
+  // Test 4: Used nonces outlive a restart until their deadline
+  console.log('Test 4: Persisted nonces');
+  console.log('========================');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decrypt-nonces-'));
+  try {
+    const noncePath = path.join(dir, 'data', 'decrypt-nonces.jsonl');
+    let clock = NOW;
+    const restart = () => {
+      const restarted = new DecryptAuthorizer({ chainId: CHAIN_ID, payrollAddress: PAYROLL, noncePath, now: () => clock });
+      return { restarted, loaded: restarted.open() };
+    };
+
+    let { restarted, loaded } = restart();
+    assert.strictEqual(loaded, 0);
+    const shortLived = await sign(requestFor(salaryCid, { deadline: NOW / 1000 + 60 }));
+    const longLived = await sign(requestFor(salaryCid));
+    restarted.authorize({ decryptId: 'dec-10', cid: salaryCid, encryptedData: salary }, shortLived);
+    restarted.authorize({ decryptId: 'dec-11', cid: salaryCid, encryptedData: salary }, longLived);
+    restarted.authorize({ decryptId: 'dec-11', cid: salaryCid, encryptedData: salary }, longLived);
+    assert.strictEqual(fs.readFileSync(noncePath, 'utf8').trim().split('\n').length, 2);
+    restarted.close();
+
+    // After a restart the nonce is still taken by its job; the job itself may retry
+    ({ restarted, loaded } = restart());
+    assert.strictEqual(loaded, 2);
+    throwsCode(() => restarted.authorize({ decryptId: 'dec-12', cid: salaryCid, encryptedData: salary }, longLived),
+      AUTHORIZATION_ERRORS.REPLAYED);
+    restarted.authorize({ decryptId: 'dec-11', cid: salaryCid, encryptedData: salary }, longLived);
+    restarted.close();
+
+    // Expired nonces are dropped from the file; a torn final line is ignored
+    clock = NOW + 120 * 1000;
+    fs.appendFileSync(noncePath, '{"nonce":"0x');
+    ({ restarted, loaded } = restart());
+    assert.strictEqual(loaded, 1);
+    assert.strictEqual(fs.readFileSync(noncePath, 'utf8').trim().split('\n').length, 1);
+    restarted.close();
+
+    fs.writeFileSync(noncePath, 'garbage\n{}\n');
+    assert.throws(() => restart(), /corrupt at line 1/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('✅ Test 4 passed\n');
+
+  console.log('🎉 All decrypt authorization tests passed!');
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,298 @@
+/**
+ * Decrypt Policy Test Suite
+ * Run: node test-decrypt-policy.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  POLICY_ERRORS, EFFECTS, RESOURCE_KINDS, DecryptPolicy, defaultRules, loadPolicyRules
+} = require('./decrypt-policy.js');
+const { DecryptAuditLog, verifyAuditLog } = require('./decrypt-audit.js');
+const {
+  AUTHORIZATION_ERRORS, DECRYPT_REQUEST_TYPES, DecryptAuthorizer, decryptRequestDomain
+} = require('./decrypt-authorization.js');
+const { ExecutorIdentity } = require('./executor-identity.js');
+const { IrRegistry } = require('./ir-registry.js');
+const { createAttestation } = require('./attestation.js');
+const { cidFromCiphertext } = require('../lib/fhe16/cid.js');
+
+// In-memory SalaryPayroll: the getters the policy reads
+function fakePayroll() {
+  const employees = new Map();
+  const payments = new Map();
+  const taxWithheld = new Map();
+  const roles = new Set();
+  const payroll = {
+    calls: 0,
+    employees: async (address) => { payroll.calls++; return employees.get(address) || { isActive: false, encryptedSalaryCid: ethers.ZeroHash }; },
+    payments: async (id) => payments.get(id) || { employee: ethers.ZeroAddress, encryptedAmountCid: ethers.ZeroHash, taxAmountCid: ethers.ZeroHash },
+    encryptedTaxWithheld: async (address) => taxWithheld.get(address) || ethers.ZeroHash,
+    hasRole: async (role, account) => roles.has(`${role}:${account}`),
+    addEmployee: (address, cid) => employees.set(address, { isActive: true, encryptedSalaryCid: cid }),
+    removeEmployee: (address) => { employees.get(address).isActive = false; },
+    addPayment: (id, employee, amountCid, taxCid) => payments.set(BigInt(id), { employee, encryptedAmountCid: amountCid, taxAmountCid: taxCid }),
+    recordTax: (address, cid) => taxWithheld.set(address, cid),
+    grantRole: (role, account) => roles.add(`${ethers.id(role)}:${account}`)
+  };
+  return payroll;
+}
+
+function ciphertext() {
+  return Array.from({ length: 16 + 1040 * 16 }, () => crypto.randomInt(-(2 ** 31), 2 ** 31));
+}
+
+async function main() {
+  console.log('🧪 Testing Decrypt Policy\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decrypt-policy-'));
+  try {
+    const identity = ExecutorIdentity.load(path.join(dir, 'executor.pem'), { create: true }).identity;
+    const audit = new DecryptAuditLog(path.join(dir, 'audit.jsonl'), identity);
+    audit.open();
+
+    const alice = ethers.Wallet.createRandom().address;
+    const bob = ethers.Wallet.createRandom().address;
+    const carol = ethers.Wallet.createRandom().address;  // compliance officer
+    const dave = ethers.Wallet.createRandom().address;   // payroll manager (finance)
+
+    const payroll = fakePayroll();
+    const cids = {};
+    for (const name of ['aliceSalary', 'bobSalary', 'aliceNet', 'aliceTax', 'aliceTaxTotal']) {
+      cids[name] = cidFromCiphertext(ciphertext());
+    }
+    payroll.addEmployee(alice, cids.aliceSalary);
+    payroll.addEmployee(bob, cids.bobSalary);
+    payroll.addPayment(7, alice, cids.aliceNet, cids.aliceTax);
+    payroll.recordTax(alice, cids.aliceTaxTotal);
+    payroll.grantRole('COMPLIANCE_ROLE', carol);
+
+    // A program whose "total_tax" output sums three employees' tax, attested by this executor
+    const irRegistry = new IrRegistry();
+    const program = irRegistry.register({
+      format: 'lattica-ir/1',
+      name: 'tax_total_3',
+      input_slots: 3,
+      outputs: ['total_tax'],
+      aggregates: { total_tax: 'tax' },
+      execution_plan: [{ op: 'add3', inputs: [0, 1, 2], output: 'total_tax' }]
+    });
+    const attested = (output, inputs) => {
+      const data = ciphertext();
+      const cid = cidFromCiphertext(data);
+      const attestation = createAttestation(identity, {
+        jobPda: 'job-1',
+        irDigest: program.digest,
+        inputs: inputs.map(encrypted => ({ cid: null, encrypted_data: encrypted })),
+        output: { name: output, cid, encrypted_data: data }
+      });
+      return { cid, encryptedData: data, attestation };
+    };
+
+    // Groups of three are enough here; the default minimum is checked in Test 2
+    const policy = new DecryptPolicy({ rules: defaultRules({ minGroupSize: 3 }), payroll, audit });
+    let seq = 0;
+    const decide = (fields) => policy.evaluate({ decryptId: `dec-${++seq}`, ...fields });
+
+    // Test 1: Employees and their own ciphertexts
+    console.log('Test 1: Employee rules');
+    console.log('======================');
+    let decision = await decide({ cid: cids.aliceSalary, requester: alice });
+    assert.strictEqual(decision.effect, EFFECTS.ALLOW);
+    assert.strictEqual(decision.rule, 'employee-own-ciphertexts');
+    assert.strictEqual(decision.resource.kind, RESOURCE_KINDS.SALARY);
+
+    decision = await decide({ cid: cids.aliceNet, requester: alice, paymentId: '7' });
+    assert.strictEqual(decision.effect, EFFECTS.ALLOW);
+    assert.strictEqual(decision.resource.kind, RESOURCE_KINDS.PAYMENT_AMOUNT);
+    assert.strictEqual((await decide({ cid: cids.aliceTax, requester: alice, paymentId: '7' })).resource.kind, RESOURCE_KINDS.PAYMENT_TAX);
+    assert.strictEqual((await decide({ cid: cids.aliceTaxTotal, requester: alice })).resource.kind, RESOURCE_KINDS.TAX_WITHHELD);
+
+    // Someone else's salary or payment, an unrelated CID, no requester
+    decision = await decide({ cid: cids.aliceSalary, requester: bob });
+    assert.deepStrictEqual([decision.effect, decision.rule, decision.resource.kind], [EFFECTS.DENY, 'default', RESOURCE_KINDS.UNKNOWN]);
+    decision = await decide({ cid: cids.aliceNet, requester: bob, paymentId: '7' });
+    assert.deepStrictEqual([decision.effect, decision.resource.owner], [EFFECTS.DENY, alice]);
+    assert.strictEqual((await decide({ cid: cids.aliceNet, requester: alice, paymentId: '8' })).effect, EFFECTS.DENY);
+    decision = await decide({ cid: cids.aliceSalary, requester: null });
+    assert.deepStrictEqual([decision.effect, decision.rule], [EFFECTS.DENY, 'authenticated-requester']);
+
+    // Legacy optional mode lets unauthenticated requests through, and only those
+    const legacy = new DecryptPolicy({ rules: defaultRules({ allowUnauthenticated: true }), payroll });
+    assert.strictEqual((await legacy.evaluate({ decryptId: 'l-1', cid: cids.aliceSalary, requester: null })).effect, EFFECTS.ALLOW);
+    assert.strictEqual((await legacy.evaluate({ decryptId: 'l-2', cid: cids.aliceSalary, requester: bob })).effect, EFFECTS.DENY);
+
+    // Leaving the payroll ends access
+    payroll.removeEmployee(alice);
+    decision = await decide({ cid: cids.aliceSalary, requester: alice });
+    assert.deepStrictEqual([decision.effect, decision.reason], [EFFECTS.DENY, 'requester is no longer an active employee']);
+    payroll.addEmployee(alice, cids.aliceSalary);
+    console.log('✅ Test 1 passed\n');
+
+    // Test 2: Compliance sees tax aggregates, never individuals
+    console.log('Test 2: Compliance rules');
+    console.log('========================');
+    const taxTotals = { kind: RESOURCE_KINDS.AGGREGATE, of: 'tax', groupSize: 3, statistic: 'sum' };
+    const aggregateCid = '0x' + 'cd'.repeat(32);
+    decision = await decide({ cid: aggregateCid, requester: carol, resource: taxTotals });
+    assert.strictEqual(decision.effect, EFFECTS.ALLOW);
+    assert.strictEqual(decision.rule, 'compliance-aggregates');
+    assert.deepStrictEqual(decision.resource, taxTotals);
+    assert.deepStrictEqual(decision.roles, { COMPLIANCE_ROLE: true });
+
+    // Not for people without the role, nor for groups below the minimum
+    assert.strictEqual((await decide({ cid: aggregateCid, requester: bob, resource: taxTotals })).effect, EFFECTS.DENY);
+    decision = await decide({ cid: aggregateCid, requester: carol, resource: { ...taxTotals, groupSize: 1 } });
+    assert.deepStrictEqual([decision.effect, decision.rule], [EFFECTS.DENY, 'aggregate-min-group-size']);
+
+    // An attested program output is not an aggregate, whatever the program declares:
+    // its inputs could be one salary padded with fresh encryptions
+    const taxes = [ciphertext(), ciphertext(), ciphertext()];
+    const total = attested('total_tax', taxes);
+    decision = await decide({ ...total, requester: carol });
+    assert.deepStrictEqual([decision.effect, decision.resource], [EFFECTS.DENY, { kind: RESOURCE_KINDS.UNKNOWN }]);
+    decision = await decide({ ...attested('total_tax', [taxes[0], ciphertext(), ciphertext()]), requester: carol });
+    assert.strictEqual(decision.effect, EFFECTS.DENY);
+
+    // Under the default minimum of five, three people are too few
+    const strict = new DecryptPolicy({ rules: defaultRules(), payroll });
+    decision = await strict.evaluate({ decryptId: 's-1', cid: aggregateCid, requester: carol, resource: taxTotals });
+    assert.deepStrictEqual([decision.effect, decision.rule], [EFFECTS.DENY, 'aggregate-min-group-size']);
+
+    // Payroll managers see salary aggregates (aggregate jobs pass their resource in), not tax ones
+    payroll.grantRole('PAYROLL_MANAGER_ROLE', dave);
+    const salaryStats = { kind: RESOURCE_KINDS.AGGREGATE, of: 'salary', groupSize: 6, statistic: 'mean' };
+    decision = await decide({ cid: '0x' + 'ab'.repeat(32), requester: dave, resource: salaryStats });
+    assert.deepStrictEqual([decision.effect, decision.rule, decision.resource], [EFFECTS.ALLOW, 'payroll-manager-aggregates', salaryStats]);
+    assert.strictEqual((await decide({ cid: aggregateCid, requester: dave, resource: taxTotals })).effect, EFFECTS.DENY);
+    assert.strictEqual((await decide({ cid: '0x' + 'ab'.repeat(32), requester: carol, resource: salaryStats })).effect, EFFECTS.DENY);
+    assert.strictEqual((await decide({ cid: '0x' + 'ab'.repeat(32), requester: dave, resource: { ...salaryStats, groupSize: 2 } })).effect, EFFECTS.DENY);
+
+    // An individual payment: explicit deny, even when compliance names the payment
+    decision = await decide({ cid: cids.aliceTax, requester: carol, paymentId: '7' });
+    assert.deepStrictEqual([decision.effect, decision.rule], [EFFECTS.DENY, 'compliance-no-individuals']);
+
+    // A compliance officer who is also an employee still sees their own payslip
+    payroll.addEmployee(carol, cidFromCiphertext(ciphertext()));
+    const carolSalary = (await payroll.employees(carol)).encryptedSalaryCid;
+    assert.strictEqual((await decide({ cid: carolSalary, requester: carol })).effect, EFFECTS.ALLOW);
+    console.log('✅ Test 2 passed\n');
+
+    // Test 3: Enforcement, failures and pluggable rules
+    console.log('Test 3: Enforcement');
+    console.log('===================');
+    await assert.rejects(policy.enforce({ decryptId: 'dec-x', cid: cids.bobSalary, requester: alice }), (error) => {
+      assert.strictEqual(error.code, POLICY_ERRORS.DENIED);
+      assert.strictEqual(error.details.effect, EFFECTS.DENY);
+      return true;
+    });
+    assert.strictEqual((await policy.enforce({ decryptId: 'dec-y', cid: cids.bobSalary, requester: bob })).effect, EFFECTS.ALLOW);
+
+    // A rule that throws (RPC down) denies
+    const broken = { ...payroll, employees: async () => { throw new Error('rpc unavailable'); } };
+    decision = await new DecryptPolicy({ rules: defaultRules(), payroll: broken }).evaluate({ decryptId: 'b-1', cid: cids.aliceSalary, requester: alice });
+    assert.deepStrictEqual([decision.effect, decision.rule, decision.reason], [EFFECTS.DENY, 'employee-own-ciphertexts', 'rule failed: rpc unavailable']);
+
+    // The resource is resolved once per decision
+    payroll.calls = 0;
+    await decide({ cid: cids.aliceSalary, requester: alice });
+    assert.strictEqual(payroll.calls, 1);
+
+    // Policy modules: an array of rules, or a function over the builtins
+    const moduleFile = path.join(dir, 'policy.js');
+    fs.writeFileSync(moduleFile, `module.exports = ({ defaultRules, EFFECTS }) => [
+      ...defaultRules(),
+      { name: 'no-weekend-decrypts', evaluate: (ctx) => ctx.decryptId.startsWith('weekend') ? { effect: EFFECTS.DENY, reason: 'closed' } : null }
+    ];\n`);
+    const custom = new DecryptPolicy({ rules: loadPolicyRules(moduleFile), payroll });
+    assert.deepStrictEqual(custom.rules.map(rule => rule.name).slice(-2), ['compliance-no-individuals', 'no-weekend-decrypts']);
+    assert.strictEqual((await custom.evaluate({ decryptId: 'weekend-1', cid: cids.aliceSalary, requester: alice })).rule, 'no-weekend-decrypts');
+    assert.strictEqual((await custom.evaluate({ decryptId: 'monday-1', cid: cids.aliceSalary, requester: alice })).effect, EFFECTS.ALLOW);
+    fs.writeFileSync(path.join(dir, 'empty.js'), 'module.exports = [];\n');
+    assert.throws(() => loadPolicyRules(path.join(dir, 'empty.js')), /non-empty array/);
+    assert.throws(() => new DecryptPolicy({ rules: [{ name: 'x' }] }), /evaluate function/);
+    console.log('✅ Test 3 passed\n');
+
+    // Test 4: Every decision is in the audit log
+    console.log('Test 4: Audit trail');
+    console.log('===================');
+    const rejected = policy.reject({ decryptId: 'dec-z', cid: cids.aliceSalary, requester: null }, Object.assign(new Error('bad signature'), { code: 'AUTH_INVALID_SIGNATURE' }));
+    assert.strictEqual(rejected.rule, 'authentication');
+
+    const entries = fs.readFileSync(audit.filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(entries.length, seq + 3);  // every decide(), both enforce() calls and the rejection
+    const last = entries[entries.length - 1].decision;
+    assert.deepStrictEqual([last.decrypt_id, last.effect, last.code], ['dec-z', EFFECTS.DENY, 'AUTH_INVALID_SIGNATURE']);
+    const denials = entries.filter(entry => entry.decision.effect === EFFECTS.DENY).length;
+    assert.ok(denials > 0 && denials < entries.length);
+    assert.strictEqual(verifyAuditLog(audit.filePath, { publicKey: identity.publicKeyHex }).valid, true);
+    audit.close();
+    console.log('✅ Test 4 passed\n');
+
+    // Test 5: Threshold partials need the same signed request and policy as plaintexts
+    console.log('Test 5: Admitting threshold jobs');
+    console.log('================================');
+    const gateAudit = new DecryptAuditLog(path.join(dir, 'gate.jsonl'), identity);
+    gateAudit.open();
+    const gate = new DecryptPolicy({ rules: defaultRules(), payroll, audit: gateAudit });
+    const NOW = 1760000000000;
+    const authorizer = new DecryptAuthorizer({ chainId: 5003, payrollAddress: ethers.ZeroAddress, now: () => NOW });
+    const erin = ethers.Wallet.createRandom();
+    const erinSalary = ciphertext();
+    const erinCid = cidFromCiphertext(erinSalary);
+    payroll.addEmployee(erin.address, erinCid);
+
+    // What the executor does with a threshold job: admit, then (and only then) make its partial
+    const partials = [];
+    const answerThreshold = async (job) => {
+      await gate.admit({ decryptId: job.decryptId, cid: erinCid, encryptedData: erinSalary }, {
+        authorization: job.authorization,
+        authenticate: auth => authorizer.authorize({ decryptId: job.decryptId, cid: erinCid, encryptedData: erinSalary }, auth),
+        required: true
+      });
+      partials.push(job.decryptId);
+    };
+
+    await assert.rejects(answerThreshold({ decryptId: 'th-1', threshold: { quorum: [1, 3] } }),
+      (error) => error.code === AUTHORIZATION_ERRORS.MISSING);
+    const request = (wallet) => ({
+      requester: wallet.address, cid: erinCid, paymentId: '0', recipientKey: '0x' + '11'.repeat(32),
+      nonce: ethers.hexlify(ethers.randomBytes(32)), deadline: NOW / 1000 + 600
+    });
+    const domain = decryptRequestDomain({ chainId: 5003, payrollAddress: ethers.ZeroAddress });
+    const signed = async (wallet) => {
+      const req = request(wallet);
+      return { request: req, signature: await wallet.signTypedData(domain, DECRYPT_REQUEST_TYPES, req) };
+    };
+    // Someone else signing for Erin's CID authenticates, but the policy denies
+    await assert.rejects(answerThreshold({ decryptId: 'th-2', threshold: { quorum: [1, 3] }, authorization: await signed(ethers.Wallet.createRandom()) }),
+      (error) => error.code === POLICY_ERRORS.DENIED);
+    assert.deepStrictEqual(partials, [], 'no partial without an allowed, logged request');
+
+    await answerThreshold({ decryptId: 'th-3', threshold: { quorum: [1, 3] }, authorization: await signed(erin) });
+    assert.deepStrictEqual(partials, ['th-3']);
+
+    const gateEntries = fs.readFileSync(gateAudit.filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line).decision);
+    assert.deepStrictEqual(gateEntries.map(d => [d.decrypt_id, d.effect, d.rule]), [
+      ['th-1', EFFECTS.DENY, 'authentication'],
+      ['th-2', EFFECTS.DENY, 'default'],
+      ['th-3', EFFECTS.ALLOW, 'employee-own-ciphertexts']
+    ]);
+    assert.strictEqual(gateEntries[0].code, AUTHORIZATION_ERRORS.MISSING);
+    gateAudit.close();
+    console.log('✅ Test 5 passed\n');
+
+    console.log('🎉 All decrypt policy tests passed!');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
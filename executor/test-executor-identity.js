@@ -0,0 +1,104 @@
+/**
+ * Executor Identity Test Suite
+ * Run: node test-executor-identity.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { ExecutorIdentity, verifyRequest, HEADERS } = require('./executor-identity.js');
+const { GatehouseClient } = require('./gatehouse-client.js');
+
+async function main() {
+  console.log('🧪 Testing Executor Identity\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'executor-identity-'));
+  const keyFile = path.join(dir, 'keys', 'executor-key.pem');
+
+  try {
+    // Test 1: Key generation and reload
+    console.log('Test 1: Key loading');
+    console.log('===================');
+    assert.throws(() => ExecutorIdentity.load(keyFile), /Executor key not found/);
+    const { identity, created } = ExecutorIdentity.load(keyFile, { create: true });
+    assert.strictEqual(created, true);
+    assert.strictEqual(fs.statSync(keyFile).mode & 0o777, 0o600);
+    assert.match(identity.publicKeyHex, /^[0-9a-f]{64}$/);
+    assert.strictEqual(identity.executorId, `FHE_Executor_${identity.keyId}`);
+
+    const reloaded = ExecutorIdentity.load(keyFile, { create: true, executorId: 'executor-7' });
+    assert.strictEqual(reloaded.created, false);
+    assert.strictEqual(reloaded.identity.publicKeyHex, identity.publicKeyHex);
+    assert.strictEqual(reloaded.identity.executorId, 'executor-7');
+
+    const description = identity.describe();
+    assert.strictEqual(description.algorithm, 'ed25519');
+    assert.strictEqual(description.public_key, identity.publicKeyHex);
+    console.log('Key id:', identity.keyId);
+    console.log('✅ Test 1 passed\n');
+
+    // Test 2: Signatures cover method, path, body and timestamp
+    console.log('Test 2: Sign and verify');
+    console.log('=======================');
+    const body = JSON.stringify({ executor: identity.executorId, success: true });
+    const headers = identity.signRequest('POST', '/api/executor/jobs/pda1/result', body);
+    const request = { method: 'POST', path: '/api/executor/jobs/pda1/result', headers, body };
+    assert.deepStrictEqual(verifyRequest(identity.publicKeyHex, request), { valid: true, executorId: identity.executorId });
+
+    const tamper = (changes) => verifyRequest(identity.publicKeyHex, { ...request, ...changes });
+    assert.strictEqual(tamper({ body: body.replace('true', 'false') }).reason, 'body hash mismatch');
+    assert.strictEqual(tamper({ path: '/api/executor/jobs/pda2/result' }).reason, 'bad signature');
+    assert.strictEqual(tamper({ method: 'GET' }).reason, 'bad signature');
+    assert.strictEqual(tamper({ headers: { ...headers, [HEADERS.executorId]: 'someone-else' } }).reason, 'bad signature');
+    assert.strictEqual(
+      verifyRequest(identity.publicKeyHex, request, { now: Number(headers[HEADERS.timestamp]) + 10 * 60 * 1000 }).reason,
+      'timestamp outside allowed skew'
+    );
+    assert.strictEqual(verifyRequest(identity.publicKeyHex, request, { seenNonce: () => true }).reason, 'nonce already used');
+
+    const other = ExecutorIdentity.load(path.join(dir, 'other.pem'), { create: true }).identity;
+    assert.strictEqual(verifyRequest(other.publicKeyHex, request).reason, 'key id does not match public key');
+    const { [HEADERS.signature]: _signature, ...unsigned } = headers;
+    assert.match(verifyRequest(identity.publicKeyHex, { ...request, headers: unsigned }).reason, /missing/);
+    console.log('✅ Test 2 passed\n');
+
+    // Test 3: The gatehouse client signs every request as sent
+    console.log('Test 3: Signed gatehouse requests');
+    console.log('=================================');
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', chunk => data += chunk);
+      req.on('end', () => {
+        received.push(verifyRequest(identity.publicKeyHex, {
+          method: req.method, path: req.url, headers: req.headers, body: data
+        }));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"jobs":[]}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const client = new GatehouseClient({
+      baseUrl: `http://127.0.0.1:${server.address().port}/gatehouse`,
+      executorId: identity.executorId,
+      signer: identity
+    });
+    await client.fetchJobs(2);
+    await client.submitResult('pda1', { success: false, error: 'boom' });
+    client.close();
+    server.close();
+    assert.deepStrictEqual(received.map(r => r.valid), [true, true]);
+    console.log('✅ Test 3 passed\n');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('🎉 All tests passed!');
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
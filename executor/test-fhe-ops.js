@@ -0,0 +1,73 @@
+/**
+ * FHE Operation Table Test Suite
+ * Uses a plaintext mock of the FHE16 binding, so no native library is needed.
+ * Run: node test-fhe-ops.js
+ */
+
+const assert = require('assert');
+const { FHE_OPS, checkConstant, dispatchOp } = require('./fhe-ops.js');
+const { executePlan } = require('./fhe-interpreter.js');
+const { compileProgram } = require('./ir-registry.js');
+const { createMockFHE16 } = require('./mock-fhe16.js');
+
+console.log('🧪 Testing FHE Operation Table\n');
+
+const { ct, calls, mockFHE } = createMockFHE16();
+
+// Test 1: Every op in the table dispatches to the binding
+console.log('Test 1: Dispatch');
+console.log('================');
+
+const sampleConstant = { int: 3, pow2: 2, flag: 1 };
+for (const [name, spec] of Object.entries(FHE_OPS)) {
+  const operands = Array.from({ length: spec.arity }, (_, i) => ct(i + 1));
+  const out = dispatchOp(mockFHE, name, operands, spec.constant ? sampleConstant[spec.constant] : undefined);
+  assert.ok(out && typeof out.v === 'number', `${name} returned a ciphertext`);
+}
+console.log('Ops dispatched:', Object.keys(FHE_OPS).length);
+console.log('✅ Test 1 passed\n');
+
+// Test 2: Arity and constant checking
+console.log('Test 2: Arity and constants');
+console.log('===========================');
+
+assert.throws(() => dispatchOp(mockFHE, 'add', [ct(1)]), /expected 2 operand/);
+assert.throws(() => dispatchOp(mockFHE, 'nope', []), /Unsupported FHE operation/);
+assert.throws(() => dispatchOp(mockFHE, 'add', [ct(1), ct(2)], 5), /does not take a constant/);
+assert.strictEqual(checkConstant('smull_constant', undefined), '"smull_constant" requires a constant');
+assert.ok(checkConstant('smull_constant', 1.5));
+assert.ok(checkConstant('add_pow2', 32));
+assert.ok(checkConstant('compare', 2));
+assert.strictEqual(checkConstant('add_pow2', 31), null);
+
+calls.length = 0;
+dispatchOp(mockFHE, 'smull_constant', [ct(2)], 7);
+dispatchOp(mockFHE, 'smull_constant', [ct(2)], 2 ** 40);
+assert.deepStrictEqual(calls, ['smullConst_i32', 'smullConst_long']);
+console.log('✅ Test 2 passed\n');
+
+// Test 3: Interpreter runs a full plan
+console.log('Test 3: Interpreter');
+console.log('===================');
+
+const program = compileProgram({
+  format: 'lattica-ir/1',
+  name: 'clamp_and_sum',
+  input_slots: 3,
+  execution_plan: [
+    { op: 'add3', inputs: [0, 1, 2], output: 'total' },
+    { op: 'encrypt_constant', inputs: [], constant: 100, output: 'cap' },
+    { op: 'min', inputs: ['total', 'cap'], output: 'clamped' },
+    { op: 'add_pow2', inputs: ['clamped'], constant: 3, output: 'result' }
+  ]
+});
+const stack = executePlan(mockFHE, program, [ct(40), ct(50), ct(30)]);
+assert.strictEqual(stack.result.v, 108);
+assert.throws(
+  () => executePlan(mockFHE, program, [ct(1), ct(2), ct(3)], { isNull: (p) => p.v === 6 }),
+  /returned null pointer/
+);
+console.log('Result:', stack.result.v);
+console.log('✅ Test 3 passed\n');
+
+console.log('🎉 All tests passed!');
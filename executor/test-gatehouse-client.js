@@ -0,0 +1,211 @@
+/**
+ * Gatehouse Client Test Suite
+ * Runs against a local HTTP server that scripts gatehouse responses.
+ * Run: node test-gatehouse-client.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { GatehouseClient, GatehouseError, ERROR_CODES, loadTlsOptions } = require('./gatehouse-client.js');
+
+// Each request pops the next scripted response for its "METHOD path"
+const script = new Map();
+const requests = [];
+const respond = (key, ...responses) => script.set(key, responses);
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    const key = `${req.method} ${req.url}`;
+    requests.push({ key, headers: req.headers, body: body ? JSON.parse(body) : null });
+    const queue = script.get(key) || [];
+    const next = queue.length > 1 ? queue.shift() : queue[0];
+    if (!next) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'no route' }));
+      return;
+    }
+    setTimeout(() => {
+      res.writeHead(next.status || 200, { 'Content-Type': 'application/json', ...(next.headers || {}) });
+      res.end(next.raw !== undefined ? next.raw : JSON.stringify(next.body || {}));
+    }, next.delay || 0);
+  });
+});
+
+async function main() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/gh`;
+  const client = new GatehouseClient({
+    baseUrl,
+    executorId: 'executor-test',
+    timeoutMs: 200,
+    retries: 2,
+    retryBaseDelayMs: 10,
+    retryMaxDelayMs: 20
+  });
+
+  console.log('🧪 Testing Gatehouse Client\n');
+
+  // Test 1: Successful requests
+  console.log('Test 1: Success');
+  console.log('===============');
+  respond('GET /gh/api/executor/jobs?limit=3', { body: { jobs: [{ job_pda: 'pda1' }] } });
+  const jobs = await client.fetchJobs(3);
+  assert.deepStrictEqual(jobs, { jobs: [{ job_pda: 'pda1' }] });
+  assert.strictEqual(requests[0].headers['x-executor-id'], 'executor-test');
+
+  respond('POST /gh/api/executor/jobs/pda1/result', { body: { ok: true } });
+  await client.submitResult('pda1', {
+    success: true,
+    resultCiphertexts: [{ output: 'net', deterministic_cid: 'CID_a' }, { output: 'tax', deterministic_cid: 'CID_b' }],
+    executionTime: 42
+  });
+  const submitted = requests[requests.length - 1].body;
+  assert.strictEqual(submitted.executor, 'executor-test');
+  assert.strictEqual(submitted.execution_time_ms, 42);
+  assert.strictEqual(submitted.result_ciphertext.output, 'net');
+  assert.deepStrictEqual(Object.keys(submitted.result_ciphertexts), ['net', 'tax']);
+
+  // Authorized decryptions carry only the sealed value
+  respond('POST /gh/api/executor/decrypt-jobs/d0/result', { body: { ok: true } });
+  await client.submitSealedResult('d0', { version: 'lattica-sealed-value/1', ciphertext: 'AA==' });
+  const sealed = requests[requests.length - 1].body;
+  assert.strictEqual(sealed.decrypted_value, null);
+  assert.strictEqual(sealed.sealed_value.ciphertext, 'AA==');
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: Idempotent requests are retried, claims are not
+  console.log('Test 2: Retries');
+  console.log('===============');
+  requests.length = 0;
+  respond('GET /gh/api/executor/decrypt-jobs?limit=1', { status: 503 }, { status: 502 }, { body: { jobs: [] } });
+  assert.deepStrictEqual(await client.fetchDecryptJobs(), { jobs: [] });
+  assert.strictEqual(requests.length, 3);
+
+  requests.length = 0;
+  respond('POST /gh/api/executor/jobs/pda2/claim', { status: 503, body: { error: 'busy' } });
+  await assert.rejects(client.claimJob('pda2'), (error) => {
+    assert.ok(error instanceof GatehouseError);
+    assert.strictEqual(error.code, ERROR_CODES.HTTP_STATUS);
+    assert.strictEqual(error.status, 503);
+    assert.strictEqual(error.retryable, true);
+    assert.strictEqual(error.attempts, 1);
+    assert.match(error.message, /503 .*: busy/);
+    return true;
+  });
+  assert.strictEqual(requests.length, 1);
+
+  requests.length = 0;
+  respond('GET /gh/api/executor/jobs?limit=1', { status: 500 });
+  await assert.rejects(client.fetchJobs(), (error) => error.attempts === 3 && error.status === 500);
+  assert.strictEqual(requests.length, 3);
+  console.log('✅ Test 2 passed\n');
+
+  // Test 3: Client errors are not retried and keep the response body
+  console.log('Test 3: Non-retryable statuses');
+  console.log('==============================');
+  requests.length = 0;
+  respond('POST /gh/api/executor/jobs/pda3/claim', { status: 409, body: { error: 'already claimed' } });
+  await assert.rejects(client.claimJob('pda3'), (error) => {
+    assert.strictEqual(error.status, 409);
+    assert.strictEqual(error.retryable, false);
+    assert.deepStrictEqual(error.body, { error: 'already claimed' });
+    return true;
+  });
+  respond('POST /gh/api/executor/decrypt-jobs/d1/result', { status: 400, body: { message: 'bad value' } });
+  await assert.rejects(client.submitDecryptResult('d1', true, 5), /400 .*: bad value/);
+  assert.strictEqual(requests.length, 2);
+  console.log('✅ Test 3 passed\n');
+
+  // Test 4: Invalid JSON, timeouts and connection failures
+  console.log('Test 4: Transport failures');
+  console.log('==========================');
+  respond('GET /gh/api/executor/jobs?limit=7', { raw: '<html>proxy error</html>' });
+  await assert.rejects(client.fetchJobs(7), (error) => error.code === ERROR_CODES.INVALID_JSON && !error.retryable);
+
+  respond('GET /gh/api/executor/jobs?limit=8', { delay: 500, body: {} });
+  const started = Date.now();
+  await assert.rejects(client.fetchJobs(8), (error) => error.code === ERROR_CODES.TIMEOUT && error.attempts === 3);
+  assert.ok(Date.now() - started < 2000);
+
+  const closedPort = new GatehouseClient({ baseUrl: 'http://127.0.0.1:1', retries: 0 });
+  await assert.rejects(closedPort.fetchJobs(), (error) => error.code === ERROR_CODES.NETWORK && error.retryable);
+  closedPort.close();
+  console.log('✅ Test 4 passed\n');
+
+  // Test 5: Retry-After is honored (capped by retryMaxDelayMs)
+  console.log('Test 5: Retry-After');
+  console.log('===================');
+  requests.length = 0;
+  respond('GET /gh/api/executor/jobs?limit=9', { status: 429, headers: { 'Retry-After': '60' } }, { body: { jobs: [] } });
+  const before = Date.now();
+  await client.fetchJobs(9);
+  assert.strictEqual(requests.length, 2);
+  assert.ok(Date.now() - before < 1000, 'delay capped');
+  console.log('✅ Test 5 passed\n');
+
+  // Test 6: TLS options from the environment
+  console.log('Test 6: TLS options');
+  console.log('===================');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gatehouse-tls-'));
+  try {
+    for (const name of ['ca.pem', 'cert.pem', 'key.pem']) {
+      fs.writeFileSync(path.join(dir, name), `-----${name}-----`);
+    }
+    const tls = loadTlsOptions({
+      GATEHOUSE_CA_FILE: path.join(dir, 'ca.pem'),
+      GATEHOUSE_CLIENT_CERT: path.join(dir, 'cert.pem'),
+      GATEHOUSE_CLIENT_KEY: path.join(dir, 'key.pem')
+    });
+    assert.strictEqual(tls.ca.toString(), '-----ca.pem-----');
+    assert.strictEqual(tls.key.toString(), '-----key.pem-----');
+    assert.strictEqual(tls.rejectUnauthorized, undefined);
+    assert.throws(() => loadTlsOptions({ GATEHOUSE_CLIENT_CERT: path.join(dir, 'cert.pem') }), /must be set together/);
+    assert.deepStrictEqual(loadTlsOptions({ GATEHOUSE_TLS_REJECT_UNAUTHORIZED: 'false' }), { rejectUnauthorized: false });
+    assert.deepStrictEqual(loadTlsOptions({}), {});
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('✅ Test 6 passed\n');
+
+  // Test 7: Production clients refuse plaintext before sending it
+  console.log('Test 7: Plaintext refused');
+  console.log('=========================');
+  const strict = new GatehouseClient({ baseUrl, executorId: 'executor-test', retries: 0, rejectPlaintext: true });
+  const sentBefore = requests.length;
+  await assert.rejects(
+    strict.submitResult('pda1', { success: true, resultCiphertexts: [{ output: 'net', debug_decrypted_result: 42 }] }),
+    err => err.name === 'PlaintextPayloadError' && err.path === 'result_ciphertext.debug_decrypted_result'
+  );
+  await assert.rejects(strict.submitDecryptResult('d0', true, 5000), /decrypted_value/);
+  const multipart = new GatehouseClient({ baseUrl, wireFormat: 'multipart', retries: 0, rejectPlaintext: true });
+  await assert.rejects(
+    multipart.submitResult('pda1', { success: true, resultCiphertexts: [{ output: 'net', encrypted_data: [1, 2], debug_decrypted_result: 0 }] }),
+    /debug_decrypted_result/
+  );
+  assert.strictEqual(requests.length, sentBefore, 'nothing reached the gatehouse');
+
+  // Ciphertexts, sealed values and failures still go through
+  await strict.submitResult('pda1', { success: true, resultCiphertexts: [{ output: 'net', debug_decrypted_result: null }] });
+  await strict.submitSealedResult('d0', { version: 'lattica-sealed-value/1', ciphertext: 'AA==' });
+  respond('POST /gh/api/executor/decrypt-jobs/d1/result', { body: { ok: true } });
+  await strict.submitDecryptResult('d1', false, null, 'Secret key not available');
+  assert.strictEqual(requests.length, sentBefore + 3);
+  strict.close();
+  multipart.close();
+  console.log('✅ Test 7 passed\n');
+
+  client.close();
+  console.log('🎉 All tests passed!');
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => server.close());
@@ -0,0 +1,119 @@
+/**
+ * IR Registry Test Suite
+ * Run: node test-ir-registry.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const {
+  IrRegistry,
+  IrValidationError,
+  computeIrDigest,
+  validateProgram
+} = require('./ir-registry.js');
+
+console.log('🧪 Testing IR Registry\n');
+
+const base = {
+  format: 'lattica-ir/1',
+  name: 'sample',
+  input_slots: 2,
+  execution_plan: [
+    { op: 'add', inputs: [0, 1], output: 'result' }
+  ]
+};
+
+// Test 1: Digest is canonical
+console.log('Test 1: Canonical digest');
+console.log('========================');
+
+const reordered = {
+  execution_plan: [{ output: 'result', inputs: [0, 1], op: 'add' }],
+  input_slots: 2,
+  name: 'sample',
+  format: 'lattica-ir/1',
+  description: 'documentation does not change the digest'
+};
+assert.strictEqual(computeIrDigest(base), computeIrDigest(reordered));
+assert.match(computeIrDigest(base), /^0x[0-9a-f]{64}$/);
+assert.notStrictEqual(
+  computeIrDigest(base),
+  computeIrDigest({ ...base, execution_plan: [{ op: 'sub', inputs: [0, 1], output: 'result' }] })
+);
+console.log('Digest:', computeIrDigest(base));
+console.log('✅ Test 1 passed\n');
+
+// Test 2: Validation rejects malformed programs
+console.log('Test 2: Validation');
+console.log('==================');
+
+const invalid = {
+  'unknown op': { ...base, execution_plan: [{ op: 'mystery', inputs: [0, 1], output: 'result' }] },
+  'slot out of range': { ...base, execution_plan: [{ op: 'add', inputs: [0, 2], output: 'result' }] },
+  'forward reference': {
+    ...base,
+    execution_plan: [
+      { op: 'add', inputs: [0, 'later'], output: 'result' },
+      { op: 'add', inputs: [0, 1], output: 'later' }
+    ]
+  },
+  'wrong arity': { ...base, execution_plan: [{ op: 'select', inputs: [0, 1], output: 'result' }] },
+  'missing constant': { ...base, execution_plan: [{ op: 'smull_constant', inputs: [0], output: 'result' }] },
+  'no result': { ...base, execution_plan: [{ op: 'add', inputs: [0, 1], output: 'sum' }] },
+  'redefined output': {
+    ...base,
+    execution_plan: [
+      { op: 'add', inputs: [0, 1], output: 'result' },
+      { op: 'sub', inputs: [0, 1], output: 'result' }
+    ]
+  },
+  'undefined output': { ...base, outputs: ['result', 'missing'] },
+  'duplicate output': { ...base, outputs: ['result', 'result'] },
+  'empty outputs': { ...base, outputs: [] },
+  'aggregate of a non-output': { ...base, aggregates: { missing: 'tax' } },
+  'aggregate label': { ...base, aggregates: { result: 'Tax Total' } },
+  'unknown field': { ...base, extra: true },
+  'wrong format': { ...base, format: 'lattica-ir/0' }
+};
+
+for (const [label, program] of Object.entries(invalid)) {
+  assert.throws(() => validateProgram(program), IrValidationError, label);
+  console.log(`Rejected: ${label}`);
+}
+assert.strictEqual(validateProgram(base), true);
+assert.strictEqual(validateProgram({
+  ...base,
+  outputs: ['sum', 'diff'],
+  execution_plan: [
+    { op: 'add', inputs: [0, 1], output: 'sum' },
+    { op: 'sub', inputs: [0, 1], output: 'diff' }
+  ]
+}), true);
+assert.strictEqual(validateProgram({ ...base, aggregates: { result: 'tax' } }), true);
+assert.notStrictEqual(computeIrDigest({ ...base, aggregates: { result: 'tax' } }), computeIrDigest(base));
+console.log('✅ Test 2 passed\n');
+
+// Test 3: Built-in programs load and resolve legacy digests
+console.log('Test 3: Built-in programs');
+console.log('=========================');
+
+const registry = new IrRegistry();
+const { loaded, rejected } = registry.loadDirectory(path.join(__dirname, 'programs'));
+assert.deepStrictEqual(rejected, []);
+assert.ok(loaded.length > 0);
+
+const withdraw = registry.get('0xwithdrw000000000000000000000000000000000000000000000000000000000');
+assert.ok(withdraw, 'legacy alias resolves');
+assert.strictEqual(withdraw.name, 'withdraw_with_check');
+assert.strictEqual(registry.get(withdraw.digest), withdraw);
+assert.deepStrictEqual(withdraw.operations, ['ge', 'sub', 'select']);
+assert.deepStrictEqual(withdraw.outputs, ['result']);
+assert.throws(
+  () => registry.register(require('./programs/withdraw_with_check.json')),
+  /duplicate program/
+);
+
+console.log('Programs:', registry.list().map(p => p.name).join(', '));
+console.log('✅ Test 3 passed\n');
+
+console.log('🎉 All tests passed!');
@@ -0,0 +1,138 @@
+/**
+ * Job Journal Test Suite
+ * Run: node test-job-journal.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobJournal } = require('./job-journal.js');
+const { encodeFrame, WIRE_ENCODING } = require('../lib/fhe16/wire.js');
+const { assertCiphertext } = require('../lib/fhe16/schema.js');
+
+console.log('🧪 Testing Job Journal\n');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-journal-'));
+const file = path.join(dir, 'nested', 'journal.jsonl');
+const job = (pda) => ({ job_pda: pda, ir_digest: '0xabc', ciphertexts: [{ cid: 'CID_1' }] });
+const finishedResult = {
+  success: true,
+  resultCiphertexts: [{ output: 'result', encrypted_data: [1, 2, 3], debug_decrypted_result: 42 }],
+  executionTime: 12
+};
+
+try {
+  // Test 1: Lifecycle survives a restart
+  console.log('Test 1: Replay after restart');
+  console.log('============================');
+  let journal = new JobJournal(file);
+  assert.strictEqual(journal.isOpen, false);
+  assert.deepStrictEqual(journal.open(), []);
+  assert.strictEqual(journal.isOpen, true);
+
+  journal.claimed(job('done'));
+  journal.started('done');
+  journal.finished('done', finishedResult);
+  journal.submitted('done');
+
+  journal.claimed(job('finished'));
+  journal.started('finished');
+  journal.finished('finished', finishedResult);
+
+  journal.claimed(job('running'));
+  journal.started('running');
+
+  journal.claimed(job('claimed'));
+  journal.close();
+
+  journal = new JobJournal(file);
+  const pending = journal.open();
+  assert.deepStrictEqual(pending.map(e => [e.job_pda, e.state, e.attempts]), [
+    ['finished', 'finished', 1],
+    ['running', 'started', 1],
+    ['claimed', 'claimed', 0]
+  ]);
+  assert.deepStrictEqual(journal.get('running').job, job('running'));
+  assert.strictEqual(journal.get('finished').result.resultCiphertexts[0].encrypted_data.length, 3);
+  assert.ok(!('debug_decrypted_result' in journal.get('finished').result.resultCiphertexts[0]), 'no plaintext on disk');
+  assert.ok(!fs.readFileSync(file, 'utf8').includes('debug_decrypted_result'));
+  console.log('Pending:', pending.map(e => e.job_pda).join(', '));
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: A torn final line is discarded
+  console.log('Test 2: Torn tail');
+  console.log('=================');
+  journal.close();
+  fs.appendFileSync(file, '{"type":"submitted","job_pda":"fini');
+  journal = new JobJournal(file);
+  assert.strictEqual(journal.open().length, 3);
+  journal.released('claimed', 'test');
+  journal.close();
+  journal = new JobJournal(file);
+  assert.deepStrictEqual(journal.open().map(e => e.job_pda), ['finished', 'running']);
+  console.log('✅ Test 2 passed\n');
+
+  // Test 3: Stuck detection
+  console.log('Test 3: Stuck jobs');
+  console.log('==================');
+  const now = journal.get('running').updated_at;
+  assert.deepStrictEqual(journal.stuck(1000, now), []);
+  const stuck = journal.stuck(1000, now + 5000);
+  assert.deepStrictEqual(stuck.map(e => e.job_pda), ['finished', 'running']);
+  assert.ok(stuck[0].idle_ms >= 5000);
+  console.log('✅ Test 3 passed\n');
+
+  // Test 4: Compaction keeps only pending jobs
+  console.log('Test 4: Compaction');
+  console.log('==================');
+  journal.compact();
+  journal.submitted('finished');
+  journal.close();
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.ok(!lines.some(line => line.job_pda === 'done' || line.job_pda === 'claimed'));
+  journal = new JobJournal(file, { compactEvery: 1 });
+  assert.deepStrictEqual(journal.open().map(e => [e.job_pda, e.attempts]), [['running', 1]]);
+  journal.released('running', 'test');
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), '');
+  journal.close();
+  assert.throws(() => journal.started('running'), /not open/);
+  console.log('✅ Test 4 passed\n');
+
+  // Test 5: Corruption before the tail is an error
+  console.log('Test 5: Corruption');
+  console.log('==================');
+  fs.writeFileSync(file, 'not json\n{"type":"claimed","job_pda":"x","at":1}\n');
+  assert.throws(() => new JobJournal(file).open(), /Corrupt job journal .* line 1/);
+  console.log('✅ Test 5 passed\n');
+
+  // Test 6: Multipart inputs (Buffer frames) replay as valid ciphertexts
+  console.log('Test 6: Buffer-framed inputs');
+  console.log('============================');
+  fs.rmSync(file);
+  const values = Array.from({ length: 33296 }, (_, i) => (i * 104729) % 163603459);
+  const frame = encodeFrame(values, { compress: true });
+  const multipartJob = {
+    job_pda: 'multipart',
+    ir_digest: '0xabc',
+    inputs: [{ cid: 'CID_1', ciphertext: { encoding: WIRE_ENCODING, encrypted_frame: frame, scheme: 'FHE16_0.0.1v' } }]
+  };
+  journal = new JobJournal(file);
+  journal.open();
+  journal.claimed(multipartJob);
+  journal.close();
+  assert.ok(!fs.readFileSync(file, 'utf8').includes('"type":"Buffer"'));
+
+  journal = new JobJournal(file);
+  const [replayed] = journal.open();
+  const input = replayed.job.inputs[0].ciphertext;
+  assert.strictEqual(input.encrypted_frame, frame.toString('base64'));
+  assert.deepStrictEqual(assertCiphertext(input).encryptedData, Int32Array.from(values));
+  assert.ok(Buffer.isBuffer(multipartJob.inputs[0].ciphertext.encrypted_frame), 'the claimed job is not modified');
+  journal.close();
+  console.log('✅ Test 6 passed\n');
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('🎉 All tests passed!');
@@ -0,0 +1,271 @@
+/**
+ * Key Bundle and Rotation Test Suite
+ * Run: node test-key-bundles.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { KeyRing, keyIdFor, loadKeyBundle, createKeyBundle, assertSameKey } = require('./key-bundle.js');
+const { RotationJournal, pendingRotation, rotateKey, retireKey } = require('./key-rotation.js');
+const { CiphertextStore, createStoreServer } = require('./ciphertext-store.js');
+const { CiphertextStoreClient } = require('./ciphertext-store-client.js');
+const { SCHEMA_ERRORS, assertCiphertext } = require('../lib/fhe16/schema.js');
+const { serializeCiphertext, deserializeCiphertext } = require('../lib/fhe16/crypto.js');
+const { cidFromCiphertext } = require('../lib/fhe16/cid.js');
+
+// Values are reduced mod q like real FHE16_0.0.1v ciphertexts
+const Q = 163603459;
+const ct = (seed) => ({
+  encrypted_data: Array.from({ length: 33296 }, (_, i) => (seed * 7919 + i * 104729) % Q),
+  scheme: 'FHE16_0.0.1v',
+  timestamp: Date.now()
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Stand-in key files (the bundle code only hashes and copies them)
+function writeKeyFiles(dir, name) {
+  const files = {};
+  for (const file of ['pk', 'bootparam', 'secret']) {
+    files[file] = path.join(dir, `${name}-${file}.bin`);
+    fs.writeFileSync(files[file], crypto.randomBytes(64));
+  }
+  return { publicKey: files.pk, bootparam: files.bootparam, secret: files.secret };
+}
+
+function request(port, method, urlPath, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path: urlPath, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+async function main() {
+  console.log('🧪 Testing Key Bundles and Rotation\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'key-bundles-'));
+  const keysDir = path.join(dir, 'keys');
+  const storeDir = path.join(dir, 'store');
+  let server = null;
+
+  try {
+    const now = Date.now();
+    const oldSources = writeKeyFiles(dir, 'old');
+    const newSources = writeKeyFiles(dir, 'new');
+
+    // Test 1: Bundles
+    console.log('Test 1: Bundles');
+    console.log('===============');
+    const oldBundle = createKeyBundle(keysDir, oldSources, { now: now - 90 * DAY, retireAfter: now - DAY });
+    assert.strictEqual(oldBundle.keyId, keyIdFor(fs.readFileSync(oldSources.publicKey)));
+    assert.match(oldBundle.keyId, /^[0-9a-f]{16}$/);
+    assert.strictEqual(oldBundle.dir, path.join(keysDir, oldBundle.keyId));
+    assert.deepStrictEqual(fs.readFileSync(oldBundle.file('bootparam')), fs.readFileSync(oldSources.bootparam));
+    assert.strictEqual(oldBundle.file('params'), null);
+    assert.strictEqual(fs.statSync(oldBundle.file('secret')).mode & 0o777, 0o600);
+    assert.deepStrictEqual(oldBundle.describe(), {
+      key_id: oldBundle.keyId,
+      scheme: 'FHE16_0.0.1v',
+      status: 'active',
+      created_at: new Date(now - 90 * DAY).toISOString(),
+      retire_after: new Date(now - DAY).toISOString(),
+      has_secret: true,
+      has_share: false
+    });
+    assert.throws(() => createKeyBundle(keysDir, oldSources), /already exists/);
+
+    // Tampered files and manifests do not load
+    const copy = path.join(dir, 'tampered');
+    fs.cpSync(oldBundle.dir, copy, { recursive: true });
+    fs.appendFileSync(path.join(copy, 'bootparam.bin'), 'x');
+    assert.throws(() => loadKeyBundle(copy), /bootparam does not match its sha256/);
+
+    const manifestPath = path.join(copy, 'bundle.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    fs.copyFileSync(oldSources.bootparam, path.join(copy, 'bootparam.bin'));
+    fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, key_id: 'ffffffffffffffff' }));
+    assert.throws(() => loadKeyBundle(copy), /key id is not that of its public key/);
+    fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, files: { ...manifest.files, secret: { path: '../secret.bin', sha256: '' } } }));
+    assert.throws(() => loadKeyBundle(copy), /Invalid secret path/);
+    fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, status: 'revoked' }));
+    assert.throws(() => loadKeyBundle(copy), /Invalid key status/);
+    console.log('Bundle:', oldBundle.keyId);
+    console.log('✅ Test 1 passed\n');
+
+    // Test 2: Key ring
+    console.log('Test 2: Key ring');
+    console.log('================');
+    const newBundle = createKeyBundle(keysDir, { publicKey: newSources.publicKey, bootparam: newSources.bootparam }, { now });
+    assert.strictEqual(newBundle.hasSecret, false);
+
+    // A bundle that fails verification is reported, not loaded
+    fs.mkdirSync(path.join(keysDir, 'broken'));
+    fs.writeFileSync(path.join(keysDir, 'broken', 'bundle.json'), '{');
+    fs.writeFileSync(path.join(keysDir, 'secret.bin'), 'legacy files beside bundles are ignored');
+
+    let ring = new KeyRing(keysDir);
+    assert.strictEqual(ring.size, 2);
+    assert.strictEqual(ring.rejected.length, 1);
+    assert.match(ring.rejected[0].error, /Cannot read key bundle/);
+    assert.deepStrictEqual(ring.list().map(bundle => bundle.keyId), [oldBundle.keyId, newBundle.keyId]);
+    assert.strictEqual(ring.active().keyId, newBundle.keyId);
+    assert.strictEqual(ring.active(oldBundle.keyId).keyId, oldBundle.keyId);
+    assert.throws(() => ring.active('0123456789abcdef'), /Unknown key id/);
+    assert.deepStrictEqual(ring.due(now).map(bundle => bundle.keyId), [oldBundle.keyId]);
+    assert.deepStrictEqual(ring.due(now - 2 * DAY), []);
+
+    assert.throws(() => ring.setStatus(oldBundle.keyId, 'retired'), /cannot go from active to retired/);
+    assert.strictEqual(ring.setStatus(oldBundle.keyId, 'retiring').status, 'retiring');
+    assert.strictEqual(ring.setStatus(oldBundle.keyId, 'active').status, 'active');
+    ring.setStatus(oldBundle.keyId, 'retiring');
+
+    // Status changes persist and keep the manifest verifiable
+    ring = new KeyRing(keysDir);
+    assert.strictEqual(ring.get(oldBundle.keyId).status, 'retiring');
+    assert.strictEqual(ring.active().keyId, newBundle.keyId);
+    console.log('✅ Test 2 passed\n');
+
+    // Test 3: Key ids on ciphertexts
+    console.log('Test 3: Key ids');
+    console.log('===============');
+    const a = ct(1);
+    assert.strictEqual(assertCiphertext(a).keyId, null);
+    assert.strictEqual(assertCiphertext({ ...a, key_id: newBundle.keyId }).keyId, newBundle.keyId);
+    assert.strictEqual(assertCiphertext({ encrypted_data: a, key_id: newBundle.keyId }).keyId, newBundle.keyId);  // legacy wrapper
+    assert.throws(() => assertCiphertext({ ...a, key_id: 'NOT-A-KEY' }), { code: SCHEMA_ERRORS.INVALID_KEY_ID });
+
+    // One key per computation, and it must be the executor's
+    const evaluation = newBundle.keyId;
+    assert.strictEqual(assertSameKey([evaluation, null, evaluation], evaluation), evaluation);
+    assert.strictEqual(assertSameKey([null, null], null), null);
+    assert.throws(() => assertSameKey([evaluation, oldBundle.keyId], evaluation), (error) => {
+      assert.strictEqual(error.code, SCHEMA_ERRORS.KEY_MISMATCH);
+      assert.strictEqual(error.path, 'ciphertexts[1].key_id');
+      assert.strictEqual(error.details.expected, evaluation);
+      return true;
+    });
+    assert.throws(() => assertSameKey([oldBundle.keyId], evaluation, i => `in[${i}]`), { code: SCHEMA_ERRORS.KEY_MISMATCH, path: 'in[0]' });
+    assert.throws(() => assertSameKey([evaluation], null), /no key bundle/);
+    console.log('✅ Test 3 passed\n');
+
+    // Test 4: The store records each ciphertext's key
+    console.log('Test 4: Store key index');
+    console.log('=======================');
+    let store = new CiphertextStore(storeDir);
+    server = createStoreServer(store);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    const client = new CiphertextStoreClient({ baseUrl: `http://127.0.0.1:${port}` });
+
+    const cidA = await client.put({ ...a, key_id: oldBundle.keyId });
+    assert.strictEqual(store.keyOf(cidA), oldBundle.keyId);
+    assert.deepStrictEqual(await client.fetch(cidA), { encrypted_data: a.encrypted_data, key_id: oldBundle.keyId });
+
+    // Same bytes under another key is a conflict; re-tagging with the same key is not
+    const b = ct(2);
+    const bytesB = serializeCiphertext(b);
+    const cidB = cidFromCiphertext(b);
+    let res = await request(port, 'PUT', `/ciphertexts/${cidB}`, {
+      headers: { 'Content-Type': 'application/octet-stream', 'X-Ciphertext-Key-Id': oldBundle.keyId }, body: bytesB
+    });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(JSON.parse(res.body).key_id, oldBundle.keyId);
+    res = await request(port, 'PUT', `/ciphertexts/${cidB}`, {
+      headers: { 'Content-Type': 'application/octet-stream', 'X-Ciphertext-Key-Id': newBundle.keyId }, body: bytesB
+    });
+    assert.strictEqual(res.status, 409);
+    res = await request(port, 'PUT', `/ciphertexts/${cidB}`, {
+      headers: { 'Content-Type': 'application/octet-stream', 'X-Ciphertext-Key-Id': 'bad' }, body: bytesB
+    });
+    assert.strictEqual(res.status, 400);
+
+    res = await request(port, 'GET', `/ciphertexts/${cidB}`);
+    assert.strictEqual(res.headers['x-ciphertext-key-id'], oldBundle.keyId);
+    res = await request(port, 'GET', `/ciphertexts/${cidB}`, { headers: { Accept: 'application/json' } });
+    assert.strictEqual(JSON.parse(res.body).key_id, oldBundle.keyId);
+
+    // Untagged ciphertexts have no key
+    const cidC = await client.put(ct(3));
+    assert.strictEqual((await client.fetch(cidC)).key_id, null);
+
+    // The index survives a restart, including a torn last line
+    fs.appendFileSync(path.join(storeDir, 'keys.jsonl'), '{"cid":"0x01');
+    store = new CiphertextStore(storeDir);
+    assert.deepStrictEqual(store.cidsUnderKey(oldBundle.keyId).sort(), [cidA, cidB].sort());
+    assert.deepStrictEqual(store.cidsUnderKey(newBundle.keyId), []);
+    console.log('✅ Test 4 passed\n');
+
+    // Test 5: Rotation
+    console.log('Test 5: Rotation');
+    console.log('================');
+    const journal = new RotationJournal(path.join(storeDir, 'rotations.jsonl'));
+    // Stand-in for decrypt-then-encrypt: any value change gives a new CID
+    let failNext = false;
+    const reencrypt = async (values, { bitWidth, from, to }) => {
+      assert.strictEqual(bitWidth, 32);
+      assert.strictEqual(from.keyId, oldBundle.keyId);
+      assert.strictEqual(to.keyId, newBundle.keyId);
+      if (failNext) {
+        failNext = false;
+        throw new Error('decryption failed');
+      }
+      return values.map(v => (v + 1) % Q);
+    };
+    const options = { store, keyRing: ring, journal, from: oldBundle.keyId, to: newBundle.keyId, reencrypt };
+
+    await assert.rejects(rotateKey({ ...options, from: newBundle.keyId, to: oldBundle.keyId }), /is active; mark it retiring/);
+    await assert.rejects(rotateKey({ ...options, to: '0123456789abcdef' }), /Unknown key id/);
+
+    // Failures are reported and retried next run; runs resume where they stopped
+    failNext = true;
+    let result = await rotateKey({ ...options, limit: 1 });
+    assert.deepStrictEqual([result.rotated, result.failed.length, result.remaining], [0, 1, 2]);
+    assert.match(result.failed[0].error, /decryption failed/);
+    result = await rotateKey({ ...options, limit: 1 });
+    assert.deepStrictEqual([result.rotated, result.failed.length, result.remaining], [1, 0, 1]);
+
+    assert.throws(() => retireKey({ store, keyRing: ring, journal, keyId: oldBundle.keyId }), /1 stored ciphertexts are still under key/);
+
+    result = await rotateKey(options);
+    assert.deepStrictEqual([result.rotated, result.failed.length, result.remaining], [1, 0, 0]);
+
+    // Rotated copies are stored under the new key and map back to their originals
+    const reloaded = new RotationJournal(path.join(storeDir, 'rotations.jsonl'));
+    assert.strictEqual(reloaded.entries().length, 2);
+    for (const fromCid of [cidA, cidB]) {
+      const entry = reloaded.get(fromCid);
+      assert.strictEqual(entry.from_key, oldBundle.keyId);
+      assert.strictEqual(entry.to_key, newBundle.keyId);
+      assert.strictEqual(store.keyOf(entry.to_cid), newBundle.keyId);
+      const original = deserializeCiphertext(store.get(fromCid)).encrypted_data;
+      assert.deepStrictEqual(deserializeCiphertext(store.get(entry.to_cid)).encrypted_data, original.map(v => (v + 1) % Q));
+    }
+    assert.deepStrictEqual(pendingRotation(store, reloaded, oldBundle.keyId), []);
+
+    assert.strictEqual(retireKey({ store, keyRing: ring, journal: reloaded, keyId: oldBundle.keyId }).status, 'retired');
+    assert.strictEqual(new KeyRing(keysDir).get(oldBundle.keyId).status, 'retired');
+    assert.throws(() => ring.active(oldBundle.keyId), /is retired/);
+    assert.deepStrictEqual(ring.due(now).map(bundle => bundle.keyId), []);
+    console.log('✅ Test 5 passed\n');
+
+    console.log('🎉 All key bundle tests passed!');
+  } finally {
+    if (server) await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
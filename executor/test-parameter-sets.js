@@ -0,0 +1,154 @@
+/**
+ * Parameter Set Test Suite
+ * Run: node test-parameter-sets.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PARAMETER_SETS, createParameterSet, ciphertextLength, bitWidthForLength, maxCiphertextLength,
+  describeParameterSet, loadParameterSet, verifyLayout, registerParameterSet, getParameterSet
+} = require('../lib/fhe16/params.js');
+const { SCHEMA_ERRORS, assertCiphertext } = require('../lib/fhe16/schema.js');
+const { encodeFrame, readFrameHeader } = require('../lib/fhe16/wire.js');
+const {
+  serializeCiphertext, deserializeCiphertext, compressCiphertext, createZeroCiphertext
+} = require('../lib/fhe16/crypto.js');
+const { CiphertextStore, maxCiphertextBytes } = require('./ciphertext-store.js');
+
+// Values are reduced mod q like real FHE16_0.0.1v ciphertexts
+const Q = 163603459;
+const data = (length, seed = 1) => Array.from({ length }, (_, i) => (seed * 7919 + i * 104729) % Q);
+
+// Asserts the thrown error's code
+function rejects(input, code) {
+  assert.throws(() => assertCiphertext(input), (error) => {
+    assert.strictEqual(error.code, code, error.message);
+    return true;
+  });
+}
+
+async function main() {
+  console.log('🧪 Testing Parameter Sets\n');
+
+  // Test 1: Descriptors
+  console.log('Test 1: Descriptors');
+  console.log('===================');
+  const fhe16 = getParameterSet();
+  assert.strictEqual(fhe16.scheme, 'FHE16_0.0.1v');
+  assert.ok(Object.isFrozen(fhe16) && Object.isFrozen(fhe16.layout));
+  assert.deepStrictEqual([16, 32, 64].map(w => ciphertextLength(fhe16, w)), [16656, 33296, 66576]);
+  assert.strictEqual(ciphertextLength(fhe16), 33296);
+  assert.strictEqual(bitWidthForLength(fhe16, 66576), 64);
+  assert.strictEqual(bitWidthForLength(fhe16, 33297), null);
+  assert.strictEqual(maxCiphertextLength(fhe16), 66576);
+  assert.strictEqual(getParameterSet('CKKS'), null);
+
+  // /status advertises a descriptor that loads back as the same set
+  const described = describeParameterSet(fhe16);
+  assert.deepStrictEqual(described.ciphertextLengths, { 16: 16656, 32: 33296, 64: 66576 });
+  assert.deepStrictEqual(createParameterSet(JSON.parse(JSON.stringify(described))), fhe16);
+
+  const base = PARAMETER_SETS['FHE16_0.0.1v'];
+  const invalid = [
+    [{ ...base, scheme: '' }, /scheme/],
+    [{ ...base, n: 0 }, /n must be a positive integer/],
+    [{ ...base, q: 2 ** 31 }, /q must fit in an int32/],
+    [{ ...base, sigma: -1 }, /sigma/],
+    [{ ...base, bitWidths: [] }, /bitWidths/],
+    [{ ...base, bitWidths: [32, 65] }, /bitWidths/],
+    [{ ...base, bitWidths: [32, 32] }, /must not repeat/],
+    [{ ...base, layout: { headerLength: -1, sampleLength: 1040 } }, /layout.headerLength/],
+    [{ ...base, layout: undefined }, /layout.headerLength/],
+    [null, /not an object/]
+  ];
+  for (const [spec, message] of invalid) {
+    assert.throws(() => createParameterSet(spec), message);
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'parameter-sets-'));
+  try {
+    const file = path.join(dir, 'params.json');
+    fs.writeFileSync(file, JSON.stringify({ ...base, bitWidths: [64, 16] }));
+    assert.deepStrictEqual(loadParameterSet(file).bitWidths, [16, 64]);
+    fs.writeFileSync(file, '{');
+    assert.throws(() => loadParameterSet(file), /Cannot read parameter set/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // The library's probe encryptions must agree with the descriptor
+  const measured = [];
+  assert.deepStrictEqual(verifyLayout(fhe16, (w) => { measured.push(w); return 16 + 1040 * w; }), {
+    16: 16656, 32: 33296, 64: 66576
+  });
+  assert.deepStrictEqual(measured, [16, 32, 64]);
+  assert.throws(() => verifyLayout(fhe16, w => 16 + 1024 * w), /expects 16656 values for 16-bit ciphertexts, library produced 16400/);
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: Every supported width passes validation
+  console.log('Test 2: Bit widths');
+  console.log('==================');
+  for (const bitWidth of fhe16.bitWidths) {
+    const ct = { encrypted_data: data(ciphertextLength(fhe16, bitWidth)), scheme: 'FHE16_0.0.1v', timestamp: Date.now() };
+    assert.strictEqual(assertCiphertext(ct).bitWidth, bitWidth);
+
+    // Frames and raw bytes carry the width through
+    const frame = encodeFrame(ct.encrypted_data);
+    assert.strictEqual(readFrameHeader(frame).bitWidth, bitWidth);
+    assert.strictEqual(assertCiphertext({ encrypted_frame: frame }).bitWidth, bitWidth);
+    assert.strictEqual(deserializeCiphertext(serializeCiphertext(ct)).bit_width, bitWidth);
+    const decompressed = deserializeCiphertext(compressCiphertext(ct));
+    assert.strictEqual(decompressed.bit_width, bitWidth);
+    assert.deepStrictEqual(decompressed.encrypted_data, ct.encrypted_data);
+
+    assert.strictEqual(createZeroCiphertext(bitWidth).encrypted_data.length, ct.encrypted_data.length);
+  }
+
+  // A declared width must match the length
+  const ct16 = { encrypted_data: data(16656) };
+  rejects({ ...ct16, bit_width: 32 }, SCHEMA_ERRORS.INVALID_LENGTH);
+  rejects({ encrypted_frame: encodeFrame(ct16.encrypted_data, { bitWidth: 64 }) }, SCHEMA_ERRORS.INVALID_LENGTH);
+  rejects({ encrypted_data: data(1040 * 8 + 16) }, SCHEMA_ERRORS.INVALID_LENGTH);
+  assert.throws(() => deserializeCiphertext(Buffer.alloc((1040 * 8 + 16) * 4)), /Invalid buffer size/);
+  assert.throws(() => deserializeCiphertext(encodeFrame(ct16.encrypted_data, { bitWidth: 8 })), /Unsupported bit width/);
+
+  // The store takes any width, up to the widest
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parameter-sets-store-'));
+  try {
+    const store = new CiphertextStore(storeDir, { compress: true });
+    const { cid, size } = store.put(serializeCiphertext({ ...ct16, scheme: 'FHE16_0.0.1v', timestamp: 1 }));
+    assert.strictEqual(size, 16656 * 4);
+    assert.strictEqual(deserializeCiphertext(store.get(cid)).bit_width, 16);
+    assert.ok(maxCiphertextBytes() >= 66576 * 4);
+  } finally {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  }
+  console.log('✅ Test 2 passed\n');
+
+  // Test 3: Registered sets govern validation
+  console.log('Test 3: Registered sets');
+  console.log('=======================');
+  const toy = registerParameterSet({
+    scheme: 'TOY_0.0.1v', n: 8, N: 9, q: 97, Q: 97, sigma: 1.5, bitWidths: [8], layout: { headerLength: 4, sampleLength: 10 }
+  });
+  assert.strictEqual(getParameterSet('TOY_0.0.1v'), toy);
+  const values = Array.from({ length: 84 }, (_, i) => i % 97);
+  assert.strictEqual(assertCiphertext({ encrypted_data: values, scheme: 'TOY_0.0.1v' }).bitWidth, 8);
+  assert.strictEqual(readFrameHeader(encodeFrame(values, { scheme: 'TOY_0.0.1v' })).bitWidth, 8);
+  rejects({ encrypted_data: values.map(v => v + 20), scheme: 'TOY_0.0.1v' }, SCHEMA_ERRORS.VALUE_OUT_OF_RANGE);
+  rejects({ encrypted_data: values, scheme: 'TOY_0.0.1v', bit_width: 32 }, SCHEMA_ERRORS.INVALID_BIT_WIDTH);
+
+  // Other schemes are unaffected
+  assert.strictEqual(getParameterSet(), fhe16);
+  console.log('✅ Test 3 passed\n');
+
+  console.log('🎉 All parameter set tests passed!');
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Payroll IR Program Test Suite
+ * Runs the built-in payroll programs against the plaintext FHE16 mock.
+ * Run: node test-payroll-programs.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { IrRegistry, bindParams } = require('./ir-registry.js');
+const { executePlan, collectOutputs } = require('./fhe-interpreter.js');
+const { createMockFHE16 } = require('./mock-fhe16.js');
+
+console.log('🧪 Testing Payroll Programs\n');
+
+const registry = new IrRegistry();
+registry.loadDirectory(path.join(__dirname, 'programs'));
+const byName = (name) => registry.list().map(p => registry.get(p.digest)).find(p => p.name === name);
+const { ct, mockFHE } = createMockFHE16();
+
+function run(name, inputs, params) {
+  const program = bindParams(byName(name), params);
+  return executePlan(mockFHE, program, inputs.map(ct)).result.v;
+}
+
+// Reference: floor(value * bps / 10000) without int32 limits
+const pct = (cents, bps) => Number(BigInt(cents) * BigInt(bps) / 10000n);
+
+// Test 1: Gross to net
+console.log('Test 1: Gross to net');
+console.log('====================');
+assert.strictEqual(run('payroll_gross_to_net', [523456, 104691, 25000]), 523456 - 104691 - 25000);
+console.log('✅ Test 1 passed\n');
+
+// Test 2: Flat withholding is exact for every int32 gross, including past 21,474,836
+// cents where gross/100 * bps used to overflow
+console.log('Test 2: Tax withholding');
+console.log('=======================');
+const withholdingCases = [
+  [523456, 2250], [99, 10000], [20000000, 3700], [1234567, 145],
+  [21474837, 10000], [30000000, 10000], [60000000, 4000], [100000000, 2500],
+  [0x7fffffff, 10000], [0x7fffffff, 3700], [0x7fffffff, 1]
+];
+for (const [gross, bps] of withholdingCases) {
+  const tax = run('payroll_tax_withholding', [gross], { tax_rate_bps: bps });
+  assert.strictEqual(tax, pct(gross, bps));
+  assert.strictEqual(run('payroll_tax_withholding_encrypted_rate', [gross, bps]), tax);
+  console.log(`gross=${gross} rate=${bps}bps tax=${tax}`);
+}
+assert.throws(() => run('payroll_tax_withholding', [100], {}), /tax_rate_bps: is required/);
+assert.throws(() => run('payroll_tax_withholding', [100], { tax_rate_bps: 10001 }), /must be within/);
+assert.throws(() => run('payroll_tax_withholding', [100], { tax_rate_bps: 1, other: 2 }), /not declared/);
+assert.throws(() => bindParams({ ...byName('payroll_tax_withholding'), params: { tax_rate_bps: { type: 'int' } } }, { tax_rate_bps: 10001 }),
+  /rate must be an integer within \[0, 10000\]/);
+console.log('✅ Test 2 passed\n');
+
+// Test 3: Full pipeline
+console.log('Test 3: Net pay pipeline');
+console.log('========================');
+const gross = 750000;
+const fixed = 12345;
+const net = run('payroll_net_pay', [gross, fixed], { tax_rate_bps: 2400, contribution_rate_bps: 450 });
+assert.strictEqual(run('payroll_total_deductions', [gross, fixed], { contribution_rate_bps: 450 }), pct(gross, 450) + fixed);
+assert.strictEqual(net, gross - pct(gross, 2400) - pct(gross, 450) - fixed);
+console.log('Net:', net);
+
+// High salaries: withholding stays non-negative and net never exceeds gross
+for (const [highGross, taxBps, contributionBps] of [[30000000, 10000, 0], [60000000, 4000, 900], [0x7fffffff - 1000, 3700, 450]]) {
+  const params = { tax_rate_bps: taxBps, contribution_rate_bps: contributionBps };
+  assert.strictEqual(run('payroll_total_deductions', [highGross, 1000], { contribution_rate_bps: contributionBps }),
+    pct(highGross, contributionBps) + 1000);
+  assert.strictEqual(run('payroll_net_pay', [highGross, 1000], params),
+    highGross - pct(highGross, taxBps) - pct(highGross, contributionBps) - 1000);
+}
+console.log('✅ Test 3 passed\n');
+
+// Test 4: One run produces net, tax and year-to-date gross
+console.log('Test 4: Multi-output payroll run');
+console.log('================================');
+const runProgram = bindParams(byName('payroll_run'), { tax_rate_bps: 2400, contribution_rate_bps: 450 });
+const ytd = 3000000;
+const stack = executePlan(mockFHE, runProgram, [gross, fixed, ytd].map(ct));
+const outputs = Object.fromEntries(collectOutputs(runProgram, stack).map(({ name, ptr }) => [name, ptr.v]));
+assert.deepStrictEqual(Object.keys(outputs), ['net', 'tax', 'ytd_gross']);
+assert.strictEqual(outputs.net, net);
+assert.strictEqual(outputs.tax, pct(gross, 2400));
+assert.strictEqual(outputs.ytd_gross, ytd + gross);
+assert.throws(() => collectOutputs(runProgram, { net: stack.net }), /did not produce output "tax"/);
+
+// High salaries: the run agrees with payroll_net_pay and payroll_tax_withholding
+for (const [highGross, taxBps] of [[30000000, 10000], [60000000, 4000], [100000000, 2500]]) {
+  const params = { tax_rate_bps: taxBps, contribution_rate_bps: 450 };
+  const program = bindParams(byName('payroll_run'), params);
+  const high = executePlan(mockFHE, program, [highGross, fixed, ytd].map(ct));
+  const got = Object.fromEntries(collectOutputs(program, high).map(({ name, ptr }) => [name, ptr.v]));
+  assert.strictEqual(got.tax, pct(highGross, taxBps));
+  assert.strictEqual(got.tax, run('payroll_tax_withholding', [highGross], { tax_rate_bps: taxBps }));
+  assert.strictEqual(got.net, run('payroll_net_pay', [highGross, fixed], params));
+}
+console.log('Outputs:', outputs);
+console.log('✅ Test 4 passed\n');
+
+console.log('🎉 All tests passed!');
@@ -0,0 +1,53 @@
+/**
+ * Runtime Mode Test Suite
+ * Run: node test-runtime-mode.js
+ */
+
+const assert = require('assert');
+const { resolveRuntimeMode, findPlaintext, assertNoPlaintext, PlaintextPayloadError } = require('./runtime-mode.js');
+
+async function main() {
+  console.log('🧪 Testing Runtime Mode\n');
+
+  // Test 1: Mode resolution
+  console.log('Test 1: Resolve the mode');
+  console.log('========================');
+  const dev = resolveRuntimeMode({});
+  assert.deepStrictEqual(dev, { name: 'dev', decryptResults: true, sendPlaintext: false, plaintextDecrypts: true, decryptService: true });
+  assert.strictEqual(resolveRuntimeMode({ EXECUTOR_MODE: 'demo' }).sendPlaintext, true);
+
+  const production = resolveRuntimeMode({ NODE_ENV: 'production' });
+  assert.strictEqual(production.name, 'production');
+  assert.strictEqual(production.decryptResults, false);
+  assert.strictEqual(production.plaintextDecrypts, false);
+  assert.strictEqual(production.decryptService, false, 'no secret key unless asked for');
+  assert.strictEqual(resolveRuntimeMode({ EXECUTOR_MODE: 'production', DECRYPT_SERVICE: 'true' }).decryptService, true);
+  assert.strictEqual(resolveRuntimeMode({ EXECUTOR_MODE: 'demo', DECRYPT_SERVICE: 'false' }).decryptService, false);
+
+  assert.throws(() => resolveRuntimeMode({ EXECUTOR_MODE: 'staging' }), /must be one of dev, demo, production/);
+  assert.throws(() => resolveRuntimeMode({ NODE_ENV: 'production', EXECUTOR_MODE: 'demo' }), /requires EXECUTOR_MODE=production/);
+  assert.throws(() => resolveRuntimeMode({ DECRYPT_SERVICE: 'yes' }), /DECRYPT_SERVICE must be true or false/);
+  assert.throws(() => resolveRuntimeMode({ EXECUTOR_MODE: 'toString' }), /must be one of/);
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: Plaintext in payloads
+  console.log('Test 2: Find plaintext');
+  console.log('======================');
+  assert.strictEqual(findPlaintext({ executor: 'e', result_ciphertext: { cid: '0x01', debug_decrypted_result: null } }), null);
+  assert.strictEqual(findPlaintext({ success: true, decrypted_value: null, sealed_value: { ciphertext: 'AA==' } }), null);
+  assert.strictEqual(findPlaintext({ result_ciphertexts: { net: { debug_decrypted_result: 0 } } }), 'result_ciphertexts.net.debug_decrypted_result');
+  assert.strictEqual(findPlaintext({ outputs: [{ name: 'tax' }, { debug_decrypted_result: 7 }] }), 'outputs.1.debug_decrypted_result');
+  assert.strictEqual(findPlaintext({ encrypted_data: new Int32Array(4) }), null);
+
+  assert.doesNotThrow(() => assertNoPlaintext({ success: false, decrypted_value: null, error: 'denied' }));
+  assert.throws(() => assertNoPlaintext({ decrypted_value: 5000 }), (err) =>
+    err instanceof PlaintextPayloadError && err.code === 'PLAINTEXT_REFUSED' && err.path === 'decrypted_value');
+  console.log('✅ Test 2 passed\n');
+
+  console.log('🎉 All runtime mode tests passed!');
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
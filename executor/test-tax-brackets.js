@@ -0,0 +1,112 @@
+/**
+ * Progressive Tax Bracket Test Suite
+ * Expands progressive_tax plans and runs them against the plaintext FHE16 mock.
+ * Run: node test-tax-brackets.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { validateBracketTable, computeProgressiveTax, MAX_BRACKETS } = require('./tax-brackets.js');
+const { IrRegistry, bindParams, compileProgram } = require('./ir-registry.js');
+const { executePlan } = require('./fhe-interpreter.js');
+const { createMockFHE16 } = require('./mock-fhe16.js');
+
+console.log('🧪 Testing Progressive Tax Brackets\n');
+
+const registry = new IrRegistry();
+registry.loadDirectory(path.join(__dirname, 'programs'));
+const program = registry.list().map(p => registry.get(p.digest)).find(p => p.name === 'payroll_progressive_tax');
+const { ct, mockFHE } = createMockFHE16();
+
+const run = (brackets, salary) => {
+  const bound = bindParams(program, { brackets });
+  return executePlan(mockFHE, bound, [ct(salary)]).result.v;
+};
+
+// Reference without int32 limits or the whole/remainder split
+const reference = (brackets, salary) => {
+  let total = 0n;
+  brackets.forEach((b, i) => {
+    const upper = i + 1 < brackets.length ? brackets[i + 1].threshold : Infinity;
+    const band = Math.max(0, Math.min(salary, upper) - b.threshold);
+    total += BigInt(band) * BigInt(b.rate_bps);
+  });
+  return Number(total / 10000n);
+};
+
+const brackets = [
+  { threshold: 0, rate_bps: 600 },
+  { threshold: 1400000, rate_bps: 1500 },
+  { threshold: 5000000, rate_bps: 2400 },
+  { threshold: 8800000, rate_bps: 3500 },
+  { threshold: 15000000, rate_bps: 3800 }
+];
+
+// Test 1: Bracket table validation
+console.log('Test 1: Validation');
+console.log('==================');
+assert.strictEqual(validateBracketTable(brackets), null);
+assert.match(validateBracketTable([]), /non-empty/);
+assert.match(validateBracketTable([{ threshold: 100, rate_bps: 10 }]), /\[0\]\.threshold must be 0/);
+assert.match(validateBracketTable([{ threshold: 0, rate_bps: 10 }, { threshold: 0, rate_bps: 20 }]), /greater than the previous/);
+assert.match(validateBracketTable([{ threshold: 0, rate_bps: 10001 }]), /rate_bps/);
+assert.match(validateBracketTable([{ threshold: 0, rate_bps: 0.5 }]), /rate_bps/);
+assert.match(validateBracketTable([{ threshold: 0, rate_bps: 1, cap: 2 }]), /unknown field "cap"/);
+const tooMany = Array.from({ length: MAX_BRACKETS + 1 }, (_, i) => ({ threshold: i * 100, rate_bps: 10 }));
+assert.match(validateBracketTable(tooMany), /at most/);
+assert.throws(() => bindParams(program, { brackets: [] }), /params\.brackets: must be a non-empty/);
+assert.throws(() => bindParams(program, {}), /params\.brackets: is required/);
+console.log('✅ Test 1 passed\n');
+
+// Test 2: Encrypted evaluation matches the plaintext reference
+console.log('Test 2: Evaluation');
+console.log('==================');
+const salaries = [0, 1, 9999, 1399999, 1400000, 1400001, 4999999, 5000000, 12345678, 15000000, 98765432, 0x7fffffff];
+for (const salary of salaries) {
+  const tax = run(brackets, salary);
+  assert.strictEqual(tax, reference(brackets, salary), `salary=${salary}`);
+  assert.strictEqual(tax, computeProgressiveTax(brackets, salary), `salary=${salary}`);
+}
+console.log(`Salaries checked: ${salaries.length}, tax(12345678) = ${run(brackets, 12345678)}`);
+console.log('✅ Test 2 passed\n');
+
+// Test 3: Edge tables
+console.log('Test 3: Edge tables');
+console.log('===================');
+assert.strictEqual(run([{ threshold: 0, rate_bps: 2250 }], 523456), reference([{ threshold: 0, rate_bps: 2250 }], 523456));
+assert.strictEqual(run([{ threshold: 0, rate_bps: 0 }, { threshold: 100, rate_bps: 0 }], 5000), 0);
+const exempt = [{ threshold: 0, rate_bps: 0 }, { threshold: 1000000, rate_bps: 10000 }];
+assert.strictEqual(run(exempt, 999999), 0);
+assert.strictEqual(run(exempt, 1000123), 123);
+console.log('✅ Test 3 passed\n');
+
+// Test 4: Program validation
+console.log('Test 4: Program validation');
+console.log('==========================');
+const base = {
+  format: 'lattica-ir/1',
+  name: 'bad_tax',
+  input_slots: 1,
+  params: { brackets: { type: 'bracket_table' }, rate: { type: 'int' } },
+  execution_plan: [{ op: 'progressive_tax', inputs: [0], constant: { param: 'brackets' }, output: 'result' }]
+};
+assert.ok(compileProgram(base).digest);
+const withStep = (step) => ({ ...base, execution_plan: [{ ...base.execution_plan[0], ...step }] });
+assert.throws(() => compileProgram(withStep({ constant: 5 })), /takes a \{ "param" \} reference/);
+assert.throws(() => compileProgram(withStep({ constant: { param: 'rate' } })), /must have type bracket_table/);
+assert.throws(() => compileProgram(withStep({ inputs: [0, 0] })), /operand/);
+assert.throws(
+  () => compileProgram({ ...base, execution_plan: [{ op: 'smull_constant', inputs: [0], constant: { param: 'brackets' }, output: 'result' }] }),
+  /must have type int/
+);
+assert.throws(
+  () => compileProgram({ ...base, execution_plan: [{ op: 'add', inputs: [0, 0], output: 'result__x' }] }),
+  /reserved/
+);
+assert.throws(
+  () => compileProgram({ ...base, params: { brackets: { type: 'bracket_table', min: 0 } } }),
+  /min\/max only apply to int/
+);
+console.log('✅ Test 4 passed\n');
+
+console.log('🎉 All tests passed!');
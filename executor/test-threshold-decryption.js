@@ -0,0 +1,204 @@
+/**
+ * Threshold Decryption Test Suite
+ * Run: node test-threshold-decryption.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExecutorIdentity } = require('./executor-identity.js');
+const { createKeyBundle } = require('./key-bundle.js');
+const { dealShares, loadKeyShare, createPartialDecryption, combineDecryption } = require('./threshold-decryption.js');
+const { THRESHOLD_ERRORS, lagrangeAtZero, reconstructSecret, partialDecrypt, combinePartials } = require('../lib/fhe16/threshold.js');
+const { PARAMETER_SETS, createParameterSet, getParameterSet } = require('../lib/fhe16/params.js');
+const { canonicalize } = require('./ir-registry.js');
+
+const Q = 163603459;
+const DELTA = Math.floor(Q / 4);
+const params = createParameterSet({ ...PARAMETER_SETS['FHE16_0.0.1v'], lwe: { aOffset: 0, bOffset: 1024, delta: DELTA } });
+
+// Toy LWE encryption in the FHE16_0.0.1v layout: one sample per bit, least significant first
+function encrypt(secret, value, bitWidth) {
+  const data = new Int32Array(16 + 1040 * bitWidth);
+  const bits = BigInt.asUintN(bitWidth, BigInt(value));
+  for (let k = 0; k < bitWidth; k++) {
+    const start = 16 + k * 1040;
+    let dot = 0n;
+    for (let c = 0; c < 1024; c++) {
+      data[start + c] = crypto.randomInt(Q);
+      dot += BigInt(data[start + c]) * BigInt(secret[c]);
+    }
+    const noise = crypto.randomInt(-40, 41);
+    const bit = Number((bits >> BigInt(k)) & 1n);
+    data[start + 1024] = Number((((dot + BigInt(noise + bit * DELTA)) % BigInt(Q)) + BigInt(Q)) % BigInt(Q));
+  }
+  return Array.from(data);
+}
+
+// Asserts the thrown error's code
+function throwsCode(fn, code) {
+  assert.throws(fn, (error) => {
+    assert.strictEqual(error.code, code, error.message);
+    return true;
+  });
+}
+
+async function main() {
+  console.log('🧪 Testing Threshold Decryption\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'threshold-'));
+  try {
+    const keyId = '3f2a9c0d1e5b7a64';
+    const secret = Array.from({ length: 1024 }, () => crypto.randomInt(3) - 1);  // ternary
+
+    // Test 1: Dealing shares
+    console.log('Test 1: Dealing');
+    console.log('===============');
+    const docs = dealShares(secret, { keyId, params, threshold: 2, parties: 3 });
+    assert.deepStrictEqual(docs.map(doc => doc.index), [1, 2, 3]);
+    const files = docs.map((doc) => {
+      const file = path.join(dir, `share-${doc.index}.json`);
+      fs.writeFileSync(file, JSON.stringify(doc));
+      return file;
+    });
+    const shares = files.map(loadKeyShare);
+    assert.deepStrictEqual(shares.map(s => [s.keyId, s.index, s.threshold, s.parties, s.values.length]), [
+      [keyId, 1, 2, 3, 1024], [keyId, 2, 2, 3, 1024], [keyId, 3, 2, 3, 1024]
+    ]);
+
+    // Any t shares recover the secret, fewer reveal nothing usable
+    const expected = secret.map(v => (v + Q) % Q);
+    assert.deepStrictEqual(reconstructSecret([shares[0], shares[2]], Q), expected);
+    assert.deepStrictEqual(reconstructSecret([shares[2], shares[1]], Q), expected);
+    assert.notDeepStrictEqual(reconstructSecret([shares[1]], Q), expected);
+
+    // Lagrange coefficients at 0 sum to 1
+    const lambdas = lagrangeAtZero([1, 3], Q);
+    assert.strictEqual((lambdas.get(1) + lambdas.get(3)) % BigInt(Q), 1n);
+
+    assert.throws(() => dealShares(secret.slice(1), { keyId, params, threshold: 2, parties: 3 }), /needs 1024/);
+    throwsCode(() => dealShares(secret, { keyId, params, threshold: 4, parties: 3 }), THRESHOLD_ERRORS.INVALID_QUORUM);
+    fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify({ ...docs[0], index: 4 }));
+    assert.throws(() => loadKeyShare(path.join(dir, 'bad.json')), /Invalid share index/);
+
+    // Shares travel in key bundles
+    const pk = path.join(dir, 'pk.bin');
+    const bootparam = path.join(dir, 'bootparam.bin');
+    fs.writeFileSync(pk, crypto.randomBytes(64));
+    fs.writeFileSync(bootparam, crypto.randomBytes(64));
+    const bundle = createKeyBundle(path.join(dir, 'keys'), { publicKey: pk, bootparam, share: files[1] });
+    assert.strictEqual(bundle.hasShare, true);
+    assert.strictEqual(bundle.hasSecret, false);
+    assert.strictEqual(loadKeyShare(bundle.file('share')).index, 2);
+    console.log('✅ Test 1 passed\n');
+
+    // Test 2: Partial decryptions combine to the plaintext
+    console.log('Test 2: Combining');
+    console.log('=================');
+    const identities = [1, 2, 3].map(i => ExecutorIdentity.load(path.join(dir, `executor-${i}.pem`), { create: true }).identity);
+    const parties = Object.fromEntries(identities.map((identity, i) => [i + 1, identity.publicKeyHex]));
+    const encryptedData = encrypt(secret, 523000, 32);
+    const job = { decryptId: 'dec-1', cid: '0x01aa', keyId, encryptedData, quorum: [3, 1] };
+    const partialFrom = (party, overrides = {}) => createPartialDecryption(identities[party - 1], {
+      decryptId: job.decryptId, cid: job.cid, keyId, quorum: job.quorum, share: shares[party - 1], encryptedData, params, ...overrides
+    });
+
+    const partials = [partialFrom(1), partialFrom(3)];
+    assert.strictEqual(partials[0].statement.party, 1);
+    assert.deepStrictEqual(partials[0].statement.quorum, [1, 3]);
+    assert.strictEqual(partials[0].statement.partial.length, 32);
+    const result = combineDecryption(job, partials, { params, threshold: 2, parties });
+    assert.strictEqual(result.value, 523000);
+    assert.strictEqual(result.bitWidth, 32);
+    assert.deepStrictEqual(result.executors, [identities[0].executorId, identities[2].executorId]);
+
+    // Larger quorums, negative and 64-bit values
+    const negative = encrypt(secret, -1250, 16);
+    const all = [1, 2, 3];
+    const allPartials = all.map(party => createPartialDecryption(identities[party - 1], {
+      decryptId: 'dec-2', cid: '0x01bb', keyId, quorum: all, share: shares[party - 1], encryptedData: negative, params
+    }));
+    assert.strictEqual(combineDecryption({ decryptId: 'dec-2', cid: '0x01bb', keyId, encryptedData: negative, quorum: all }, allPartials, {
+      params, threshold: 2, parties
+    }).value, -1250);
+
+    const wide = encrypt(secret, 2n ** 60n + 7n, 64);
+    const widePartials = [2, 3].map(party => ({ index: party, values: partialDecrypt(wide, shares[party - 1], { params, quorum: [2, 3] }) }));
+    assert.strictEqual(combinePartials(wide, widePartials, { params, quorum: [2, 3], threshold: 2 }).value, '1152921504606846983');
+
+    // Partials carry smudging noise: the same party answers differently each time
+    assert.notDeepStrictEqual(partialFrom(1).statement.partial, partials[0].statement.partial);
+    console.log('✅ Test 2 passed\n');
+
+    // Test 3: Refusals
+    console.log('Test 3: Refusals');
+    console.log('================');
+    const combine = (list, overrides = {}) => combineDecryption({ ...job, ...overrides }, list, { params, threshold: 2, parties });
+
+    // Every quorum member must answer
+    throwsCode(() => combine([partials[0]]), THRESHOLD_ERRORS.MISSING_PARTIAL);
+    throwsCode(() => combine([partials[0], partials[0]]), THRESHOLD_ERRORS.INVALID_PARTIAL);
+
+    // Partials must be signed by the party's registered executor, for this decryption
+    const forged = createPartialDecryption(identities[1], {
+      decryptId: job.decryptId, cid: job.cid, keyId, quorum: job.quorum, share: { ...shares[2] }, encryptedData, params
+    });
+    assert.throws(() => combine([partials[0], forged]), /party 3 is not signed by its executor/);
+    assert.throws(() => combine(partials, { decryptId: 'dec-other' }), /answered a different decryption/);
+    assert.throws(() => combine(partials, { encryptedData: encrypt(secret, 1, 32) }), /answered a different decryption/);
+
+    const tampered = JSON.parse(JSON.stringify(partials[1]));
+    tampered.statement.partial[0] = (tampered.statement.partial[0] + 1) % Q;
+    assert.throws(() => combine([partials[0], tampered]), /bad signature/);
+
+    // A signed but wrong partial (bad share) does not decode
+    const wrongShare = { ...shares[2], values: shares[2].values.map(v => (v + 1) % Q) };
+    throwsCode(() => combine([partials[0], partialFrom(3, { share: wrongShare })]), THRESHOLD_ERRORS.SHARES_DISAGREE);
+
+    // Quorums below t, parties outside the quorum, mismatched keys and missing layouts
+    throwsCode(() => partialFrom(1, { quorum: [1] }), THRESHOLD_ERRORS.INVALID_QUORUM);
+    throwsCode(() => partialFrom(2), THRESHOLD_ERRORS.INVALID_SHARE);
+    throwsCode(() => partialFrom(1, { keyId: '0123456789abcdef' }), THRESHOLD_ERRORS.INVALID_SHARE);
+    throwsCode(() => partialFrom(1, { params: getParameterSet() }), THRESHOLD_ERRORS.NO_LWE_LAYOUT);
+
+    // Statements are canonical JSON, so a verifier can recompute what was signed
+    assert.strictEqual(JSON.parse(canonicalize(partials[0].statement)).party, 1);
+    console.log('✅ Test 3 passed\n');
+
+    // Test 4: lwe section of the parameter set
+    console.log('Test 4: Sample layout');
+    console.log('=====================');
+    const base = PARAMETER_SETS['FHE16_0.0.1v'];
+    assert.strictEqual(params.lwe.bitOrder, 'lsb');
+    assert.ok(Object.isFrozen(params.lwe));
+    assert.strictEqual(getParameterSet().lwe, undefined);
+    const invalid = [
+      [{ aOffset: 20, bOffset: 0, delta: DELTA }, /lwe.aOffset/],
+      [{ aOffset: 0, bOffset: 512, delta: DELTA }, /lwe.bOffset/],
+      [{ aOffset: 0, bOffset: 1040, delta: DELTA }, /lwe.bOffset/],
+      [{ aOffset: 0, bOffset: 1024, delta: Q }, /lwe.delta/],
+      [{ aOffset: 0, bOffset: 1024, delta: DELTA, bitOrder: 'middle' }, /lwe.bitOrder/]
+    ];
+    for (const [lwe, message] of invalid) {
+      assert.throws(() => createParameterSet({ ...base, lwe }), message);
+    }
+
+    // Most significant bit first
+    const msb = createParameterSet({ ...base, lwe: { ...params.lwe, bitOrder: 'msb' } });
+    const reversed = encrypt(secret, 0b1011 << 12, 16);
+    const msbPartials = [1, 2].map(party => ({ index: party, values: partialDecrypt(reversed, shares[party - 1], { params: msb, quorum: [1, 2] }) }));
+    assert.strictEqual(combinePartials(reversed, msbPartials, { params: msb, quorum: [1, 2], threshold: 2 }).value, 0b1101);
+    console.log('✅ Test 4 passed\n');
+
+    console.log('🎉 All threshold decryption tests passed!');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
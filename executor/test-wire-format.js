@@ -0,0 +1,214 @@
+/**
+ * Ciphertext Wire Format Test Suite
+ * Run: node test-wire-format.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const {
+  WIRE_ENCODING, WIRE_CONTENT_TYPE, encodeFrame, decodeFrame, readFrameHeader, frameBody, isFrame, ciphertextValues
+} = require('../lib/fhe16/wire.js');
+const { serializeCiphertext } = require('../lib/fhe16/crypto.js');
+const { cidFromBytes, cidFromCiphertext } = require('../lib/fhe16/cid.js');
+const { buildMultipart, parseMultipart } = require('./multipart.js');
+const { GatehouseClient } = require('./gatehouse-client.js');
+const { ExecutorIdentity } = require('./executor-identity.js');
+
+// Values are reduced mod q like real FHE16_0.0.1v ciphertexts
+const Q = 163603459;
+const values = (seed) => Int32Array.from({ length: 33296 }, (_, i) => (seed * 7919 + i * 104729) % Q);
+
+// Captures requests and answers each path with a scripted response
+const requests = [];
+const responses = new Map();
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    requests.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+    const next = responses.get(req.url) || { headers: { 'Content-Type': 'application/json' }, body: '{}' };
+    res.writeHead(200, next.headers);
+    res.end(next.body);
+  });
+});
+
+async function main() {
+  console.log('🧪 Testing Ciphertext Wire Format\n');
+
+  // Test 1: Frames
+  console.log('Test 1: Frames');
+  console.log('==============');
+  const data = values(1);
+  const frame = encodeFrame(data);
+  assert.ok(isFrame(frame));
+  assert.deepStrictEqual(readFrameHeader(frame), {
+    version: 1, bitWidth: 32, flags: 0, length: 33296, scheme: 'FHE16_0.0.1v', bodyOffset: 28, compressed: false
+  });
+  assert.strictEqual(frame.length, 28 + 33296 * 4);
+
+  // The body is serializeCiphertext's byte layout, so the CID needs no decoding
+  const plain = { encrypted_data: Array.from(data), scheme: 'FHE16_0.0.1v', timestamp: Date.now() };
+  assert.deepStrictEqual(frameBody(frame), serializeCiphertext(plain));
+  assert.strictEqual(cidFromBytes(frameBody(frame)), cidFromCiphertext(plain));
+  assert.deepStrictEqual(encodeFrame(plain.encrypted_data), frame);
+
+  const decoded = decodeFrame(frame, { expectedLength: 33296, scheme: 'FHE16_0.0.1v' });
+  assert.ok(decoded.encryptedData instanceof Int32Array);
+  assert.deepStrictEqual(decoded.encryptedData, data);
+  assert.strictEqual(decoded.bitWidth, 32);
+
+  // Frames sliced out of a larger buffer decode from an unaligned offset
+  const unaligned = Buffer.concat([Buffer.alloc(3), frame]).subarray(3);
+  assert.deepStrictEqual(decodeFrame(unaligned).encryptedData, data);
+
+  assert.throws(() => decodeFrame(frame, { expectedLength: 16 }), /expected 16, got 33296/);
+  assert.throws(() => decodeFrame(frame, { scheme: 'OTHER' }), /Unsupported ciphertext scheme/);
+  assert.throws(() => decodeFrame(frame.subarray(0, frame.length - 4)), /size mismatch/);
+  assert.throws(() => decodeFrame(Buffer.from('not a frame at all')), /Not a ciphertext frame/);
+  const future = Buffer.from(frame);
+  future[4] = 2;
+  assert.throws(() => decodeFrame(future), /Unsupported ciphertext frame version: 2/);
+
+  assert.deepStrictEqual(ciphertextValues({ encrypted_frame: frame.toString('base64') }), data);
+  assert.deepStrictEqual(ciphertextValues({ encrypted_frame: frame }), data);
+  assert.strictEqual(ciphertextValues(plain), plain.encrypted_data);
+
+  const json = Buffer.byteLength(JSON.stringify(plain.encrypted_data));
+  console.log(`Frame ${frame.length} bytes, base64 ${frame.toString('base64').length}, JSON ${json}`);
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: Multipart bodies
+  console.log('Test 2: Multipart');
+  console.log('=================');
+  // Binary data containing CRLFs and dashes must come back byte for byte
+  const tricky = Buffer.concat([Buffer.from('\r\n--lattica-\r\n\r\n'), crypto.randomBytes(4096)]);
+  const { body, contentType } = buildMultipart([
+    { name: 'json', data: '{"a":1}', contentType: 'application/json' },
+    { name: 'ciphertext-0', data: tricky, contentType: WIRE_CONTENT_TYPE },
+    { name: 'empty', data: Buffer.alloc(0) }
+  ]);
+  assert.ok(contentType.startsWith('multipart/form-data; boundary=lattica-'));
+  const parts = parseMultipart(body, contentType);
+  assert.deepStrictEqual([...parts.keys()], ['json', 'ciphertext-0', 'empty']);
+  assert.strictEqual(parts.get('json').data.toString(), '{"a":1}');
+  assert.strictEqual(parts.get('json').contentType, 'application/json');
+  assert.deepStrictEqual(parts.get('ciphertext-0').data, tricky);
+  assert.strictEqual(parts.get('empty').data.length, 0);
+
+  assert.throws(() => parseMultipart(body, 'multipart/form-data'), /without boundary/);
+  assert.throws(() => parseMultipart(body.subarray(0, body.length - 20), contentType), /Unterminated/);
+  assert.throws(() => buildMultipart([{ name: 'a"b', data: 'x' }]), /Invalid multipart field name/);
+  console.log('✅ Test 2 passed\n');
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const result = {
+    success: true,
+    executionTime: 12,
+    resultCiphertexts: [
+      { output: 'net', encrypted_data: data, scheme: 'FHE16_0.0.1v', cid: cidFromCiphertext(data) },
+      { output: 'tax', encrypted_data: values(2), scheme: 'FHE16_0.0.1v', cid: cidFromCiphertext(values(2)) }
+    ]
+  };
+
+  try {
+    // Test 3: Result submission in each wire format
+    console.log('Test 3: Result submission');
+    console.log('=========================');
+    const jsonClient = new GatehouseClient({ baseUrl, executorId: 'executor-1', retries: 0 });
+    await jsonClient.submitResult('job-1', result);
+    let sent = requests.pop();
+    let payload = JSON.parse(sent.body);
+    const jsonBodySize = sent.body.length;
+    assert.strictEqual(sent.headers['content-type'], 'application/json');
+    assert.strictEqual(sent.headers['x-ciphertext-encoding'], undefined);
+    assert.deepStrictEqual(payload.result_ciphertexts.net.encrypted_data, Array.from(data));
+    assert.strictEqual(payload.result_ciphertext.output, 'net');
+    jsonClient.close();
+
+    const base64Client = new GatehouseClient({ baseUrl, executorId: 'executor-1', retries: 0, wireFormat: 'base64' });
+    await base64Client.submitResult('job-1', result);
+    sent = requests.pop();
+    payload = JSON.parse(sent.body);
+    assert.strictEqual(sent.headers['x-ciphertext-encoding'], WIRE_ENCODING);
+    assert.strictEqual(payload.result_ciphertexts.tax.encoding, WIRE_ENCODING);
+    assert.strictEqual(payload.result_ciphertexts.tax.encrypted_data, undefined);
+    assert.deepStrictEqual(ciphertextValues(payload.result_ciphertexts.tax), values(2));
+    // ~5.3 base64 bytes per value against up to 10 JSON bytes for values below q
+    assert.ok(sent.body.length < jsonBodySize * 0.6);
+    base64Client.close();
+
+    // Multipart: frames travel as raw bytes and the signature covers the whole body
+    const identity = new ExecutorIdentity(crypto.generateKeyPairSync('ed25519').privateKey, { executorId: 'executor-1' });
+    const multipartClient = new GatehouseClient({
+      baseUrl, executorId: 'executor-1', retries: 0, wireFormat: 'multipart', signer: identity
+    });
+    await multipartClient.submitResult('job-1', result);
+    sent = requests.pop();
+    assert.ok(sent.headers['content-type'].startsWith('multipart/form-data'));
+    assert.strictEqual(sent.headers['x-executor-content-sha256'], crypto.createHash('sha256').update(sent.body).digest('hex'));
+    const received = parseMultipart(sent.body, sent.headers['content-type']);
+    payload = JSON.parse(received.get('json').data);
+    assert.strictEqual(payload.result_ciphertexts.net.encrypted_frame_part, 'ciphertext-0');
+    assert.strictEqual(payload.result_ciphertexts.tax.encrypted_frame_part, 'ciphertext-1');
+    assert.strictEqual(received.get('ciphertext-1').contentType, WIRE_CONTENT_TYPE);
+    assert.deepStrictEqual(decodeFrame(received.get('ciphertext-1').data).encryptedData, values(2));
+    console.log(`Result body: JSON ${jsonBodySize} bytes, multipart ${sent.body.length} bytes`);
+    assert.ok(sent.body.length < jsonBodySize / 2);
+
+    // Failed results carry no ciphertexts and stay plain JSON
+    await multipartClient.submitResult('job-2', { success: false, error: 'boom' });
+    sent = requests.pop();
+    assert.strictEqual(sent.headers['content-type'], 'application/json');
+    assert.strictEqual(JSON.parse(sent.body).error, 'boom');
+    console.log('✅ Test 3 passed\n');
+
+    // Test 4: Multipart job payloads
+    console.log('Test 4: Multipart jobs');
+    console.log('======================');
+    const jobs = buildMultipart([
+      {
+        name: 'json',
+        contentType: 'application/json',
+        data: JSON.stringify({
+          jobs: [{
+            job_pda: 'job-3',
+            ciphertexts: [
+              { cid: cidFromCiphertext(data), ciphertext: { encoding: WIRE_ENCODING, encrypted_frame_part: 'input-0' } },
+              { ciphertext: { encrypted_data: [1, 2, 3] } }
+            ]
+          }]
+        })
+      },
+      { name: 'input-0', data: frame, contentType: WIRE_CONTENT_TYPE }
+    ]);
+    responses.set('/api/executor/jobs?limit=1', { headers: { 'Content-Type': jobs.contentType }, body: jobs.body });
+    const fetched = await multipartClient.fetchJobs();
+    sent = requests.pop();
+    assert.strictEqual(sent.headers.accept, 'multipart/form-data, application/json');
+    const input = fetched.jobs[0].ciphertexts[0].ciphertext;
+    assert.ok(Buffer.isBuffer(input.encrypted_frame));
+    assert.strictEqual(input.encrypted_frame_part, undefined);
+    assert.deepStrictEqual(ciphertextValues(input), data);
+    assert.deepStrictEqual(fetched.jobs[0].ciphertexts[1].ciphertext.encrypted_data, [1, 2, 3]);
+
+    // A reference to a missing part is rejected rather than passed on empty
+    const broken = buildMultipart([{ name: 'json', data: '{"ciphertext":{"encrypted_frame_part":"gone"}}' }]);
+    responses.set('/api/executor/jobs?limit=1', { headers: { 'Content-Type': broken.contentType }, body: broken.body });
+    await assert.rejects(multipartClient.fetchJobs(), { code: 'INVALID_JSON' });
+    multipartClient.close();
+
+    assert.throws(() => new GatehouseClient({ baseUrl, wireFormat: 'xml' }), /Unknown wire format/);
+    console.log('✅ Test 4 passed\n');
+
+    console.log('🎉 All wire format tests passed!');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
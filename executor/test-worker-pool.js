@@ -0,0 +1,86 @@
+/**
+ * Worker Pool Test Suite
+ * Uses inline workers that speak the fhe-worker.js protocol, so no native library is needed.
+ * Run: node test-worker-pool.js
+ */
+
+const assert = require('assert');
+const { Worker } = require('worker_threads');
+const { WorkerPool } = require('./worker-pool.js');
+
+const ECHO_WORKER = `
+  const { parentPort } = require('worker_threads');
+  parentPort.on('message', ({ taskId, payload }) => {
+    if (payload.crash) process.exit(3);
+    if (payload.fail) return parentPort.postMessage({ type: 'result', taskId, error: 'boom' });
+    setTimeout(() => parentPort.postMessage({ type: 'result', taskId, result: payload.value * 2 }), payload.delay || 0);
+  });
+  parentPort.postMessage({ type: 'ready' });
+`;
+
+const BROKEN_WORKER = `
+  require('worker_threads').parentPort.postMessage({ type: 'init_failed', error: 'no bootparam' });
+`;
+
+const inline = (code) => () => new Worker(code, { eval: true });
+
+async function main() {
+  console.log('🧪 Testing Worker Pool\n');
+
+  // Test 1: Tasks run concurrently up to the pool size
+  console.log('Test 1: Concurrency');
+  console.log('===================');
+  const pool = new WorkerPool({ size: 2, createWorker: inline(ECHO_WORKER) });
+  await pool.start();
+
+  const started = Date.now();
+  const pending = [1, 2, 3, 4].map(value => pool.run({ value, delay: 150 }));
+  const stats = pool.getStats();
+  assert.strictEqual(stats.busy, 2);
+  assert.strictEqual(stats.queued, 2);
+
+  assert.deepStrictEqual(await Promise.all(pending), [2, 4, 6, 8]);
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed >= 300 && elapsed < 1500, `two rounds of two tasks (${elapsed}ms)`);
+  assert.strictEqual(pool.getStats().totalCompleted, 4);
+  console.log(`4 tasks on 2 workers in ${elapsed}ms`);
+  console.log('✅ Test 1 passed\n');
+
+  // Test 2: Task errors and worker crashes reject only the affected task
+  console.log('Test 2: Failures');
+  console.log('================');
+  await assert.rejects(pool.run({ fail: true }), /boom/);
+  await assert.rejects(pool.run({ crash: true }), /exited \(code 3\)/);
+
+  // The crashed worker is replaced and the pool keeps serving
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.deepStrictEqual(await Promise.all([pool.run({ value: 5 }), pool.run({ value: 6 })]), [10, 12]);
+  const afterCrash = pool.getStats();
+  assert.strictEqual(afterCrash.live, 2);
+  assert.strictEqual(afterCrash.totalRestarts, 1);
+  assert.strictEqual(afterCrash.totalFailed, 2);
+  console.log('Stats:', afterCrash);
+  console.log('✅ Test 2 passed\n');
+
+  // Test 3: Close rejects new work
+  console.log('Test 3: Close');
+  console.log('=============');
+  await pool.close();
+  await assert.rejects(pool.run({ value: 1 }), /closed/);
+  console.log('✅ Test 3 passed\n');
+
+  // Test 4: Initialization failure is reported by start()
+  console.log('Test 4: Initialization failure');
+  console.log('==============================');
+  const broken = new WorkerPool({ size: 1, createWorker: inline(BROKEN_WORKER) });
+  await assert.rejects(broken.start(), /failed to initialize: no bootparam/);
+  await broken.close();
+  console.log('✅ Test 4 passed\n');
+
+  console.log('🎉 All tests passed!');
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
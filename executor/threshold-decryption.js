@@ -0,0 +1,244 @@
+/**
+ * Threshold Decryption (executor and combiner side)
+ * Key shares as files, executor-signed partial decryptions, and the combiner
+ * that turns a quorum's partials into a plaintext (lib/fhe16/threshold.js).
+ *
+ * Share file (one per executor, shipped in its key bundle as share.json):
+ *   {
+ *     "format": "lattica-key-share/1",
+ *     "key_id": "3f2a9c0d1e5b7a64", "scheme": "FHE16_0.0.1v",
+ *     "index": 2, "threshold": 2, "parties": 3,
+ *     "values": "<base64, n little-endian int32>"
+ *   }
+ *
+ * The dealer (CLI below) splits the raw LWE secret exported at key generation;
+ * FHE16's secret.bin is an opaque native serialization and cannot be split.
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { canonicalize } = require('./ir-registry.js');
+const { ALGORITHM, publicKeyFromHex, keyIdFor } = require('./executor-identity.js');
+const { ciphertextHash } = require('./attestation.js');
+const {
+  THRESHOLD_ERRORS, ThresholdError, splitSecret, reconstructSecret, partialDecrypt, combinePartials
+} = require('../lib/fhe16/threshold.js');
+
+const SHARE_FORMAT = 'lattica-key-share/1';
+const PARTIAL_VERSION = 'lattica-partial-decryption/1';
+
+function encodeValues(values) {
+  const bytes = Buffer.alloc(values.length * 4);
+  values.forEach((v, i) => bytes.writeInt32LE(v, i * 4));
+  return bytes.toString('base64');
+}
+
+function decodeValues(base64) {
+  const bytes = Buffer.from(base64, 'base64');
+  return Array.from({ length: bytes.length / 4 }, (_, i) => bytes.readInt32LE(i * 4));
+}
+
+/**
+ * Split an LWE secret into share documents
+ * @param {Array<number>} secret - n coefficients
+ * @param {Object} options
+ * @param {string} options.keyId - key bundle the secret belongs to
+ * @param {Object} options.params - parameter set (q, n, scheme)
+ * @param {number} options.threshold
+ * @param {number} options.parties
+ * @returns {Array<Object>} share documents, index 1..parties
+ */
+function dealShares(secret, { keyId, params, threshold, parties }) {
+  if (secret.length !== params.n) {
+    throw new Error(`Secret has ${secret.length} coefficients, ${params.scheme} needs ${params.n}`);
+  }
+  const shares = splitSecret(secret, { q: params.q, threshold, parties });
+
+  // Any t shares must give back the secret before anything is written
+  const expected = secret.map(v => ((v % params.q) + params.q) % params.q);
+  const recovered = reconstructSecret(shares.slice(parties - threshold), params.q);
+  if (recovered.some((v, i) => v !== expected[i])) {
+    throw new Error('Share self-check failed');
+  }
+
+  return shares.map(share => ({
+    format: SHARE_FORMAT,
+    key_id: keyId,
+    scheme: params.scheme,
+    index: share.index,
+    threshold,
+    parties,
+    values: encodeValues(share.values)
+  }));
+}
+
+/**
+ * Read a share file
+ * @param {string} file
+ * @returns {{keyId: string, scheme: string, index: number, threshold: number, parties: number, values: Array<number>}}
+ */
+function loadKeyShare(file) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read key share ${file}: ${error.message}`);
+  }
+  if (doc.format !== SHARE_FORMAT) {
+    throw new Error(`Unsupported key share format in ${file}: ${doc.format}`);
+  }
+  const { index, threshold, parties } = doc;
+  if (![index, threshold, parties].every(Number.isSafeInteger) || threshold < 1 || threshold > parties || index < 1 || index > parties) {
+    throw new Error(`Invalid share index or threshold in ${file}`);
+  }
+  return { keyId: doc.key_id, scheme: doc.scheme, index, threshold, parties, values: decodeValues(doc.values || '') };
+}
+
+/**
+ * Partial decryption of a decrypt job, signed by the executor
+ * @param {ExecutorIdentity} identity
+ * @param {Object} fields
+ * @param {string} fields.decryptId
+ * @param {string} fields.cid
+ * @param {?string} fields.keyId
+ * @param {Array<number>} fields.quorum
+ * @param {Object} fields.share - loadKeyShare result
+ * @param {Array<number>|Int32Array} fields.encryptedData
+ * @param {Object} fields.params - parameter set with an lwe section
+ * @returns {{statement: Object, signature: Object}}
+ */
+function createPartialDecryption(identity, fields) {
+  const { share } = fields;
+  if (fields.keyId && share.keyId !== fields.keyId) {
+    throw new ThresholdError(`share is for key ${share.keyId}, ciphertext is under ${fields.keyId}`, THRESHOLD_ERRORS.INVALID_SHARE);
+  }
+  const partial = partialDecrypt(fields.encryptedData, share, { params: fields.params, quorum: fields.quorum });
+
+  const statement = {
+    version: PARTIAL_VERSION,
+    decrypt_id: fields.decryptId,
+    cid: fields.cid,
+    key_id: share.keyId,
+    quorum: [...fields.quorum].sort((a, b) => a - b),
+    threshold: share.threshold,
+    party: share.index,
+    ciphertext_hash: ciphertextHash(fields.encryptedData),
+    partial,
+    executor: {
+      executor_id: identity.executorId,
+      key_id: identity.keyId,
+      public_key: identity.publicKeyHex
+    },
+    timestamp: Date.now()
+  };
+  return {
+    statement,
+    signature: { algorithm: ALGORITHM, value: identity.sign(canonicalize(statement)) }
+  };
+}
+
+/**
+ * Verify a quorum's partial decryptions and combine them (gatehouse side)
+ * @param {Object} job
+ * @param {string} job.decryptId
+ * @param {string} job.cid
+ * @param {?string} job.keyId
+ * @param {Array<number>|Int32Array} job.encryptedData
+ * @param {Array<number>} job.quorum
+ * @param {Array<Object>} partials - createPartialDecryption results
+ * @param {Object} options
+ * @param {Object} options.params - parameter set with an lwe section
+ * @param {number} options.threshold - t the shares were dealt with
+ * @param {Object<number, string>} options.parties - share index -> trusted executor public key (hex)
+ * @returns {{value: number|string, bitWidth: number, executors: Array<string>}}
+ * @throws {ThresholdError}
+ */
+function combineDecryption(job, partials, { params, threshold, parties }) {
+  const quorum = [...job.quorum].sort((a, b) => a - b);
+  const hash = ciphertextHash(job.encryptedData);
+  const executors = [];
+
+  const verified = partials.map(({ statement, signature } = {}) => {
+    const reject = reason => new ThresholdError(`partial rejected: ${reason}`, THRESHOLD_ERRORS.INVALID_PARTIAL, {
+      party: statement ? statement.party : null
+    });
+    if (!statement || !signature || statement.version !== PARTIAL_VERSION || signature.algorithm !== ALGORITHM) {
+      throw reject('missing or unsupported statement');
+    }
+    const trusted = parties[statement.party];
+    const executor = statement.executor || {};
+    if (!trusted || executor.public_key !== trusted) {
+      throw reject(`party ${statement.party} is not signed by its executor`);
+    }
+    if (executor.key_id !== keyIdFor(trusted)) {
+      throw reject('executor key id does not match its public key');
+    }
+    if (statement.decrypt_id !== job.decryptId || statement.cid !== job.cid || statement.ciphertext_hash !== hash ||
+        (job.keyId && statement.key_id !== job.keyId) || statement.threshold !== threshold ||
+        canonicalize(statement.quorum) !== canonicalize(quorum)) {
+      throw reject(`party ${statement.party} answered a different decryption`);
+    }
+    const signed = crypto.verify(null, Buffer.from(canonicalize(statement)), publicKeyFromHex(trusted), Buffer.from(signature.value || '', 'base64'));
+    if (!signed) {
+      throw reject(`bad signature from party ${statement.party}`);
+    }
+    executors.push(executor.executor_id);
+    return { index: statement.party, values: statement.partial };
+  });
+
+  return { ...combinePartials(job.encryptedData, verified, { params, quorum, threshold }), executors };
+}
+
+module.exports = {
+  SHARE_FORMAT,
+  PARTIAL_VERSION,
+  dealShares,
+  loadKeyShare,
+  createPartialDecryption,
+  combineDecryption
+};
+
+// CLI: deal shares of an exported LWE secret (n little-endian int32)
+if (require.main === module) {
+  const paramsLib = require('../lib/fhe16/params.js');
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  try {
+    if (args[0] !== 'deal' || !option('secret-vector') || !option('key-id') || !option('out')) {
+      console.error('Usage: node threshold-decryption.js deal --secret-vector <s.bin> --key-id <id> --out <dir>');
+      console.error('       [--threshold 2] [--parties 3] [--params <params.json>]');
+      process.exit(2);
+    }
+    const params = option('params') ? paramsLib.loadParameterSet(option('params')) : paramsLib.getParameterSet();
+    const bytes = fs.readFileSync(option('secret-vector'));
+    const secret = Array.from({ length: bytes.length / 4 }, (_, i) => bytes.readInt32LE(i * 4));
+    const shares = dealShares(secret, {
+      keyId: option('key-id'),
+      params,
+      threshold: Number(option('threshold') || 2),
+      parties: Number(option('parties') || 3)
+    });
+
+    fs.mkdirSync(option('out'), { recursive: true, mode: 0o700 });
+    for (const share of shares) {
+      const file = path.join(option('out'), `share-${share.index}.json`);
+      fs.writeFileSync(file, JSON.stringify(share, null, 2) + '\n', { mode: 0o600, flag: 'wx' });
+      console.log(`share ${share.index}/${share.parties} (t=${share.threshold})  ${file}`);
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
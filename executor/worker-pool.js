@@ -0,0 +1,215 @@
+/**
+ * Worker Pool
+ * Fixed-size pool of worker threads for running FHE computations in parallel
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+const { Worker } = require('worker_threads');
+
+/**
+ * Worker protocol (see fhe-worker.js):
+ *   worker -> pool  { type: 'ready' } | { type: 'init_failed', error }
+ *   pool -> worker  { taskId, payload }
+ *   worker -> pool  { type: 'result', taskId, result } | { type: 'result', taskId, error }
+ *                   either may carry allocations: the worker's native ciphertext counters
+ */
+class WorkerPool {
+  constructor(options = {}) {
+    // Configuration
+    this.size = options.size || 1;
+    this.createWorker = options.createWorker ||
+      (() => new Worker(options.workerFile, { workerData: options.workerData }));
+    this.logger = options.logger || null;
+
+    // State
+    this.slots = [];     // { id, worker, task }
+    this.queue = [];     // tasks waiting for an idle worker
+    this.nextTaskId = 1;
+    this.closed = false;
+
+    // Statistics
+    this.totalCompleted = 0;
+    this.totalFailed = 0;
+    this.totalRestarts = 0;
+  }
+
+  /**
+   * Spawn all workers and wait until each has initialized its FHE16 context
+   * @throws {Error} if any worker fails to initialize
+   */
+  async start() {
+    await Promise.all(Array.from({ length: this.size }, (_, id) => this.spawn(id)));
+    this.log('info', 'Worker pool ready', { workers: this.size });
+  }
+
+  spawn(id) {
+    return new Promise((resolve, reject) => {
+      const worker = this.createWorker(id);
+      const slot = { id, worker, task: null, ready: false, allocations: null };
+      this.slots[id] = slot;
+
+      worker.on('message', (message) => {
+        if (message.type === 'ready') {
+          slot.ready = true;
+          resolve();
+          this.dispatch();
+        } else if (message.type === 'init_failed') {
+          reject(new Error(`Worker ${id} failed to initialize: ${message.error}`));
+        } else if (message.type === 'result') {
+          this.complete(slot, message);
+        }
+      });
+
+      worker.on('error', (error) => {
+        this.log('error', 'Worker crashed', { worker: id, error: error.message });
+        if (!slot.ready) reject(error);
+        this.fail(slot, error);
+      });
+
+      worker.on('exit', (code) => {
+        if (!slot.ready) {
+          reject(new Error(`Worker ${id} exited during startup (code ${code})`));
+          return;
+        }
+        slot.ready = false;
+        this.fail(slot, new Error(`Worker ${id} exited (code ${code})`));
+        if (!this.closed && this.slots[id] === slot) {
+          this.restart(id);
+        }
+      });
+    });
+  }
+
+  restart(id) {
+    this.totalRestarts++;
+    this.log('warn', 'Restarting worker', { worker: id });
+    this.spawn(id).catch((error) => {
+      this.log('error', 'Worker restart failed', { worker: id, error: error.message });
+      this.slots[id] = null;
+      if (this.liveWorkers() === 0) {
+        this.rejectQueued(new Error('No FHE workers available'));
+      }
+    });
+  }
+
+  /**
+   * Queue a task; resolves with the worker's result
+   * @param {Object} payload - structured-cloneable task description
+   * @returns {Promise<*>}
+   */
+  run(payload) {
+    if (this.closed) {
+      return Promise.reject(new Error('Worker pool is closed'));
+    }
+    if (this.liveWorkers() === 0) {
+      return Promise.reject(new Error('No FHE workers available'));
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ taskId: this.nextTaskId++, payload, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    for (const slot of this.slots) {
+      if (this.queue.length === 0) return;
+      if (slot && slot.ready && !slot.task) {
+        const task = this.queue.shift();
+        slot.task = task;
+        slot.worker.postMessage({ taskId: task.taskId, payload: task.payload });
+      }
+    }
+  }
+
+  complete(slot, message) {
+    const task = slot.task;
+    if (!task || task.taskId !== message.taskId) return;
+    slot.task = null;
+    if (message.allocations) slot.allocations = message.allocations;
+
+    if (message.error) {
+      this.totalFailed++;
+      task.reject(new Error(message.error));
+    } else {
+      this.totalCompleted++;
+      task.resolve(message.result);
+    }
+    this.dispatch();
+  }
+
+  fail(slot, error) {
+    const task = slot.task;
+    if (!task) return;
+    slot.task = null;
+    this.totalFailed++;
+    task.reject(error);
+  }
+
+  rejectQueued(error) {
+    const queued = this.queue.splice(0);
+    queued.forEach(task => task.reject(error));
+  }
+
+  liveWorkers() {
+    return this.slots.filter(Boolean).length;
+  }
+
+  /**
+   * Get pool statistics
+   */
+  getStats() {
+    const live = this.slots.filter(Boolean);
+    const busy = live.filter(slot => slot.task).length;
+    return {
+      size: this.size,
+      live: live.length,
+      busy,
+      idle: live.filter(slot => slot.ready && !slot.task).length,
+      queued: this.queue.length,
+      totalCompleted: this.totalCompleted,
+      totalFailed: this.totalFailed,
+      totalRestarts: this.totalRestarts
+    };
+  }
+
+  /**
+   * Native ciphertext counters as last reported by each live worker
+   * @returns {{live: number, peak: number, allocated: number, freed: number, freeFailures: number, retained: number, perWorker: Array}}
+   */
+  getAllocationStats() {
+    const reported = this.slots.filter(slot => slot && slot.allocations);
+    const sum = field => reported.reduce((total, slot) => total + (slot.allocations[field] || 0), 0);
+    return {
+      live: sum('live'),
+      peak: Math.max(0, ...reported.map(slot => slot.allocations.peak || 0)),
+      allocated: sum('allocated'),
+      freed: sum('freed'),
+      freeFailures: sum('freeFailures'),
+      retained: sum('retained'),
+      perWorker: reported.map(slot => ({ worker: slot.id, ...slot.allocations }))
+    };
+  }
+
+  /**
+   * Reject queued tasks and terminate every worker
+   */
+  async close() {
+    this.closed = true;
+    this.rejectQueued(new Error('Worker pool is closed'));
+    await Promise.all(this.slots.filter(Boolean).map(slot => slot.worker.terminate()));
+  }
+
+  log(level, message, context) {
+    if (this.logger) {
+      this.logger[level]('Worker:Pool', message, context);
+    }
+  }
+}
+
+module.exports = { WorkerPool };
@@ -5,6 +5,7 @@ import { useState, useCallback } from "react";
 import { useWallet } from "@/hooks/useWallet";
 import { useFHE } from "@/hooks/useFHE";
 import { formatUSDT, MANTLE_SEPOLIA } from "@/lib/wallet";
+import { putCiphertext } from "@/lib/store";
 
 export default function AdminPage() {
   const [activeTab, setActiveTab] = useState<'batch' | 'employees' | 'history'>('batch');
@@ -95,10 +96,17 @@ export default function AdminPage() {
           });
 
           console.log(`✅ Encrypted payslip for ${row.address.slice(0, 10)}...`, encrypted.cid);
+
+          // Store each field ciphertext off-chain by CID
+          try {
+            await Promise.all(Object.values(encrypted.encryptedData).map(ct => putCiphertext(ct, encrypted.metadata.keyId)));
+          } catch (err: any) {
+            throw new Error(`Could not store encrypted payslip for ${row.address.slice(0, 10)}...: ${err.message}. Is the ciphertext store running?`);
+          }
         }
       }
 
-      // 3. TODO: Store off-chain and create on-chain commitment
+      // 3. TODO: Create on-chain commitment
       console.log('📦 Creating batch:', batchName);
 
       alert(`Batch "${batchName}" created successfully!\n\nStatus: Draft\nRecords: ${csvData.length}\nTotal: ${formatUSDT(totalAmount)} USDT`);
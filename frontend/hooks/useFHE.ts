@@ -47,8 +47,15 @@ interface EncryptedPayslip {
     period: string;
     employeeId: string;
     scheme: string;
+    keyId: string | null;
     timestamp: number;
   };
+  cids: {
+    baseSalary: string;
+    tax: string;
+    otherDeductions: string;
+    netAmount: string;
+  };
   cid: string;
 }
 
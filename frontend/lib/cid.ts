@@ -0,0 +1,79 @@
+/**
+ * Canonical Ciphertext CIDs (browser)
+ *
+ * Same scheme as lib/fhe16/cid.js and CERC20.computeCid:
+ *   CID v1 (bytes32) = 0x01 || SHA256(ciphertext bytes)[0..31]
+ * where ciphertext bytes are the int32 values in little-endian order.
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+export const CID_VERSION = 1;
+export const CID_V1_PREFIX = '0x01';
+
+const CID_PATTERN = /^0x[0-9a-f]{64}$/;
+const LEGACY_CID_PATTERN = /^CID_[0-9a-f]{32}$/;
+
+export type CidKind = 'v1' | 'unversioned' | 'legacy';
+
+function toHex(bytes: Uint8Array): string {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Canonical CID of raw bytes
+ */
+export async function cidFromBytes(bytes: BufferSource): Promise<string> {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return CID_V1_PREFIX + toHex(digest.subarray(0, 31));
+}
+
+/**
+ * Little-endian int32 encoding of a ciphertext
+ */
+export function ciphertextBytes(values: ArrayLike<number>) {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < values.length; i++) {
+    view.setInt32(i * 4, values[i], true);
+  }
+  return bytes;
+}
+
+/**
+ * Canonical CID of a ciphertext (int32 values or comma-separated WASM output)
+ */
+export function cidFromCiphertext(ciphertext: ArrayLike<number> | string): Promise<string> {
+  const values = typeof ciphertext === 'string'
+    ? ciphertext.split(',').map(s => parseInt(s.trim()))
+    : ciphertext;
+  return cidFromBytes(ciphertextBytes(values));
+}
+
+/**
+ * Classify a CID; a 32-byte value starting with 0x01 is read as v1
+ */
+export function parseCID(cid: string): { kind: CidKind; cid: string } | null {
+  if (LEGACY_CID_PATTERN.test(cid)) {
+    return { kind: 'legacy', cid };
+  }
+  const hex = (cid.startsWith('0x') ? cid : `0x${cid}`).toLowerCase();
+  if (!CID_PATTERN.test(hex)) return null;
+  return { kind: hex.startsWith(CID_V1_PREFIX) ? 'v1' : 'unversioned', cid: hex };
+}
+
+/**
+ * Canonical form when derivable without a lookup; legacy CID_ ids resolve
+ * through the executor (GET /cid/<cid>) and return null here
+ */
+export function toCanonicalCID(cid: string): string | null {
+  const parsed = parseCID(cid);
+  if (!parsed || parsed.kind === 'legacy') return null;
+  if (parsed.kind === 'v1') return parsed.cid;
+  return CID_V1_PREFIX + parsed.cid.slice(2, 64);
+}
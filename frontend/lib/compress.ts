@@ -0,0 +1,208 @@
+/**
+ * Ciphertext Compression (browser)
+ *
+ * Same frame and packing format as lib/fhe16/wire.js and lib/fhe16/compress.js,
+ * so ciphertexts compressed here can be read by the executor and vice versa.
+ * CIDs always name the uncompressed bytes (see ./cid).
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+export const WIRE_CONTENT_TYPE = 'application/vnd.lattica.ciphertext';
+
+const WIRE_MAGIC = [0x4c, 0x43, 0x54, 0x46]; // "LCTF"
+const WIRE_VERSION = 1;
+const FLAG_COMPRESSED = 0x0001;
+const FIXED_HEADER_BYTES = 13;
+
+const CODEC_NONE = 0;
+const CODEC_DEFLATE_RAW = 1;
+const DEFAULT_BLOCK_SIZE = 1024;
+const PACKED_HEADER_BYTES = 8;
+const BLOCK_HEADER_BYTES = 5;
+
+async function transform(bytes: Uint8Array, stream: CompressionStream | DecompressionStream): Promise<Uint8Array> {
+  const output = new Blob([bytes as BlobPart]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function packBlocks(values: ArrayLike<number>, blockSize: number): Uint8Array {
+  const out = new Uint8Array(Math.ceil(values.length / blockSize) * BLOCK_HEADER_BYTES + values.length * 4);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+
+  for (let start = 0; start < values.length; start += blockSize) {
+    const end = Math.min(start + blockSize, values.length);
+    let min = values[start];
+    let max = values[start];
+    for (let i = start + 1; i < end; i++) {
+      if (values[i] < min) min = values[i];
+      if (values[i] > max) max = values[i];
+    }
+    const width = 32 - Math.clz32(max - min);
+
+    view.setInt32(offset, min, true);
+    view.setUint8(offset + 4, width);
+    offset += BLOCK_HEADER_BYTES;
+
+    let bit = offset * 8;
+    for (let i = start; i < end && width > 0; i++) {
+      let v = (values[i] - min) >>> 0;
+      let remaining = width;
+      while (remaining > 0) {
+        const shift = bit & 7;
+        const take = Math.min(8 - shift, remaining);
+        out[bit >>> 3] |= (v & ((1 << take) - 1)) << shift;
+        v >>>= take;
+        remaining -= take;
+        bit += take;
+      }
+    }
+    offset += Math.ceil(((end - start) * width) / 8);
+  }
+
+  return out.subarray(0, offset);
+}
+
+function unpackBlocks(packed: Uint8Array, length: number, blockSize: number): Int32Array {
+  const view = new DataView(packed.buffer, packed.byteOffset, packed.byteLength);
+  const values = new Int32Array(length);
+  let offset = 0;
+
+  for (let start = 0; start < length; start += blockSize) {
+    const end = Math.min(start + blockSize, length);
+    if (offset + BLOCK_HEADER_BYTES > packed.length) {
+      throw new Error('Compressed ciphertext is truncated');
+    }
+    const min = view.getInt32(offset, true);
+    const width = view.getUint8(offset + 4);
+    if (width > 32) {
+      throw new Error(`Invalid packed bit width: ${width}`);
+    }
+    offset += BLOCK_HEADER_BYTES;
+
+    const blockBytes = Math.ceil(((end - start) * width) / 8);
+    if (offset + blockBytes > packed.length) {
+      throw new Error('Compressed ciphertext is truncated');
+    }
+
+    let bit = offset * 8;
+    for (let i = start; i < end; i++) {
+      let v = 0;
+      let got = 0;
+      while (got < width) {
+        const shift = bit & 7;
+        const take = Math.min(8 - shift, width - got);
+        v += ((packed[bit >>> 3] >>> shift) & ((1 << take) - 1)) * 2 ** got;
+        got += take;
+        bit += take;
+      }
+      values[i] = min + v;
+    }
+    offset += blockBytes;
+  }
+
+  if (offset !== packed.length) {
+    throw new Error('Compressed ciphertext has trailing bytes');
+  }
+  return values;
+}
+
+/**
+ * Whether bytes start with the ciphertext frame magic
+ */
+export function isFrame(bytes: Uint8Array): boolean {
+  return bytes.length >= 4 && WIRE_MAGIC.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Compress a ciphertext (int32 values or comma-separated WASM output) into a frame
+ */
+export async function compressCiphertext(
+  ciphertext: ArrayLike<number> | string,
+  options: { scheme?: string; bitWidth?: number } = {}
+): Promise<Uint8Array> {
+  const values = typeof ciphertext === 'string'
+    ? ciphertext.split(',').map(s => parseInt(s.trim()))
+    : ciphertext;
+  const scheme = new TextEncoder().encode(options.scheme || 'FHE16_0.0.1v');
+
+  // Deflate is kept only when it helps; uniform values mod q rarely deflate
+  const packed = packBlocks(values, DEFAULT_BLOCK_SIZE);
+  const deflated = await transform(packed, new CompressionStream('deflate-raw'));
+  const useDeflate = deflated.length < packed.length;
+  const payload = useDeflate ? deflated : packed;
+
+  const bodyOffset = Math.ceil((FIXED_HEADER_BYTES + scheme.length) / 4) * 4;
+  const frame = new Uint8Array(bodyOffset + PACKED_HEADER_BYTES + payload.length);
+  const view = new DataView(frame.buffer);
+  frame.set(WIRE_MAGIC, 0);
+  view.setUint8(4, WIRE_VERSION);
+  view.setUint8(5, options.bitWidth || 32);
+  view.setUint16(6, FLAG_COMPRESSED, true);
+  view.setUint32(8, values.length, true);
+  view.setUint8(12, scheme.length);
+  frame.set(scheme, FIXED_HEADER_BYTES);
+
+  view.setUint8(bodyOffset, useDeflate ? CODEC_DEFLATE_RAW : CODEC_NONE);
+  view.setUint16(bodyOffset + 2, DEFAULT_BLOCK_SIZE, true);
+  view.setUint32(bodyOffset + 4, packed.length, true);
+  frame.set(payload, bodyOffset + PACKED_HEADER_BYTES);
+  return frame;
+}
+
+/**
+ * Decode a frame, compressed or not
+ * @returns Int32 values
+ */
+export async function decompressCiphertext(frame: Uint8Array, expectedLength?: number): Promise<Int32Array> {
+  if (!isFrame(frame) || frame.length < FIXED_HEADER_BYTES) {
+    throw new Error('Not a ciphertext frame');
+  }
+  const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+  const version = view.getUint8(4);
+  if (version !== WIRE_VERSION) {
+    throw new Error(`Unsupported ciphertext frame version: ${version}`);
+  }
+  const flags = view.getUint16(6, true);
+  if ((flags & ~FLAG_COMPRESSED) !== 0) {
+    throw new Error(`Unsupported ciphertext frame flags: ${flags}`);
+  }
+  const length = view.getUint32(8, true);
+  if (expectedLength !== undefined && length !== expectedLength) {
+    throw new Error(`Invalid ciphertext length: expected ${expectedLength}, got ${length}`);
+  }
+  const bodyOffset = Math.ceil((FIXED_HEADER_BYTES + view.getUint8(12)) / 4) * 4;
+
+  if ((flags & FLAG_COMPRESSED) === 0) {
+    if (frame.length !== bodyOffset + length * 4) {
+      throw new Error('Ciphertext frame size mismatch');
+    }
+    return Int32Array.from({ length }, (_, i) => view.getInt32(bodyOffset + i * 4, true));
+  }
+
+  const codec = view.getUint8(bodyOffset);
+  const blockSize = view.getUint16(bodyOffset + 2, true);
+  const packedLength = view.getUint32(bodyOffset + 4, true);
+  if (blockSize === 0) {
+    throw new Error('Invalid block size: 0');
+  }
+  const payload = frame.subarray(bodyOffset + PACKED_HEADER_BYTES);
+  let packed: Uint8Array;
+  if (codec === CODEC_NONE) {
+    packed = payload;
+  } else if (codec === CODEC_DEFLATE_RAW) {
+    packed = await transform(payload, new DecompressionStream('deflate-raw'));
+  } else {
+    throw new Error(`Unknown compression codec: ${codec}`);
+  }
+  if (packed.length !== packedLength) {
+    throw new Error(`Packed length mismatch: header declares ${packedLength}, got ${packed.length}`);
+  }
+  return unpackBlocks(packed, length, blockSize);
+}
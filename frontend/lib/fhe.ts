@@ -11,6 +11,10 @@
  * Maintainer: Seunghwan Lee <shlee@walllnut.com>
  */
 
+import { cidFromBytes, cidFromCiphertext } from './cid';
+import { compressCiphertext, decompressCiphertext, isFrame } from './compress';
+import { FHE16_0_0_1V, ParameterSet, bitWidthForLength, ciphertextLength, parseParameterSet } from './params';
+
 declare global {
   interface Window {
     createFHE16: (options: { locateFile: (path: string) => string }) => Promise<FHE16Module>;
@@ -34,26 +38,46 @@ interface FHE16Module {
   stringToUTF8: (str: string, ptr: number, maxBytes: number) => void;
 }
 
-// FHE16 parameters (from LatticA)
-const FHE_PARAMS = {
-  n: 1024,
-  N: 1025,
-  q: 163603459,
-  Q: 163603459,
-  sigma: 10.0,
-};
+// /keys/active.json: which key bundle browsers encrypt under (executor/key-bundle.js)
+interface ActiveKey {
+  key_id: string;
+  public_key: string;
+  params?: string;
+}
 
-// Ciphertext size (16 + 1040 * 32 = 33296 int32 values)
-const CT_SIZE_INT32 = 33296;
-const CT_SIZE_BYTES = CT_SIZE_INT32 * 4;
+// Key id of a public key: first 16 hex of its sha256
+async function keyIdFor(pkBytes: BufferSource): Promise<string> {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', pkBytes));
+  return Array.from(digest.slice(0, 8), b => b.toString(16).padStart(2, '0')).join('');
+}
 
 class FHE16Client {
   private module: FHE16Module | null = null;
   private initialized = false;
   private pkLoaded = false;
+  private params: ParameterSet = FHE16_0_0_1V;
+  private activeKey: ActiveKey | null = null;
+  private loadedKeyId: string | null = null;
+
+  /**
+   * Parameter set the module was (or will be) initialized with
+   */
+  get parameters(): ParameterSet {
+    return this.params;
+  }
+
+  /**
+   * Key id ciphertexts are encrypted under, null for an unbundled /pk.bin
+   */
+  get keyId(): string | null {
+    return this.loadedKeyId;
+  }
 
   /**
    * Initialize FHE16 WASM module
+   * Parameters come from the active key bundle's descriptor or /params.json,
+   * published with the public key by the key owner (same descriptor as the
+   * executor's), or the built-in FHE16_0.0.1v set.
    */
   async init(): Promise<void> {
     if (this.initialized) return;
@@ -73,20 +97,67 @@ class FHE16Client {
     });
 
     // Initialize parameters
+    this.activeKey = await this.loadActiveKey();
+    this.params = await this.loadParameters();
     this.module._FHE16_init_params(
-      FHE_PARAMS.n,
-      FHE_PARAMS.N,
-      FHE_PARAMS.q,
-      FHE_PARAMS.Q,
-      FHE_PARAMS.sigma
+      this.params.n,
+      this.params.N,
+      this.params.q,
+      this.params.Q,
+      this.params.sigma
     );
 
     this.initialized = true;
     console.log('🔐 FHE16 WASM module initialized');
   }
 
+  /**
+   * Fetch the published parameter descriptor; a missing one means the built-in set
+   */
+  private async loadParameters(): Promise<ParameterSet> {
+    const response = await fetch(this.activeKey?.params ?? '/params.json');
+    if (response.status === 404) return FHE16_0_0_1V;
+    if (!response.ok) {
+      throw new Error(`Failed to load parameter set (params.json): ${response.status}`);
+    }
+    return parseParameterSet(await response.json());
+  }
+
+  /**
+   * Fetch the active key manifest; a missing one means the single /pk.bin
+   */
+  private async loadActiveKey(): Promise<ActiveKey | null> {
+    const response = await fetch('/keys/active.json');
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Failed to load active key (keys/active.json): ${response.status}`);
+    }
+    const manifest = await response.json();
+    if (!/^[0-9a-f]{16}$/.test(manifest?.key_id) || typeof manifest.public_key !== 'string') {
+      throw new Error('Invalid active key manifest (keys/active.json)');
+    }
+    return manifest;
+  }
+
+  /**
+   * Check that an executor runs the parameter set this client encrypts under
+   * @param remote - `parameters` from the executor's /status
+   */
+  assertCompatible(remote: unknown): void {
+    const theirs = parseParameterSet(remote);
+    const ours = this.params;
+    const mismatch = (['scheme', 'n', 'N', 'q', 'Q'] as const).find(field => theirs[field] !== ours[field]) ??
+      (theirs.layout.headerLength !== ours.layout.headerLength || theirs.layout.sampleLength !== ours.layout.sampleLength
+        ? 'layout' : null);
+    if (mismatch) {
+      throw new Error(`Executor parameter set differs from this client's in ${mismatch}`);
+    }
+  }
+
   /**
    * Load public key from server
+   * The active bundle's key must hash to its key id, so ciphertexts are never
+   * tagged with a key they were not encrypted under.
    */
   async loadPublicKey(): Promise<void> {
     if (!this.initialized) {
@@ -94,12 +165,21 @@ class FHE16Client {
     }
     if (this.pkLoaded) return;
 
-    const response = await fetch('/pk.bin');
+    const url = this.activeKey?.public_key ?? '/pk.bin';
+    const response = await fetch(url);
     if (!response.ok) {
-      throw new Error('Failed to load public key (pk.bin)');
+      throw new Error(`Failed to load public key (${url})`);
     }
 
     const pkBytes = new Uint8Array(await response.arrayBuffer());
+    if (this.activeKey) {
+      const actual = await keyIdFor(pkBytes);
+      if (actual !== this.activeKey.key_id) {
+        throw new Error(`Public key ${url} is ${actual}, expected key ${this.activeKey.key_id}`);
+      }
+    }
+    this.loadedKeyId = this.activeKey?.key_id ?? null;
+
     const pkPtr = this.module!._malloc(pkBytes.byteLength);
     this.module!.HEAPU8.set(pkBytes, pkPtr);
     this.module!._FHE16_set_pk(pkPtr, pkBytes.length / 4);
@@ -130,7 +210,7 @@ class FHE16Client {
   /**
    * Encrypt a number and return as Uint8Array (binary format)
    * @param value - The number to encrypt
-   * @param bits - Bit width (default: 32)
+   * @param bits - Bit width (default: 32); one of the parameter set's widths
    * @returns Encrypted ciphertext as binary
    */
   async encryptBinary(value: number, bits: number = 32): Promise<Uint8Array> {
@@ -138,20 +218,51 @@ class FHE16Client {
       await this.loadPublicKey();
     }
 
-    const outPtr = this.module!._malloc(CT_SIZE_BYTES);
+    const size = ciphertextLength(this.params, bits) * 4;
+    const outPtr = this.module!._malloc(size);
     this.module!._FHE16_ENC_BIN(value, bits, outPtr);
 
-    const result = new Uint8Array(CT_SIZE_BYTES);
-    result.set(this.module!.HEAPU8.subarray(outPtr, outPtr + CT_SIZE_BYTES));
+    const result = new Uint8Array(size);
+    result.set(this.module!.HEAPU8.subarray(outPtr, outPtr + size));
     this.module!._free(outPtr);
 
     return result;
   }
 
+  /**
+   * Encrypt a number and return it as a compressed frame (~12% smaller, see ./compress)
+   * @param value - The number to encrypt
+   * @param bits - Bit width (default: 32)
+   * @returns Compressed ciphertext frame; its CID is that of the uncompressed ciphertext
+   */
+  async encryptCompressed(value: number, bits: number = 32): Promise<Uint8Array> {
+    return compressCiphertext(await this.encrypt(value, bits));
+  }
+
+  /**
+   * Decode ciphertext bytes: a (compressed) frame or raw little-endian int32 bytes
+   * The value count must be that of one of the parameter set's bit widths.
+   */
+  async decompress(bytes: Uint8Array): Promise<Int32Array> {
+    if (isFrame(bytes)) {
+      const values = await decompressCiphertext(bytes);
+      if (bitWidthForLength(this.params, values.length) === null) {
+        throw new Error(`Invalid ciphertext length: ${values.length} values`);
+      }
+      return values;
+    }
+    const length = bytes.length / 4;
+    if (bitWidthForLength(this.params, length) === null) {
+      throw new Error(`Invalid ciphertext size: ${bytes.length} bytes`);
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return Int32Array.from({ length }, (_, i) => view.getInt32(i * 4, true));
+  }
+
   /**
    * Encrypt payslip data
    * @param payslip - Payslip data object
-   * @returns Encrypted payslip with CID
+   * @returns Encrypted payslip with a canonical CID per field and one for the bundle
    */
   async encryptPayslip(payslip: {
     baseSalary: number;
@@ -171,8 +282,15 @@ class FHE16Client {
       period: string;
       employeeId: string;
       scheme: string;
+      keyId: string | null;
       timestamp: number;
     };
+    cids: {
+      baseSalary: string;
+      tax: string;
+      otherDeductions: string;
+      netAmount: string;
+    };
     cid: string;
   }> {
     // Encrypt each field
@@ -183,6 +301,10 @@ class FHE16Client {
       this.encrypt(Math.round(payslip.netAmount * 100)),
     ]);
 
+    const [cidBase, cidTax, cidOther, cidNet] = await Promise.all(
+      [encBase, encTax, encOther, encNet].map(ct => cidFromCiphertext(ct))
+    );
+
     const encryptedPayslip = {
       encryptedData: {
         baseSalary: encBase,
@@ -190,23 +312,25 @@ class FHE16Client {
         otherDeductions: encOther,
         netAmount: encNet,
       },
+      cids: {
+        baseSalary: cidBase,
+        tax: cidTax,
+        otherDeductions: cidOther,
+        netAmount: cidNet,
+      },
       metadata: {
         period: payslip.period,
         employeeId: payslip.employeeId,
-        scheme: 'FHE16_0.0.1v',
+        scheme: this.params.scheme,
+        keyId: this.loadedKeyId,
         timestamp: Date.now(),
       },
       cid: '', // Will be computed below
     };
 
-    // Generate CID (SHA-256 hash)
-    const dataString = JSON.stringify(encryptedPayslip.encryptedData);
-    const hashBuffer = await crypto.subtle.digest(
-      'SHA-256',
-      new TextEncoder().encode(dataString)
-    );
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    encryptedPayslip.cid = '0x' + hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+    // Bundle CID over the field CIDs (same v1 scheme as ciphertext CIDs)
+    const dataString = JSON.stringify(encryptedPayslip.cids);
+    encryptedPayslip.cid = await cidFromBytes(new TextEncoder().encode(dataString));
 
     return encryptedPayslip;
   }
@@ -253,9 +377,5 @@ export async function encryptPayslip(data: Parameters<typeof fhe16.encryptPaysli
 }
 
 export function generateCID(data: string): Promise<string> {
-  return crypto.subtle.digest('SHA-256', new TextEncoder().encode(data))
-    .then(buffer => {
-      const hashArray = Array.from(new Uint8Array(buffer));
-      return '0x' + hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    });
+  return cidFromBytes(new TextEncoder().encode(data));
 }
@@ -0,0 +1,99 @@
+/**
+ * FHE16 Parameter Sets (browser)
+ *
+ * Mirrors lib/fhe16/params.js: the parameters a key set was generated with
+ * and the ciphertext layout that follows from them. A ciphertext of bit width
+ * w is layout.headerLength int32 values followed by w LWE samples of
+ * layout.sampleLength values each.
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+export interface ParameterSet {
+  scheme: string;
+  n: number;
+  N: number;
+  q: number;
+  Q: number;
+  sigma: number;
+  bitWidths: number[];
+  layout: {
+    headerLength: number;
+    sampleLength: number;
+  };
+}
+
+// Built-in set, used when no descriptor is published next to pk.bin
+export const FHE16_0_0_1V: ParameterSet = {
+  scheme: 'FHE16_0.0.1v',
+  n: 1024,
+  N: 1025,
+  q: 163603459,
+  Q: 163603459,
+  sigma: 10.0,
+  bitWidths: [16, 32, 64],
+  layout: { headerLength: 16, sampleLength: 1040 },
+};
+
+/**
+ * Validate a descriptor (params.json, or `parameters` from executor /status)
+ */
+export function parseParameterSet(spec: unknown): ParameterSet {
+  const s = spec as Partial<ParameterSet> | null;
+  const fail = (field: string, reason: string) => new Error(`Invalid parameter set: ${field} ${reason}`);
+
+  if (!s || typeof s !== 'object') throw new Error('Invalid parameter set: not an object');
+  if (typeof s.scheme !== 'string' || !/^[\x20-\x7e]{1,255}$/.test(s.scheme)) {
+    throw fail('scheme', 'must be a printable ASCII name of at most 255 characters');
+  }
+  for (const field of ['n', 'N', 'q', 'Q'] as const) {
+    if (!Number.isSafeInteger(s[field]) || (s[field] as number) <= 0) throw fail(field, 'must be a positive integer');
+  }
+  if ((s.q as number) > 2147483647) throw fail('q', 'must fit in an int32');
+  if (typeof s.sigma !== 'number' || !(s.sigma > 0)) throw fail('sigma', 'must be a positive number');
+  if (!Array.isArray(s.bitWidths) || s.bitWidths.length === 0 ||
+      !s.bitWidths.every(w => Number.isInteger(w) && w >= 1 && w <= 64) ||
+      new Set(s.bitWidths).size !== s.bitWidths.length) {
+    throw fail('bitWidths', 'must be a non-empty list of distinct integers in 1..64');
+  }
+  const layout = s.layout;
+  if (!layout || !Number.isInteger(layout.headerLength) || layout.headerLength < 0) {
+    throw fail('layout.headerLength', 'must be a non-negative integer');
+  }
+  if (!Number.isInteger(layout.sampleLength) || layout.sampleLength <= 0) {
+    throw fail('layout.sampleLength', 'must be a positive integer');
+  }
+
+  return {
+    scheme: s.scheme,
+    n: s.n as number,
+    N: s.N as number,
+    q: s.q as number,
+    Q: s.Q as number,
+    sigma: s.sigma,
+    bitWidths: [...s.bitWidths].sort((a, b) => a - b),
+    layout: { headerLength: layout.headerLength, sampleLength: layout.sampleLength },
+  };
+}
+
+/**
+ * Value count of a ciphertext of the given bit width
+ */
+export function ciphertextLength(params: ParameterSet, bitWidth: number): number {
+  if (!params.bitWidths.includes(bitWidth)) {
+    throw new Error(`Unsupported bit width for ${params.scheme}: ${bitWidth}`);
+  }
+  return params.layout.headerLength + params.layout.sampleLength * bitWidth;
+}
+
+/**
+ * Bit width whose ciphertexts have this many values, or null
+ */
+export function bitWidthForLength(params: ParameterSet, length: number): number | null {
+  return params.bitWidths.find(w => ciphertextLength(params, w) === length) ?? null;
+}
@@ -0,0 +1,89 @@
+/**
+ * Ciphertext Store Client (browser)
+ *
+ * Talks to the executor's ciphertext store (executor/ciphertext-store.js).
+ * Content is checked against its CID locally, so the store is not trusted.
+ *
+ * Copyright (c) 2025 waLLLnut
+ * Project: LatticA
+ * License: BSL 1.1 (Change Date: 2030-01-01, Change License: Apache-2.0)
+ *
+ * Contact: walllnut@walllnut.com
+ * Maintainer: Seunghwan Lee <shlee@walllnut.com>
+ */
+
+import { cidFromBytes, ciphertextBytes, toCanonicalCID } from './cid';
+import { WIRE_CONTENT_TYPE, decompressCiphertext, isFrame } from './compress';
+
+const STORE_URL = process.env.NEXT_PUBLIC_CIPHERTEXT_STORE_URL || 'http://localhost:3002';
+
+/**
+ * fetch() against the store, naming the store when it cannot be reached
+ * (fetch itself only reports "Failed to fetch")
+ */
+async function storeFetch(path: string, init?: RequestInit): Promise<Response> {
+  try {
+    return await fetch(`${STORE_URL}${path}`, init);
+  } catch (err: any) {
+    throw new Error(`Ciphertext store unreachable at ${STORE_URL} (${err?.message || err})`);
+  }
+}
+
+/**
+ * Upload a ciphertext (int32 values or comma-separated WASM output)
+ * @param keyId - key the ciphertext is under (fheClient.keyId), recorded by the store
+ * @returns Canonical CID
+ */
+export async function putCiphertext(ciphertext: ArrayLike<number> | string, keyId?: string | null): Promise<string> {
+  const values = typeof ciphertext === 'string'
+    ? ciphertext.split(',').map(s => parseInt(s.trim()))
+    : ciphertext;
+  const bytes = ciphertextBytes(values);
+  const cid = await cidFromBytes(bytes);
+
+  const headers: Record<string, string> = { 'Content-Type': 'application/octet-stream' };
+  if (keyId) headers['X-Ciphertext-Key-Id'] = keyId;
+
+  const response = await storeFetch(`/ciphertexts/${cid}`, {
+    method: 'PUT',
+    headers,
+    body: bytes,
+  });
+  if (!response.ok) {
+    const detail = await response.json().catch(() => null);
+    throw new Error(`Ciphertext store returned ${response.status}${detail?.error ? `: ${detail.error}` : ''}`);
+  }
+  return cid;
+}
+
+/**
+ * Fetch a ciphertext by CID (as a compressed frame when the store supports it)
+ * @returns Int32 values
+ */
+export async function getCiphertext(cid: string): Promise<Int32Array> {
+  const canonical = toCanonicalCID(cid);
+  if (!canonical) {
+    throw new Error(`Invalid CID: ${cid}`);
+  }
+
+  const response = await storeFetch(`/ciphertexts/${canonical}`, {
+    headers: { Accept: `${WIRE_CONTENT_TYPE}, application/octet-stream` },
+  });
+  if (!response.ok) {
+    throw new Error(`Ciphertext store returned ${response.status} for ${canonical}`);
+  }
+  const received = new Uint8Array(await response.arrayBuffer());
+  let values: Int32Array;
+  if (isFrame(received)) {
+    values = await decompressCiphertext(received);
+  } else {
+    const view = new DataView(received.buffer);
+    values = Int32Array.from({ length: received.length / 4 }, (_, i) => view.getInt32(i * 4, true));
+  }
+
+  // CIDs name the uncompressed bytes
+  if (await cidFromBytes(ciphertextBytes(values)) !== canonical) {
+    throw new Error(`Ciphertext store returned bytes that do not match ${canonical}`);
+  }
+  return values;
+}
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Canonical Ciphertext CIDs
+ * One content-addressed identifier for ciphertexts, shared by the executor,
+ * crypto.js, the frontends (frontend/lib/cid.ts) and CERC20.computeCid
+ *
+ * v1 layout (bytes32):
+ *   byte 0      version (0x01)
+ *   bytes 1-31  first 31 bytes of SHA256(ciphertext bytes)
+ *
+ * Ciphertext bytes are the int32 values of encrypted_data in little-endian
+ * order, exactly what serializeCiphertext / ciphertextToHex produce.
+ */
+
+const CID_VERSION = 1;
+const CID_V1_PREFIX = '0x01';
+
+const CID_PATTERN = /^0x[0-9a-f]{64}$/;
+const LEGACY_CID_PATTERN = /^CID_[0-9a-f]{32}$/;
+
+const LITTLE_ENDIAN = os.endianness() === 'LE';
+
+/**
+ * Canonical CID of raw ciphertext bytes
+ * @param {Buffer|Uint8Array} bytes
+ * @returns {string} - 0x-prefixed bytes32 hex
+ */
+function cidFromBytes(bytes) {
+  const digest = crypto.createHash('sha256').update(bytes).digest('hex');
+  return CID_V1_PREFIX + digest.slice(0, 62);
+}
+
+/**
+ * Little-endian int32 encoding of encrypted_data (an Int32Array is viewed, not copied)
+ * @param {Array<number>|Int32Array} encryptedData
+ * @returns {Buffer}
+ */
+function ciphertextBytes(encryptedData) {
+  if (encryptedData instanceof Int32Array && LITTLE_ENDIAN) {
+    return Buffer.from(encryptedData.buffer, encryptedData.byteOffset, encryptedData.byteLength);
+  }
+  const bytes = Buffer.alloc(encryptedData.length * 4);
+  for (let i = 0; i < encryptedData.length; i++) {
+    bytes.writeInt32LE(encryptedData[i], i * 4);
+  }
+  return bytes;
+}
+
+/**
+ * Canonical CID of a ciphertext
+ * @param {Object|Array<number>|Int32Array} ciphertext - ciphertext object or its encrypted_data
+ * @returns {string}
+ */
+function cidFromCiphertext(ciphertext) {
+  const data = Array.isArray(ciphertext) || ArrayBuffer.isView(ciphertext)
+    ? ciphertext
+    : ciphertext && ciphertext.encrypted_data;
+  if (!data) {
+    throw new Error('Invalid ciphertext object');
+  }
+  return cidFromBytes(ciphertextBytes(data));
+}
+
+/**
+ * Classify a CID string
+ *   v1          - canonical (0x01 version byte)
+ *   unversioned - bare 0x SHA256 from the previous crypto.js generateCID
+ *   legacy      - executor CID_ identifier (not derived from ciphertext bytes)
+ * A 32-byte value that happens to start with 0x01 is read as v1.
+ * @param {string} cid
+ * @returns {{kind: string, version: ?number, cid: string}|null}
+ */
+function parseCID(cid) {
+  if (typeof cid !== 'string') return null;
+  if (LEGACY_CID_PATTERN.test(cid)) {
+    return { kind: 'legacy', version: null, cid };
+  }
+  const hex = (cid.startsWith('0x') ? cid : `0x${cid}`).toLowerCase();
+  if (!CID_PATTERN.test(hex)) return null;
+  if (hex.startsWith(CID_V1_PREFIX)) {
+    return { kind: 'v1', version: CID_VERSION, cid: hex };
+  }
+  return { kind: 'unversioned', version: null, cid: hex };
+}
+
+function isCanonicalCID(cid) {
+  const parsed = parseCID(cid);
+  return parsed !== null && parsed.kind === 'v1';
+}
+
+/**
+ * Canonical form of a CID when it can be derived without a lookup:
+ * v1 is normalized, unversioned SHA256 values are re-prefixed. Legacy ids return null.
+ * @param {string} cid
+ * @returns {?string}
+ */
+function toCanonicalCID(cid) {
+  const parsed = parseCID(cid);
+  if (!parsed || parsed.kind === 'legacy') return null;
+  if (parsed.kind === 'v1') return parsed.cid;
+  return CID_V1_PREFIX + parsed.cid.slice(2, 64);
+}
+
+/**
+ * Maps legacy CID_ identifiers to canonical CIDs
+ * Legacy ids hash job metadata rather than ciphertext bytes, so they can only be
+ * resolved from recorded aliases. With a file path, aliases persist as JSONL.
+ */
+class CidResolver {
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.aliases = new Map();  // legacy CID_ -> canonical CID
+
+    if (filePath && fs.existsSync(filePath)) {
+      let content = fs.readFileSync(filePath, 'utf8');
+
+      // Drop a torn final line (crash mid-write) so appends start on a fresh line
+      const complete = content.lastIndexOf('\n') + 1;
+      if (complete < content.length) {
+        content = content.slice(0, complete);
+        fs.truncateSync(filePath, Buffer.byteLength(content));
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        const { legacy, cid } = JSON.parse(line);
+        this.aliases.set(legacy, cid);
+      }
+    }
+  }
+
+  /**
+   * Record that a legacy id names the given ciphertext
+   * @param {string} legacyCid
+   * @param {string|Object|Array<number>} target - canonical CID or the ciphertext itself
+   * @returns {string} canonical CID
+   */
+  register(legacyCid, target) {
+    if (!LEGACY_CID_PATTERN.test(legacyCid)) {
+      throw new Error(`Not a legacy CID: ${legacyCid}`);
+    }
+    const cid = typeof target === 'string' ? toCanonicalCID(target) : cidFromCiphertext(target);
+    if (!cid) {
+      throw new Error(`Cannot register alias to non-canonical CID: ${target}`);
+    }
+
+    const existing = this.aliases.get(legacyCid);
+    if (existing === cid) return cid;
+    if (existing) {
+      throw new Error(`Legacy CID ${legacyCid} already maps to ${existing}`);
+    }
+
+    this.aliases.set(legacyCid, cid);
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify({ legacy: legacyCid, cid }) + '\n');
+    }
+    return cid;
+  }
+
+  /**
+   * Canonical CID for any supported form, or null if a legacy id is unknown
+   * @param {string} cid
+   * @returns {?string}
+   */
+  resolve(cid) {
+    const parsed = parseCID(cid);
+    if (!parsed) return null;
+    if (parsed.kind === 'legacy') return this.aliases.get(cid) || null;
+    return toCanonicalCID(cid);
+  }
+
+  get size() {
+    return this.aliases.size;
+  }
+}
+
+module.exports = {
+  CID_VERSION,
+  CID_V1_PREFIX,
+  LEGACY_CID_PATTERN,
+  cidFromBytes,
+  cidFromCiphertext,
+  ciphertextBytes,
+  parseCID,
+  isCanonicalCID,
+  toCanonicalCID,
+  CidResolver
+};
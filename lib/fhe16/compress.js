@@ -0,0 +1,191 @@
+const zlib = require('zlib');
+
+/**
+ * Ciphertext Compression
+ * Lossless packing of LWE ciphertext values for storage and transport
+ *
+ * Values are reduced mod q (q = 163603459 for FHE16_0.0.1v, ~2^27.3), so each
+ * int32 carries at most 28 significant bits. Blocks store their minimum and
+ * pack every value as an offset from it with just enough bits, which needs no
+ * knowledge of q and is exact for any int32 input. A general-purpose codec
+ * (raw deflate) is applied on top when it helps.
+ *
+ * Packed body layout (all integers little-endian):
+ *   0   1  codec (0 = none, 1 = deflate-raw)
+ *   1   1  reserved (0)
+ *   2   2  block size B (values per block)
+ *   4   4  packed length (bytes, before the codec)
+ *   8      codec(blocks)
+ *
+ * Each block of B values (the last one may be shorter):
+ *   0   4  minimum value (int32)
+ *   4   1  bit width w of (value - minimum), 0-32
+ *   5      ceil(count * w / 8) bytes of offsets, packed LSB-first
+ */
+
+const CODECS = { none: 0, 'deflate-raw': 1 };
+const CODEC_NAMES = Object.fromEntries(Object.entries(CODECS).map(([name, id]) => [id, name]));
+
+const DEFAULT_BLOCK_SIZE = 1024;
+const PACKED_HEADER_BYTES = 8;
+const BLOCK_HEADER_BYTES = 5;
+
+function packBlocks(values, blockSize) {
+  // Worst case is 32 bits per value
+  const out = Buffer.alloc(Math.ceil(values.length / blockSize) * BLOCK_HEADER_BYTES + values.length * 4);
+  let offset = 0;
+
+  for (let start = 0; start < values.length; start += blockSize) {
+    const end = Math.min(start + blockSize, values.length);
+    let min = values[start];
+    let max = values[start];
+    for (let i = start + 1; i < end; i++) {
+      if (values[i] < min) min = values[i];
+      if (values[i] > max) max = values[i];
+    }
+    const width = 32 - Math.clz32(max - min);
+
+    out.writeInt32LE(min, offset);
+    out.writeUInt8(width, offset + 4);
+    offset += BLOCK_HEADER_BYTES;
+
+    let bit = offset * 8;
+    for (let i = start; i < end && width > 0; i++) {
+      let v = (values[i] - min) >>> 0;
+      let remaining = width;
+      while (remaining > 0) {
+        const shift = bit & 7;
+        const take = Math.min(8 - shift, remaining);
+        out[bit >>> 3] |= (v & ((1 << take) - 1)) << shift;
+        v >>>= take;
+        remaining -= take;
+        bit += take;
+      }
+    }
+    offset += Math.ceil(((end - start) * width) / 8);
+  }
+
+  return out.subarray(0, offset);
+}
+
+function unpackBlocks(packed, length, blockSize) {
+  const values = new Int32Array(length);
+  let offset = 0;
+
+  for (let start = 0; start < length; start += blockSize) {
+    const end = Math.min(start + blockSize, length);
+    if (offset + BLOCK_HEADER_BYTES > packed.length) {
+      throw new Error('Compressed ciphertext is truncated');
+    }
+    const min = packed.readInt32LE(offset);
+    const width = packed.readUInt8(offset + 4);
+    if (width > 32) {
+      throw new Error(`Invalid packed bit width: ${width}`);
+    }
+    offset += BLOCK_HEADER_BYTES;
+
+    const blockBytes = Math.ceil(((end - start) * width) / 8);
+    if (offset + blockBytes > packed.length) {
+      throw new Error('Compressed ciphertext is truncated');
+    }
+
+    let bit = offset * 8;
+    for (let i = start; i < end; i++) {
+      let v = 0;
+      let got = 0;
+      while (got < width) {
+        const shift = bit & 7;
+        const take = Math.min(8 - shift, width - got);
+        v += ((packed[bit >>> 3] >>> shift) & ((1 << take) - 1)) * 2 ** got;
+        got += take;
+        bit += take;
+      }
+      values[i] = min + v;
+    }
+    offset += blockBytes;
+  }
+
+  if (offset !== packed.length) {
+    throw new Error('Compressed ciphertext has trailing bytes');
+  }
+  return values;
+}
+
+/**
+ * Compress ciphertext values
+ * @param {Int32Array|Array<number>} values
+ * @param {Object} [options]
+ * @param {string} [options.codec] - 'deflate-raw', 'none', or 'auto' (default: deflate only if smaller)
+ * @param {number} [options.blockSize] - values per packing block (default 1024)
+ * @returns {Buffer} packed body
+ */
+function compressValues(values, options = {}) {
+  const codec = options.codec || 'auto';
+  const blockSize = options.blockSize || DEFAULT_BLOCK_SIZE;
+  if (codec !== 'auto' && CODECS[codec] === undefined) {
+    throw new Error(`Unknown compression codec: ${codec}`);
+  }
+  if (!Number.isInteger(blockSize) || blockSize < 1 || blockSize > 0xffff) {
+    throw new Error(`Invalid block size: ${blockSize}`);
+  }
+
+  const packed = packBlocks(values, blockSize);
+  let payload = packed;
+  let codecId = CODECS.none;
+  if (codec !== 'none') {
+    const deflated = zlib.deflateRawSync(packed);
+    if (codec === 'deflate-raw' || deflated.length < packed.length) {
+      payload = deflated;
+      codecId = CODECS['deflate-raw'];
+    }
+  }
+
+  const header = Buffer.alloc(PACKED_HEADER_BYTES);
+  header.writeUInt8(codecId, 0);
+  header.writeUInt16LE(blockSize, 2);
+  header.writeUInt32LE(packed.length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decompress a packed body
+ * @param {Buffer} body - compressValues output
+ * @param {number} length - number of values (from the frame header; the caller bounds it,
+ *   since a tiny body can declare any count)
+ * @returns {Int32Array}
+ */
+function decompressValues(body, length) {
+  if (body.length < PACKED_HEADER_BYTES) {
+    throw new Error('Compressed ciphertext is truncated');
+  }
+  const codecId = body.readUInt8(0);
+  const blockSize = body.readUInt16LE(2);
+  const packedLength = body.readUInt32LE(4);
+  if (CODEC_NAMES[codecId] === undefined) {
+    throw new Error(`Unknown compression codec: ${codecId}`);
+  }
+  if (blockSize === 0) {
+    throw new Error('Invalid block size: 0');
+  }
+  // Bounds the inflated size before allocating it
+  const maxPacked = Math.ceil(length / blockSize) * BLOCK_HEADER_BYTES + length * 4;
+  if (packedLength > maxPacked) {
+    throw new Error(`Packed length ${packedLength} is too large for ${length} values`);
+  }
+
+  const payload = body.subarray(PACKED_HEADER_BYTES);
+  const packed = codecId === CODECS.none
+    ? payload
+    : zlib.inflateRawSync(payload, { maxOutputLength: Math.max(packedLength, 1) });
+  if (packed.length !== packedLength) {
+    throw new Error(`Packed length mismatch: header declares ${packedLength}, got ${packed.length}`);
+  }
+  return unpackBlocks(packed, length, blockSize);
+}
+
+module.exports = {
+  CODECS,
+  DEFAULT_BLOCK_SIZE,
+  compressValues,
+  decompressValues
+};
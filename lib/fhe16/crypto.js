@@ -1,4 +1,7 @@
-const crypto = require('crypto');
+const { cidFromCiphertext, toCanonicalCID, parseCID, CidResolver } = require('./cid.js');
+const { encodeFrame, decodeFrame, isFrame } = require('./wire.js');
+const { SCHEMA_ERRORS, CiphertextSchemaError, assertCiphertext } = require('./schema.js');
+const { DEFAULT_SCHEME, getParameterSet, ciphertextLength, bitWidthForLength } = require('./params.js');
 
 /**
  * FHE16 Crypto Utilities
@@ -8,37 +11,30 @@ const crypto = require('crypto');
 /**
  * Generate a Content Identifier (CID) for a ciphertext
  * @param {Object} ciphertext - Ciphertext object with encrypted_data
- * @returns {string} - 32-byte hex CID
+ * @returns {string} - canonical v1 bytes32 CID (see cid.js)
  */
 function generateCID(ciphertext) {
   if (!ciphertext || !ciphertext.encrypted_data) {
     throw new Error('Invalid ciphertext object');
   }
-
-  // Convert encrypted_data array to buffer
-  const dataBuffer = Buffer.from(
-    Int32Array.from(ciphertext.encrypted_data).buffer
-  );
-
-  // Hash with SHA256
-  const hash = crypto.createHash('sha256').update(dataBuffer).digest();
-
-  return '0x' + hash.toString('hex');
+  return cidFromCiphertext(ciphertext);
 }
 
 /**
- * Validate ciphertext structure
+ * Validate ciphertext structure (schema.js; use assertCiphertext for the reason)
+ * Only plain encrypted_data arrays with scheme and timestamp pass, as serializeCiphertext expects.
  * @param {Object} ct - Ciphertext to validate
  * @returns {boolean}
  */
 function validateCiphertext(ct) {
-  if (!ct || typeof ct !== 'object') return false;
-  if (!ct.encrypted_data || !Array.isArray(ct.encrypted_data)) return false;
-  if (ct.encrypted_data.length !== 33296) return false;  // FHE16 size
-  if (!ct.scheme || ct.scheme !== 'FHE16_0.0.1v') return false;
-  if (!ct.timestamp || typeof ct.timestamp !== 'number') return false;
-
-  return true;
+  if (!ct || !(Array.isArray(ct.encrypted_data) || ct.encrypted_data instanceof Int32Array)) return false;
+  try {
+    assertCiphertext(ct, { requireScheme: true, requireTimestamp: true });
+    return true;
+  } catch (error) {
+    if (error instanceof CiphertextSchemaError) return false;
+    throw error;
+  }
 }
 
 /**
@@ -57,11 +53,19 @@ function serializeCiphertext(ct) {
 
 /**
  * Deserialize bytes to ciphertext
- * @param {Buffer} buffer - Serialized ciphertext
+ * Raw bytes carry no scheme; they are read as FHE16_0.0.1v and their size
+ * must match one of its bit widths.
+ * @param {Buffer} buffer - Serialized ciphertext, or a (compressed) frame
  * @returns {Object} - Ciphertext object
  */
 function deserializeCiphertext(buffer) {
-  if (!buffer || buffer.length !== 33296 * 4) {
+  if (isFrame(buffer)) {
+    return decompressCiphertext(buffer);
+  }
+  const bitWidth = buffer && buffer.length % 4 === 0
+    ? bitWidthForLength(getParameterSet(DEFAULT_SCHEME), buffer.length / 4)
+    : null;
+  if (!bitWidth) {
     throw new Error('Invalid buffer size for FHE16 ciphertext');
   }
 
@@ -73,7 +77,46 @@ function deserializeCiphertext(buffer) {
 
   return {
     encrypted_data: Array.from(dataArray),
-    scheme: 'FHE16_0.0.1v',
+    scheme: DEFAULT_SCHEME,
+    bit_width: bitWidth,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Compress a ciphertext losslessly (bit-packed values mod q plus deflate, see compress.js)
+ * The result is a self-describing frame (wire.js); its CID is still that of the
+ * uncompressed ciphertext.
+ * @param {Object} ct - Ciphertext object
+ * @param {Object} [options] - compressValues options (codec, blockSize)
+ * @returns {Buffer}
+ */
+function compressCiphertext(ct, options = {}) {
+  if (!validateCiphertext(ct)) {
+    throw new Error('Invalid ciphertext');
+  }
+  return encodeFrame(ct.encrypted_data, { scheme: ct.scheme, bitWidth: ct.bit_width, compress: options });
+}
+
+/**
+ * Decompress a frame from compressCiphertext (uncompressed frames are accepted too)
+ * @param {Buffer} buffer
+ * @returns {Object} - Ciphertext object
+ */
+function decompressCiphertext(buffer) {
+  const { encryptedData, scheme, bitWidth } = decodeFrame(buffer, { scheme: DEFAULT_SCHEME });
+  const params = getParameterSet(scheme);
+  if (!params.bitWidths.includes(bitWidth)) {
+    throw new Error(`Unsupported bit width for ${scheme}: ${bitWidth}`);
+  }
+  const expectedLength = ciphertextLength(params, bitWidth);
+  if (encryptedData.length !== expectedLength) {
+    throw new Error(`Invalid ciphertext length: expected ${expectedLength}, got ${encryptedData.length}`);
+  }
+  return {
+    encrypted_data: Array.from(encryptedData),
+    scheme,
+    bit_width: bitWidth,
     timestamp: Date.now()
   };
 }
@@ -90,7 +133,7 @@ function ciphertextToHex(ct) {
 
 /**
  * Convert hex string to ciphertext
- * @param {string} hex - Hex string (with or without 0x prefix)
+ * @param {string} hex - Hex string (with or without 0x prefix), serialized or compressed
  * @returns {Object} - Ciphertext object
  */
 function hexToCiphertext(hex) {
@@ -101,18 +144,22 @@ function hexToCiphertext(hex) {
 
 /**
  * Create zero ciphertext (for initialization)
+ * @param {number} [bitWidth] - default 32
  * @returns {Object} - Zero ciphertext
  */
-function createZeroCiphertext() {
+function createZeroCiphertext(bitWidth = 32) {
   return {
-    encrypted_data: new Array(33296).fill(0),
-    scheme: 'FHE16_0.0.1v',
+    encrypted_data: new Array(ciphertextLength(getParameterSet(DEFAULT_SCHEME), bitWidth)).fill(0),
+    scheme: DEFAULT_SCHEME,
+    bit_width: bitWidth,
     timestamp: Date.now()
   };
 }
 
 /**
  * Compare two CIDs
+ * Unversioned SHA256 CIDs compare equal to their v1 form; legacy CID_ ids
+ * only match themselves (use CidResolver to map them)
  * @param {string} cid1 - First CID
  * @param {string} cid2 - Second CID
  * @returns {boolean}
@@ -120,10 +167,11 @@ function createZeroCiphertext() {
 function compareCIDs(cid1, cid2) {
   if (!cid1 || !cid2) return false;
 
-  const clean1 = cid1.startsWith('0x') ? cid1.slice(2) : cid1;
-  const clean2 = cid2.startsWith('0x') ? cid2.slice(2) : cid2;
+  const canonical1 = toCanonicalCID(cid1);
+  const canonical2 = toCanonicalCID(cid2);
+  if (canonical1 && canonical2) return canonical1 === canonical2;
 
-  return clean1.toLowerCase() === clean2.toLowerCase();
+  return cid1 === cid2 && parseCID(cid1) !== null;
 }
 
 module.exports = {
@@ -131,8 +179,16 @@ module.exports = {
   validateCiphertext,
   serializeCiphertext,
   deserializeCiphertext,
+  compressCiphertext,
+  decompressCiphertext,
   ciphertextToHex,
   hexToCiphertext,
   createZeroCiphertext,
-  compareCIDs
+  compareCIDs,
+  parseCID,
+  toCanonicalCID,
+  CidResolver,
+  SCHEMA_ERRORS,
+  CiphertextSchemaError,
+  assertCiphertext
 };
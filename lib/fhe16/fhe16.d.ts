@@ -117,6 +117,10 @@ export const FHE16: {
   lweSaveFile(path: string, bytesBuf: Buffer): number;
   lweLoadFile(path: string): Buffer;
 
+  // ===== Ciphertext import/export (strict LWE bytes) =====
+  importCiphertext(values: Int32Array | number[] | Buffer): Int32Ptr;  // 새 네이티브 버퍼 (canFreeCt이면 호출자가 freeCt로 해제)
+  exportCiphertext(ctPtr: Int32Ptr): Int32Array;
+
   // (옵션) 레거시(널종단 가정)
   __legacy_lweToBytes(ctPtr: Int32Ptr): Buffer;
   __legacy_lweFromBytes(cStrPtrOrBuf: Buffer): Int32Ptr;
@@ -130,6 +134,11 @@ export const FHE16: {
   bootparamLoadFileSafe(path: string): Buffer;
   bootparamFreeHeap(bpPtr: VoidPtr): void;
 
+  // ===== Memory =====
+  canFreeCt: boolean;              // 라이브러리가 FHE16_FREE를 export할 때만 true
+  freeCt(ctPtr: Int32Ptr): void;   // FHE16_FREE로 각 ciphertext 포인터를 정확히 한 번만 해제 (없으면 throw)
+  addressOf(ptr: Buffer): number;
+
   // 전역(Global) 레거시
   bootparamToBytesGlobalLegacy(): Buffer;
   bootparamFromBytesGlobalLegacy(bytesPtrOrBuf: Buffer): number;
@@ -0,0 +1,247 @@
+const fs = require('fs');
+
+/**
+ * FHE16 Parameter Sets
+ * Descriptor of the parameters a key set was generated with and of the
+ * ciphertext layout that follows from them:
+ *   {
+ *     scheme:    "FHE16_0.0.1v",
+ *     n, N:      LWE dimensions (1024, 1025)
+ *     q, Q:      moduli; LWE values lie in (-q, q)
+ *     sigma:     error standard deviation
+ *     bitWidths: plaintext widths the keys encrypt, e.g. [16, 32, 64]
+ *     layout:    { headerLength: 16, sampleLength: 1040 }
+ *     lwe:       optional, where a and b sit in each sample and the bit encoding,
+ *                e.g. { aOffset: 0, bOffset: 1024, delta: 40900864, bitOrder: "lsb" }
+ *   }
+ *
+ * A ciphertext of bit width w is headerLength int32 values followed by w LWE
+ * samples of sampleLength values each (16 + 1040 * 32 = 33296 for a 32-bit
+ * FHE16_0.0.1v ciphertext).
+ *
+ * The native library does not report its parameters, so a descriptor is
+ * shipped next to bootparam.bin as params.json (see loadParameterSet) and the
+ * executor checks its layout against probe encryptions (verifyLayout). The lwe
+ * section is only needed to decrypt outside the library (threshold.js) and
+ * comes from the key owner with the secret key export.
+ * Registered sets are what schema.js, crypto.js and wire.js validate against.
+ */
+
+const DEFAULT_SCHEME = 'FHE16_0.0.1v';
+const DEFAULT_BIT_WIDTH = 32;
+
+// Built-in sets; a loaded descriptor with the same scheme replaces its entry
+const PARAMETER_SETS = {
+  'FHE16_0.0.1v': {
+    scheme: 'FHE16_0.0.1v',
+    n: 1024,
+    N: 1025,
+    q: 163603459,
+    Q: 163603459,
+    sigma: 10.0,
+    bitWidths: [16, 32, 64],
+    layout: { headerLength: 16, sampleLength: 1040 }
+  }
+};
+
+const registry = new Map();
+
+/**
+ * Validate a descriptor and return a frozen copy
+ * @param {Object} spec
+ * @returns {Object}
+ * @throws {Error} naming the offending field
+ */
+function createParameterSet(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('Invalid parameter set: not an object');
+  }
+  const fail = (field, reason) => new Error(`Invalid parameter set: ${field} ${reason}`);
+
+  if (typeof spec.scheme !== 'string' || !/^[\x20-\x7e]{1,255}$/.test(spec.scheme)) {
+    throw fail('scheme', 'must be a printable ASCII name of at most 255 characters');
+  }
+  for (const field of ['n', 'N', 'q', 'Q']) {
+    if (!Number.isSafeInteger(spec[field]) || spec[field] <= 0) {
+      throw fail(field, 'must be a positive integer');
+    }
+  }
+  // Values travel as int32
+  if (spec.q > 2147483647) {
+    throw fail('q', 'must fit in an int32');
+  }
+  if (typeof spec.sigma !== 'number' || !(spec.sigma > 0)) {
+    throw fail('sigma', 'must be a positive number');
+  }
+
+  const bitWidths = spec.bitWidths;
+  if (!Array.isArray(bitWidths) || bitWidths.length === 0 ||
+      !bitWidths.every(w => Number.isInteger(w) && w >= 1 && w <= 64)) {
+    throw fail('bitWidths', 'must be a non-empty list of integers in 1..64');
+  }
+  if (new Set(bitWidths).size !== bitWidths.length) {
+    throw fail('bitWidths', 'must not repeat');
+  }
+
+  const layout = spec.layout || {};
+  if (!Number.isInteger(layout.headerLength) || layout.headerLength < 0) {
+    throw fail('layout.headerLength', 'must be a non-negative integer');
+  }
+  if (!Number.isInteger(layout.sampleLength) || layout.sampleLength <= 0) {
+    throw fail('layout.sampleLength', 'must be a positive integer');
+  }
+
+  const params = {
+    scheme: spec.scheme,
+    n: spec.n,
+    N: spec.N,
+    q: spec.q,
+    Q: spec.Q,
+    sigma: spec.sigma,
+    bitWidths: Object.freeze([...bitWidths].sort((a, b) => a - b)),
+    layout: Object.freeze({ headerLength: layout.headerLength, sampleLength: layout.sampleLength })
+  };
+  if (spec.lwe !== undefined) {
+    params.lwe = createLweLayout(spec, fail);
+  }
+  return Object.freeze(params);
+}
+
+// Sample layout: a is n values from aOffset, b one value at bOffset; bit m encodes as m * delta
+function createLweLayout(spec, fail) {
+  const lwe = spec.lwe || {};
+  const sampleLength = spec.layout.sampleLength;
+  if (!Number.isInteger(lwe.aOffset) || lwe.aOffset < 0 || lwe.aOffset + spec.n > sampleLength) {
+    throw fail('lwe.aOffset', `must place n values within a sample of ${sampleLength}`);
+  }
+  if (!Number.isInteger(lwe.bOffset) || lwe.bOffset < 0 || lwe.bOffset >= sampleLength ||
+      (lwe.bOffset >= lwe.aOffset && lwe.bOffset < lwe.aOffset + spec.n)) {
+    throw fail('lwe.bOffset', 'must be a sample index outside the a values');
+  }
+  if (!Number.isInteger(lwe.delta) || lwe.delta <= 0 || 2 * lwe.delta > spec.q) {
+    throw fail('lwe.delta', 'must be a positive integer of at most q / 2');
+  }
+  const bitOrder = lwe.bitOrder === undefined ? 'lsb' : lwe.bitOrder;
+  if (bitOrder !== 'lsb' && bitOrder !== 'msb') {
+    throw fail('lwe.bitOrder', 'must be lsb or msb');
+  }
+  return Object.freeze({ aOffset: lwe.aOffset, bOffset: lwe.bOffset, delta: lwe.delta, bitOrder });
+}
+
+/**
+ * Value count of a ciphertext of the given bit width
+ */
+function ciphertextLength(params, bitWidth = defaultBitWidth(params)) {
+  return params.layout.headerLength + params.layout.sampleLength * bitWidth;
+}
+
+/**
+ * Bit width whose ciphertexts have this many values
+ * @returns {?number} null if no supported width matches
+ */
+function bitWidthForLength(params, length) {
+  return params.bitWidths.find(w => ciphertextLength(params, w) === length) || null;
+}
+
+/**
+ * Width assumed when a ciphertext does not say (32 if supported)
+ */
+function defaultBitWidth(params) {
+  return params.bitWidths.includes(DEFAULT_BIT_WIDTH) ? DEFAULT_BIT_WIDTH : params.bitWidths[0];
+}
+
+/**
+ * Largest ciphertext of the set, in int32 values
+ */
+function maxCiphertextLength(params) {
+  return ciphertextLength(params, params.bitWidths[params.bitWidths.length - 1]);
+}
+
+/**
+ * Descriptor as advertised (executor /status): loadable by createParameterSet,
+ * plus the value count per bit width
+ */
+function describeParameterSet(params) {
+  return {
+    ...params,
+    ciphertextLengths: Object.fromEntries(params.bitWidths.map(w => [w, ciphertextLength(params, w)]))
+  };
+}
+
+/**
+ * Read a JSON descriptor
+ * @param {string} file
+ * @returns {Object} frozen parameter set
+ */
+function loadParameterSet(file) {
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read parameter set ${file}: ${error.message}`);
+  }
+  return createParameterSet(spec);
+}
+
+/**
+ * Check a descriptor's layout against the library
+ * @param {Object} params
+ * @param {Function} measure - (bitWidth) => value count of a fresh ciphertext of that width
+ * @returns {Object} measured lengths per bit width
+ * @throws {Error} if any width disagrees with the descriptor
+ */
+function verifyLayout(params, measure) {
+  const measured = {};
+  for (const bitWidth of params.bitWidths) {
+    measured[bitWidth] = measure(bitWidth);
+    const expected = ciphertextLength(params, bitWidth);
+    if (measured[bitWidth] !== expected) {
+      throw new Error(`Parameter set ${params.scheme} expects ${expected} values for ${bitWidth}-bit ciphertexts, library produced ${measured[bitWidth]}`);
+    }
+  }
+  return measured;
+}
+
+/**
+ * Make a set the one validated against for its scheme
+ * @param {Object} spec - descriptor (validated here)
+ * @returns {Object} frozen parameter set
+ */
+function registerParameterSet(spec) {
+  const params = createParameterSet(spec);
+  registry.set(params.scheme, params);
+  return params;
+}
+
+/**
+ * @param {string} [scheme]
+ * @returns {?Object} registered set, or null for an unknown scheme
+ */
+function getParameterSet(scheme = DEFAULT_SCHEME) {
+  return registry.get(scheme) || null;
+}
+
+function listSchemes() {
+  return [...registry.keys()];
+}
+
+for (const spec of Object.values(PARAMETER_SETS)) {
+  registerParameterSet(spec);
+}
+
+module.exports = {
+  DEFAULT_SCHEME,
+  DEFAULT_BIT_WIDTH,
+  PARAMETER_SETS,
+  createParameterSet,
+  ciphertextLength,
+  bitWidthForLength,
+  defaultBitWidth,
+  maxCiphertextLength,
+  describeParameterSet,
+  loadParameterSet,
+  verifyLayout,
+  registerParameterSet,
+  getParameterSet,
+  listSchemes
+};
@@ -0,0 +1,232 @@
+const { decodeFrame, frameFromTransport, readFrameHeader } = require('./wire.js');
+const params = require('./params.js');
+
+/**
+ * Ciphertext Schema
+ * One validator for every place a ciphertext enters the system, with
+ * machine-readable error codes and the location of the offending field
+ *
+ * Schema lattica-ciphertext/1 (a "schema" field is optional; absent means v1):
+ *   {
+ *     schema?:         "lattica-ciphertext/1",
+ *     scheme:          "FHE16_0.0.1v",     (optional unless requireScheme)
+ *     bit_width?:      32,                 (inferred from the value count when absent)
+ *     key_id?:         "3f2a9c0d1e5b7a64", (key bundle it was encrypted under, 16 hex)
+ *     timestamp?:      number,             (required with requireTimestamp)
+ *     encrypted_data:  int32[]             (or the legacy { encrypted_data: int32[] } wrapper)
+ *     | encrypted_frame: base64 | Buffer   (wire.js frame, compressed or not)
+ *   }
+ *
+ * Schemes, bit widths, lengths and moduli come from the registered parameter
+ * sets (params.js): a ciphertext of bit width w is a header followed by w LWE
+ * samples, and LWE values must lie in (-q, q).
+ */
+
+const CIPHERTEXT_SCHEMA = 'lattica-ciphertext/1';
+const DEFAULT_SCHEME = params.DEFAULT_SCHEME;
+const KEY_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+// Error codes
+const SCHEMA_ERRORS = {
+  NOT_AN_OBJECT: 'CT_NOT_AN_OBJECT',               // ciphertext is missing or not an object
+  UNSUPPORTED_SCHEMA: 'CT_UNSUPPORTED_SCHEMA',     // "schema" names an unknown version
+  UNSUPPORTED_SCHEME: 'CT_UNSUPPORTED_SCHEME',     // scheme missing (when required) or unknown
+  MISSING_DATA: 'CT_MISSING_DATA',                 // neither encrypted_data nor encrypted_frame
+  AMBIGUOUS_DATA: 'CT_AMBIGUOUS_DATA',             // both encrypted_data and encrypted_frame
+  INVALID_FRAME: 'CT_INVALID_FRAME',               // encrypted_frame does not decode
+  INVALID_TYPE: 'CT_INVALID_TYPE',                 // encrypted_data is not an array
+  INVALID_BIT_WIDTH: 'CT_INVALID_BIT_WIDTH',       // bit width not supported by the scheme
+  INVALID_LENGTH: 'CT_INVALID_LENGTH',             // value count does not match the bit width
+  INVALID_VALUE: 'CT_INVALID_VALUE',               // value is not a 32-bit integer
+  VALUE_OUT_OF_RANGE: 'CT_VALUE_OUT_OF_RANGE',     // LWE value outside (-q, q)
+  INVALID_TIMESTAMP: 'CT_INVALID_TIMESTAMP',       // timestamp missing (when required) or not a number
+  CID_MISMATCH: 'CT_CID_MISMATCH',                 // content does not match the declared CID
+  INVALID_KEY_ID: 'CT_INVALID_KEY_ID',             // key_id is not 16 lowercase hex characters
+  KEY_MISMATCH: 'CT_KEY_MISMATCH'                  // inputs under different keys, or not the executor's
+};
+
+class CiphertextSchemaError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - one of SCHEMA_ERRORS
+   * @param {Object} [details] - path (field location) plus code-specific fields
+   */
+  constructor(message, code, details = {}) {
+    super(details.path ? `${details.path}: ${message}` : message);
+    this.name = 'CiphertextSchemaError';
+    this.code = code;
+    this.path = details.path || null;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, ...this.details };
+  }
+}
+
+/**
+ * Expected value count for a registered scheme and bit width
+ */
+function ciphertextLength(scheme = DEFAULT_SCHEME, bitWidth) {
+  const set = params.getParameterSet(scheme);
+  if (!set) {
+    throw new Error(`Unknown parameter set: ${scheme}`);
+  }
+  return params.ciphertextLength(set, bitWidth);
+}
+
+/**
+ * Validate a ciphertext object and return its values
+ * @param {Object} input
+ * @param {Object} [options]
+ * @param {string} [options.path] - location reported in errors, e.g. "ciphertexts[1].ciphertext"
+ * @param {boolean} [options.requireScheme] - reject objects without a scheme (default: assume FHE16_0.0.1v)
+ * @param {boolean} [options.requireTimestamp]
+ * @returns {{encryptedData: Int32Array|Array<number>, scheme: string, bitWidth: number, keyId: ?string}}
+ * @throws {CiphertextSchemaError}
+ */
+function assertCiphertext(input, options = {}) {
+  const base = options.path || null;
+  const at = field => (base ? `${base}.${field}` : field);
+  const fail = (message, code, details = {}) => new CiphertextSchemaError(message, code, { path: base, ...details });
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw fail('ciphertext must be an object', SCHEMA_ERRORS.NOT_AN_OBJECT);
+  }
+  if (input.schema !== undefined && input.schema !== CIPHERTEXT_SCHEMA) {
+    throw fail(`unsupported ciphertext schema: ${input.schema}`, SCHEMA_ERRORS.UNSUPPORTED_SCHEMA, {
+      path: at('schema'), expected: CIPHERTEXT_SCHEMA, actual: input.schema
+    });
+  }
+
+  // Legacy wrapper: { encrypted_data: { encrypted_data: [...], scheme, ... } }
+  const legacy = input.encrypted_data && !Array.isArray(input.encrypted_data) &&
+    !ArrayBuffer.isView(input.encrypted_data) && typeof input.encrypted_data === 'object';
+  const ct = legacy ? { ...input.encrypted_data, ...pick(input, ['scheme', 'bit_width', 'key_id', 'timestamp']) } : input;
+  const dataPath = legacy ? at('encrypted_data.encrypted_data') : at('encrypted_data');
+
+  const hasData = ct.encrypted_data !== undefined && ct.encrypted_data !== null;
+  const hasFrame = ct.encrypted_frame !== undefined && ct.encrypted_frame !== null;
+  if (hasData && hasFrame) {
+    throw fail('encrypted_data and encrypted_frame are mutually exclusive', SCHEMA_ERRORS.AMBIGUOUS_DATA);
+  }
+  if (!hasData && !hasFrame) {
+    throw fail('missing encrypted_data or encrypted_frame', SCHEMA_ERRORS.MISSING_DATA);
+  }
+
+  let values;
+  let scheme = ct.scheme;
+  let bitWidth = ct.bit_width;
+  let valuesPath = dataPath;
+  if (hasFrame) {
+    valuesPath = at('encrypted_frame');
+    let buffer;
+    let header;
+    try {
+      buffer = frameFromTransport(ct.encrypted_frame);
+      header = readFrameHeader(buffer);
+    } catch (error) {
+      throw fail(`invalid ciphertext frame: ${error.message}`, SCHEMA_ERRORS.INVALID_FRAME, { path: valuesPath });
+    }
+    if (scheme !== undefined && scheme !== header.scheme) {
+      throw fail(`scheme ${scheme} does not match frame scheme ${header.scheme}`, SCHEMA_ERRORS.UNSUPPORTED_SCHEME, {
+        path: at('scheme'), expected: header.scheme, actual: scheme
+      });
+    }
+
+    // The declared count is checked before the body is decoded: a compressed body of a few
+    // bytes can declare any number of values
+    const frameSet = params.getParameterSet(header.scheme);
+    const frameWidth = bitWidth === undefined ? header.bitWidth : bitWidth;
+    const expectedLength = frameSet && frameSet.bitWidths.includes(frameWidth) ? params.ciphertextLength(frameSet, frameWidth) : undefined;
+    if (expectedLength !== undefined && header.length !== expectedLength) {
+      throw fail(`expected ${expectedLength} values, got ${header.length}`, SCHEMA_ERRORS.INVALID_LENGTH, {
+        path: valuesPath, expected: expectedLength, actual: header.length
+      });
+    }
+
+    let frame;
+    try {
+      frame = decodeFrame(buffer, { expectedLength });
+    } catch (error) {
+      throw fail(`invalid ciphertext frame: ${error.message}`, SCHEMA_ERRORS.INVALID_FRAME, { path: valuesPath });
+    }
+    values = frame.encryptedData;
+    scheme = frame.scheme;
+    bitWidth = bitWidth === undefined ? frame.bitWidth : bitWidth;
+  } else {
+    values = ct.encrypted_data;
+    if (!Array.isArray(values) && !(values instanceof Int32Array)) {
+      throw fail('encrypted_data must be an array of int32 values', SCHEMA_ERRORS.INVALID_TYPE, { path: dataPath });
+    }
+  }
+
+  if (scheme === undefined || scheme === null) {
+    if (options.requireScheme) {
+      throw fail('missing scheme', SCHEMA_ERRORS.UNSUPPORTED_SCHEME, { path: at('scheme'), expected: params.listSchemes() });
+    }
+    scheme = DEFAULT_SCHEME;
+  }
+  const set = params.getParameterSet(scheme);
+  if (!set) {
+    throw fail(`unsupported scheme: ${scheme}`, SCHEMA_ERRORS.UNSUPPORTED_SCHEME, {
+      path: at('scheme'), expected: params.listSchemes(), actual: scheme
+    });
+  }
+
+  // Without a declared width the length decides; lengths matching none are reported against the default
+  if (bitWidth === undefined || bitWidth === null) {
+    bitWidth = params.bitWidthForLength(set, values.length) || params.defaultBitWidth(set);
+  }
+  if (!set.bitWidths.includes(bitWidth)) {
+    throw fail(`unsupported bit width: ${bitWidth}`, SCHEMA_ERRORS.INVALID_BIT_WIDTH, {
+      path: at('bit_width'), expected: set.bitWidths, actual: bitWidth
+    });
+  }
+
+  const expectedLength = params.ciphertextLength(set, bitWidth);
+  if (values.length !== expectedLength) {
+    throw fail(`expected ${expectedLength} values, got ${values.length}`, SCHEMA_ERRORS.INVALID_LENGTH, {
+      path: valuesPath, expected: expectedLength, actual: values.length
+    });
+  }
+
+  // Header values only need to be int32; LWE values are reduced mod q
+  const checkInt = !(values instanceof Int32Array);
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (checkInt && !(Number.isInteger(v) && v >= -2147483648 && v <= 2147483647)) {
+      throw fail(`value at index ${i} is not a 32-bit integer`, SCHEMA_ERRORS.INVALID_VALUE, {
+        path: `${valuesPath}[${i}]`, index: i, actual: v
+      });
+    }
+    if (i >= set.layout.headerLength && (v >= set.q || v <= -set.q)) {
+      throw fail(`value at index ${i} is outside (-q, q), q = ${set.q}`, SCHEMA_ERRORS.VALUE_OUT_OF_RANGE, {
+        path: `${valuesPath}[${i}]`, index: i, actual: v, modulus: set.q
+      });
+    }
+  }
+
+  if (options.requireTimestamp && !(typeof ct.timestamp === 'number' && ct.timestamp > 0)) {
+    throw fail('timestamp must be a positive number', SCHEMA_ERRORS.INVALID_TIMESTAMP, { path: at('timestamp') });
+  }
+
+  const keyId = ct.key_id === undefined || ct.key_id === null ? null : ct.key_id;
+  if (keyId !== null && !(typeof keyId === 'string' && KEY_ID_PATTERN.test(keyId))) {
+    throw fail(`invalid key id: ${keyId}`, SCHEMA_ERRORS.INVALID_KEY_ID, { path: at('key_id'), actual: keyId });
+  }
+
+  return { encryptedData: values, scheme, bitWidth, keyId };
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
+
+module.exports = {
+  CIPHERTEXT_SCHEMA,
+  SCHEMA_ERRORS,
+  CiphertextSchemaError,
+  ciphertextLength,
+  assertCiphertext
+};
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const params = require('./params.js');
+
+/**
+ * Threshold Decryption
+ * t-of-N Shamir sharing of the LWE secret over Z_q, and decryption from
+ * partial decryptions so no single party ever holds the secret key.
+ *
+ * Party i (1..N) holds s_i = f(i), where f has degree t - 1 and f(0) = s.
+ * A decryption is run by a quorum P of at least t parties, fixed in advance.
+ * For each LWE sample (a, b) of the ciphertext, party i returns
+ *   d_i = lambda_i * <a, s_i> + e_i   (mod q)
+ * with lambda_i its Lagrange coefficient at 0 over P and e_i fresh smudging
+ * noise that hides its share. The combiner computes
+ *   b - sum(d_i) = m * delta + e + sum(e_i)
+ * and rounds each sample to a bit. Smudging is bounded so the total stays
+ * within delta / 8; a phase that is not within delta / 4 of 0 or delta means
+ * some partial is wrong, and the whole combination is refused.
+ *
+ * Where a and b sit in a sample, delta and the bit order come from the
+ * parameter set's lwe section (params.js); FHE16 does not report them.
+ * Integers decode as two's complement of the ciphertext's bit width.
+ */
+
+// Error codes
+const THRESHOLD_ERRORS = {
+  NO_LWE_LAYOUT: 'TH_NO_LWE_LAYOUT',         // parameter set has no lwe section
+  INVALID_SHARE: 'TH_INVALID_SHARE',         // share does not fit the parameter set or quorum
+  INVALID_QUORUM: 'TH_INVALID_QUORUM',       // quorum is not distinct party indices, or smaller than t
+  MISSING_PARTIAL: 'TH_MISSING_PARTIAL',     // a quorum member's partial is absent
+  INVALID_PARTIAL: 'TH_INVALID_PARTIAL',     // partial has the wrong shape or a bad signature
+  SHARES_DISAGREE: 'TH_SHARES_DISAGREE'      // combined phase is not near an encoded bit
+};
+
+class ThresholdError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - one of THRESHOLD_ERRORS
+   * @param {Object} [details]
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ThresholdError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function mod(value, q) {
+  const r = value % q;
+  return r < 0n ? r + q : r;
+}
+
+function modPow(base, exponent, q) {
+  let result = 1n;
+  let b = mod(base, q);
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % q;
+    b = (b * b) % q;
+    e >>= 1n;
+  }
+  return result;
+}
+
+// q is prime, so x^(q-2) is the inverse
+function modInverse(value, q) {
+  return modPow(value, q - 2n, q);
+}
+
+/**
+ * @param {Object} set - parameter set
+ * @returns {Object} the set's lwe section
+ * @throws {ThresholdError} NO_LWE_LAYOUT
+ */
+function lweLayout(set) {
+  if (!set.lwe) {
+    throw new ThresholdError(`Parameter set ${set.scheme} has no lwe section; threshold decryption needs the sample layout`, THRESHOLD_ERRORS.NO_LWE_LAYOUT);
+  }
+  return set.lwe;
+}
+
+/**
+ * Check a quorum: distinct party indices in 1..q-1, at least `threshold` of them
+ * @returns {Array<number>} the quorum, sorted
+ */
+function assertQuorum(quorum, threshold) {
+  if (!Array.isArray(quorum) || !quorum.every(i => Number.isSafeInteger(i) && i >= 1) || new Set(quorum).size !== quorum.length) {
+    throw new ThresholdError('quorum must be a list of distinct party indices', THRESHOLD_ERRORS.INVALID_QUORUM);
+  }
+  if (quorum.length < threshold) {
+    throw new ThresholdError(`quorum of ${quorum.length} is below the threshold of ${threshold}`, THRESHOLD_ERRORS.INVALID_QUORUM);
+  }
+  return [...quorum].sort((a, b) => a - b);
+}
+
+/**
+ * Lagrange coefficients at 0 over a quorum
+ * @param {Array<number>} quorum - party indices
+ * @param {number} q
+ * @returns {Map<number, bigint>} party index -> lambda mod q
+ */
+function lagrangeAtZero(quorum, q) {
+  const Q = BigInt(q);
+  const lambdas = new Map();
+  for (const i of quorum) {
+    let numerator = 1n;
+    let denominator = 1n;
+    for (const j of quorum) {
+      if (j === i) continue;
+      numerator = (numerator * BigInt(j)) % Q;
+      denominator = mod(denominator * BigInt(j - i), Q);
+    }
+    lambdas.set(i, (numerator * modInverse(denominator, Q)) % Q);
+  }
+  return lambdas;
+}
+
+/**
+ * Split an LWE secret into N shares, any t of which recover it
+ * @param {Array<number>|Int32Array} secret - n coefficients (reduced mod q here)
+ * @param {Object} options
+ * @param {number} options.q
+ * @param {number} options.threshold - t
+ * @param {number} options.parties - N
+ * @returns {Array<{index: number, values: Array<number>}>} share i is f(i)
+ */
+function splitSecret(secret, { q, threshold, parties }) {
+  if (!Number.isInteger(threshold) || !Number.isInteger(parties) || threshold < 1 || threshold > parties) {
+    throw new ThresholdError(`need 1 <= t <= N, got t = ${threshold}, N = ${parties}`, THRESHOLD_ERRORS.INVALID_QUORUM);
+  }
+  if (parties >= q) {
+    throw new ThresholdError(`N must be below q, got ${parties}`, THRESHOLD_ERRORS.INVALID_QUORUM);
+  }
+  const Q = BigInt(q);
+  const shares = Array.from({ length: parties }, (_, k) => ({ index: k + 1, values: new Array(secret.length) }));
+
+  for (let c = 0; c < secret.length; c++) {
+    // f(x) = s_c + r_1 x + ... + r_{t-1} x^{t-1}
+    const coefficients = [mod(BigInt(secret[c]), Q)];
+    for (let k = 1; k < threshold; k++) {
+      coefficients.push(BigInt(crypto.randomInt(q)));
+    }
+    for (const share of shares) {
+      const x = BigInt(share.index);
+      let value = 0n;
+      for (let k = coefficients.length - 1; k >= 0; k--) {
+        value = (value * x + coefficients[k]) % Q;
+      }
+      share.values[c] = Number(value);
+    }
+  }
+  return shares;
+}
+
+/**
+ * Recover the secret from t or more shares (dealer self-check)
+ * @param {Array<{index: number, values: Array<number>}>} shares
+ * @param {number} q
+ * @returns {Array<number>} coefficients in [0, q)
+ */
+function reconstructSecret(shares, q) {
+  const Q = BigInt(q);
+  const lambdas = lagrangeAtZero(shares.map(share => share.index), q);
+  const length = shares[0].values.length;
+  const secret = new Array(length);
+  for (let c = 0; c < length; c++) {
+    let value = 0n;
+    for (const share of shares) {
+      value += lambdas.get(share.index) * BigInt(share.values[c]);
+    }
+    secret[c] = Number(value % Q);
+  }
+  return secret;
+}
+
+/**
+ * Per-party smudging bound: the quorum's noise sums to at most delta / 8
+ */
+function smudgingBound(set, quorumSize) {
+  return Math.floor(lweLayout(set).delta / (8 * quorumSize));
+}
+
+// LWE samples of a ciphertext: [{ a: values, b }] in bit order as stored
+function samplesOf(encryptedData, set) {
+  const bitWidth = params.bitWidthForLength(set, encryptedData.length);
+  if (!bitWidth) {
+    throw new ThresholdError(`ciphertext of ${encryptedData.length} values is not a ${set.scheme} ciphertext`, THRESHOLD_ERRORS.INVALID_PARTIAL);
+  }
+  const { aOffset, bOffset } = lweLayout(set);
+  const { headerLength, sampleLength } = set.layout;
+  const samples = [];
+  for (let k = 0; k < bitWidth; k++) {
+    const start = headerLength + k * sampleLength;
+    samples.push({ start: start + aOffset, b: encryptedData[start + bOffset] });
+  }
+  return { bitWidth, samples };
+}
+
+// <a, s> mod q
+function innerProduct(encryptedData, start, secret, Q) {
+  let sum = 0n;
+  for (let c = 0; c < secret.length; c++) {
+    sum += BigInt(encryptedData[start + c]) * BigInt(secret[c]);
+  }
+  return mod(sum, Q);
+}
+
+/**
+ * One party's partial decryption of a ciphertext
+ * @param {Array<number>|Int32Array} encryptedData
+ * @param {{index: number, threshold: number, values: Array<number>}} share
+ * @param {Object} options
+ * @param {Object} options.params - parameter set with an lwe section
+ * @param {Array<number>} options.quorum - parties taking part in this decryption
+ * @returns {Array<number>} one value in [0, q) per LWE sample
+ */
+function partialDecrypt(encryptedData, share, { params: set, quorum }) {
+  const members = assertQuorum(quorum, share.threshold);
+  if (!members.includes(share.index)) {
+    throw new ThresholdError(`party ${share.index} is not in the quorum`, THRESHOLD_ERRORS.INVALID_SHARE);
+  }
+  if (share.values.length !== set.n) {
+    throw new ThresholdError(`share has ${share.values.length} coefficients, ${set.scheme} needs ${set.n}`, THRESHOLD_ERRORS.INVALID_SHARE);
+  }
+
+  const Q = BigInt(set.q);
+  const lambda = lagrangeAtZero(members, set.q).get(share.index);
+  const bound = smudgingBound(set, members.length);
+  const { samples } = samplesOf(encryptedData, set);
+  return samples.map(({ start }) => {
+    const noise = BigInt(crypto.randomInt(-bound, bound + 1));
+    return Number(mod(lambda * innerProduct(encryptedData, start, share.values, Q) + noise, Q));
+  });
+}
+
+/**
+ * Combine the quorum's partial decryptions into the plaintext
+ * @param {Array<number>|Int32Array} encryptedData
+ * @param {Array<{index: number, values: Array<number>}>} partials - one per quorum member
+ * @param {Object} options
+ * @param {Object} options.params
+ * @param {Array<number>} options.quorum
+ * @param {number} options.threshold
+ * @returns {{value: number|string, bitWidth: number}} value is a decimal string beyond 2^53
+ * @throws {ThresholdError} MISSING_PARTIAL, INVALID_PARTIAL, SHARES_DISAGREE
+ */
+function combinePartials(encryptedData, partials, { params: set, quorum, threshold }) {
+  const members = assertQuorum(quorum, threshold);
+  const { delta, bitOrder } = lweLayout(set);
+  const { bitWidth, samples } = samplesOf(encryptedData, set);
+
+  const byParty = new Map();
+  for (const partial of partials) {
+    if (!members.includes(partial.index) || byParty.has(partial.index)) {
+      throw new ThresholdError(`unexpected partial from party ${partial.index}`, THRESHOLD_ERRORS.INVALID_PARTIAL, { party: partial.index });
+    }
+    if (!Array.isArray(partial.values) || partial.values.length !== bitWidth ||
+        !partial.values.every(v => Number.isInteger(v) && v >= 0 && v < set.q)) {
+      throw new ThresholdError(`partial from party ${partial.index} is not ${bitWidth} values in [0, q)`, THRESHOLD_ERRORS.INVALID_PARTIAL, { party: partial.index });
+    }
+    byParty.set(partial.index, partial.values);
+  }
+  const missing = members.filter(i => !byParty.has(i));
+  if (missing.length > 0) {
+    throw new ThresholdError(`missing partials from parties ${missing.join(', ')}`, THRESHOLD_ERRORS.MISSING_PARTIAL, { parties: missing });
+  }
+
+  const slots = Math.round(set.q / delta);
+  const bits = samples.map(({ b }, k) => {
+    let phase = b;
+    for (const values of byParty.values()) {
+      phase -= values[k];
+    }
+    phase = ((phase % set.q) + set.q) % set.q;
+
+    const nearest = Math.round(phase / delta);
+    const bit = nearest % slots;
+    if (Math.abs(phase - nearest * delta) >= delta / 4 || (bit !== 0 && bit !== 1)) {
+      throw new ThresholdError(`partials do not agree on sample ${k}`, THRESHOLD_ERRORS.SHARES_DISAGREE, { sample: k });
+    }
+    return bit;
+  });
+  if (bitOrder === 'msb') bits.reverse();
+
+  let value = bits.reduce((acc, bit, k) => acc | (BigInt(bit) << BigInt(k)), 0n);
+  if (bits[bitWidth - 1] === 1) value -= 1n << BigInt(bitWidth);
+  return {
+    value: value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString(),
+    bitWidth
+  };
+}
+
+module.exports = {
+  THRESHOLD_ERRORS,
+  ThresholdError,
+  lweLayout,
+  assertQuorum,
+  lagrangeAtZero,
+  splitSecret,
+  reconstructSecret,
+  smudgingBound,
+  partialDecrypt,
+  combinePartials
+};
@@ -0,0 +1,232 @@
+const os = require('os');
+const { compressValues, decompressValues } = require('./compress.js');
+const { ciphertextBytes } = require('./cid.js');
+const { DEFAULT_SCHEME, DEFAULT_BIT_WIDTH, getParameterSet, bitWidthForLength, maxCiphertextLength } = require('./params.js');
+
+/**
+ * Ciphertext Wire Format
+ * Binary framing for ciphertexts on the wire, replacing JSON int arrays
+ *
+ * Frame layout (all integers little-endian):
+ *   0   4  magic "LCTF"
+ *   4   1  format version (1)
+ *   5   1  plaintext bit width (e.g. 32)
+ *   6   2  flags (bit 0: body is compressed, see compress.js)
+ *   8   4  element count (int32 values in the body)
+ *   12  1  scheme length L
+ *   13  L  scheme (ASCII, e.g. "FHE16_0.0.1v")
+ *   ..     zero padding to a 4-byte boundary
+ *   ..     body: count little-endian int32 values, or a packed body
+ *
+ * An uncompressed body is the same byte sequence as serializeCiphertext, so
+ * CIDs (cid.js) can be computed from a frame without decoding it. CIDs always
+ * name the uncompressed bytes.
+ *
+ * The element count is checked before anything is allocated: a compressed body
+ * of a few bytes can declare millions of values, so counts above the largest
+ * ciphertext of the frame's parameter set (or options.expectedLength) are refused.
+ */
+
+const WIRE_MAGIC = Buffer.from('LCTF', 'ascii');
+const WIRE_VERSION = 1;
+const WIRE_ENCODING = 'lattica-frame/1';     // "encoding" tag for base64 frames in JSON
+const WIRE_CONTENT_TYPE = 'application/vnd.lattica.ciphertext';
+const FLAG_COMPRESSED = 0x0001;
+
+const FIXED_HEADER_BYTES = 13;
+
+const LITTLE_ENDIAN = os.endianness() === 'LE';
+
+function bodyOffset(schemeLength) {
+  return Math.ceil((FIXED_HEADER_BYTES + schemeLength) / 4) * 4;
+}
+
+/**
+ * Encode ciphertext values as a frame
+ * @param {Int32Array|Array<number>} encryptedData
+ * @param {Object} [options]
+ * @param {string} [options.scheme]
+ * @param {number} [options.bitWidth] - default: the width whose length matches under the scheme's parameter set, else 32
+ * @param {boolean|Object} [options.compress] - compress the body (true, or compressValues options)
+ * @returns {Buffer}
+ */
+function encodeFrame(encryptedData, options = {}) {
+  const scheme = Buffer.from(options.scheme || DEFAULT_SCHEME, 'ascii');
+  const bitWidth = options.bitWidth || inferBitWidth(options.scheme || DEFAULT_SCHEME, encryptedData.length);
+  if (scheme.length > 255) {
+    throw new Error('Ciphertext scheme name is longer than 255 bytes');
+  }
+  if (!Number.isInteger(bitWidth) || bitWidth < 1 || bitWidth > 64) {
+    throw new Error(`Invalid bit width: ${bitWidth}`);
+  }
+
+  const offset = bodyOffset(scheme.length);
+  const packed = options.compress
+    ? compressValues(encryptedData, options.compress === true ? {} : options.compress)
+    : null;
+  const frame = Buffer.alloc(offset + (packed ? packed.length : encryptedData.length * 4));
+  WIRE_MAGIC.copy(frame, 0);
+  frame.writeUInt8(WIRE_VERSION, 4);
+  frame.writeUInt8(bitWidth, 5);
+  frame.writeUInt16LE(packed ? FLAG_COMPRESSED : 0, 6);
+  frame.writeUInt32LE(encryptedData.length, 8);
+  frame.writeUInt8(scheme.length, 12);
+  scheme.copy(frame, FIXED_HEADER_BYTES);
+
+  if (packed) {
+    packed.copy(frame, offset);
+  } else if (LITTLE_ENDIAN && encryptedData instanceof Int32Array) {
+    Buffer.from(encryptedData.buffer, encryptedData.byteOffset, encryptedData.byteLength).copy(frame, offset);
+  } else {
+    for (let i = 0; i < encryptedData.length; i++) {
+      frame.writeInt32LE(encryptedData[i], offset + i * 4);
+    }
+  }
+  return frame;
+}
+
+// Serialized ciphertexts do not carry their width; the layout of the scheme's parameter set does
+function inferBitWidth(scheme, length) {
+  const params = getParameterSet(scheme);
+  return (params && bitWidthForLength(params, length)) || DEFAULT_BIT_WIDTH;
+}
+
+/**
+ * Parse a frame header
+ * @param {Buffer} frame
+ * @returns {{version: number, bitWidth: number, flags: number, length: number, scheme: string, bodyOffset: number, compressed: boolean}}
+ */
+function readFrameHeader(frame) {
+  if (!Buffer.isBuffer(frame) || frame.length < FIXED_HEADER_BYTES || !frame.subarray(0, 4).equals(WIRE_MAGIC)) {
+    throw new Error('Not a ciphertext frame');
+  }
+  const version = frame.readUInt8(4);
+  if (version !== WIRE_VERSION) {
+    throw new Error(`Unsupported ciphertext frame version: ${version}`);
+  }
+  const schemeLength = frame.readUInt8(12);
+  const header = {
+    version,
+    bitWidth: frame.readUInt8(5),
+    flags: frame.readUInt16LE(6),
+    length: frame.readUInt32LE(8),
+    scheme: frame.toString('ascii', FIXED_HEADER_BYTES, FIXED_HEADER_BYTES + schemeLength),
+    bodyOffset: bodyOffset(schemeLength)
+  };
+  if ((header.flags & ~FLAG_COMPRESSED) !== 0) {
+    throw new Error(`Unsupported ciphertext frame flags: ${header.flags}`);
+  }
+  header.compressed = (header.flags & FLAG_COMPRESSED) !== 0;
+  if (!header.compressed && frame.length !== header.bodyOffset + header.length * 4) {
+    throw new Error(`Ciphertext frame size mismatch: header declares ${header.length} values, body has ${(frame.length - header.bodyOffset) / 4}`);
+  }
+  return header;
+}
+
+/**
+ * Refuse an element count before decoding: not the expected one, or more than the
+ * scheme's largest ciphertext. Compressed frames of unregistered schemes cannot be
+ * bounded and are refused; uncompressed ones are bounded by their own size.
+ */
+function assertFrameLength(header, options = {}) {
+  if (options.expectedLength !== undefined && header.length !== options.expectedLength) {
+    throw new Error(`Invalid ciphertext length: expected ${options.expectedLength}, got ${header.length}`);
+  }
+  const params = getParameterSet(header.scheme);
+  const maxLength = options.maxLength !== undefined ? options.maxLength : params ? maxCiphertextLength(params) : null;
+  if (maxLength === null) {
+    if (header.compressed) {
+      throw new Error(`Unsupported ciphertext scheme for a compressed frame: ${header.scheme}`);
+    }
+  } else if (header.length > maxLength) {
+    throw new Error(`Invalid ciphertext length: ${header.length} values, at most ${maxLength} for ${header.scheme}`);
+  }
+}
+
+/**
+ * Body bytes of a frame (serializeCiphertext layout); not copied unless compressed
+ * @param {Buffer} frame
+ * @param {Object} [options] - expectedLength / maxLength, see decodeFrame
+ */
+function frameBody(frame, options = {}) {
+  const header = readFrameHeader(frame);
+  assertFrameLength(header, options);
+  if (header.compressed) {
+    return ciphertextBytes(decompressValues(frame.subarray(header.bodyOffset), header.length));
+  }
+  return frame.subarray(header.bodyOffset);
+}
+
+/**
+ * Decode a frame
+ * @param {Buffer} frame
+ * @param {Object} [options]
+ * @param {number} [options.expectedLength] - reject frames with a different element count
+ * @param {number} [options.maxLength] - reject larger frames (default: the largest ciphertext of the frame's scheme)
+ * @param {string} [options.scheme] - reject frames of another scheme
+ * @returns {{encryptedData: Int32Array, scheme: string, bitWidth: number}}
+ */
+function decodeFrame(frame, options = {}) {
+  const header = readFrameHeader(frame);
+  if (options.scheme && header.scheme !== options.scheme) {
+    throw new Error(`Unsupported ciphertext scheme: ${header.scheme}`);
+  }
+  assertFrameLength(header, options);
+
+  if (header.compressed) {
+    const encryptedData = decompressValues(frame.subarray(header.bodyOffset), header.length);
+    return { encryptedData, scheme: header.scheme, bitWidth: header.bitWidth };
+  }
+
+  // Copy into a fresh, aligned buffer so the result is independent of the frame
+  const encryptedData = new Int32Array(header.length);
+  if (LITTLE_ENDIAN) {
+    Buffer.from(encryptedData.buffer).set(frame.subarray(header.bodyOffset));
+  } else {
+    for (let i = 0; i < header.length; i++) {
+      encryptedData[i] = frame.readInt32LE(header.bodyOffset + i * 4);
+    }
+  }
+  return { encryptedData, scheme: header.scheme, bitWidth: header.bitWidth };
+}
+
+function isFrame(value) {
+  return Buffer.isBuffer(value) && value.length >= 4 && value.subarray(0, 4).equals(WIRE_MAGIC);
+}
+
+/**
+ * Frame from its JSON transport form: base64 string, or a Buffer already split out of a multipart body
+ */
+function frameFromTransport(value) {
+  if (Buffer.isBuffer(value)) return value;
+  if (typeof value === 'string') return Buffer.from(value, 'base64');
+  throw new Error('Ciphertext frame must be base64 or binary');
+}
+
+/**
+ * Values of a ciphertext object carried as encrypted_data or as encrypted_frame
+ * @param {Object} ciphertext
+ * @param {Object} [options] - expectedLength / maxLength, see decodeFrame
+ * @returns {Int32Array|Array<number>|undefined}
+ */
+function ciphertextValues(ciphertext, options = {}) {
+  if (ciphertext.encrypted_frame !== undefined && ciphertext.encrypted_frame !== null) {
+    return decodeFrame(frameFromTransport(ciphertext.encrypted_frame), options).encryptedData;
+  }
+  return ciphertext.encrypted_data;
+}
+
+module.exports = {
+  WIRE_MAGIC,
+  WIRE_VERSION,
+  WIRE_ENCODING,
+  WIRE_CONTENT_TYPE,
+  FLAG_COMPRESSED,
+  encodeFrame,
+  decodeFrame,
+  readFrameHeader,
+  frameBody,
+  isFrame,
+  frameFromTransport,
+  ciphertextValues
+};
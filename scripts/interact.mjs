@@ -30,6 +30,7 @@ async function main() {
     console.log("  node scripts/interact.js getPayment <paymentId>");
     console.log("  node scripts/interact.js getHistory <employee> <offset> <limit>");
     console.log("  node scripts/interact.js registerCiphertext <cid> <dataHex>");
+    console.log("  node scripts/interact.js registerFromStore <cid> [--compressed]");
     console.log("  node scripts/interact.js info");
     return;
   }
@@ -205,6 +206,39 @@ async function main() {
       break;
     }
 
+    case "registerFromStore": {
+      const [, cid, flag] = args;
+      if (!cid) {
+        console.error("Usage: registerFromStore <cid> [--compressed]");
+        process.exit(1);
+      }
+      const storeUrl = process.env.CIPHERTEXT_STORE_URL || "http://localhost:3002";
+      const response = await fetch(`${storeUrl}/ciphertexts/${cid}`);
+      if (!response.ok) {
+        console.error(`❌ Ciphertext store returned ${response.status} for ${cid}`);
+        process.exit(1);
+      }
+      const dataHex = "0x" + Buffer.from(await response.arrayBuffer()).toString("hex");
+      const computed = await token.computeCid(dataHex);
+      if (computed.toLowerCase() !== cid.toLowerCase()) {
+        console.error(`❌ Stored bytes hash to ${computed}, not ${cid}`);
+        process.exit(1);
+      }
+      // The CID stays that of the uncompressed bytes; readers decompress with hexToCiphertext
+      let registered = dataHex;
+      if (flag === "--compressed") {
+        const { hexToCiphertext, compressCiphertext } = require("../lib/fhe16/crypto.js");
+        registered = "0x" + compressCiphertext(hexToCiphertext(dataHex)).toString("hex");
+        console.log(`🗜️  Compressed ${(dataHex.length - 2) / 2} -> ${(registered.length - 2) / 2} bytes`);
+      }
+      console.log("🔐 Registering ciphertext from store with CID:", cid);
+      const tx = await token.registerCiphertext(cid, registered);
+      console.log("⏳ Transaction hash:", tx.hash);
+      await tx.wait();
+      console.log("✅ Ciphertext registered!");
+      break;
+    }
+
     default:
       console.error("Unknown command:", command);
       process.exit(1);